@@ -0,0 +1,109 @@
+/**
+ * Migrate coupons and coupon usage to the canonical schema
+ * Rewrites documents saved with the older camelCase fields (discountType,
+ * usedCount, startDate, couponId...) onto the snake_case fields read by
+ * src/lib/coupons.js, stores dates as Timestamps and deletes the old fields.
+ * Safe to run more than once: documents already in the canonical schema are
+ * left alone.
+ *
+ * Coupon writes are admin-only, so the script signs in with an admin account
+ * (MIGRATION_ADMIN_EMAIL / MIGRATION_ADMIN_PASSWORD in .env.local).
+ *
+ * Usage: node scripts/migrate-coupons.js [--dry-run]
+ */
+
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInWithEmailAndPassword } from 'firebase/auth';
+import {
+  getFirestore,
+  collection,
+  getDocs,
+  doc,
+  updateDoc,
+  deleteField,
+} from 'firebase/firestore';
+import * as dotenv from 'dotenv';
+import { getCouponMigration, getCouponUsageMigration } from '../src/lib/coupons.js';
+
+// Load environment variables
+dotenv.config({ path: '.env.local' });
+
+// Firebase configuration
+const firebaseConfig = {
+  apiKey: process.env.VITE_FIREBASE_API_KEY,
+  authDomain: process.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: process.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: process.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: process.env.VITE_FIREBASE_APP_ID,
+};
+
+// Initialize Firebase
+const app = initializeApp(firebaseConfig);
+const db = getFirestore(app);
+const auth = getAuth(app);
+
+const dryRun = process.argv.includes('--dry-run');
+
+const describeValue = (value) =>
+  typeof value?.toDate === 'function' || value instanceof Date
+    ? (value.toDate?.() || value).toISOString()
+    : JSON.stringify(value);
+
+async function migrateCollection(collectionName, getMigration) {
+  const snapshot = await getDocs(collection(db, collectionName));
+  let changed = 0;
+
+  for (const document of snapshot.docs) {
+    const data = document.data();
+    const { updates, removed, changed: needsUpdate } = getMigration(data);
+    if (!needsUpdate) continue;
+
+    changed += 1;
+    console.log(`  ${collectionName}/${document.id}`);
+    Object.entries(updates).forEach(([field, value]) => {
+      console.log(`    set ${field}: ${describeValue(data[field])} → ${describeValue(value)}`);
+    });
+    removed.forEach((field) => console.log(`    remove ${field}`));
+
+    if (!dryRun) {
+      await updateDoc(doc(db, collectionName, document.id), {
+        ...updates,
+        ...Object.fromEntries(removed.map((field) => [field, deleteField()])),
+      });
+    }
+  }
+
+  return { total: snapshot.size, changed };
+}
+
+async function migrateCoupons() {
+  try {
+    const email = process.env.MIGRATION_ADMIN_EMAIL;
+    const password = process.env.MIGRATION_ADMIN_PASSWORD;
+    if (!email || !password) {
+      console.error('❌ Set MIGRATION_ADMIN_EMAIL and MIGRATION_ADMIN_PASSWORD in .env.local');
+      process.exit(1);
+    }
+
+    await signInWithEmailAndPassword(auth, email, password);
+
+    console.log(`🔧 Migrating coupons${dryRun ? ' (dry run, nothing is written)' : ''}...`);
+    const coupons = await migrateCollection('coupons', getCouponMigration);
+
+    console.log('🔧 Migrating coupon usage...');
+    const usage = await migrateCollection('coupon_usage', getCouponUsageMigration);
+
+    console.log('');
+    console.log(`✅ Coupons: ${coupons.changed} of ${coupons.total} ${dryRun ? 'need' : 'were'} updating`);
+    console.log(`✅ Coupon usage: ${usage.changed} of ${usage.total} ${dryRun ? 'need' : 'were'} updating`);
+  } catch (error) {
+    console.error('❌ Error migrating coupons:', error);
+    process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+// Run the migration
+migrateCoupons();
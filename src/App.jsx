@@ -24,6 +24,9 @@ const Account = lazy(() => import('./pages/Account'));
 const Addresses = lazy(() => import('./pages/Addresses'));
 const OrderTracking = lazy(() => import('./pages/OrderTracking'));
 const OrderHistory = lazy(() => import('./pages/OrderHistory'));
+const TrackOrder = lazy(() => import('./pages/TrackOrder'));
+const SharedList = lazy(() => import('./pages/SharedList'));
+const Notifications = lazy(() => import('./pages/Notifications'));
 const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
 const ResetPassword = lazy(() => import('./pages/ResetPassword'));
 const VerifyEmail = lazy(() => import('./pages/VerifyEmail'));
@@ -38,6 +41,12 @@ const AdminOrderDetails = lazy(() => import('./pages/admin/AdminOrderDetails'));
 const AdminBanners = lazy(() => import('./pages/admin/AdminBanners'));
 const AdminPincodes = lazy(() => import('./pages/admin/AdminPincodes'));
 const AdminCoupons = lazy(() => import('./pages/admin/AdminCoupons'));
+const AdminReturns = lazy(() => import('./pages/admin/AdminReturns'));
+const AdminCod = lazy(() => import('./pages/admin/AdminCod'));
+const AdminReviews = lazy(() => import('./pages/admin/AdminReviews'));
+const AdminSizeCharts = lazy(() => import('./pages/admin/AdminSizeCharts'));
+const AdminSearch = lazy(() => import('./pages/admin/AdminSearch'));
+const AdminShipping = lazy(() => import('./pages/admin/AdminShipping'));
 const ProductForm = lazy(() => import('./pages/admin/ProductForm'));
 const CouponForm = lazy(() => import('./pages/admin/CouponForm'));
 
@@ -68,7 +77,7 @@ function ScrollToTop() {
 }
 
 function App() {
-  const { initializeAuth, user, processPendingCartItem } = useStore();
+  const { initializeAuth } = useStore();
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -124,13 +133,6 @@ function App() {
     initialize();
   }, [initializeAuth]);
 
-  // Process pending cart item when user logs in
-  useEffect(() => {
-    if (user) {
-      processPendingCartItem();
-    }
-  }, [user, processPendingCartItem]);
-
   // Listen for auth requirement events from store
   useEffect(() => {
     const handleRequireAuth = (event) => {
@@ -156,12 +158,19 @@ function App() {
               <Route path="products/:slug" element={<ProductDetail />} />
               <Route path="cart" element={<Cart />} />
               <Route path="wishlist" element={<Wishlist />} />
+              <Route path="lists/:listId" element={<SharedList />} />
               <Route path="login" element={<Login />} />
               <Route path="register" element={<Register />} />
               <Route path="forgot-password" element={<ForgotPassword />} />
               <Route path="reset-password" element={<ResetPassword />} />
               <Route path="verify-email" element={<VerifyEmail />} />
 
+              {/* Open to guests as well as signed-in users */}
+              <Route path="checkout" element={<Checkout />} />
+              <Route path="order-success/:orderId" element={<OrderSuccess />} />
+              <Route path="order/:id" element={<OrderTracking />} />
+              <Route path="track-order" element={<TrackOrder />} />
+
               {/* Protected Routes */}
               <Route
                 path="account"
@@ -179,22 +188,6 @@ function App() {
                   </ProtectedRoute>
                 }
               />
-              <Route
-                path="checkout"
-                element={
-                  <ProtectedRoute>
-                    <Checkout />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="order-success/:orderId"
-                element={
-                  <ProtectedRoute>
-                    <OrderSuccess />
-                  </ProtectedRoute>
-                }
-              />
               <Route
                 path="orders"
                 element={
@@ -204,10 +197,10 @@ function App() {
                 }
               />
               <Route
-                path="order/:id"
+                path="notifications"
                 element={
                   <ProtectedRoute>
-                    <OrderTracking />
+                    <Notifications />
                   </ProtectedRoute>
                 }
               />
@@ -283,6 +276,36 @@ function App() {
                   </AdminRoute>
                 }
               />
+              <Route
+                path="admin/returns"
+                element={
+                  <AdminRoute>
+                    <AdminLayout>
+                      <AdminReturns />
+                    </AdminLayout>
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="admin/cod"
+                element={
+                  <AdminRoute>
+                    <AdminLayout>
+                      <AdminCod />
+                    </AdminLayout>
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="admin/shipping"
+                element={
+                  <AdminRoute>
+                    <AdminLayout>
+                      <AdminShipping />
+                    </AdminLayout>
+                  </AdminRoute>
+                }
+              />
               <Route
                 path="admin/pincodes"
                 element={
@@ -293,6 +316,36 @@ function App() {
                   </AdminRoute>
                 }
               />
+              <Route
+                path="admin/size-charts"
+                element={
+                  <AdminRoute>
+                    <AdminLayout>
+                      <AdminSizeCharts />
+                    </AdminLayout>
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="admin/reviews"
+                element={
+                  <AdminRoute>
+                    <AdminLayout>
+                      <AdminReviews />
+                    </AdminLayout>
+                  </AdminRoute>
+                }
+              />
+              <Route
+                path="admin/search"
+                element={
+                  <AdminRoute>
+                    <AdminLayout>
+                      <AdminSearch />
+                    </AdminLayout>
+                  </AdminRoute>
+                }
+              />
               <Route
                 path="admin/coupons"
                 element={
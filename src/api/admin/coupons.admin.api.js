@@ -1,6 +1,7 @@
 /**
  * Admin Coupon Management API - Firebase Version
- * Handles CRUD operations for coupon management
+ * Handles CRUD operations for coupon management. Reads and writes the
+ * canonical coupon schema from lib/coupons.
  * @module api/admin/coupons
  */
 
@@ -15,9 +16,131 @@ import {
   deleteDoc,
   query,
   where,
-  orderBy,
+  documentId,
+  writeBatch,
+  increment,
   Timestamp,
 } from 'firebase/firestore';
+import {
+  DISCOUNT_TYPES,
+  readCoupon,
+  readCouponUsage,
+  toCouponFields,
+  isCouponLive,
+} from '../../lib/coupons';
+import {
+  generateCouponCodes as generateCodes,
+  readCouponCode,
+  toCouponCodesCsv,
+} from '../../lib/couponCodes';
+import { hasCustomerTargeting, hasAddressTargeting } from '../../lib/couponTargeting';
+
+const DISCOUNT_TYPE_VALUES = Object.values(DISCOUNT_TYPES);
+
+const getCouponDoc = async (id) => {
+  if (!id) {
+    throw new Error('Coupon ID is required');
+  }
+
+  const couponRef = doc(db, 'coupons', id);
+  const couponDoc = await getDoc(couponRef);
+
+  if (!couponDoc.exists()) {
+    throw new Error('Coupon not found');
+  }
+
+  return { couponRef, coupon: readCoupon({ id: couponDoc.id, ...couponDoc.data() }) };
+};
+
+// Check a coupon's discount settings (create data, or an existing coupon
+// merged with its updates)
+const assertValidDiscount = (couponData) => {
+  const type = couponData.discount_type;
+  if (!DISCOUNT_TYPE_VALUES.includes(type)) {
+    throw new Error(`Invalid discount_type. Must be one of: ${DISCOUNT_TYPE_VALUES.join(', ')}`);
+  }
+
+  if (type === DISCOUNT_TYPES.PERCENTAGE || type === DISCOUNT_TYPES.FIXED) {
+    if (!(couponData.discount_value > 0)) {
+      throw new Error('Discount value must be positive');
+    }
+    if (type === DISCOUNT_TYPES.PERCENTAGE && couponData.discount_value > 100) {
+      throw new Error('Percentage discount must be between 0 and 100');
+    }
+  }
+
+  if (type === DISCOUNT_TYPES.BUY_X_GET_Y) {
+    if (!(couponData.buy_quantity >= 1) || !(couponData.get_quantity >= 1)) {
+      throw new Error('Buy and get quantities must be at least 1');
+    }
+    const percent = couponData.get_discount_percent ?? 100;
+    if (!(percent > 0 && percent <= 100)) {
+      throw new Error('Discount on the "get" items must be between 0 and 100 percent');
+    }
+  }
+
+  if (type === DISCOUNT_TYPES.TIERED) {
+    const tiers = couponData.tiers || [];
+    if (tiers.length === 0) {
+      throw new Error('Tiered discounts need at least one tier');
+    }
+    if (tiers.some((tier) => !(tier.min_subtotal >= 0) || !(tier.percent > 0 && tier.percent <= 100))) {
+      throw new Error('Each tier needs a minimum subtotal and a percentage between 0 and 100');
+    }
+  }
+
+  if (type === DISCOUNT_TYPES.FREE_GIFT && !couponData.gift_product_id?.trim()) {
+    throw new Error('Choose the product given away as the free gift');
+  }
+
+  if (couponData.automatic && !couponData.name?.trim()) {
+    throw new Error('Automatic promotions need a name to show customers');
+  }
+
+  const coupon = readCoupon(couponData);
+  if (coupon.automatic && (hasCustomerTargeting(coupon) || hasAddressTargeting(coupon))) {
+    throw new Error('Automatic promotions apply to every cart and cannot be limited to some customers');
+  }
+  if (coupon.targeting.pincodes.some((pincode) => !/^\d{6}$/.test(pincode))) {
+    throw new Error('Pincodes must be 6 digits');
+  }
+};
+
+const byNewest = (a, b) => (b.created_at?.getTime() || 0) - (a.created_at?.getTime() || 0);
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+// Firestore's limit on values in an 'in' query
+const IN_QUERY_LIMIT = 30;
+// Rounds of regenerating codes that clash with existing ones
+const MAX_CODE_ATTEMPTS = 5;
+
+const getCodeDocs = async (couponId) =>
+  (await getDocs(query(collection(db, 'coupon_codes'), where('coupon_id', '==', couponId)))).docs;
+
+/**
+ * Find which of some codes are already taken, as any coupon's unique code or
+ * as a coupon's own code
+ * @param {Array<string>} codes - Candidate codes
+ * @returns {Promise<Array<string>>} Taken codes
+ */
+const findTakenCodes = async (codes) => {
+  const chunks = [];
+  for (let start = 0; start < codes.length; start += IN_QUERY_LIMIT) {
+    chunks.push(codes.slice(start, start + IN_QUERY_LIMIT));
+  }
+
+  const snapshots = await Promise.all(
+    chunks.flatMap((chunk) => [
+      getDocs(query(collection(db, 'coupon_codes'), where(documentId(), 'in', chunk))),
+      getDocs(query(collection(db, 'coupons'), where('code', 'in', chunk))),
+    ])
+  );
+  return snapshots.flatMap((snapshot, index) =>
+    snapshot.docs.map((takenDoc) => (index % 2 === 0 ? takenDoc.id : takenDoc.data().code))
+  );
+};
 
 /**
  * Create new coupon
@@ -27,31 +150,19 @@ import {
 export async function createCoupon(couponData) {
   try {
     // Validate required fields
-    if (!couponData.code || !couponData.discountType || !couponData.discountValue) {
-      throw new Error('Missing required fields: code, discountType, and discountValue are required');
-    }
-
-    // Validate discount type
-    if (!['percentage', 'fixed'].includes(couponData.discountType)) {
-      throw new Error('Invalid discountType. Must be "percentage" or "fixed"');
-    }
-
-    // Validate discount value
-    if (couponData.discountValue <= 0) {
-      throw new Error('Discount value must be positive');
+    if (!couponData.code || !couponData.discount_type) {
+      throw new Error('Missing required fields: code and discount_type are required');
     }
 
-    // Validate percentage discount
-    if (couponData.discountType === 'percentage' && (couponData.discountValue < 0 || couponData.discountValue > 100)) {
-      throw new Error('Percentage discount must be between 0 and 100');
-    }
+    // Validate the discount settings for its type
+    assertValidDiscount(couponData);
 
     // Validate dates
-    if (!couponData.startDate || !couponData.endDate) {
+    if (!couponData.start_date || !couponData.end_date) {
       throw new Error('Start date and end date are required');
     }
 
-    if (new Date(couponData.endDate) <= new Date(couponData.startDate)) {
+    if (new Date(couponData.end_date) <= new Date(couponData.start_date)) {
       throw new Error('End date must be after start date');
     }
 
@@ -73,21 +184,17 @@ export async function createCoupon(couponData) {
 
     // Prepare coupon data
     const couponToInsert = {
-      ...couponData,
-      code: upperCode,
-      usedCount: 0,
-      isActive: couponData.isActive !== undefined ? couponData.isActive : true,
-      minOrderValue: couponData.minOrderValue || 0,
-      maxUsesPerUser: couponData.maxUsesPerUser || 1,
-      createdAt: Timestamp.now(),
-      updatedAt: Timestamp.now(),
+      ...toCouponFields(couponData),
+      used_count: 0,
+      created_at: Timestamp.now(),
+      updated_at: Timestamp.now(),
     };
 
     // Insert coupon into Firestore
     const docRef = await addDoc(couponsRef, couponToInsert);
     const newCoupon = await getDoc(docRef);
 
-    return { id: newCoupon.id, ...newCoupon.data() };
+    return readCoupon({ id: newCoupon.id, ...newCoupon.data() });
   } catch (error) {
     console.error('Error creating coupon:', error);
     throw error;
@@ -101,35 +208,29 @@ export async function createCoupon(couponData) {
  */
 export async function getCoupons(filters = {}) {
   try {
-    const couponsRef = collection(db, 'coupons');
-    let q = query(couponsRef, orderBy('createdAt', 'desc'));
+    // Filtered client-side: documents not yet migrated lack the canonical
+    // fields, so Firestore queries on them would skip those coupons
+    const snapshot = await getDocs(collection(db, 'coupons'));
+    let coupons = snapshot.docs
+      .map((couponDoc) => readCoupon({ id: couponDoc.id, ...couponDoc.data() }))
+      .sort(byNewest);
 
     // Apply status filter
     if (filters.status && filters.status !== 'all') {
       const now = new Date();
-      
+
       if (filters.status === 'active') {
-        q = query(
-          couponsRef,
-          where('isActive', '==', true),
-          where('startDate', '<=', Timestamp.fromDate(now)),
-          where('endDate', '>=', Timestamp.fromDate(now)),
-          orderBy('createdAt', 'desc')
-        );
+        coupons = coupons.filter((coupon) => isCouponLive(coupon, now));
       } else if (filters.status === 'inactive') {
-        q = query(couponsRef, where('isActive', '==', false), orderBy('createdAt', 'desc'));
+        coupons = coupons.filter((coupon) => !coupon.is_active);
       } else if (filters.status === 'expired') {
-        q = query(couponsRef, where('endDate', '<', Timestamp.fromDate(now)), orderBy('endDate', 'desc'));
+        coupons = coupons
+          .filter((coupon) => coupon.end_date && coupon.end_date < now)
+          .sort((a, b) => b.end_date - a.end_date);
       }
     }
 
-    const snapshot = await getDocs(q);
-    const coupons = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
-
-    // Apply search filter (client-side for Firebase)
+    // Apply search filter
     if (filters.search) {
       const searchTerm = filters.search.toLowerCase();
       return coupons.filter(coupon => 
@@ -151,18 +252,8 @@ export async function getCoupons(filters = {}) {
  */
 export async function getCouponById(id) {
   try {
-    if (!id) {
-      throw new Error('Coupon ID is required');
-    }
-
-    const couponRef = doc(db, 'coupons', id);
-    const couponDoc = await getDoc(couponRef);
-
-    if (!couponDoc.exists()) {
-      throw new Error('Coupon not found');
-    }
-
-    return { id: couponDoc.id, ...couponDoc.data() };
+    const { coupon } = await getCouponDoc(id);
+    return coupon;
   } catch (error) {
     console.error('Error fetching coupon by ID:', error);
     throw error;
@@ -177,44 +268,28 @@ export async function getCouponById(id) {
  */
 export async function updateCoupon(id, couponData) {
   try {
-    if (!id) {
-      throw new Error('Coupon ID is required');
-    }
+    const { couponRef, coupon } = await getCouponDoc(id);
 
-    // Validate discount type if provided
-    if (couponData.discountType && !['percentage', 'fixed'].includes(couponData.discountType)) {
-      throw new Error('Invalid discountType. Must be "percentage" or "fixed"');
-    }
-
-    // Validate discount value if provided
-    if (couponData.discountValue !== undefined && couponData.discountValue <= 0) {
-      throw new Error('Discount value must be positive');
-    }
-
-    // Validate percentage discount if provided
-    if (couponData.discountType === 'percentage' && couponData.discountValue !== undefined) {
-      if (couponData.discountValue < 0 || couponData.discountValue > 100) {
-        throw new Error('Percentage discount must be between 0 and 100');
-      }
-    }
+    // Validate the discount settings the coupon will end up with
+    assertValidDiscount({ ...coupon, ...couponData });
 
     // Validate dates if provided
-    if (couponData.startDate && couponData.endDate) {
-      if (new Date(couponData.endDate) <= new Date(couponData.startDate)) {
+    if (couponData.start_date && couponData.end_date) {
+      if (new Date(couponData.end_date) <= new Date(couponData.start_date)) {
         throw new Error('End date must be after start date');
       }
     }
 
-    // Prepare update data (exclude code - cannot be changed)
-    const { code, usedCount, createdAt, ...updateData } = couponData;
-    updateData.updatedAt = Timestamp.now();
-
-    // Update coupon in Firestore
-    const couponRef = doc(db, 'coupons', id);
-    await updateDoc(couponRef, updateData);
+    // Rewrite the full canonical document (code cannot be changed); this
+    // also moves a coupon saved with older fields onto the canonical ones
+    await updateDoc(couponRef, {
+      ...toCouponFields({ ...coupon, ...couponData, code: coupon.code }),
+      used_count: coupon.used_count,
+      updated_at: Timestamp.now(),
+    });
 
     const updatedCoupon = await getDoc(couponRef);
-    return { id: updatedCoupon.id, ...updatedCoupon.data() };
+    return readCoupon({ id: updatedCoupon.id, ...updatedCoupon.data() });
   } catch (error) {
     console.error('Error updating coupon:', error);
     throw error;
@@ -228,24 +303,19 @@ export async function updateCoupon(id, couponData) {
  */
 export async function deleteCoupon(id) {
   try {
-    if (!id) {
-      throw new Error('Coupon ID is required');
-    }
-
     // Check if coupon has been used
-    const couponRef = doc(db, 'coupons', id);
-    const couponDoc = await getDoc(couponRef);
-
-    if (!couponDoc.exists()) {
-      throw new Error('Coupon not found');
-    }
-
-    const coupon = couponDoc.data();
-    if (coupon.usedCount > 0) {
+    const { couponRef, coupon } = await getCouponDoc(id);
+    if (coupon.used_count > 0) {
       throw new Error('Cannot delete coupon with existing usage');
     }
 
-    // Delete coupon
+    // Delete its unique codes, then the coupon
+    const codeDocs = coupon.unique_codes ? await getCodeDocs(id) : [];
+    for (let start = 0; start < codeDocs.length; start += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      codeDocs.slice(start, start + BATCH_SIZE).forEach((codeDoc) => batch.delete(codeDoc.ref));
+      await batch.commit();
+    }
     await deleteDoc(couponRef);
   } catch (error) {
     console.error('Error deleting coupon:', error);
@@ -260,25 +330,14 @@ export async function deleteCoupon(id) {
  */
 export async function toggleCouponStatus(id) {
   try {
-    if (!id) {
-      throw new Error('Coupon ID is required');
-    }
-
-    const couponRef = doc(db, 'coupons', id);
-    const couponDoc = await getDoc(couponRef);
-
-    if (!couponDoc.exists()) {
-      throw new Error('Coupon not found');
-    }
-
-    const coupon = couponDoc.data();
+    const { couponRef, coupon } = await getCouponDoc(id);
     await updateDoc(couponRef, {
-      isActive: !coupon.isActive,
-      updatedAt: Timestamp.now(),
+      is_active: !coupon.is_active,
+      updated_at: Timestamp.now(),
     });
 
     const updatedCoupon = await getDoc(couponRef);
-    return { id: updatedCoupon.id, ...updatedCoupon.data() };
+    return readCoupon({ id: updatedCoupon.id, ...updatedCoupon.data() });
   } catch (error) {
     console.error('Error toggling coupon status:', error);
     throw error;
@@ -292,31 +351,26 @@ export async function toggleCouponStatus(id) {
  */
 export async function getCouponStats(id) {
   try {
-    if (!id) {
-      throw new Error('Coupon ID is required');
-    }
-
     // Get coupon basic info
-    const couponRef = doc(db, 'coupons', id);
-    const couponDoc = await getDoc(couponRef);
-
-    if (!couponDoc.exists()) {
-      throw new Error('Coupon not found');
-    }
-
-    const coupon = { id: couponDoc.id, ...couponDoc.data() };
+    const { coupon } = await getCouponDoc(id);
 
-    // Get usage details
+    // Get usage details (written by createOrder)
     const usageRef = collection(db, 'coupon_usage');
-    const usageQuery = query(usageRef, where('couponId', '==', id));
+    const usageQuery = query(usageRef, where('coupon_id', '==', id));
     const usageSnapshot = await getDocs(usageQuery);
 
-    const usageData = usageSnapshot.docs.map(doc => doc.data());
+    const usageData = usageSnapshot.docs
+      .map((usageDoc) => readCouponUsage({ id: usageDoc.id, ...usageDoc.data() }))
+      .sort(byNewest);
 
     // Calculate statistics
     const totalUsage = usageData.length;
-    const totalDiscountGiven = usageData.reduce((sum, usage) => sum + (usage.discountAmount || 0), 0);
-    const uniqueUsers = new Set(usageData.map(usage => usage.userId)).size;
+    const totalDiscountGiven = usageData.reduce((sum, usage) => sum + usage.discount_amount, 0);
+    const uniqueUsers = new Set(usageData.map(usage => usage.user_id)).size;
+
+    // Redemption of each unique code, most recently redeemed first
+    const codes = coupon.unique_codes ? await getCouponCodes(id) : [];
+    const redeemedCodes = codes.filter((code) => code.redeemed_at).length;
 
     return {
       coupon,
@@ -324,13 +378,117 @@ export async function getCouponStats(id) {
         total_usage: totalUsage,
         total_discount_given: totalDiscountGiven,
         unique_users: uniqueUsers,
-        remaining_uses: coupon.maxUses ? Math.max(0, coupon.maxUses - totalUsage) : null,
-        usage_percentage: coupon.maxUses ? ((totalUsage / coupon.maxUses) * 100).toFixed(2) : null,
+        remaining_uses: coupon.max_uses ? Math.max(0, coupon.max_uses - totalUsage) : null,
+        usage_percentage: coupon.max_uses ? ((totalUsage / coupon.max_uses) * 100).toFixed(2) : null,
+        codes_total: codes.length,
+        codes_redeemed: redeemedCodes,
+        codes_unused: codes.length - redeemedCodes,
       },
       recent_usage: usageData.slice(0, 10),
+      codes,
     };
   } catch (error) {
     console.error('Error fetching coupon stats:', error);
     throw error;
   }
 }
+
+/**
+ * Generate unique single-use codes for a coupon
+ * The coupon is switched to unique codes, so its own code can no longer be
+ * entered. Each code is a coupon_codes document keyed by the code. Codes
+ * already used by any coupon are replaced before anything is written, and
+ * the coupon's codes_count is updated in the same batch as each group of
+ * codes, so a failed batch leaves the count matching the codes saved.
+ * @param {string} id - Coupon ID
+ * @param {number} count - Codes to generate
+ * @param {Object} template - { prefix, length } where length is the random part
+ * @returns {Promise<Array<string>>} Generated codes
+ */
+export async function generateCouponCodes(id, count, template) {
+  try {
+    const { couponRef, coupon } = await getCouponDoc(id);
+    if (coupon.automatic) {
+      throw new Error('Automatic promotions cannot have codes');
+    }
+
+    // Replace any code another coupon already uses, checking only the new ones
+    const existing = new Set((await getCodeDocs(id)).map((codeDoc) => codeDoc.id));
+    let codes = [];
+    let candidates = generateCodes(count, template, { existing });
+    for (let attempt = 1; candidates.length > 0; attempt++) {
+      const taken = await findTakenCodes(candidates);
+      taken.forEach((code) => existing.add(code));
+      codes = [...codes, ...candidates.filter((code) => !existing.has(code))];
+      candidates.forEach((code) => existing.add(code));
+
+      if (codes.length === count) break;
+      if (attempt === MAX_CODE_ATTEMPTS) {
+        throw new Error('Could not generate enough unused codes; use a longer random part');
+      }
+      candidates = generateCodes(count - codes.length, template, { existing });
+    }
+
+    // One write per batch is the coupon update
+    for (let start = 0; start < codes.length; start += BATCH_SIZE - 1) {
+      const batch = writeBatch(db);
+      const group = codes.slice(start, start + BATCH_SIZE - 1);
+      group.forEach((code) => {
+        batch.set(doc(db, 'coupon_codes', code), {
+          code,
+          coupon_id: id,
+          redeemed_at: null,
+          redeemed_by: null,
+          order_id: null,
+          created_at: Timestamp.now(),
+        });
+      });
+      batch.update(couponRef, {
+        unique_codes: true,
+        code_template: { prefix: template.prefix.toUpperCase(), length: template.length },
+        codes_count: increment(group.length),
+        updated_at: Timestamp.now(),
+      });
+      await batch.commit();
+    }
+
+    return codes;
+  } catch (error) {
+    console.error('Error generating coupon codes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a coupon's unique codes
+ * @param {string} id - Coupon ID
+ * @returns {Promise<Array>} Codes, most recently redeemed first, then unused codes by code
+ */
+export async function getCouponCodes(id) {
+  try {
+    return (await getCodeDocs(id))
+      .map((codeDoc) => readCouponCode({ id: codeDoc.id, ...codeDoc.data() }))
+      .sort(
+        (a, b) =>
+          (b.redeemed_at?.getTime() || 0) - (a.redeemed_at?.getTime() || 0) ||
+          a.code.localeCompare(b.code)
+      );
+  } catch (error) {
+    console.error('Error fetching coupon codes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export a coupon's unique codes as CSV
+ * @param {string} id - Coupon ID
+ * @returns {Promise<string>} CSV (code, status, redeemed at, redeemed by, order ID)
+ */
+export async function exportCouponCodes(id) {
+  try {
+    return toCouponCodesCsv(await getCouponCodes(id));
+  } catch (error) {
+    console.error('Error exporting coupon codes:', error);
+    throw error;
+  }
+}
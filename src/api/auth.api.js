@@ -13,6 +13,7 @@ import {
   GoogleAuthProvider,
   sendEmailVerification,
   updateProfile,
+  signInAnonymously,
 } from 'firebase/auth';
 import { auth, handleAuthError } from '../lib/firebaseClient';
 import { getDocument, setDocument, updateDocument, COLLECTIONS } from '../lib/firestoreHelpers';
@@ -204,14 +205,36 @@ export const resendVerificationEmail = async () => {
   }
 };
 
+/**
+ * Start a guest session for checkout
+ * Guests get an anonymous Firebase user so their order, items and payment
+ * can be written under the usual ownership rules. Anonymous sign-in must be
+ * enabled in the Firebase console.
+ * @returns {Promise<Object>} { uid, error }
+ */
+export const signInAsGuest = async () => {
+  try {
+    if (auth.currentUser) {
+      return { uid: auth.currentUser.uid, error: null };
+    }
+
+    const userCredential = await signInAnonymously(auth);
+    return { uid: userCredential.user.uid, error: null };
+  } catch (error) {
+    const message = await handleAuthError(error);
+    return { uid: null, error: message };
+  }
+};
+
 /**
  * Get current user
+ * A guest (anonymous) session is not an account, so it returns no user.
  * @returns {Promise<Object>} User object or null
  */
 export const getCurrentUser = async () => {
   try {
     const user = auth.currentUser;
-    if (!user) {
+    if (!user || user.isAnonymous) {
       return { user: null, error: null };
     }
 
@@ -0,0 +1,98 @@
+/**
+ * Carts API - Firebase Firestore
+ * Per-user carts, wishlists and saved-for-later lines, so they follow the
+ * shopper across devices.
+ * Carts are also cached in Redis when it's configured.
+ * @module api/carts
+ */
+
+import { COLLECTIONS, getDocument, setDocument } from '../lib/firestoreHelpers';
+import { cacheUserCart, getCachedUserCart } from '../lib/redis';
+
+/**
+ * Get a user's stored cart lines
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result with data: [{ product_id, size, color, quantity }]
+ */
+export const getUserCart = async (userId) => {
+  try {
+    const cached = await getCachedUserCart(userId);
+    if (Array.isArray(cached)) {
+      return { success: true, data: cached };
+    }
+
+    const cart = await getDocument(COLLECTIONS.CARTS, userId);
+    const lines = cart?.items || [];
+    await cacheUserCart(userId, lines);
+    return { success: true, data: lines };
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Save a user's cart lines
+ * @param {string} userId - User ID
+ * @param {Array} lines - Cart lines ({ product_id, size, color, quantity })
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const saveUserCart = async (userId, lines) => {
+  try {
+    await setDocument(COLLECTIONS.CARTS, userId, { user_id: userId, items: lines });
+    await cacheUserCart(userId, lines);
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving cart:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get a user's wishlist and saved-for-later lines
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result with data: { product_ids, saved_items }
+ *   where saved_items are cart lines ({ product_id, size, color, quantity })
+ */
+export const getUserWishlist = async (userId) => {
+  try {
+    const wishlist = await getDocument(COLLECTIONS.WISHLISTS, userId);
+    return {
+      success: true,
+      data: {
+        product_ids: wishlist?.product_ids || [],
+        saved_items: wishlist?.saved_items || [],
+      },
+    };
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    return { success: false, error: error.message, data: { product_ids: [], saved_items: [] } };
+  }
+};
+
+/**
+ * Save a user's wishlist and saved-for-later lines
+ * @param {string} userId - User ID
+ * @param {Object} wishlist - { product_ids, saved_items }
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const saveUserWishlist = async (userId, { product_ids, saved_items }) => {
+  try {
+    await setDocument(COLLECTIONS.WISHLISTS, userId, {
+      user_id: userId,
+      product_ids,
+      saved_items,
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving wishlist:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getUserCart,
+  saveUserCart,
+  getUserWishlist,
+  saveUserWishlist,
+};
@@ -0,0 +1,153 @@
+/**
+ * COD API - Firebase Firestore
+ * Tracks cash collection and courier remittance for cash-on-delivery orders
+ * @module api/cod
+ */
+
+import { doc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from '../lib/firebaseClient';
+import { COLLECTIONS, getDocuments, timestampToDate } from '../lib/firestoreHelpers';
+import { createTimelineEntry } from '../lib/orderStatus';
+import {
+  ORDER_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_STATUS,
+  COD_STATUS,
+} from '../config/constants';
+import { getCurrentActor } from './orders.api';
+
+/**
+ * Get COD orders (Admin only)
+ * @param {Object} filters - { codStatus }
+ * @returns {Promise<Array>} Orders, newest first
+ */
+export const getCodOrders = async (filters = {}) => {
+  try {
+    const where = [['payment_method', '==', PAYMENT_METHODS.COD]];
+    if (filters.codStatus) {
+      where.push(['cod_status', '==', filters.codStatus]);
+    }
+
+    const orders = await getDocuments(COLLECTIONS.ORDERS, { where });
+    return orders.sort(
+      (a, b) => (timestampToDate(b.created_at) || 0) - (timestampToDate(a.created_at) || 0)
+    );
+  } catch (error) {
+    console.error('Error fetching COD orders:', error);
+    return [];
+  }
+};
+
+/**
+ * Record the cash collected for a delivered COD order (Admin only)
+ * @param {string} orderId - Order ID
+ * @param {number} amount - Cash collected
+ * @param {string} note - Note for the timeline
+ * @returns {Promise<Object>} Result
+ */
+export const markCodCollected = async (orderId, amount, note = '') => {
+  try {
+    const orderRef = doc(db, COLLECTIONS.ORDERS, orderId);
+    const actor = getCurrentActor();
+
+    await runTransaction(db, async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists()) {
+        throw new Error('Order not found');
+      }
+
+      const order = orderDoc.data();
+      if (order.payment_method !== PAYMENT_METHODS.COD) {
+        throw new Error('Order is not a Cash on Delivery order');
+      }
+      if (order.status !== ORDER_STATUS.DELIVERED) {
+        throw new Error('Cash can only be collected once the order is delivered');
+      }
+      if (order.cod_status && order.cod_status !== COD_STATUS.PENDING) {
+        throw new Error('Cash has already been collected for this order');
+      }
+      if (!(amount > 0)) {
+        throw new Error('Enter the amount collected');
+      }
+
+      const notes = [`Cash of ₹${amount} collected on delivery`];
+      if (amount < order.total) notes.push(`₹${order.total - amount} short`);
+      if (note) notes.push(note);
+
+      transaction.update(orderRef, {
+        payment_status: PAYMENT_STATUS.PAID,
+        cod_status: COD_STATUS.COLLECTED,
+        cod_collected_amount: amount,
+        cod_collected_at: serverTimestamp(),
+        cod_collected_by: actor.email,
+        timeline: [
+          ...(order.timeline || []),
+          createTimelineEntry({ status: order.status, actor, note: notes.join('. ') }),
+        ],
+        updated_at: serverTimestamp(),
+      });
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error marking COD collected:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Reconcile collected COD orders against a courier remittance (Admin only)
+ * Orders that aren't in the collected state are skipped.
+ * @param {Array<string>} orderIds - Order IDs covered by the remittance
+ * @param {string} reference - Remittance/UTR reference
+ * @returns {Promise<Object>} Result with { reconciled, skipped }
+ */
+export const reconcileCodOrders = async (orderIds, reference) => {
+  try {
+    if (!reference) {
+      throw new Error('Enter the remittance reference');
+    }
+
+    const actor = getCurrentActor();
+    const reconciled = [];
+    const skipped = [];
+
+    for (const orderId of orderIds) {
+      const orderRef = doc(db, COLLECTIONS.ORDERS, orderId);
+      const done = await runTransaction(db, async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        const order = orderDoc.exists() ? orderDoc.data() : null;
+        if (order?.cod_status !== COD_STATUS.COLLECTED) return false;
+
+        transaction.update(orderRef, {
+          cod_status: COD_STATUS.RECONCILED,
+          cod_remittance_reference: reference,
+          cod_reconciled_at: serverTimestamp(),
+          timeline: [
+            ...(order.timeline || []),
+            createTimelineEntry({
+              status: order.status,
+              actor,
+              note: `COD remittance reconciled (ref ${reference})`,
+            }),
+          ],
+          updated_at: serverTimestamp(),
+        });
+        return true;
+      });
+
+      (done ? reconciled : skipped).push(orderId);
+    }
+
+    return { success: true, data: { reconciled, skipped } };
+  } catch (error) {
+    console.error('Error reconciling COD orders:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getCodOrders,
+  markCodCollected,
+  reconcileCodOrders,
+};
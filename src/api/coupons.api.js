@@ -1,10 +1,11 @@
 /**
  * Coupons API - Firebase Firestore
- * Handles coupon validation and usage tracking
+ * Handles coupon validation and usage tracking. Coupons are read through
+ * lib/coupons, so callers get the canonical snake_case fields.
  * @module api/coupons
  */
 
-import { serverTimestamp, Timestamp } from 'firebase/firestore';
+import { serverTimestamp } from 'firebase/firestore';
 import {
   COLLECTIONS,
   getDocument,
@@ -14,186 +15,181 @@ import {
   deleteDocument,
   incrementField,
 } from '../lib/firestoreHelpers';
+import { readCoupon, toCouponFields, isCouponLive, getCouponUnavailableMessage, toDate } from '../lib/coupons';
+import { readCouponCode } from '../lib/couponCodes';
+import { evaluatePromotions, toPromotionLines, PROMOTION_REASONS } from '../lib/promotions';
+import {
+  getTargetingFailure,
+  getTargetingMessage,
+  hasCustomerTargeting,
+  hasAddressTargeting,
+} from '../lib/couponTargeting';
+import { ORDER_STATUS } from '../config/constants';
+import { auth } from '../lib/firebaseClient';
+import { getDefaultAddress } from './addresses.api';
+
+// What to tell the customer when a coupon gives no discount on their cart
+const getIneligibleMessage = (coupon, reason) => {
+  switch (reason) {
+    case PROMOTION_REASONS.MIN_ORDER_VALUE:
+      return `Minimum order value of ₹${coupon.min_order_value} required`;
+    case PROMOTION_REASONS.MIN_QUANTITY:
+      return `Add ${coupon.buy_quantity + coupon.get_quantity} eligible items to use this offer`;
+    case PROMOTION_REASONS.MIN_TIER:
+      return `Spend at least ₹${coupon.tiers[0]?.min_subtotal} on eligible items to use this offer`;
+    default:
+      return "This coupon doesn't apply to the items in your cart";
+  }
+};
 
 /**
- * Validate a coupon code
- * @param {string} code - Coupon code
+ * Load what a coupon's targeting rules check about a customer
+ * Only the signed-in customer can be checked. The email, its verification
+ * and the sign-up date come from the Firebase Auth session rather than the
+ * profile, which the customer can edit; guests get null.
  * @param {string} userId - User ID
- * @param {number} orderTotal - Order total amount
- * @returns {Promise<Object>} Validation result
+ * @returns {Promise<Object|null>} Customer for getTargetingFailure
  */
-export const validateCoupon = async (code, userId, orderTotal) => {
-  try {
-    console.log('🎫 Validating coupon:', { code, userId, orderTotal });
-    
-    // Find coupon by code (case-insensitive)
-    const coupons = await getDocuments(COLLECTIONS.COUPONS, {
-      where: [['code', '==', code.toUpperCase()]],
-      limit: 1,
-    });
-
-    console.log('🎫 Found coupons:', coupons);
-
-    if (coupons.length === 0) {
-      return {
-        success: true,
-        data: {
-          valid: false,
-          error: 'Invalid coupon code',
-        },
-      };
-    }
-
-    const coupon = coupons[0];
-    console.log('🎫 Coupon data:', coupon);
-
-    // Check if coupon is active - check multiple possible field names
-    const isActive = coupon.is_active ?? coupon.isActive ?? coupon.active ?? true;
-    console.log('🎫 Is active check:', { is_active: coupon.is_active, isActive: coupon.isActive, active: coupon.active, result: isActive });
-    
-    if (!isActive) {
-      return {
-        success: true,
-        data: {
-          valid: false,
-          error: 'This coupon is no longer active',
-        },
-      };
-    }
-
-    // Check validity period
-    const now = new Date();
-    const startDate = coupon.start_date?.toDate?.() || new Date(coupon.start_date);
-    const endDate = coupon.end_date?.toDate?.() || new Date(coupon.end_date);
+export const getTargetingCustomer = async (userId) => {
+  const user = auth.currentUser;
+  if (!user || user.uid !== userId) {
+    return null;
+  }
 
-    console.log('🎫 Date check:', { now, startDate, endDate });
+  const { getOrdersByUserId } = await import('./orders.api');
+  const orders = await getOrdersByUserId(userId, { includeItems: false });
+  return {
+    user_id: userId,
+    email: user.email || '',
+    email_verified: user.emailVerified === true,
+    signed_up_at: toDate(user.metadata?.creationTime),
+    // A cancelled order doesn't use up a first-order offer
+    order_count: orders.filter((order) => order.status !== ORDER_STATUS.CANCELLED).length,
+  };
+};
 
-    if (now < startDate) {
-      return {
-        success: true,
-        data: {
-          valid: false,
-          error: 'This coupon is not yet valid',
-        },
-      };
-    }
+/**
+ * Find the coupon a code redeems
+ * Shared codes are the coupon's own code; unique codes are looked up in
+ * coupon_codes. Automatic promotions and the template code of a unique-code
+ * coupon can't be entered.
+ * @param {string} code - Code entered (upper case)
+ * @returns {Promise<Object>} { coupon } or { error }
+ */
+const findCouponByCode = async (code) => {
+  const coupons = await getDocuments(COLLECTIONS.COUPONS, {
+    where: [['code', '==', code]],
+    limit: 1,
+  });
+  const shared = coupons.length > 0 ? readCoupon(coupons[0]) : null;
+  if (shared && !shared.automatic && !shared.unique_codes) {
+    return { coupon: shared };
+  }
 
-    if (now > endDate) {
-      return {
-        success: true,
-        data: {
-          valid: false,
-          error: 'This coupon has expired',
-        },
-      };
-    }
+  // Unique codes are document IDs, so anything else can't be one
+  if (!/^[A-Z0-9-]+$/.test(code)) {
+    return { error: 'Invalid coupon code' };
+  }
+  const codeDoc = await getDocument(COLLECTIONS.COUPON_CODES, code);
+  if (!codeDoc) {
+    return { error: 'Invalid coupon code' };
+  }
+  const uniqueCode = readCouponCode(codeDoc);
+  if (uniqueCode.redeemed_at) {
+    return { error: 'This coupon code has already been used' };
+  }
 
-    // Check minimum order value
-    const minOrderValue = coupon.min_order_value || coupon.minOrderValue || 0;
-    console.log('🎫 Min order check:', { orderTotal, minOrderValue });
-    
-    if (orderTotal < minOrderValue) {
-      return {
-        success: true,
-        data: {
-          valid: false,
-          error: `Minimum order value of ₹${minOrderValue} required`,
-        },
-      };
-    }
+  const coupon = await getDocument(COLLECTIONS.COUPONS, uniqueCode.coupon_id);
+  if (!coupon) {
+    return { error: 'Invalid coupon code' };
+  }
+  // Carry the entered code, so it's shown and redeemed at checkout
+  return { coupon: { ...readCoupon(coupon), code: uniqueCode.code } };
+};
 
-    // Check max uses
-    const maxUses = coupon.max_uses || coupon.maxUses;
-    const usedCount = coupon.used_count || coupon.usedCount || 0;
-    console.log('🎫 Usage check:', { maxUses, usedCount });
+/**
+ * Validate a coupon code against the cart
+ * @param {string} code - Coupon code
+ * @param {string} userId - User ID
+ * @param {Array} items - Cart items
+ * @param {Object|null} address - Shipping address; delivery-area rules are
+ *   checked at checkout when it isn't known yet
+ * @returns {Promise<Object>} Validation result; valid results include the
+ *   coupon, the discount and its split per cart line (line_discounts)
+ */
+export const validateCoupon = async (code, userId, items, address = null) => {
+  try {
+    console.log('🎫 Validating coupon:', { code, userId, lines: items.length });
     
-    if (maxUses && usedCount >= maxUses) {
+    // Find coupon by code (case-insensitive)
+    const { coupon, error } = await findCouponByCode(code.trim().toUpperCase());
+    if (error) {
       return {
         success: true,
         data: {
           valid: false,
-          error: 'Coupon usage limit reached',
+          error,
         },
       };
     }
+    console.log('🎫 Coupon data:', coupon);
 
-    // Check per-user usage
+    // Check the dates and usage limits, including this customer's
     const userUsage = await getDocuments(COLLECTIONS.COUPON_USAGE, {
       where: [
         ['coupon_id', '==', coupon.id],
         ['user_id', '==', userId],
       ],
     });
-
-    const maxUsesPerUser = coupon.max_uses_per_user || coupon.maxUsesPerUser || 1;
-    console.log('🎫 Per-user usage check:', { userUsageCount: userUsage.length, maxUsesPerUser });
-    
-    if (userUsage.length >= maxUsesPerUser) {
+    const unavailable = getCouponUnavailableMessage(coupon, { userUsageCount: userUsage.length });
+    if (unavailable) {
       return {
         success: true,
         data: {
           valid: false,
-          error: 'You have already used this coupon',
+          error: unavailable,
         },
       };
     }
 
-    // Calculate discount
-    const discountType = coupon.discount_type || coupon.discountType || 'percentage';
-    const discountValue = parseFloat(coupon.discount_value || coupon.discountValue || 0);
-    const maxDiscount = parseFloat(coupon.max_discount || coupon.maxDiscount || 0);
-    
-    console.log('🎫 Discount calculation:', { discountType, discountValue, maxDiscount, orderTotal });
-    
-    let discountAmount = 0;
-    
-    if (discountType === 'percentage') {
-      discountAmount = (orderTotal * discountValue) / 100;
-      console.log('🎫 Percentage discount calculated:', discountAmount);
-      
-      if (maxDiscount && discountAmount > maxDiscount) {
-        console.log('🎫 Capping discount at max:', maxDiscount);
-        discountAmount = maxDiscount;
-      }
-    } else if (discountType === 'fixed' || discountType === 'flat') {
-      discountAmount = discountValue;
-      console.log('🎫 Fixed discount:', discountAmount);
-    } else {
-      console.warn('🎫 Unknown discount type:', discountType);
-      discountAmount = discountValue;
+    // Check who the coupon is for
+    const customer = hasCustomerTargeting(coupon) ? await getTargetingCustomer(userId) : null;
+    const targetingFailure = getTargetingFailure(coupon, customer, address);
+    if (targetingFailure) {
+      return {
+        success: true,
+        data: {
+          valid: false,
+          error: getTargetingMessage(coupon, targetingFailure),
+        },
+      };
     }
 
-    // Ensure discount doesn't exceed order total
-    if (discountAmount > orderTotal) {
-      console.log('🎫 Discount exceeds order total, capping at:', orderTotal);
-      discountAmount = orderTotal;
-    }
-    
-    // Ensure discount is a valid number
-    if (isNaN(discountAmount) || discountAmount < 0) {
-      console.error('🎫 Invalid discount amount:', discountAmount);
+    // Run the coupon's rules on the cart lines
+    const result = evaluatePromotions(toPromotionLines(items), [coupon]);
+    if (result.discount === 0) {
       return {
         success: true,
         data: {
           valid: false,
-          error: 'Invalid coupon configuration. Please contact support.',
+          error: getIneligibleMessage(coupon, result.rejected[0]?.reason),
         },
       };
     }
-
-    const finalDiscount = Math.round(discountAmount * 100) / 100;
-    console.log('🎫 Final discount amount:', finalDiscount);
+    console.log('🎫 Final discount amount:', result.discount);
 
     return {
       success: true,
       data: {
         valid: true,
+        coupon,
         coupon_id: coupon.id,
         code: coupon.code,
-        description: coupon.description || '',
-        discount_type: discountType,
-        discount_value: discountValue,
-        discount_amount: finalDiscount,
+        description: coupon.description,
+        discount_type: coupon.discount_type,
+        discount_value: coupon.discount_value,
+        discount_amount: result.discount,
+        line_discounts: result.lines.map((line) => line.discount),
       },
     };
   } catch (error) {
@@ -205,79 +201,86 @@ export const validateCoupon = async (code, userId, orderTotal) => {
   }
 };
 
+// Newest first; sorted here so documents still missing created_at aren't dropped
+const byNewest = (a, b) => (b.created_at?.getTime() || 0) - (a.created_at?.getTime() || 0);
+
 /**
  * Get all active coupons
- * @returns {Promise<Array>} Active coupons
+ * Targeted coupons are only listed for customers who qualify; delivery areas
+ * are checked against the given address or the customer's default one.
+ * @param {string|null} userId - Customer to list coupons for (null for guests)
+ * @param {Object|null} address - Shipping address
+ * @returns {Promise<Array<Coupon>>} Active coupons
  */
-export const getActiveCoupons = async () => {
+export const getActiveCoupons = async (userId = null, address = null) => {
   try {
-    console.log('🎫 API: Fetching active coupons...');
-    const now = Timestamp.now();
-    
-    // Get all coupons - use camelCase field names to match admin API
-    const coupons = await getDocuments(COLLECTIONS.COUPONS, {
-      orderBy: [['createdAt', 'desc']],
-    });
-    
-    console.log('🎫 API: Total coupons in database:', coupons.length);
-    console.log('🎫 API: All coupons:', coupons);
+    const coupons = (await getDocuments(COLLECTIONS.COUPONS)).map(readCoupon).sort(byNewest);
+
+    // Compare whole days so a coupon stays listed for all of its start and end dates
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    const live = coupons.filter((coupon) => {
+      // Automatic promotions and unique codes aren't entered from this list
+      if (!coupon.is_active || coupon.automatic || coupon.unique_codes) return false;
 
-    // Filter by active status and date range - use camelCase field names
-    const activeCoupons = coupons.filter((coupon) => {
-      // Check if coupon is active (default to true if not specified)
-      const isActive = coupon.isActive !== false;
-      
-      if (!isActive) {
-        console.log('🎫 API: Coupon inactive:', coupon.code);
-        return false;
-      }
+      const startOfStartDate = coupon.start_date ? new Date(coupon.start_date) : null;
+      startOfStartDate?.setHours(0, 0, 0, 0);
+      const endOfEndDate = coupon.end_date ? new Date(coupon.end_date) : null;
+      endOfEndDate?.setHours(23, 59, 59, 999);
 
-      // Check date validity
-      const startDate = coupon.startDate?.toDate?.() || new Date(coupon.startDate);
-      const endDate = coupon.endDate?.toDate?.() || new Date(coupon.endDate);
-      const nowDate = now.toDate();
-      
-      // Set to start/end of day for more lenient comparison
-      const startOfToday = new Date(nowDate);
-      startOfToday.setHours(0, 0, 0, 0);
-      
-      const endOfEndDate = new Date(endDate);
-      endOfEndDate.setHours(23, 59, 59, 999);
-      
-      const startOfStartDate = new Date(startDate);
-      startOfStartDate.setHours(0, 0, 0, 0);
-      
-      const isValid = startOfToday >= startOfStartDate && startOfToday <= endOfEndDate;
-      
-      if (!isValid) {
-        console.log('🎫 API: Coupon date invalid:', coupon.code, {
-          now: nowDate.toISOString(),
-          start: startDate.toISOString(),
-          end: endDate.toISOString()
-        });
-      }
-      
-      return isValid;
+      return (
+        (!startOfStartDate || startOfToday >= startOfStartDate) &&
+        (!endOfEndDate || startOfToday <= endOfEndDate)
+      );
     });
-    
-    console.log('🎫 API: Active coupons after filtering:', activeCoupons.length);
-    console.log('🎫 API: Active coupons:', activeCoupons);
-    return activeCoupons;
+
+    // Only look the customer and their address up when a coupon needs them
+    const customer =
+      userId && live.some(hasCustomerTargeting) ? await getTargetingCustomer(userId) : null;
+    const defaultAddress =
+      !address && userId && live.some(hasAddressTargeting) ? (await getDefaultAddress(userId)).data : null;
+    const shippingAddress = address || defaultAddress;
+
+    return live.filter(
+      (coupon) =>
+        !getTargetingFailure(coupon, customer, shippingAddress) &&
+        // Without an address there's no telling if the customer can use it
+        (!hasAddressTargeting(coupon) || !!shippingAddress)
+    );
   } catch (error) {
     console.error('🎫 API: Error fetching active coupons:', error);
     return [];
   }
 };
 
+/**
+ * Get the automatic promotions running now
+ * These apply themselves to every qualifying cart, without a code.
+ * @returns {Promise<Array<Coupon>>} Live automatic promotions
+ */
+export const getAutomaticPromotions = async () => {
+  try {
+    const coupons = await getDocuments(COLLECTIONS.COUPONS, {
+      where: [['automatic', '==', true]],
+    });
+
+    return coupons
+      .map(readCoupon)
+      .filter((coupon) => isCouponLive(coupon) && !(coupon.max_uses && coupon.used_count >= coupon.max_uses));
+  } catch (error) {
+    console.error('🎫 API: Error fetching automatic promotions:', error);
+    return [];
+  }
+};
+
 /**
  * Get all coupons (Admin only)
- * @returns {Promise<Array>} All coupons
+ * @returns {Promise<Array<Coupon>>} All coupons
  */
 export const getAllCoupons = async () => {
   try {
-    return await getDocuments(COLLECTIONS.COUPONS, {
-      orderBy: [['created_at', 'desc']],
-    });
+    return (await getDocuments(COLLECTIONS.COUPONS)).map(readCoupon).sort(byNewest);
   } catch (error) {
     console.error('Error fetching all coupons:', error);
     return [];
@@ -286,18 +289,14 @@ export const getAllCoupons = async () => {
 
 /**
  * Create a new coupon (Admin only)
- * @param {Object} couponData - Coupon data
+ * @param {Object} couponData - Coupon data (canonical fields)
  * @returns {Promise<string>} New coupon ID
  */
 export const createCoupon = async (couponData) => {
   try {
     const couponId = await addDocument(COLLECTIONS.COUPONS, {
-      ...couponData,
-      code: couponData.code.toUpperCase(),
+      ...toCouponFields(couponData),
       used_count: 0,
-      is_active: couponData.is_active !== false,
-      created_at: serverTimestamp(),
-      updated_at: serverTimestamp(),
     });
 
     return couponId;
@@ -359,8 +358,10 @@ export const incrementCouponUsage = async (couponId) => {
 };
 
 export default {
+  getTargetingCustomer,
   validateCoupon,
   getActiveCoupons,
+  getAutomaticPromotions,
   getAllCoupons,
   createCoupon,
   updateCoupon,
@@ -0,0 +1,253 @@
+/**
+ * Notifications API - Firebase Firestore
+ * Back-in-stock / price-drop alerts and the in-app notification center
+ * @module api/notifications
+ */
+
+import { serverTimestamp } from 'firebase/firestore';
+import { auth } from '../lib/firebaseClient';
+import {
+  COLLECTIONS,
+  getDocument,
+  getDocuments,
+  addDocument,
+  setDocument,
+  updateDocument,
+  deleteDocument,
+} from '../lib/firestoreHelpers';
+import {
+  getAlertId,
+  getWatchedPrice,
+  hasStockOrPriceChanged,
+  findTriggeredAlerts,
+  findAvailableAlerts,
+  buildAlertNotification,
+} from '../lib/stockAlerts';
+import { getColorName } from '../lib/inventory';
+import { getEmailChannel, NotificationService } from '../services/notifications';
+import { STOCK_ALERT_TYPES } from '../config/constants';
+import { isAdmin } from './auth.api';
+
+const getTime = (timestamp) => timestamp?.toMillis?.() || 0;
+
+// In-app notifications are queued as documents the customer reads
+const firestoreInbox = {
+  add: (notification) => addDocument(COLLECTIONS.NOTIFICATIONS, notification),
+};
+
+// ============================================================================
+// ALERT SUBSCRIPTIONS
+// ============================================================================
+
+/**
+ * Subscribe to an alert for a product, or one size × color of it
+ * @param {Object} user - Signed-in user ({ id, email })
+ * @param {Object} params - { product, size, color, type }
+ * @returns {Promise<Object>} Result with data: { id }
+ */
+export const subscribeToAlert = async (user, { product, size = '', color = null, type }) => {
+  try {
+    const alert = {
+      user_id: user.id,
+      email: user.email || null,
+      product_id: product.id,
+      size: size || '',
+      color: getColorName(color) || null,
+      type,
+      active: true,
+    };
+    // Price drops are measured against the price the customer saw
+    alert.price = getWatchedPrice(product, alert);
+
+    const id = getAlertId(user.id, type, alert);
+    await setDocument(COLLECTIONS.STOCK_ALERTS, id, alert);
+    return { success: true, data: { id } };
+  } catch (error) {
+    console.error('Error subscribing to alert:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Cancel an alert
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const unsubscribeFromAlert = async (alertId) => {
+  try {
+    await deleteDocument(COLLECTIONS.STOCK_ALERTS, alertId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error cancelling alert:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get a user's active alerts
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result with data: alerts
+ */
+export const getUserAlerts = async (userId) => {
+  try {
+    const alerts = await getDocuments(COLLECTIONS.STOCK_ALERTS, {
+      where: [
+        ['user_id', '==', userId],
+        ['active', '==', true],
+      ],
+    });
+    return { success: true, data: alerts };
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Get the active alerts for a product
+ * @param {string} productId - Product ID
+ * @returns {Promise<Array>} Alerts
+ */
+const getProductAlerts = (productId) =>
+  getDocuments(COLLECTIONS.STOCK_ALERTS, {
+    where: [
+      ['product_id', '==', productId],
+      ['active', '==', true],
+    ],
+  });
+
+/**
+ * Send the notifications for fired alerts and update the alerts
+ * Back-in-stock alerts fire once; price-drop alerts stay on and remember
+ * the new price.
+ * @param {Array} triggers - From findTriggeredAlerts or findAvailableAlerts
+ * @param {Object} product - Product as it is now
+ * @returns {Promise<number>} Number of alerts notified
+ */
+const sendAlertNotifications = async (triggers, product) => {
+  const service = new NotificationService({ inbox: firestoreInbox, email: getEmailChannel() });
+  const origin = typeof window !== 'undefined' ? window.location.origin : '';
+
+  for (const trigger of triggers) {
+    const { notification, email } = buildAlertNotification(trigger, product, origin);
+    await service.notify(notification, email);
+    await updateDocument(
+      COLLECTIONS.STOCK_ALERTS,
+      trigger.alert.id,
+      trigger.type === STOCK_ALERT_TYPES.BACK_IN_STOCK
+        ? { active: false, notified_at: serverTimestamp() }
+        : { price: trigger.price, notified_at: serverTimestamp() }
+    );
+  }
+  return triggers.length;
+};
+
+/**
+ * Notify subscribers of a product change
+ * Called after a product's stock or price is updated. Only admins can read
+ * alerts and send notifications, so changes made by customers (restocks
+ * from cancellations) are queued for processQueuedAlerts instead.
+ * Never throws: a failed notification mustn't fail the product update.
+ * @param {Object} before - Product before the update
+ * @param {Object} after - Product after the update
+ * @returns {Promise<Object>} Result with data: { notified, queued }
+ */
+export const processProductAlerts = async (before, after) => {
+  try {
+    if (!before || !after || !hasStockOrPriceChanged(before, after)) {
+      return { success: true, data: { notified: 0, queued: false } };
+    }
+
+    if (!isAdmin(auth.currentUser?.email)) {
+      await setDocument(COLLECTIONS.ALERT_CHECKS, after.id, { product_id: after.id });
+      return { success: true, data: { notified: 0, queued: true } };
+    }
+
+    const alerts = await getProductAlerts(after.id);
+    const notified = await sendAlertNotifications(findTriggeredAlerts(alerts, before, after), after);
+    return { success: true, data: { notified, queued: false } };
+  } catch (error) {
+    console.error('Error processing product alerts:', error);
+    return { success: false, error: error.message, data: { notified: 0, queued: false } };
+  }
+};
+
+/**
+ * Notify subscribers of products queued by customer restocks (Admin only)
+ * The stock before a queued change isn't kept, so every back-in-stock alert
+ * whose item is available now fires.
+ * @returns {Promise<Object>} Result with data: { notified }
+ */
+export const processQueuedAlerts = async () => {
+  try {
+    const checks = await getDocuments(COLLECTIONS.ALERT_CHECKS);
+    let notified = 0;
+
+    for (const check of checks) {
+      const product = await getDocument(COLLECTIONS.PRODUCTS, check.id);
+      if (product) {
+        const alerts = await getProductAlerts(product.id);
+        notified += await sendAlertNotifications(findAvailableAlerts(alerts, product), product);
+      }
+      await deleteDocument(COLLECTIONS.ALERT_CHECKS, check.id);
+    }
+
+    return { success: true, data: { notified } };
+  } catch (error) {
+    console.error('Error processing queued alerts:', error);
+    return { success: false, error: error.message, data: { notified: 0 } };
+  }
+};
+
+// ============================================================================
+// NOTIFICATION CENTER
+// ============================================================================
+
+/**
+ * Get a user's notifications, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result with data: notifications
+ */
+export const getUserNotifications = async (userId) => {
+  try {
+    const notifications = await getDocuments(COLLECTIONS.NOTIFICATIONS, {
+      where: [['user_id', '==', userId]],
+    });
+    return {
+      success: true,
+      data: notifications.sort((a, b) => getTime(b.created_at) - getTime(a.created_at)),
+    };
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Mark notifications as read
+ * @param {Array<string>} notificationIds - Notification IDs
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const markNotificationsRead = async (notificationIds) => {
+  try {
+    await Promise.all(
+      notificationIds.map((id) =>
+        updateDocument(COLLECTIONS.NOTIFICATIONS, id, { read: true })
+      )
+    );
+    return { success: true };
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  subscribeToAlert,
+  unsubscribeFromAlert,
+  getUserAlerts,
+  processProductAlerts,
+  processQueuedAlerts,
+  getUserNotifications,
+  markNotificationsRead,
+};
@@ -4,76 +4,186 @@
  * @module api/orders
  */
 
-import { serverTimestamp } from 'firebase/firestore';
+import {
+  doc,
+  collection,
+  runTransaction,
+  serverTimestamp,
+  increment,
+} from 'firebase/firestore';
+import { db, auth } from '../lib/firebaseClient';
 import {
   COLLECTIONS,
   getDocument,
   getDocuments,
-  addDocument,
   updateDocument,
-  batchWrite,
-  generateId,
 } from '../lib/firestoreHelpers';
-import { updateProductStock } from './products.api';
+import {
+  findStockShortages,
+  applyStockChanges,
+  getStockChangeSummary,
+  MAX_STOCK_CHANGE_VARIANTS,
+  hasVariants,
+  findVariant,
+  getVariantPrice,
+} from '../lib/inventory';
+import {
+  assertTransition,
+  canTransition,
+  createTimelineEntry,
+} from '../lib/orderStatus';
+import { recalculateOrderTotals, isActiveOrderItem } from '../lib/orderTotals';
+import { evaluatePromotions, toPromotionLines } from '../lib/promotions';
+import { readCoupon, getCouponUnavailableMessage } from '../lib/coupons';
+import { getTargetingFailure, getTargetingMessage, CouponNotEligibleError } from '../lib/couponTargeting';
+import { calculateTax, toTaxBreakdown } from '../lib/tax';
+import {
+  ORDER_STATUS,
+  ORDER_ITEM_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_INTENT_STATUS,
+  PAYMENT_METHODS,
+  COD_STATUS,
+  SHIPPING_METHODS,
+} from '../config/constants';
+import { assertCodAvailable, getCodFee } from '../lib/cod';
+import { isPaymentMethodAvailable, PaymentError } from '../services/payments';
+import { calculateShipping } from '../lib/shipping';
+import { getOrderLookupKey, normalizeEmail, normalizePhone } from '../lib/guestOrders';
+import { processProductAlerts } from './notifications.api';
+import { checkPincode } from './pincodes.api';
+import { getShippingSettings } from './shipping.api';
+import { getAutomaticPromotions, getTargetingCustomer } from './coupons.api';
+import { isAdmin } from './auth.api';
 
 /**
- * Get next order number using Firestore counter
- * @returns {Promise<string>} Sequential order number (e.g., ORD-2024-00001)
+ * Insufficient stock error class
+ * Thrown when one or more order lines cannot be filled
  */
-const getNextOrderNumber = async () => {
-  const { db } = await import('../lib/firebaseClient');
-  const { doc, getDoc, setDoc, updateDoc, runTransaction } = await import('firebase/firestore');
-  
-  try {
-    // Use transaction to ensure atomicity
-    const counterRef = doc(db, 'counters', 'orders');
-    
-    const orderNumber = await runTransaction(db, async (transaction) => {
-      const counterDoc = await transaction.get(counterRef);
-      
-      let nextNumber = 1;
-      
-      if (counterDoc.exists()) {
-        nextNumber = (counterDoc.data().current || 0) + 1;
-      }
-      
-      // Update counter
-      if (counterDoc.exists()) {
-        transaction.update(counterRef, { 
-          current: nextNumber,
-          updated_at: new Date().toISOString()
-        });
-      } else {
-        transaction.set(counterRef, { 
-          current: nextNumber,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        });
-      }
-      
-      // Format: ORD-2024-00001
-      const year = new Date().getFullYear();
-      const paddedNumber = String(nextNumber).padStart(5, '0');
-      return `ORD-${year}-${paddedNumber}`;
-    });
-    
-    console.log('✅ Generated order number:', orderNumber);
-    return orderNumber;
-    
-  } catch (error) {
-    console.error('❌ Error generating order number:', error);
-    // Fallback to timestamp-based if transaction fails
-    const timestamp = Date.now();
-    const fallbackNumber = `ORD-${new Date().getFullYear()}-${timestamp}`;
-    console.log('⚠️ Using fallback order number:', fallbackNumber);
-    return fallbackNumber;
+export class InsufficientStockError extends Error {
+  constructor(items) {
+    super(items.map((item) => item.message).join('\n'));
+    this.name = 'InsufficientStockError';
+    this.items = items;
+  }
+}
+
+/**
+ * Price changed error class
+ * Thrown when the order was priced differently from the stored products
+ */
+export class PriceChangedError extends Error {
+  constructor(items) {
+    super(items.map((item) => item.message).join('\n'));
+    this.name = 'PriceChangedError';
+    this.items = items;
   }
+}
+
+/**
+ * Format a sequential order number
+ * @param {number} sequence - Counter value
+ * @returns {string} Order number (e.g., ORD-2024-00001)
+ */
+const formatOrderNumber = (sequence) => {
+  const year = new Date().getFullYear();
+  const paddedNumber = String(sequence).padStart(5, '0');
+  return `ORD-${year}-${paddedNumber}`;
+};
+
+/**
+ * Get the signed-in user as a timeline actor
+ * @returns {Object} Actor ({ id, email, role })
+ */
+export const getCurrentActor = () => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) return { id: null, email: null, role: 'system' };
+  return {
+    id: currentUser.uid,
+    email: currentUser.email,
+    role: isAdmin(currentUser.email) ? 'admin' : 'customer',
+  };
+};
+
+// Fields that may be written alongside a status change
+const STATUS_UPDATE_FIELDS = [
+  'tracking_number',
+  'estimated_delivery_date',
+  'admin_notes',
+  'payment_status',
+  'payment_id',
+];
+
+/**
+ * Check if an order has a captured payment that can still be refunded
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+const hasRefundablePayment = (order) =>
+  [PAYMENT_STATUS.PAID, PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(
+    order.payment_status
+  );
+
+/**
+ * Move an order to a new status and append a timeline entry
+ * The current status is read and the transition validated inside a
+ * transaction, so concurrent updates can't skip the state machine.
+ * @param {string} orderId - Order ID
+ * @param {string} status - New status
+ * @param {Object} options - { note, actor, updates }
+ * @returns {Promise<Object>} Previous order data
+ * @throws {InvalidOrderTransitionError} If the transition is not allowed
+ */
+const transitionOrder = async (orderId, status, options = {}) => {
+  const { note = '', actor = getCurrentActor(), updates = {} } = options;
+  const orderRef = doc(db, COLLECTIONS.ORDERS, orderId);
+
+  return runTransaction(db, async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) {
+      throw new Error('Order not found');
+    }
+
+    const order = orderDoc.data();
+    assertTransition(order.status, status);
+
+    const updateData = {
+      ...updates,
+      status,
+      timeline: [
+        ...(order.timeline || []),
+        createTimelineEntry({ status, actor, note }),
+      ],
+      updated_at: serverTimestamp(),
+    };
+
+    // If status is delivered, set delivered_at
+    if (status === ORDER_STATUS.DELIVERED) {
+      updateData.delivered_at = serverTimestamp();
+    }
+
+    transaction.update(orderRef, updateData);
+    return { id: orderId, ...order };
+  });
 };
 
 /**
  * Create a new order
- * @param {Object} orderData - Order data
+ * Stock is checked and reserved, the order and its items are written and
+ * coupon usage is recorded in a single Firestore transaction, so either
+ * everything is committed or nothing is. Lines are priced from the products
+ * read in the transaction, the coupon's rules are evaluated on them and each
+ * order item stores its share of the discount.
+ * @param {Object} orderData - Order data; guest checkouts also pass
+ *   guest ({ email, phone }) and a guest session's user_id
  * @returns {Promise<Object>} Created order
+ * @throws {InsufficientStockError} If any line cannot be filled
+ * @throws {PriceChangedError} If a line's price or the subtotal doesn't match the products
+ * @throws {CodNotAvailableError} If COD was chosen but isn't available
+ * @throws {ShippingMethodUnavailableError} If the delivery option isn't offered
+ * @throws {CouponNotEligibleError} If the coupon can't be redeemed now or the customer or
+ *   address doesn't qualify for it
+ * @throws {PaymentError} If no payment provider is configured for the online payment method
  */
 export const createOrder = async (orderData) => {
   try {
@@ -83,111 +193,361 @@ export const createOrder = async (orderData) => {
       shipping_address,
       payment_method,
       coupon = null,
-      subtotal,
-      shipping_cost = 0,
-      tax = 0,
-      coupon_discount = 0,
-      total,
+      subtotal: quotedSubtotal,
+      shipping_method = SHIPPING_METHODS.STANDARD,
+      guest = null,
     } = orderData;
 
     // Validate required fields
     if (!user_id || !items || items.length === 0) {
       throw new Error('Invalid order data');
     }
+    if (!isPaymentMethodAvailable(payment_method)) {
+      throw new PaymentError(`No payment provider configured for "${payment_method}"`, 'no_provider');
+    }
 
-    // Generate sequential order number
-    const order_number = await getNextOrderNumber();
+    const isCod = payment_method === PAYMENT_METHODS.COD;
+    const [pincode, shippingSettings, automaticPromotions, customer, couponUsage] = await Promise.all([
+      checkPincode(shipping_address.pincode),
+      getShippingSettings(),
+      getAutomaticPromotions(),
+      coupon?.id ? getTargetingCustomer(user_id) : null,
+      coupon?.id
+        ? getDocuments(COLLECTIONS.COUPON_USAGE, {
+            where: [
+              ['coupon_id', '==', coupon.id],
+              ['user_id', '==', user_id],
+            ],
+          })
+        : [],
+    ]);
+    if (!pincode.success) {
+      throw new Error('Unable to check delivery to this pincode');
+    }
 
-    // Create order document
-    const order = {
-      user_id,
-      order_number,
-      status: 'pending',
-      
-      // Pricing
-      subtotal,
-      shipping_cost,
-      tax,
-      coupon_discount,
-      total,
-      
-      // Coupon
-      coupon_id: coupon?.id || null,
-      coupon_code: coupon?.code || null,
-      
-      // Payment
-      payment_method,
-      payment_status: payment_method === 'cod' ? 'pending' : 'verification_pending',
-      payment_id: null,
-      upi_transaction_id: null,
-      
-      // Shipping
-      shipping_name: shipping_address.name,
-      shipping_phone: shipping_address.phone,
-      shipping_address_line1: shipping_address.address_line1,
-      shipping_address_line2: shipping_address.address_line2 || '',
-      shipping_city: shipping_address.city,
-      shipping_state: shipping_address.state,
-      shipping_pincode: shipping_address.pincode,
-      shipping_landmark: shipping_address.landmark || '',
-      
-      // Tracking
-      tracking_number: null,
-      estimated_delivery_date: null,
-      delivered_at: null,
-      
-      // Notes
-      customer_notes: orderData.customer_notes || '',
-      admin_notes: '',
-      
-      created_at: serverTimestamp(),
-      updated_at: serverTimestamp(),
-    };
+    const counterRef = doc(db, 'counters', 'orders');
+    const orderRef = doc(collection(db, COLLECTIONS.ORDERS));
+    const orderId = orderRef.id;
+    const productIds = [...new Set(items.map((item) => item.product_id))];
+    const couponRef = coupon?.id ? doc(db, COLLECTIONS.COUPONS, coupon.id) : null;
 
-    // Create order
-    const orderId = await addDocument(COLLECTIONS.ORDERS, order);
-
-    // Create order items
-    const orderItemsPromises = items.map(async (item) => {
-      return addDocument(COLLECTIONS.ORDER_ITEMS, {
-        order_id: orderId,
-        product_id: item.product_id,
-        product_name: item.name,
-        product_slug: item.slug,
-        product_image: item.images?.[0] || '',
-        product_sku: item.sku || '',
-        quantity: item.quantity,
-        size: item.size || '',
-        color: item.color || '',
-        price: item.price,
-        subtotal: item.price * item.quantity,
-        created_at: serverTimestamp(),
+    const order = await runTransaction(db, async (transaction) => {
+      // All reads must happen before any writes
+      const counterDoc = await transaction.get(counterRef);
+      const productDocs = await Promise.all(
+        productIds.map((id) => transaction.get(doc(db, COLLECTIONS.PRODUCTS, id)))
+      );
+      const couponDoc = couponRef ? await transaction.get(couponRef) : null;
+      // A coupon with unique codes is redeemed through the code entered
+      const codeRef =
+        couponDoc?.exists() && couponDoc.data().unique_codes === true
+          ? doc(db, COLLECTIONS.COUPON_CODES, coupon.code)
+          : null;
+      const codeDoc = codeRef ? await transaction.get(codeRef) : null;
+      if (
+        codeRef &&
+        (!codeDoc.exists() || codeDoc.data().coupon_id !== coupon.id || codeDoc.data().redeemed_at)
+      ) {
+        throw new Error(`Coupon code ${coupon.code} has already been used`);
+      }
+
+      const productsById = {};
+      productDocs.forEach((productDoc) => {
+        if (productDoc.exists()) {
+          productsById[productDoc.id] = productDoc.data();
+        }
       });
-    });
 
-    await Promise.all(orderItemsPromises);
+      // Reject the whole order if any line can't be filled
+      const shortages = findStockShortages(items, productsById);
+      if (shortages.length > 0) {
+        throw new InsufficientStockError(shortages);
+      }
 
-    // Update product stock
-    const stockUpdates = items.map((item) =>
-      updateProductStock(item.product_id, -item.quantity)
-    );
-    await Promise.all(stockUpdates);
+      // Price every line from the stored product (honouring variant prices)
+      // and reject the order if the cart was priced any differently
+      const pricedItems = items.map((item) => ({
+        ...item,
+        price: Number(getVariantPrice(productsById[item.product_id], item.size, item.color)),
+      }));
+      const priceChanges = pricedItems
+        .map((item, index) => ({ item, previous_price: Number(items[index].price) }))
+        .filter(({ item, previous_price }) => item.price !== previous_price)
+        .map(({ item, previous_price }) => ({
+          product_id: item.product_id,
+          name: item.name,
+          previous_price,
+          price: item.price,
+          message: `The price of ${item.name} has ${item.price > previous_price ? 'gone up' : 'dropped'}`,
+        }));
+      if (priceChanges.length > 0) {
+        throw new PriceChangedError(priceChanges);
+      }
+      const subtotal =
+        Math.round(pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+      if (Number(quotedSubtotal) !== subtotal) {
+        throw new PriceChangedError([
+          { message: `The order subtotal is ₹${subtotal}, not ₹${quotedSubtotal}` },
+        ]);
+      }
+
+      // Evaluate the coupon and the automatic promotions on the lines with the
+      // stored product details. Automatic promotions can't be sent as the coupon.
+      const couponData =
+        couponDoc?.exists() && couponDoc.data().automatic !== true
+          ? { id: couponDoc.id, ...couponDoc.data(), ...(codeRef ? { code: coupon.code } : {}) }
+          : null;
+      // The coupon must still be live and under its usage limits, and its
+      // targeting rules are checked again with the shipping address
+      const targetedCoupon = couponData ? readCoupon(couponData) : null;
+      const unavailable =
+        targetedCoupon &&
+        getCouponUnavailableMessage(targetedCoupon, { userUsageCount: couponUsage.length });
+      if (unavailable) {
+        throw new CouponNotEligibleError(unavailable);
+      }
+      const targetingFailure = targetedCoupon && getTargetingFailure(targetedCoupon, customer, shipping_address);
+      if (targetingFailure) {
+        throw new CouponNotEligibleError(getTargetingMessage(targetedCoupon, targetingFailure));
+      }
+      const promotions = evaluatePromotions(
+        toPromotionLines(
+          pricedItems.map((item) => ({
+            ...item,
+            category: productsById[item.product_id].category,
+            brand: productsById[item.product_id].brand,
+          }))
+        ),
+        [couponData, ...automaticPromotions]
+      );
+      const lineDiscounts = promotions.lines.map((line) => line.discount);
+      const coupon_discount = promotions.discount;
+      const appliedCoupon = promotions.applied.find((promotion) => promotion.id === couponData?.id);
+
+      // Tax each line from the product's HSN code and price slab
+      const taxResult = calculateTax(
+        pricedItems.map((item) => {
+          const product = productsById[item.product_id];
+          return {
+            price: item.price,
+            quantity: item.quantity,
+            hsn_code: product.hsn_code,
+            category: product.category,
+            gst_rate: product.gst_rate,
+          };
+        }),
+        { lineDiscounts, shippingState: shipping_address.state }
+      );
+      const tax = taxResult.tax;
+
+      // Shipping is always priced here, never taken from the client
+      const shipping = calculateShipping({
+        items: items.map((item) => ({
+          quantity: item.quantity,
+          weight_grams: productsById[item.product_id].weight_grams,
+        })),
+        orderValue: subtotal - coupon_discount,
+        pincode: pincode.data,
+        method: shipping_method,
+        settings: shippingSettings,
+      });
+      const shipping_cost = shipping.cost;
 
-    // Record coupon usage if applicable
-    if (coupon) {
-      await addDocument(COLLECTIONS.COUPON_USAGE, {
-        coupon_id: coupon.id,
+      // The COD fee and limit come from the store's config, checked against
+      // the total priced here
+      const totalBeforeCodFee =
+        Math.round((subtotal + shipping_cost + tax - coupon_discount) * 100) / 100;
+      if (isCod) {
+        assertCodAvailable(pincode.data, totalBeforeCodFee);
+      }
+      const cod_fee = isCod ? getCodFee() : 0;
+      const orderTotal = Math.round((totalBeforeCodFee + cod_fee) * 100) / 100;
+
+      // Generate sequential order number
+      const nextNumber = counterDoc.exists()
+        ? (counterDoc.data().current || 0) + 1
+        : 1;
+      const orderNumber = formatOrderNumber(nextNumber);
+      const lookupKey = guest ? await getOrderLookupKey(orderNumber, guest.phone) : null;
+      transaction.set(
+        counterRef,
+        {
+          current: nextNumber,
+          updated_at: new Date().toISOString(),
+          ...(counterDoc.exists() ? {} : { created_at: new Date().toISOString() }),
+        },
+        { merge: true }
+      );
+
+      // Reserve stock (per variant when the product has variants). The order
+      // records each change so the rules can check the product writes.
+      const stockChanges = {};
+      productIds.forEach((id) => {
+        const product = productsById[id];
+        if (!hasVariants(product) && (product.stock === undefined || product.stock === null)) return;
+
+        const lines = items
+          .filter((item) => item.product_id === id)
+          .map((item) => ({ size: item.size, color: item.color, quantity: -item.quantity }));
+        stockChanges[id] = getStockChangeSummary(product, lines);
+        if (stockChanges[id].variants.length > MAX_STOCK_CHANGE_VARIANTS) {
+          throw new Error(
+            `An order can include at most ${MAX_STOCK_CHANGE_VARIANTS} sizes and colours of ${product.name}`
+          );
+        }
+        transaction.update(doc(db, COLLECTIONS.PRODUCTS, id), {
+          ...applyStockChanges(product, lines),
+          stock_change: { order_id: orderId },
+          updated_at: serverTimestamp(),
+        });
+      });
+
+      // Create order document
+      const newOrder = {
         user_id,
-        order_id: orderId,
-        discount_amount: coupon_discount,
+        order_number: orderNumber,
+        status: 'pending',
+        ...(guest
+          ? {
+              placed_as_guest: true,
+              guest_email: normalizeEmail(guest.email),
+              guest_phone: normalizePhone(guest.phone),
+            }
+          : {}),
+        
+        // Pricing
+        subtotal,
+        shipping_cost,
+        shipping_method: shipping.method,
+        shipping_zone: pincode.data.zone || null,
+        tax,
+        tax_breakdown: toTaxBreakdown(taxResult),
+        coupon_discount,
+        cod_fee,
+        total: orderTotal,
+        
+        // Coupon and automatic promotions
+        coupon_id: appliedCoupon?.id || null,
+        coupon_code: appliedCoupon?.code || null,
+        promotions: promotions.applied,
+        stock_changes: stockChanges,
+        
+        // Payment
+        payment_method,
+        payment_status: PAYMENT_STATUS.PENDING,
+        payment_id: null,
+        payment_intent_id: null,
+        payment_attempts: 0,
+        ...(isCod ? { cod_status: COD_STATUS.PENDING } : {}),
+        
+        // Shipping
+        shipping_name: shipping_address.name,
+        shipping_phone: shipping_address.phone,
+        shipping_address_line1: shipping_address.address_line1,
+        shipping_address_line2: shipping_address.address_line2 || '',
+        shipping_city: shipping_address.city,
+        shipping_state: shipping_address.state,
+        shipping_pincode: shipping_address.pincode,
+        shipping_landmark: shipping_address.landmark || '',
+        
+        // Tracking
+        tracking_number: null,
+        estimated_delivery_date: null,
+        delivered_at: null,
+        
+        // Notes
+        customer_notes: orderData.customer_notes || '',
+        admin_notes: '',
+        
+        timeline: [
+          createTimelineEntry({
+            status: ORDER_STATUS.PENDING,
+            actor: { ...getCurrentActor(), role: 'customer' },
+            note: isCod ? 'Order placed (Cash on Delivery)' : 'Order placed',
+          }),
+        ],
+        
         created_at: serverTimestamp(),
+        updated_at: serverTimestamp(),
+      };
+      transaction.set(orderRef, newOrder);
+
+      // Let the guest find the order again by order number + phone
+      if (lookupKey) {
+        transaction.set(doc(db, COLLECTIONS.ORDER_LOOKUPS, lookupKey), {
+          order_id: orderId,
+          created_at: serverTimestamp(),
+        });
+      }
+
+      // Create order items
+      pricedItems.forEach((item, index) => {
+        const product = productsById[item.product_id];
+        const variant = findVariant(product, item.size, item.color);
+        const lineTax = taxResult.lines[index];
+        transaction.set(doc(collection(db, COLLECTIONS.ORDER_ITEMS)), {
+          order_id: orderId,
+          product_id: item.product_id,
+          product_name: item.name,
+          product_slug: item.slug,
+          product_image: item.images?.[0] || '',
+          product_sku: variant?.sku || item.sku || '',
+          quantity: item.quantity,
+          size: item.size || '',
+          color: item.color || '',
+          price: item.price,
+          subtotal: item.price * item.quantity,
+          discount: lineDiscounts[index],
+          promotions: promotions.lines[index].promotions,
+          category: product.category || '',
+          brand: product.brand || '',
+          ...(Number(product.weight_grams) > 0 ? { weight_grams: Number(product.weight_grams) } : {}),
+          hsn_code: lineTax.hsn_code,
+          ...(product.gst_rate != null && product.gst_rate !== '' ? { gst_rate: product.gst_rate } : {}),
+          tax_rate: lineTax.tax_rate,
+          taxable_value: lineTax.taxable_value,
+          cgst: lineTax.cgst,
+          sgst: lineTax.sgst,
+          igst: lineTax.igst,
+          tax: lineTax.tax,
+          created_at: serverTimestamp(),
+          updated_at: serverTimestamp(),
+        });
       });
-    }
+
+      // Record usage of each coupon and promotion applied
+      promotions.applied.forEach((promotion) => {
+        transaction.set(doc(db, COLLECTIONS.COUPON_USAGE, `${orderId}_${promotion.id}`), {
+          coupon_id: promotion.id,
+          user_id,
+          order_id: orderId,
+          ...(codeRef && promotion.id === couponData.id ? { code: coupon.code } : {}),
+          discount_amount: promotion.discount,
+          created_at: serverTimestamp(),
+          updated_at: serverTimestamp(),
+        });
+        transaction.update(doc(db, COLLECTIONS.COUPONS, promotion.id), {
+          used_count: increment(1),
+          last_order_id: orderId,
+          updated_at: serverTimestamp(),
+        });
+      });
+      if (codeRef && appliedCoupon) {
+        transaction.update(codeRef, {
+          redeemed_at: serverTimestamp(),
+          redeemed_by: user_id,
+          order_id: orderId,
+        });
+      }
+
+      return newOrder;
+    });
+
+    console.log('✅ Order created:', order.order_number);
 
     return {
       id: orderId,
       ...order,
-      order_number,
     };
   } catch (error) {
     console.error('Error creating order:', error);
@@ -231,15 +591,85 @@ export const getOrderById = async (orderId) => {
   }
 };
 
+/**
+ * Find a guest order by its order number and phone number
+ * @param {string} orderNumber - Order number
+ * @param {string} phone - Phone number the order was placed with
+ * @returns {Promise<Object>} Response with { order_id }
+ */
+export const lookupGuestOrder = async (orderNumber, phone) => {
+  try {
+    const lookup = await getDocument(
+      COLLECTIONS.ORDER_LOOKUPS,
+      await getOrderLookupKey(orderNumber, phone)
+    );
+    if (!lookup) {
+      return {
+        success: false,
+        error: 'No order matches that order number and phone number',
+        data: null,
+      };
+    }
+
+    return { success: true, data: { order_id: lookup.order_id } };
+  } catch (error) {
+    console.error('Error looking up guest order:', error);
+    return { success: false, error: error.message, data: null };
+  }
+};
+
+/**
+ * Move guest orders placed with the user's email into their account
+ * Only verified emails can claim orders, so nobody can take over a guest's
+ * order by signing up with their address.
+ * @param {Object} user - Signed-in user ({ id, email, emailVerified })
+ * @returns {Promise<Object>} Response with { claimed } (number of orders)
+ */
+export const claimGuestOrders = async (user) => {
+  try {
+    if (!user?.email || !user.emailVerified) {
+      return { success: true, data: { claimed: 0 } };
+    }
+
+    // The rules check the token, which can predate verifying the email
+    const token = await auth.currentUser?.getIdTokenResult();
+    if (token && !token.claims.email_verified) {
+      await auth.currentUser.getIdToken(true);
+    }
+
+    const orders = await getDocuments(COLLECTIONS.ORDERS, {
+      where: [
+        ['placed_as_guest', '==', true],
+        ['guest_email', '==', normalizeEmail(user.email)],
+      ],
+    });
+    const unclaimed = orders.filter((order) => order.user_id !== user.id);
+
+    await Promise.all(
+      unclaimed.map((order) =>
+        updateDocument(COLLECTIONS.ORDERS, order.id, {
+          user_id: user.id,
+          claimed_at: new Date().toISOString(),
+        })
+      )
+    );
+
+    return { success: true, data: { claimed: unclaimed.length } };
+  } catch (error) {
+    console.error('Error claiming guest orders:', error);
+    return { success: false, error: error.message, data: null };
+  }
+};
+
 /**
  * Get orders by user ID
  * @param {string} userId - User ID
- * @param {Object} options - Query options
+ * @param {Object} options - Query options ({ limit, status, includeItems })
  * @returns {Promise<Array>} User orders
  */
 export const getOrdersByUserId = async (userId, options = {}) => {
   try {
-    const { limit: limitResults = 50, status = null } = options;
+    const { limit: limitResults = 50, status = null, includeItems = true } = options;
 
     const whereClause = [['user_id', '==', userId]];
     if (status) {
@@ -251,6 +681,9 @@ export const getOrdersByUserId = async (userId, options = {}) => {
       orderBy: [['created_at', 'desc']],
       limit: limitResults,
     });
+    if (!includeItems) {
+      return orders;
+    }
 
     // Get items for each order
     const ordersWithItems = await Promise.all(
@@ -431,25 +864,24 @@ export const getAllOrders = async (filters = {}, page = 1, pageSize = 20) => {
 
 /**
  * Update order status (Admin only)
+ * Only transitions defined in ORDER_STATUS_TRANSITIONS are accepted, and
+ * every change is appended to the order timeline.
  * @param {string} orderId - Order ID
  * @param {string} status - New status
- * @param {Object} additionalData - Additional data to update
+ * @param {Object} options - { note, tracking_number, estimated_delivery_date, admin_notes }
  * @returns {Promise<Object>} Result
  */
-export const updateOrderStatus = async (orderId, status, additionalData = {}) => {
+export const updateOrderStatus = async (orderId, status, options = {}) => {
   try {
-    const updateData = {
-      status,
-      updated_at: serverTimestamp(),
-      ...additionalData,
-    };
-
-    // If status is delivered, set delivered_at
-    if (status === 'delivered') {
-      updateData.delivered_at = serverTimestamp();
-    }
+    const { note = '', ...additionalData } = options;
+    const updates = {};
+    STATUS_UPDATE_FIELDS.forEach((field) => {
+      if (additionalData[field] !== undefined) {
+        updates[field] = additionalData[field];
+      }
+    });
 
-    await updateDocument(COLLECTIONS.ORDERS, orderId, updateData);
+    await transitionOrder(orderId, status, { note, updates });
     
     return { success: true };
   } catch (error) {
@@ -478,28 +910,6 @@ export const updatePaymentStatus = async (orderId, paymentStatus, paymentData =
   }
 };
 
-/**
- * Mark payment as paid (for customer payment confirmation)
- * @param {string} orderId - Order ID
- * @param {string} transactionId - UPI transaction ID
- * @returns {Promise<Object>} Result
- */
-export const markPaymentAsPaid = async (orderId, transactionId) => {
-  try {
-    await updateDocument(COLLECTIONS.ORDERS, orderId, {
-      payment_status: 'verification_pending',
-      upi_transaction_id: transactionId,
-      status: 'pending',
-      updated_at: serverTimestamp(),
-    });
-
-    return { success: true };
-  } catch (error) {
-    console.error('Error marking payment as paid:', error);
-    return { success: false, error: error.message };
-  }
-};
-
 /**
  * Add tracking information
  * @param {string} orderId - Order ID
@@ -522,33 +932,89 @@ export const addTrackingInfo = async (orderId, trackingNumber, estimatedDelivery
 
 /**
  * Cancel order
+ * The status change and the stock restored for the order's remaining lines
+ * are written in one transaction (cancelled lines were restocked already).
  * @param {string} orderId - Order ID
  * @param {string} reason - Cancellation reason
  * @returns {Promise<Object>} Result
  */
 export const cancelOrder = async (orderId, reason = '') => {
   try {
-    // Get order to restore stock
-    const result = await getOrderById(orderId);
-    if (!result.success || !result.data) {
-      throw new Error('Order not found');
-    }
+    const orderRef = doc(db, COLLECTIONS.ORDERS, orderId);
+    const itemIds = (
+      await getDocuments(COLLECTIONS.ORDER_ITEMS, {
+        where: [['order_id', '==', orderId]],
+      })
+    ).map((item) => item.id);
 
-    const order = result.data;
+    const { order, restocks } = await runTransaction(db, async (transaction) => {
+      // All reads must happen before any writes
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists()) {
+        throw new Error('Order not found');
+      }
+      const order = orderDoc.data();
+      assertTransition(order.status, ORDER_STATUS.CANCELLED);
 
-    // Restore product stock
-    const stockRestores = (order.items || order.order_items || []).map((item) =>
-      updateProductStock(item.product_id, item.quantity)
-    );
-    await Promise.all(stockRestores);
+      const itemDocs = await Promise.all(
+        itemIds.map((id) => transaction.get(doc(db, COLLECTIONS.ORDER_ITEMS, id)))
+      );
+      const items = itemDocs
+        .filter((itemDoc) => itemDoc.exists())
+        .map((itemDoc) => ({ id: itemDoc.id, ...itemDoc.data() }))
+        .filter(isActiveOrderItem);
 
-    // Update order status
-    await updateDocument(COLLECTIONS.ORDERS, orderId, {
-      status: 'cancelled',
-      admin_notes: reason,
-      updated_at: serverTimestamp(),
+      const productIds = [...new Set(items.map((item) => item.product_id))];
+      const productDocs = await Promise.all(
+        productIds.map((id) => transaction.get(doc(db, COLLECTIONS.PRODUCTS, id)))
+      );
+
+      // Restore stock for the remaining lines
+      const restocked = [];
+      productDocs.forEach((productDoc) => {
+        if (!productDoc.exists()) return;
+        const before = { id: productDoc.id, ...productDoc.data() };
+        if (!hasVariants(before) && (before.stock === undefined || before.stock === null)) return;
+
+        const changes = applyStockChanges(
+          before,
+          items
+            .filter((item) => item.product_id === productDoc.id)
+            .map((item) => ({ size: item.size, color: item.color, quantity: item.quantity }))
+        );
+        transaction.update(doc(db, COLLECTIONS.PRODUCTS, productDoc.id), {
+          ...changes,
+          updated_at: serverTimestamp(),
+        });
+        restocked.push({ before, after: { ...before, ...changes } });
+      });
+
+      transaction.update(orderRef, {
+        admin_notes: reason,
+        status: ORDER_STATUS.CANCELLED,
+        timeline: [
+          ...(order.timeline || []),
+          createTimelineEntry({ status: ORDER_STATUS.CANCELLED, actor: getCurrentActor(), note: reason }),
+        ],
+        updated_at: serverTimestamp(),
+      });
+
+      return { order, restocks: restocked };
     });
 
+    for (const { before, after } of restocks) {
+      await processProductAlerts(before, after);
+    }
+
+    if (order.payment_intent_id && hasRefundablePayment(order)) {
+      const { refundPayment } = await import('./payments.api');
+      const refund = await refundPayment(orderId, null, {
+        reference: 'order_cancelled',
+        reason: reason || 'Order cancelled',
+      });
+      if (!refund.success) throw new Error(`Order cancelled but refund failed: ${refund.error}`);
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error cancelling order:', error);
@@ -556,6 +1022,190 @@ export const cancelOrder = async (orderId, reason = '') => {
   }
 };
 
+/**
+ * Cancel a single line of an order before it ships
+ * Restores that line's stock, recalculates subtotal, coupon discount, tax,
+ * shipping and total, and records the change on the order timeline, all in
+ * one transaction. The coupon is revoked if the order no longer meets its
+ * minimum order value.
+ * @param {string} orderId - Order ID
+ * @param {string} orderItemId - Order item ID
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Object>} Result with recalculated totals
+ */
+export const cancelOrderItem = async (orderId, orderItemId, reason = '') => {
+  try {
+    const orderRef = doc(db, COLLECTIONS.ORDERS, orderId);
+    const [orderItems, shippingSettings] = await Promise.all([
+      getDocuments(COLLECTIONS.ORDER_ITEMS, {
+        where: [['order_id', '==', orderId]],
+      }),
+      getShippingSettings(),
+    ]);
+    const itemIds = orderItems.map((item) => item.id);
+
+    const { totals, onlineRefund, restock } = await runTransaction(db, async (transaction) => {
+      // All reads must happen before any writes
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists()) {
+        throw new Error('Order not found');
+      }
+      const order = orderDoc.data();
+
+      const itemDocs = await Promise.all(
+        itemIds.map((id) => transaction.get(doc(db, COLLECTIONS.ORDER_ITEMS, id)))
+      );
+      const items = itemDocs.map((itemDoc) => ({ id: itemDoc.id, ...itemDoc.data() }));
+      const item = items.find((orderItem) => orderItem.id === orderItemId);
+
+      if (!canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+        throw new Error('Items can only be cancelled before the order ships');
+      }
+      if (!item || !isActiveOrderItem(item)) {
+        throw new Error('Item not found or already cancelled');
+      }
+      if (items.filter(isActiveOrderItem).length === 1) {
+        throw new Error('This is the last item in the order. Cancel the order instead.');
+      }
+
+      const productRef = doc(db, COLLECTIONS.PRODUCTS, item.product_id);
+      const productDoc = await transaction.get(productRef);
+      const couponDoc = order.coupon_id
+        ? await transaction.get(doc(db, COLLECTIONS.COUPONS, order.coupon_id))
+        : null;
+      const promotionDocs = await Promise.all(
+        (order.promotions || [])
+          .filter((promotion) => promotion.automatic)
+          .map((promotion) => transaction.get(doc(db, COLLECTIONS.COUPONS, promotion.id)))
+      );
+
+      const remainingItems = items.map((orderItem) =>
+        orderItem.id === orderItemId
+          ? { ...orderItem, status: ORDER_ITEM_STATUS.CANCELLED }
+          : orderItem
+      );
+      const newTotals = recalculateOrderTotals(
+        order,
+        remainingItems,
+        couponDoc?.exists() ? couponDoc.data() : null,
+        promotionDocs
+          .filter((promotionDoc) => promotionDoc.exists())
+          .map((promotionDoc) => ({ id: promotionDoc.id, ...promotionDoc.data() })),
+        shippingSettings
+      );
+
+      // Restore stock for this line only. The rules check the write against
+      // the cancelled line, so it names the line and the variant it restocks.
+      let restocked = null;
+      if (productDoc.exists()) {
+        const product = productDoc.data();
+        const variantIndex = hasVariants(product)
+          ? product.variants.indexOf(findVariant(product, item.size, item.color))
+          : null;
+        const tracked = hasVariants(product)
+          ? variantIndex >= 0
+          : product.stock !== undefined && product.stock !== null;
+        if (tracked) {
+          const changes = applyStockChanges(product, [
+            { size: item.size, color: item.color, quantity: item.quantity },
+          ]);
+          transaction.update(productRef, {
+            ...changes,
+            stock_change: { order_item_id: orderItemId, variant_index: variantIndex },
+            updated_at: serverTimestamp(),
+          });
+          const before = { id: productDoc.id, ...product };
+          restocked = { before, after: { ...before, ...changes } };
+        }
+      }
+
+      transaction.update(doc(db, COLLECTIONS.ORDER_ITEMS, orderItemId), {
+        status: ORDER_ITEM_STATUS.CANCELLED,
+        cancel_reason: reason,
+        cancelled_at: serverTimestamp(),
+        updated_at: serverTimestamp(),
+      });
+
+      const notes = [
+        `Cancelled ${item.product_name}${item.size ? ` (${item.size})` : ''} × ${item.quantity}`,
+      ];
+      if (reason) notes.push(reason);
+      if (newTotals.coupon_revoked && !order.coupon_revoked) {
+        notes.push(`Coupon ${order.coupon_code} removed: the remaining items no longer qualify`);
+      }
+      (order.promotions || [])
+        .filter(
+          (promotion) =>
+            promotion.automatic && !newTotals.promotions.some((applied) => applied.id === promotion.id)
+        )
+        .forEach((promotion) => {
+          notes.push(`${promotion.name || promotion.code} removed: the remaining items no longer qualify`);
+        });
+      const shippingAdded = Math.round((newTotals.shipping_cost - (order.shipping_cost || 0)) * 100) / 100;
+      if (shippingAdded > 0) {
+        notes.push(`Shipping of ₹${shippingAdded} added: the remaining items no longer ship free`);
+      }
+
+      const refundDue = hasRefundablePayment(order)
+        ? Math.max(0, (order.total || 0) - newTotals.total)
+        : 0;
+      // Online payments are refunded right after the transaction commits when
+      // an admin cancels the line (only admins can record refunds); anything
+      // else is left for an admin to settle
+      const refundsOnline =
+        refundDue > 0 && !!order.payment_intent_id && getCurrentActor().role === 'admin';
+      if (refundDue > 0) {
+        notes.push(
+          refundsOnline
+            ? `₹${refundDue} refunded to the original payment method`
+            : `₹${refundDue} to be refunded`
+        );
+      }
+
+      transaction.update(orderRef, {
+        ...newTotals,
+        ...(refundDue > 0 && !refundsOnline ? { refund_due: increment(refundDue) } : {}),
+        cancelled_item_id: orderItemId,
+        timeline: [
+          ...(order.timeline || []),
+          createTimelineEntry({
+            status: order.status,
+            actor: getCurrentActor(),
+            note: notes.join('. '),
+          }),
+        ],
+        updated_at: serverTimestamp(),
+      });
+
+      return { totals: newTotals, onlineRefund: refundsOnline ? refundDue : 0, restock: restocked };
+    });
+
+    if (restock) {
+      await processProductAlerts(restock.before, restock.after);
+    }
+
+    if (onlineRefund > 0) {
+      const { refundPayment } = await import('./payments.api');
+      const refund = await refundPayment(orderId, onlineRefund, {
+        reference: `item_${orderItemId}`,
+        reason: reason || 'Item cancelled',
+      });
+      if (!refund.success) {
+        // Leave the amount for an admin to refund by hand
+        await updateDocument(COLLECTIONS.ORDERS, orderId, {
+          refund_due: increment(onlineRefund),
+          updated_at: serverTimestamp(),
+        });
+      }
+    }
+
+    return { success: true, data: totals };
+  } catch (error) {
+    console.error('Error cancelling order item:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Get order statistics (Admin only)
  * @returns {Promise<Object>} Order statistics
@@ -667,22 +1317,43 @@ export const getRecentOrders = async (limit = 5) => {
 
 /**
  * Verify payment (Admin only)
+ * Orders paid through a payment provider are settled through the provider
+ * (taking the admin's decision for manually reviewed payments); only older
+ * manually confirmed UPI orders are marked paid on the admin's word.
  * @param {string} orderId - Order ID
  * @param {boolean} isVerified - Whether payment is verified
  * @returns {Promise<Object>} Result
  */
 export const verifyPayment = async (orderId, isVerified) => {
   try {
-    if (isVerified) {
+    const order = await getDocument(COLLECTIONS.ORDERS, orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    // A rejected payment is only reviewed if the customer submitted one
+    if (
+      order.payment_intent_id &&
+      (isVerified || order.payment_status === PAYMENT_STATUS.VERIFICATION_PENDING)
+    ) {
+      const { reviewPayment } = await import('./payments.api');
+      const result = await reviewPayment(orderId, isVerified, 'Payment verification failed');
+      if (!result.success) throw new Error(result.error);
+      if (isVerified && result.data.status !== PAYMENT_INTENT_STATUS.SUCCEEDED) {
+        throw new Error(`The payment provider reports this payment as ${result.data.status}`);
+      }
+    } else if (isVerified) {
       // Mark payment as paid and confirm order
-      await updateDocument(COLLECTIONS.ORDERS, orderId, {
-        payment_status: 'paid',
-        status: 'confirmed',
-        updated_at: serverTimestamp(),
+      await transitionOrder(orderId, ORDER_STATUS.CONFIRMED, {
+        note: 'Payment verified',
+        updates: { payment_status: PAYMENT_STATUS.PAID },
       });
-    } else {
+    }
+
+    if (!isVerified) {
       // Reject payment and cancel order
-      await cancelOrder(orderId, 'Payment verification failed');
+      const result = await cancelOrder(orderId, 'Payment verification failed');
+      if (!result.success) throw new Error(result.error);
     }
 
     return { success: true };
@@ -693,16 +1364,19 @@ export const verifyPayment = async (orderId, isVerified) => {
 };
 
 export default {
+  getCurrentActor,
   createOrder,
   getOrderById,
+  lookupGuestOrder,
+  claimGuestOrders,
   getOrdersByUserId,
   getUserOrders,
   getAllOrders,
   updateOrderStatus,
   updatePaymentStatus,
-  markPaymentAsPaid,
   addTrackingInfo,
   cancelOrder,
+  cancelOrderItem,
   getOrderStatistics,
   getDashboardStats,
   getRecentOrders,
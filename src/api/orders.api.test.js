@@ -0,0 +1,275 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory Firestore documents, keyed by collection then ID
+const store = { counters: {}, products: {}, coupons: {}, coupon_usage: {}, orders: {}, order_items: {} };
+let autoId = 0;
+
+vi.mock('firebase/firestore', () => ({
+  doc: (parent, name, id) =>
+    name ? { name, id } : { name: parent.name, id: `auto_${++autoId}` },
+  collection: (db, name) => ({ name }),
+  serverTimestamp: () => 'now',
+  increment: (value) => ({ increment: value }),
+  runTransaction: async (db, run) => {
+    const writes = [];
+    const result = await run({
+      get: async ({ name, id }) => ({
+        id,
+        exists: () => !!store[name]?.[id],
+        data: () => store[name]?.[id],
+      }),
+      set: (ref, data) => writes.push({ ref, data }),
+      update: (ref, data) => writes.push({ ref, data }),
+    });
+    writes.forEach(({ ref, data }) => {
+      store[ref.name] = store[ref.name] || {};
+      store[ref.name][ref.id] = { ...store[ref.name][ref.id], ...data };
+    });
+    return result;
+  },
+}));
+
+vi.mock('../lib/firebaseClient', () => ({
+  db: {},
+  auth: { currentUser: { uid: 'user_1', email: 'asha@example.com' } },
+}));
+
+vi.mock('../lib/firestoreHelpers', () => ({
+  COLLECTIONS: {
+    ORDERS: 'orders',
+    ORDER_ITEMS: 'order_items',
+    ORDER_LOOKUPS: 'order_lookups',
+    PRODUCTS: 'products',
+    COUPONS: 'coupons',
+    COUPON_USAGE: 'coupon_usage',
+    COUPON_CODES: 'coupon_codes',
+  },
+  getDocument: async (name, id) => (store[name]?.[id] ? { id, ...store[name][id] } : null),
+  getDocuments: async (name, { where = [] } = {}) =>
+    Object.entries(store[name] || {})
+      .map(([id, data]) => ({ id, ...data }))
+      .filter((data) => where.every(([field, , value]) => data[field] === value)),
+  updateDocument: async () => {},
+}));
+
+vi.mock('./notifications.api', () => ({ processProductAlerts: vi.fn() }));
+vi.mock('./pincodes.api', () => ({
+  checkPincode: async () => ({
+    success: true,
+    data: { is_serviceable: true, is_cod_available: true, zone: null },
+  }),
+}));
+vi.mock('./shipping.api', () => ({ getShippingSettings: async () => null }));
+vi.mock('./coupons.api', () => ({
+  getAutomaticPromotions: async () => [],
+  getTargetingCustomer: async () => null,
+}));
+vi.mock('./auth.api', () => ({ isAdmin: () => false }));
+
+import { createOrder, cancelOrder, InsufficientStockError, PriceChangedError } from './orders.api';
+import { CouponNotEligibleError } from '../lib/couponTargeting';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const placeOrder = (overrides = {}) =>
+  createOrder({
+    user_id: 'user_1',
+    items: [{ product_id: 'tee', name: 'Basic Tee', quantity: 2, price: 800 }],
+    shipping_address: {
+      name: 'Asha',
+      phone: '9876543210',
+      address_line1: '1 MG Road',
+      city: 'Bengaluru',
+      state: 'Karnataka',
+      pincode: '560001',
+    },
+    payment_method: 'upi',
+    coupon: { id: 'save10', code: 'SAVE10' },
+    subtotal: 1600,
+    ...overrides,
+  });
+
+const saveCoupon = (fields = {}) => {
+  store.coupons.save10 = {
+    code: 'SAVE10',
+    discount_type: 'percentage',
+    discount_value: 10,
+    is_active: true,
+    used_count: 0,
+    ...fields,
+  };
+};
+
+describe('createOrder coupon checks', () => {
+  beforeEach(() => {
+    store.counters = {};
+    store.products = { tee: { name: 'Basic Tee', price: 800, stock: 10, category: 't-shirts' } };
+    store.coupon_usage = {};
+    store.orders = {};
+  });
+
+  it('should apply a live coupon and count the redemption', async () => {
+    saveCoupon();
+
+    const order = await placeOrder();
+
+    expect(order.coupon_discount).toBe(160);
+    expect(store.coupons.save10.used_count).toEqual({ increment: 1 });
+    expect(store.coupon_usage).toHaveProperty(`${store.coupons.save10.last_order_id}_save10`);
+  });
+
+  it('should reject an inactive coupon', async () => {
+    saveCoupon({ is_active: false });
+
+    await expect(placeOrder()).rejects.toThrow(new CouponNotEligibleError('This coupon is no longer active'));
+    expect(Object.keys(store.orders)).toHaveLength(0);
+  });
+
+  it('should reject a coupon outside its dates', async () => {
+    saveCoupon({ end_date: new Date(Date.now() - DAY_MS) });
+    await expect(placeOrder()).rejects.toThrow('This coupon has expired');
+
+    saveCoupon({ start_date: new Date(Date.now() + DAY_MS) });
+    await expect(placeOrder()).rejects.toThrow('This coupon is not yet valid');
+  });
+
+  it('should reject a coupon that has been used up', async () => {
+    saveCoupon({ max_uses: 5, used_count: 5 });
+
+    await expect(placeOrder()).rejects.toThrow('Coupon usage limit reached');
+  });
+
+  it("should reject a coupon the customer has used as often as they're allowed", async () => {
+    saveCoupon({ max_uses_per_user: 1 });
+    store.coupon_usage.usage_1 = { coupon_id: 'save10', user_id: 'user_1', order_id: 'earlier' };
+
+    await expect(placeOrder()).rejects.toThrow('You have already used this coupon');
+  });
+});
+
+describe('createOrder stock', () => {
+  const sizes = ['XS', 'S', 'M', 'L', 'XL'];
+  const line = (size, quantity = 1) => ({
+    product_id: 'tee',
+    name: 'Basic Tee',
+    quantity,
+    price: 800,
+    size,
+    color: 'Black',
+  });
+
+  beforeEach(() => {
+    store.counters = {};
+    store.products = {
+      tee: {
+        name: 'Basic Tee',
+        price: 800,
+        stock: 10,
+        category: 't-shirts',
+        variants: sizes.map((size) => ({ size, color: 'Black', stock: 2 })),
+      },
+    };
+    store.coupon_usage = {};
+    store.orders = {};
+    store.order_items = {};
+    saveCoupon();
+  });
+
+  it('should write the order, its items and the stock it reserves together', async () => {
+    const items = sizes.map((size) => line(size));
+
+    const order = await placeOrder({ items, subtotal: 4000, coupon: null });
+
+    expect(store.orders[order.id]).toMatchObject({ order_number: expect.stringMatching(/-00001$/), subtotal: 4000 });
+    expect(Object.values(store.order_items)).toHaveLength(5);
+    expect(store.products.tee.stock).toBe(5);
+    expect(store.products.tee.variants.map((variant) => variant.stock)).toEqual([1, 1, 1, 1, 1]);
+    // Every variant is recorded for the rules to check the product write
+    expect(store.orders[order.id].stock_changes.tee.variants).toHaveLength(5);
+    expect(store.counters.orders.current).toBe(1);
+  });
+
+  it('should reject the whole order when a line cannot be filled', async () => {
+    const items = [line('S'), line('M', 3)];
+
+    const error = await placeOrder({ items, subtotal: 3200, coupon: null }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(InsufficientStockError);
+    expect(error.items).toEqual([
+      expect.objectContaining({ product_id: 'tee', size: 'M', requested: 3, available: 2 }),
+    ]);
+    expect(Object.keys(store.orders)).toHaveLength(0);
+    expect(Object.keys(store.order_items)).toHaveLength(0);
+    expect(store.products.tee.variants.map((variant) => variant.stock)).toEqual([2, 2, 2, 2, 2]);
+    expect(store.counters).toEqual({});
+  });
+});
+
+describe('createOrder pricing', () => {
+  beforeEach(() => {
+    store.counters = {};
+    store.products = { tee: { name: 'Basic Tee', price: 800, stock: 10, category: 't-shirts' } };
+    store.coupon_usage = {};
+    store.orders = {};
+    saveCoupon();
+  });
+
+  it('should reject a line priced below the stored product', async () => {
+    store.products.tee.price = 900;
+
+    await expect(placeOrder()).rejects.toThrow(PriceChangedError);
+    expect(Object.keys(store.orders)).toHaveLength(0);
+    expect(store.products.tee.stock).toBe(10);
+  });
+
+  it("should price a line from its variant's price", async () => {
+    store.products.tee.variants = [
+      { size: 'M', color: 'Black', stock: 5, price: 800 },
+      { size: 'L', color: 'Black', stock: 5, price: 950 },
+    ];
+    const items = [{ product_id: 'tee', name: 'Basic Tee', quantity: 2, price: 800, size: 'L', color: 'Black' }];
+
+    await expect(placeOrder({ items })).rejects.toMatchObject({
+      items: [{ product_id: 'tee', previous_price: 800, price: 950 }],
+    });
+  });
+
+  it('should reject a subtotal that does not match the lines', async () => {
+    await expect(placeOrder({ subtotal: 100 })).rejects.toThrow(PriceChangedError);
+    expect(Object.keys(store.orders)).toHaveLength(0);
+  });
+});
+
+describe('cancelOrder', () => {
+  beforeEach(() => {
+    store.counters = {};
+    store.products = { tee: { name: 'Basic Tee', price: 800, stock: 10, category: 't-shirts' } };
+    store.coupon_usage = {};
+    store.orders = {};
+    store.order_items = {};
+    saveCoupon();
+  });
+
+  it('should cancel the order and restore its stock together', async () => {
+    await placeOrder();
+    const [orderId] = Object.keys(store.orders);
+    expect(store.products.tee.stock).toBe(8);
+
+    const result = await cancelOrder(orderId, 'Changed my mind');
+
+    expect(result.success).toBe(true);
+    expect(store.orders[orderId].status).toBe('cancelled');
+    expect(store.products.tee.stock).toBe(10);
+  });
+
+  it('should leave stock alone when the order can no longer be cancelled', async () => {
+    await placeOrder();
+    const [orderId] = Object.keys(store.orders);
+    store.orders[orderId].status = 'delivered';
+
+    const result = await cancelOrder(orderId);
+
+    expect(result.success).toBe(false);
+    expect(store.products.tee.stock).toBe(8);
+  });
+});
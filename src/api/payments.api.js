@@ -0,0 +1,373 @@
+/**
+ * Payments API - Firebase Firestore
+ * Runs online order payments through the configured payment provider and
+ * keeps the order and its payment record in sync with the gateway
+ * @module api/payments
+ */
+
+import { serverTimestamp, arrayUnion } from 'firebase/firestore';
+import {
+  COLLECTIONS,
+  getDocument,
+  setDocument,
+  updateDocument,
+} from '../lib/firestoreHelpers';
+import { canTransition, createTimelineEntry } from '../lib/orderStatus';
+import { getPaymentProvider } from '../services/payments';
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  PAYMENT_INTENT_STATUS,
+} from '../config/constants';
+import { updateOrderStatus, getCurrentActor } from './orders.api';
+
+/**
+ * Get an order or throw
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} Order
+ */
+const getOrder = async (orderId) => {
+  const order = await getDocument(COLLECTIONS.ORDERS, orderId);
+  if (!order) {
+    throw new Error('Order not found');
+  }
+  return order;
+};
+
+/**
+ * Record a gateway result on the payment and its order
+ * Only runs with admin credentials (the webhook handler or an admin settling
+ * the payment). Safe to call more than once for the same intent.
+ * @param {Object} intent - Intent returned by the provider
+ * @returns {Promise<void>}
+ */
+const applyPaymentResult = async (intent) => {
+  const order = await getOrder(intent.order_id);
+
+  await updateDocument(COLLECTIONS.PAYMENTS, intent.id, {
+    status: intent.status,
+    payment_id: intent.payment_id || null,
+    failure_reason: intent.failure_reason || null,
+  });
+
+  if (intent.status === PAYMENT_INTENT_STATUS.SUCCEEDED) {
+    if (order.payment_status === PAYMENT_STATUS.PAID) return;
+
+    const note = `Payment received (${intent.payment_id})`;
+    if (canTransition(order.status, ORDER_STATUS.CONFIRMED)) {
+      const result = await updateOrderStatus(intent.order_id, ORDER_STATUS.CONFIRMED, {
+        note,
+        payment_status: PAYMENT_STATUS.PAID,
+        payment_id: intent.payment_id,
+      });
+      if (!result.success) throw new Error(result.error);
+      return;
+    }
+
+    await updateDocument(COLLECTIONS.ORDERS, intent.order_id, {
+      payment_status: PAYMENT_STATUS.PAID,
+      payment_id: intent.payment_id,
+      timeline: arrayUnion(
+        createTimelineEntry({ status: order.status, actor: getCurrentActor(), note })
+      ),
+      updated_at: serverTimestamp(),
+    });
+    return;
+  }
+
+  // Ignore late events for an attempt that has since been replaced
+  if (order.payment_intent_id !== intent.id) return;
+
+  if (intent.status === PAYMENT_INTENT_STATUS.PROCESSING) {
+    if (order.payment_status !== PAYMENT_STATUS.PENDING) return;
+
+    await updateDocument(COLLECTIONS.ORDERS, intent.order_id, {
+      payment_status: PAYMENT_STATUS.VERIFICATION_PENDING,
+      updated_at: serverTimestamp(),
+    });
+    return;
+  }
+
+  if (intent.status === PAYMENT_INTENT_STATUS.FAILED) {
+    if (order.payment_status === PAYMENT_STATUS.FAILED) return;
+
+    // The order stays pending so the customer can retry
+    await updateDocument(COLLECTIONS.ORDERS, intent.order_id, {
+      payment_status: PAYMENT_STATUS.FAILED,
+      timeline: arrayUnion(
+        createTimelineEntry({
+          status: order.status,
+          actor: getCurrentActor(),
+          note: `Payment failed: ${intent.failure_reason}`,
+        })
+      ),
+      updated_at: serverTimestamp(),
+    });
+  }
+};
+
+/**
+ * Record on the order that the customer submitted (or had declined) a
+ * payment that an admin reviews. This is the only payment result customers
+ * can write: the rules check it against the stored intent and never let
+ * them mark an order paid.
+ * @param {Object} order - Order
+ * @param {Object} intent - Intent returned by the provider
+ * @returns {Promise<void>}
+ */
+const recordSubmittedPayment = async (order, intent) => {
+  const failed = intent.status === PAYMENT_INTENT_STATUS.FAILED;
+  let note = 'Payment submitted';
+  if (failed) {
+    note = `Payment failed: ${intent.failure_reason}`;
+  } else if (intent.reference) {
+    note = `Payment submitted (UPI ref ${intent.reference})`;
+  }
+
+  await updateDocument(COLLECTIONS.ORDERS, order.id, {
+    payment_status: failed ? PAYMENT_STATUS.FAILED : PAYMENT_STATUS.VERIFICATION_PENDING,
+    ...(intent.reference && { upi_transaction_id: intent.reference }),
+    timeline: arrayUnion(
+      createTimelineEntry({ status: order.status, actor: getCurrentActor(), note })
+    ),
+    updated_at: serverTimestamp(),
+  });
+};
+
+/**
+ * Start (or resume) the online payment for an order
+ * An unfinished attempt is reused; a new attempt is created after a failure.
+ * Each attempt has its own idempotency key, so retried requests never
+ * create a second charge.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} Result with the payment intent
+ */
+export const startPayment = async (orderId) => {
+  try {
+    const order = await getOrder(orderId);
+    if (order.payment_status === PAYMENT_STATUS.PAID) {
+      throw new Error('Order is already paid');
+    }
+    if (order.payment_status === PAYMENT_STATUS.VERIFICATION_PENDING) {
+      throw new Error('Your payment is being verified');
+    }
+    if (order.status !== ORDER_STATUS.PENDING) {
+      throw new Error('Order is no longer awaiting payment');
+    }
+
+    const provider = getPaymentProvider(order.payment_method);
+
+    if (order.payment_intent_id) {
+      const existing = await provider.retrieveIntent(order.payment_intent_id);
+      if (existing?.status === PAYMENT_INTENT_STATUS.REQUIRES_ACTION) {
+        return { success: true, data: existing };
+      }
+    }
+
+    const attempt = (order.payment_attempts || 0) + 1;
+    const idempotencyKey = `order_${orderId}_attempt_${attempt}`;
+    const intent = await provider.createIntent({
+      orderId,
+      amount: order.total,
+      method: order.payment_method,
+      idempotencyKey,
+      metadata: { order_number: order.order_number },
+    });
+
+    await setDocument(COLLECTIONS.PAYMENTS, intent.id, {
+      order_id: orderId,
+      user_id: order.user_id,
+      provider: provider.name,
+      method: intent.method,
+      amount: intent.amount,
+      currency: intent.currency,
+      status: intent.status,
+      idempotency_key: idempotencyKey,
+      payment_id: null,
+      failure_reason: null,
+      amount_refunded: 0,
+      refunds: [],
+    });
+
+    await updateDocument(COLLECTIONS.ORDERS, orderId, {
+      payment_intent_id: intent.id,
+      payment_attempts: attempt,
+      payment_status: PAYMENT_STATUS.PENDING,
+      updated_at: serverTimestamp(),
+    });
+
+    return { success: true, data: intent };
+  } catch (error) {
+    console.error('Error starting payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Confirm a payment with the customer's payment details
+ * Customers can't write payment results, so for a real gateway the order is
+ * updated by the webhook handler (or an admin reconciling it). Payments that
+ * need a manual review are only marked as submitted here.
+ * @param {string} orderId - Order ID
+ * @param {string} intentId - Payment intent ID
+ * @param {Object} details - Card, UPI or net banking details, or a UPI reference
+ * @returns {Promise<Object>} Result (success is false when the payment is declined)
+ */
+export const confirmPayment = async (orderId, intentId, details = {}) => {
+  try {
+    const order = await getOrder(orderId);
+    if (order.payment_intent_id !== intentId) {
+      throw new Error('Payment does not belong to this order');
+    }
+
+    const provider = getPaymentProvider(order.payment_method);
+    const intent = await provider.confirmIntent(intentId, details);
+    if (provider.manualReview) {
+      await recordSubmittedPayment(order, intent);
+    }
+
+    if (intent.status === PAYMENT_INTENT_STATUS.FAILED) {
+      return { success: false, data: intent, error: intent.failure_reason };
+    }
+    return { success: true, data: intent };
+  } catch (error) {
+    console.error('Error confirming payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Handle a webhook/callback event from a payment provider
+ * Must run in the trusted webhook handler with admin credentials; the rules
+ * don't let customers record payment results.
+ * @param {string} method - Payment method the event belongs to
+ * @param {Object} event - Raw provider event
+ * @returns {Promise<Object>} Result
+ */
+export const handlePaymentWebhook = async (method, event) => {
+  try {
+    const provider = getPaymentProvider(method);
+    const { type, intent } = await provider.handleWebhook(event);
+
+    if (type.startsWith('payment_intent.')) {
+      await applyPaymentResult(intent);
+    }
+
+    return { success: true, data: { type } };
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Fetch the latest payment state from the provider and apply it
+ * Used by admins to settle orders whose confirmation never arrived.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} Result with the intent status
+ */
+export const reconcilePayment = async (orderId) => {
+  try {
+    const order = await getOrder(orderId);
+    if (!order.payment_intent_id) {
+      throw new Error('Order has no online payment');
+    }
+
+    const provider = getPaymentProvider(order.payment_method);
+    const intent = await provider.retrieveIntent(order.payment_intent_id);
+    if (!intent) {
+      throw new Error('Payment not found at the provider');
+    }
+
+    await applyPaymentResult(intent);
+    return { success: true, data: { status: intent.status } };
+  } catch (error) {
+    console.error('Error reconciling payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Settle a submitted payment after checking it (Admin only)
+ * Providers with a manual review take the admin's decision; for the others
+ * the latest state is fetched from the provider instead.
+ * @param {string} orderId - Order ID
+ * @param {boolean} approved - Whether the payment was received
+ * @param {string} reason - Why it was rejected
+ * @returns {Promise<Object>} Result with the intent status
+ */
+export const reviewPayment = async (orderId, approved, reason = '') => {
+  try {
+    const order = await getOrder(orderId);
+    if (!order.payment_intent_id) {
+      throw new Error('Order has no online payment');
+    }
+
+    const provider = getPaymentProvider(order.payment_method);
+    if (!provider.manualReview) {
+      return reconcilePayment(orderId);
+    }
+
+    const intent = await provider.reviewIntent(order.payment_intent_id, { approved, reason });
+    await applyPaymentResult(intent);
+    return { success: true, data: { status: intent.status } };
+  } catch (error) {
+    console.error('Error reviewing payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Refund an order's online payment, fully or partially
+ * The reference makes the refund idempotent: refunding the same return or
+ * cancellation twice returns the first refund.
+ * @param {string} orderId - Order ID
+ * @param {number|null} amount - Amount to refund (null for the remaining balance)
+ * @param {Object} options - { reference, reason }
+ * @returns {Promise<Object>} Result with the refund
+ */
+export const refundPayment = async (orderId, amount = null, options = {}) => {
+  try {
+    const { reference, reason = '' } = options;
+    const order = await getOrder(orderId);
+    if (!order.payment_intent_id || order.payment_status === PAYMENT_STATUS.PENDING) {
+      throw new Error('Order has no completed online payment');
+    }
+
+    const provider = getPaymentProvider(order.payment_method);
+    const refund = await provider.refund({
+      intentId: order.payment_intent_id,
+      amount,
+      idempotencyKey: `refund_${orderId}_${reference}`,
+      reason,
+    });
+    const intent = await provider.retrieveIntent(order.payment_intent_id);
+
+    await updateDocument(COLLECTIONS.PAYMENTS, order.payment_intent_id, {
+      amount_refunded: intent.amount_refunded,
+      refunds: arrayUnion(refund),
+    });
+
+    await updateDocument(COLLECTIONS.ORDERS, orderId, {
+      payment_status:
+        intent.amount_refunded >= intent.amount
+          ? PAYMENT_STATUS.REFUNDED
+          : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+      updated_at: serverTimestamp(),
+    });
+
+    return { success: true, data: refund };
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  startPayment,
+  confirmPayment,
+  handlePaymentWebhook,
+  reconcilePayment,
+  reviewPayment,
+  refundPayment,
+};
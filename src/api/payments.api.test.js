@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory Firestore documents, keyed by collection then ID
+const store = { orders: {}, payments: {}, payment_intents: {} };
+
+vi.mock('firebase/firestore', () => ({
+  serverTimestamp: () => 'now',
+  arrayUnion: (...values) => ({ arrayUnion: values }),
+}));
+
+vi.mock('../lib/firestoreHelpers', () => {
+  const apply = (current = {}, data) => {
+    const next = { ...current };
+    Object.entries(data).forEach(([key, value]) => {
+      next[key] = value?.arrayUnion ? [...(current[key] || []), ...value.arrayUnion] : value;
+    });
+    return next;
+  };
+  return {
+    COLLECTIONS: { ORDERS: 'orders', PAYMENTS: 'payments', PAYMENT_INTENTS: 'payment_intents' },
+    getDocument: async (name, id) => (store[name][id] ? { id, ...store[name][id] } : null),
+    setDocument: async (name, id, data) => {
+      store[name][id] = { ...data };
+    },
+    updateDocument: async (name, id, data) => {
+      store[name][id] = apply(store[name][id], data);
+    },
+  };
+});
+
+vi.mock('./orders.api', () => ({
+  getCurrentActor: () => ({ id: 'user_1', email: null, role: 'customer' }),
+  updateOrderStatus: vi.fn(async (orderId, status, { payment_status, payment_id }) => {
+    Object.assign(store.orders[orderId], { status, payment_status, payment_id });
+    return { success: true };
+  }),
+}));
+
+import {
+  startPayment,
+  confirmPayment,
+  handlePaymentWebhook,
+  reviewPayment,
+  refundPayment,
+} from './payments.api';
+import { getPaymentProvider, registerPaymentProvider } from '../services/payments';
+import MockPaymentProvider from '../services/payments/MockPaymentProvider';
+import { createFirestoreIntentStore } from '../services/payments/firestoreIntentStore';
+
+const placeOrder = (id, method) => {
+  store.orders[id] = {
+    user_id: 'user_1',
+    order_number: `ORD-${id}`,
+    status: 'pending',
+    total: 1180,
+    payment_method: method,
+    payment_status: 'pending',
+    payment_intent_id: null,
+    payment_attempts: 0,
+  };
+};
+
+describe('payments API', () => {
+  beforeEach(() => {
+    store.orders = {};
+    store.payments = {};
+    store.payment_intents = {};
+  });
+
+  // Submit a payment as the customer, then approve it as an admin
+  const payOrder = async (id, details) => {
+    const { data: intent } = await startPayment(id);
+    await confirmPayment(id, intent.id, details);
+    await reviewPayment(id, true);
+    return intent;
+  };
+
+  it('should hold a submitted payment for review and confirm the order once approved', async () => {
+    placeOrder('o1', 'net_banking');
+
+    const { data: intent } = await startPayment('o1');
+    const result = await confirmPayment('o1', intent.id, { bank: 'SBIN' });
+
+    expect(result.success).toBe(true);
+    expect(store.orders.o1).toMatchObject({
+      status: 'pending',
+      payment_status: 'verification_pending',
+    });
+    expect(store.payments[intent.id].status).toBe('requires_action');
+    expect((await startPayment('o1')).success).toBe(false);
+
+    await reviewPayment('o1', true);
+
+    expect(store.orders.o1).toMatchObject({ status: 'confirmed', payment_status: 'paid' });
+    expect(store.payments[intent.id].status).toBe('succeeded');
+  });
+
+  it('should let an admin verify a payment from another session', async () => {
+    placeOrder('o6', 'upi');
+    const { data: intent } = await startPayment('o6');
+    await confirmPayment('o6', intent.id, { vpa: 'buyer@okaxis' });
+
+    // The admin's browser has its own provider; only Firestore is shared
+    registerPaymentProvider(
+      'mock',
+      () => new MockPaymentProvider({ store: createFirestoreIntentStore() })
+    );
+    expect(store.payment_intents[intent.id].status).toBe('processing');
+
+    const result = await reviewPayment('o6', true);
+
+    expect(result).toMatchObject({ success: true, data: { status: 'succeeded' } });
+    expect(store.orders.o6).toMatchObject({ status: 'confirmed', payment_status: 'paid' });
+  });
+
+  it('should leave the result to the webhook for providers that have one', async () => {
+    placeOrder('o5', 'net_banking');
+    const provider = getPaymentProvider('net_banking');
+    provider.manualReview = false;
+
+    try {
+      const { data: intent } = await startPayment('o5');
+      const result = await confirmPayment('o5', intent.id, { bank: 'ICIC' });
+
+      expect(result.success).toBe(true);
+      expect(store.orders.o5).toMatchObject({ status: 'pending', payment_status: 'pending' });
+      expect(store.payments[intent.id].status).toBe('requires_action');
+    } finally {
+      provider.manualReview = true;
+    }
+  });
+
+  it('should reuse an unfinished attempt and start a new one after a decline', async () => {
+    placeOrder('o2', 'upi');
+
+    const first = await startPayment('o2');
+    const again = await startPayment('o2');
+    expect(again.data.id).toBe(first.data.id);
+
+    const declined = await confirmPayment('o2', first.data.id, { vpa: 'fail@mock' });
+    expect(declined.success).toBe(false);
+    expect(store.orders.o2).toMatchObject({ status: 'pending', payment_status: 'failed' });
+
+    const retry = await startPayment('o2');
+    expect(retry.data.id).not.toBe(first.data.id);
+    expect(store.orders.o2.payment_attempts).toBe(2);
+  });
+
+  it('should apply a webhook only once', async () => {
+    placeOrder('o3', 'upi');
+    const { data: intent } = await startPayment('o3');
+
+    const events = [];
+    const unsubscribe = getPaymentProvider('upi').onWebhook((event) => events.push(event));
+    await getPaymentProvider('upi').confirmIntent(intent.id, { vpa: 'buyer@okaxis' });
+    await getPaymentProvider('upi').reviewIntent(intent.id, { approved: true });
+    unsubscribe();
+
+    const succeeded = events.find((event) => event.type === 'payment_intent.succeeded');
+    await handlePaymentWebhook('upi', succeeded);
+    await handlePaymentWebhook('upi', succeeded);
+
+    expect(store.orders.o3).toMatchObject({ status: 'confirmed', payment_status: 'paid' });
+    expect(store.orders.o3.timeline).toBeUndefined();
+  });
+
+  it('should record partial and full refunds', async () => {
+    placeOrder('o4', 'net_banking');
+    const intent = await payOrder('o4', { bank: 'HDFC' });
+
+    await refundPayment('o4', 180, { reference: 'return_1' });
+    await refundPayment('o4', 180, { reference: 'return_1' });
+    expect(store.orders.o4.payment_status).toBe('partially_refunded');
+    expect(store.payments[intent.id].amount_refunded).toBe(180);
+
+    await refundPayment('o4', null, { reference: 'order_cancelled' });
+    expect(store.orders.o4.payment_status).toBe('refunded');
+  });
+});
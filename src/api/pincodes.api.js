@@ -13,6 +13,11 @@ import {
   deleteDocument,
 } from '../lib/firestoreHelpers';
 
+// Active pincodes keyed by pincode, for searchPincodes
+let pincodesCache = null;
+let cacheTimestamp = null;
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
 /**
  * Check if a pincode is serviceable
  * @param {string} pincode - Pincode to check
@@ -30,24 +35,39 @@ export const checkPincode = async (pincode) => {
     });
 
     if (pincodes.length === 0) {
+      const message = "Sorry, we don't deliver to this pincode yet";
       return {
         success: true,
         serviceable: false,
-        message: "Sorry, we don't deliver to this pincode yet",
+        message,
+        data: {
+          pincode,
+          is_serviceable: false,
+          is_cod_available: false,
+          message,
+        },
       };
     }
 
     const pincodeData = pincodes[0];
+    const message = `Delivery available to ${pincodeData.city}, ${pincodeData.state}`;
+    const deliveryDays = pincodeData.estimated_delivery_days || pincodeData.delivery_days || 5;
 
     return {
       success: true,
       serviceable: true,
-      message: `Delivery available to ${pincodeData.city}, ${pincodeData.state}`,
+      message,
       data: {
         pincode: pincodeData.pincode,
         city: pincodeData.city,
         state: pincodeData.state,
-        delivery_days: pincodeData.delivery_days || 5,
+        delivery_days: deliveryDays,
+        estimated_delivery_days: deliveryDays,
+        is_serviceable: true,
+        is_cod_available: pincodeData.is_cod_available !== false,
+        is_express_available: pincodeData.is_express_available !== false,
+        zone: pincodeData.zone || null,
+        message,
       },
     };
   } catch (error) {
@@ -29,6 +29,8 @@ import {
   deleteDocument,
   getPaginatedDocuments,
 } from '../lib/firestoreHelpers';
+import { hasVariants, applyStockChanges } from '../lib/inventory';
+import { processProductAlerts } from './notifications.api';
 
 /**
  * Fetch all products with filters and pagination
@@ -220,8 +222,11 @@ export const fetchProductBySlug = async (slug) => {
 
 /**
  * Fetch multiple products by IDs (for cart/wishlist)
+ * Errors are rethrown: callers compare the result with the IDs they asked
+ * for, and an empty result from a failed fetch would look like every
+ * product had been deleted.
  * @param {Array<string>} productIds - Array of product IDs
- * @returns {Promise<Array>} Array of products
+ * @returns {Promise<Array>} Array of products (missing IDs are left out)
  */
 export const fetchProductsByIds = async (productIds) => {
   try {
@@ -242,7 +247,7 @@ export const fetchProductsByIds = async (productIds) => {
     return results.flat();
   } catch (error) {
     console.error('Error fetching products by IDs:', error);
-    return [];
+    throw error;
   }
 };
 
@@ -269,18 +274,22 @@ export const createProduct = async (productData) => {
 
 /**
  * Update a product (Admin only)
+ * Subscribers are notified if the update brings stock back or drops the price.
  * @param {string} productId - Product ID
  * @param {Object} productData - Updated product data
  * @returns {Promise<void>}
  */
 export const updateProduct = async (productId, productData) => {
   try {
+    const before = await getDocument(COLLECTIONS.PRODUCTS, productId);
+
     await updateDocument(COLLECTIONS.PRODUCTS, productId, {
       ...productData,
       updated_at: serverTimestamp(),
     });
     
     console.log('✅ Product updated:', productId);
+    await processProductAlerts(before, before && { ...before, ...productData });
   } catch (error) {
     console.error('Error updating product:', error);
     throw error;
@@ -400,22 +409,29 @@ export const fetchNewArrivals = async (limitResults = 12) => {
 
 /**
  * Update product stock
+ * Subscribers are notified if the product or variant is back in stock.
  * @param {string} productId - Product ID
  * @param {number} quantity - Quantity to add/subtract
+ * @param {Object} variant - Variant to adjust ({ size, color }), for products with variants
  * @returns {Promise<void>}
  */
-export const updateProductStock = async (productId, quantity) => {
+export const updateProductStock = async (productId, quantity, variant = null) => {
   try {
     const product = await getDocument(COLLECTIONS.PRODUCTS, productId);
     if (!product) throw new Error('Product not found');
-    
-    const newStock = (product.stock || 0) + quantity;
+
+    if (hasVariants(product) && !variant) {
+      throw new Error('Variant (size and color) is required to update stock for this product');
+    }
+
+    const changes = applyStockChanges(product, [{ ...variant, quantity }]);
     await updateDocument(COLLECTIONS.PRODUCTS, productId, {
-      stock: Math.max(0, newStock),
+      ...changes,
       updated_at: serverTimestamp(),
     });
     
     console.log('✅ Product stock updated:', productId);
+    await processProductAlerts(product, { ...product, ...changes });
   } catch (error) {
     console.error('Error updating product stock:', error);
     throw error;
@@ -542,20 +558,3 @@ export async function getAutocompleteSuggestions(searchQuery, limit = 8) {
   }
 }
 
-/**
- * Get trending searches
- * @param {number} days - Number of days to look back
- * @param {number} limit - Maximum number of results
- * @returns {Promise<Array>} Trending search terms
- */
-export async function getTrendingSearches(days = 7, limit = 5) {
-  // Return static trending searches for now
-  // In production, this would come from analytics
-  return [
-    { search_term: 'T-Shirts', search_count: 245 },
-    { search_term: 'Jeans', search_count: 189 },
-    { search_term: 'Shirts', search_count: 156 },
-    { search_term: 'Trousers', search_count: 134 },
-    { search_term: 'Jackets', search_count: 98 },
-  ].slice(0, limit);
-}
@@ -0,0 +1,56 @@
+/**
+ * Recently Viewed API - Firebase Firestore
+ * Signed-in users' product-view history, so it follows them across devices.
+ * Stored in its own owner-only collection rather than on the profile, because
+ * profiles are readable by any signed-in user.
+ * @module api/recentlyViewed
+ */
+
+import { COLLECTIONS, getDocument, setDocument } from '../lib/firestoreHelpers';
+
+/**
+ * Get a user's recently viewed history
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result with data: { items, paused }
+ *   where items are { product_id, viewed_at } and paused turns tracking off
+ */
+export const getRecentlyViewed = async (userId) => {
+  try {
+    const history = await getDocument(COLLECTIONS.RECENTLY_VIEWED, userId);
+    return {
+      success: true,
+      data: {
+        items: history?.items || [],
+        paused: history?.paused === true,
+      },
+    };
+  } catch (error) {
+    console.error('Error fetching recently viewed:', error);
+    return { success: false, error: error.message, data: { items: [], paused: false } };
+  }
+};
+
+/**
+ * Save a user's recently viewed history
+ * @param {string} userId - User ID
+ * @param {Object} history - { items, paused }
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const saveRecentlyViewed = async (userId, { items, paused }) => {
+  try {
+    await setDocument(COLLECTIONS.RECENTLY_VIEWED, userId, {
+      user_id: userId,
+      items,
+      paused,
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving recently viewed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getRecentlyViewed,
+  saveRecentlyViewed,
+};
@@ -0,0 +1,80 @@
+/**
+ * Recommendations API - Firebase Firestore
+ * Co-purchase counts behind "Frequently bought together" and "Complete the
+ * look". Counts are mined from order_items by an admin rebuild and stored
+ * per product (co_purchases/{productId}) so shoppers never read orders.
+ * @module api/recommendations
+ */
+
+import {
+  COLLECTIONS,
+  getDocument,
+  getDocuments,
+  batchWrite,
+} from '../lib/firestoreHelpers';
+import { countCoPurchases } from '../lib/recommendations';
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Get co-purchase counts for products
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Object>} Result with data: { [productId]: { [otherId]: orders } }
+ */
+export const getCoPurchases = async (productIds) => {
+  try {
+    const docs = await Promise.all(
+      productIds.map((id) => getDocument(COLLECTIONS.CO_PURCHASES, id))
+    );
+    return {
+      success: true,
+      data: Object.fromEntries(productIds.map((id, i) => [id, docs[i]?.counts || {}])),
+    };
+  } catch (error) {
+    console.error('Error fetching co-purchases:', error);
+    return { success: false, error: error.message, data: {} };
+  }
+};
+
+/**
+ * Recount co-purchases from every order (Admin only)
+ * Replaces all stored counts, so cancellations since the last rebuild drop out.
+ * @returns {Promise<Object>} Result with data: { products } (products with counts)
+ */
+export const rebuildCoPurchases = async () => {
+  try {
+    const [orders, orderItems, existing] = await Promise.all([
+      getDocuments(COLLECTIONS.ORDERS),
+      getDocuments(COLLECTIONS.ORDER_ITEMS),
+      getDocuments(COLLECTIONS.CO_PURCHASES),
+    ]);
+
+    const counts = countCoPurchases(orders, orderItems);
+    const operations = [
+      ...Object.entries(counts).map(([productId, productCounts]) => ({
+        type: 'set',
+        collection: COLLECTIONS.CO_PURCHASES,
+        id: productId,
+        data: { product_id: productId, counts: productCounts },
+      })),
+      ...existing
+        .filter((stored) => !counts[stored.id])
+        .map((stored) => ({ type: 'delete', collection: COLLECTIONS.CO_PURCHASES, id: stored.id })),
+    ];
+
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+      await batchWrite(operations.slice(i, i + BATCH_SIZE));
+    }
+
+    return { success: true, data: { products: Object.keys(counts).length } };
+  } catch (error) {
+    console.error('Error rebuilding co-purchases:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getCoPurchases,
+  rebuildCoPurchases,
+};
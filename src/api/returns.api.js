@@ -0,0 +1,549 @@
+/**
+ * Returns API - Firebase Firestore
+ * Handles return and exchange requests for delivered orders
+ * @module api/returns
+ */
+
+import {
+  doc,
+  collection,
+  runTransaction,
+  serverTimestamp,
+  increment,
+  arrayUnion,
+} from 'firebase/firestore';
+import { db } from '../lib/firebaseClient';
+import {
+  COLLECTIONS,
+  getDocument,
+  getDocuments,
+  updateDocument,
+} from '../lib/firestoreHelpers';
+import {
+  calculateRefund,
+  getReturnableQuantity,
+  validateReturnLines,
+  assertReturnTransition,
+} from '../lib/returns';
+import { findStockShortages, applyStockChanges, hasVariants } from '../lib/inventory';
+import { isActiveOrderItem } from '../lib/orderTotals';
+import { createTimelineEntry } from '../lib/orderStatus';
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  RETURN_TYPES,
+  RETURN_STATUS,
+} from '../config/constants';
+import {
+  getOrderById,
+  updateOrderStatus,
+  getCurrentActor,
+  InsufficientStockError,
+} from './orders.api';
+import { fetchProductById } from './products.api';
+import { processProductAlerts } from './notifications.api';
+import { refundPayment } from './payments.api';
+
+/**
+ * Move a return request to a new status and append a timeline entry
+ * Stock moves (restocked returns, reserved exchange sizes) are written in the
+ * same transaction, so lines for the same product can't race and the status
+ * never changes without its stock.
+ * @param {string} returnId - Return request ID
+ * @param {string} status - New status
+ * @param {Object} options - { note, updates, stockMoves, releaseItems } where
+ *   stockMoves are ({ product_id, name, size, color, quantity }) lines, negative
+ *   to reserve, and releaseItems takes the request's quantities off its order
+ *   items' returned_quantity (for a rejected request)
+ * @returns {Promise<Object>} { request: previous return request data, restocks:
+ *   [{ before, after }] for each product whose stock changed }
+ * @throws {InvalidReturnTransitionError} If the transition is not allowed
+ * @throws {InsufficientStockError} If a reservation can't be filled
+ */
+const transitionReturn = async (returnId, status, options = {}) => {
+  const { note = '', updates = {}, stockMoves = [], releaseItems = false } = options;
+  const returnRef = doc(db, COLLECTIONS.RETURNS, returnId);
+  const productIds = [...new Set(stockMoves.map((move) => move.product_id))];
+
+  return runTransaction(db, async (transaction) => {
+    // All reads must happen before any writes
+    const returnDoc = await transaction.get(returnRef);
+    if (!returnDoc.exists()) {
+      throw new Error('Return request not found');
+    }
+    const productDocs = await Promise.all(
+      productIds.map((id) => transaction.get(doc(db, COLLECTIONS.PRODUCTS, id)))
+    );
+
+    const request = returnDoc.data();
+    assertReturnTransition(request.status, status);
+
+    // Requests made before returned quantities were tracked never counted theirs
+    const releasedLines = releaseItems && request.quantity_tracked ? request.items : [];
+    const itemDocs = await Promise.all(
+      releasedLines.map((line) =>
+        transaction.get(doc(db, COLLECTIONS.ORDER_ITEMS, line.order_item_id))
+      )
+    );
+
+    const productsById = {};
+    productDocs
+      .filter((productDoc) => productDoc.exists())
+      .forEach((productDoc) => {
+        productsById[productDoc.id] = { id: productDoc.id, ...productDoc.data() };
+      });
+
+    const shortages = findStockShortages(
+      stockMoves
+        .filter((move) => move.quantity < 0)
+        .map((move) => ({ ...move, quantity: -move.quantity })),
+      productsById
+    );
+    if (shortages.length > 0) {
+      throw new InsufficientStockError(shortages);
+    }
+
+    // Products that no longer exist or don't track stock are skipped
+    const restocks = [];
+    Object.values(productsById).forEach((before) => {
+      if (!hasVariants(before) && (before.stock === undefined || before.stock === null)) return;
+
+      const changes = applyStockChanges(
+        before,
+        stockMoves.filter((move) => move.product_id === before.id)
+      );
+      transaction.update(doc(db, COLLECTIONS.PRODUCTS, before.id), {
+        ...changes,
+        updated_at: serverTimestamp(),
+      });
+      restocks.push({ before, after: { ...before, ...changes } });
+    });
+
+    itemDocs.forEach((itemDoc, index) => {
+      if (!itemDoc.exists()) return;
+      const line = releasedLines[index];
+      transaction.update(doc(db, COLLECTIONS.ORDER_ITEMS, line.order_item_id), {
+        returned_quantity: Math.max(0, (itemDoc.data().returned_quantity || 0) - line.quantity),
+        updated_at: serverTimestamp(),
+      });
+    });
+
+    transaction.update(returnRef, {
+      ...updates,
+      status,
+      timeline: [
+        ...(request.timeline || []),
+        createTimelineEntry({ status, actor: getCurrentActor(), note }),
+      ],
+      updated_at: serverTimestamp(),
+    });
+    return { request: { id: returnId, ...request }, restocks };
+  });
+};
+
+/**
+ * Check that replacement sizes are in stock for exchange lines
+ * @param {Array} items - Return request items
+ * @throws {InsufficientStockError} If a replacement can't be filled
+ */
+const assertExchangeStock = async (items) => {
+  const exchanges = items.filter((item) => item.type === RETURN_TYPES.EXCHANGE);
+  if (exchanges.length === 0) return;
+
+  const productIds = [...new Set(exchanges.map((item) => item.product_id))];
+  const products = await Promise.all(productIds.map((id) => fetchProductById(id)));
+  const productsById = {};
+  products.forEach((product) => {
+    if (product) productsById[product.id] = product;
+  });
+
+  const shortages = findStockShortages(
+    exchanges.map((item) => ({
+      product_id: item.product_id,
+      name: item.product_name,
+      size: item.exchange_size,
+      color: item.color,
+      quantity: item.quantity,
+    })),
+    productsById
+  );
+  if (shortages.length > 0) {
+    throw new InsufficientStockError(shortages);
+  }
+};
+
+/**
+ * Recalculate a return request's refund from the order items
+ * The amounts on a request are the customer's estimate and are never paid
+ * out as they are.
+ * @param {Object} request - Return request (with id)
+ * @returns {Promise<Object>} { lines: [{ order_item_id, refund_amount }], total }
+ * @throws {Error} If a line isn't an item of the order or asks for more than can be returned
+ */
+const recalculateRefund = async (request) => {
+  const [result, returns] = await Promise.all([
+    getOrderById(request.order_id),
+    getReturnsByOrderId(request.order_id),
+  ]);
+  if (!result.success) throw new Error(result.error);
+
+  const orderItems = result.data.order_items || [];
+  const otherReturns = returns.filter((r) => r.id !== request.id);
+  const requested = {};
+  request.items.forEach((line) => {
+    requested[line.order_item_id] = (requested[line.order_item_id] || 0) + line.quantity;
+  });
+
+  Object.entries(requested).forEach(([orderItemId, quantity]) => {
+    const item = orderItems.find((orderItem) => orderItem.id === orderItemId);
+    if (!item) throw new Error('Item not found in this order');
+
+    const returnable = getReturnableQuantity(item, otherReturns);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+      throw new Error(`${item.product_name || 'Item'}: only ${returnable} can be returned`);
+    }
+  });
+
+  return calculateRefund(result.data, orderItems, request.items);
+};
+
+/**
+ * Get the refund fields to store on a return request
+ * @param {Object} request - Return request
+ * @param {Object} refund - Result of recalculateRefund
+ * @returns {Object} { items, refund_amount }
+ */
+const toRefundUpdates = (request, refund) => ({
+  items: request.items.map((item, index) => ({
+    ...item,
+    refund_amount: refund.lines[index].refund_amount,
+  })),
+  refund_amount: refund.total,
+});
+
+/**
+ * Get return requests for an order
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Array>} Return requests
+ */
+export const getReturnsByOrderId = async (orderId) => {
+  try {
+    return await getDocuments(COLLECTIONS.RETURNS, {
+      where: [['order_id', '==', orderId]],
+      orderBy: [['created_at', 'desc']],
+    });
+  } catch (error) {
+    console.error('Error fetching order returns:', error);
+    return [];
+  }
+};
+
+/**
+ * Get all return requests (Admin only)
+ * @param {Object} filters - { status }
+ * @returns {Promise<Array>} Return requests
+ */
+export const getAllReturns = async (filters = {}) => {
+  try {
+    const whereClause = [];
+    if (filters.status) {
+      whereClause.push(['status', '==', filters.status]);
+    }
+
+    return await getDocuments(COLLECTIONS.RETURNS, {
+      where: whereClause,
+      orderBy: [['created_at', 'desc']],
+    });
+  } catch (error) {
+    console.error('Error fetching returns:', error);
+    return [];
+  }
+};
+
+/**
+ * Create a return/exchange request
+ * Each order item's returned_quantity is raised by its line in the same
+ * transaction, so the rules can check requests against what's left.
+ * @param {string} orderId - Order ID
+ * @param {Array} lines - Items to return
+ *   ({ order_item_id, quantity, type, reason, exchange_size })
+ * @param {string} comments - Customer comments
+ * @returns {Promise<Object>} Result with created request
+ */
+export const createReturnRequest = async (orderId, lines, comments = '') => {
+  try {
+    const result = await getOrderById(orderId);
+    if (!result.success) throw new Error(result.error);
+
+    const order = result.data;
+    const orderItems = order.order_items || [];
+    const existingReturns = await getReturnsByOrderId(orderId);
+
+    const errors = validateReturnLines(order, orderItems, existingReturns, lines);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    const refund = calculateRefund(order, orderItems, lines);
+    const items = lines.map((line, index) => {
+      const item = orderItems.find((orderItem) => orderItem.id === line.order_item_id);
+      return {
+        order_item_id: item.id,
+        product_id: item.product_id,
+        product_name: item.product_name,
+        product_image: item.product_image || '',
+        size: item.size || '',
+        color: item.color || '',
+        price: item.price,
+        quantity: line.quantity,
+        type: line.type,
+        reason: line.reason,
+        exchange_size: line.type === RETURN_TYPES.EXCHANGE ? line.exchange_size : null,
+        refund_amount: refund.lines[index].refund_amount,
+      };
+    });
+
+    await assertExchangeStock(items);
+
+    const request = {
+      order_id: orderId,
+      order_number: order.order_number,
+      user_id: order.user_id,
+      status: RETURN_STATUS.REQUESTED,
+      items,
+      comments,
+      refund_amount: refund.total,
+      quantity_tracked: true,
+      timeline: [
+        createTimelineEntry({
+          status: RETURN_STATUS.REQUESTED,
+          actor: getCurrentActor(),
+          note: comments,
+        }),
+      ],
+    };
+
+    const returnRef = doc(collection(db, COLLECTIONS.RETURNS));
+    await runTransaction(db, async (transaction) => {
+      const itemDocs = await Promise.all(
+        items.map((line) => transaction.get(doc(db, COLLECTIONS.ORDER_ITEMS, line.order_item_id)))
+      );
+
+      // Another request may have been made since the order was loaded
+      itemDocs.forEach((itemDoc, index) => {
+        const item = itemDoc.data();
+        const remaining = item.quantity - (item.returned_quantity || 0);
+        if (items[index].quantity > remaining) {
+          throw new Error(`${item.product_name || 'Item'}: only ${Math.max(0, remaining)} can be returned`);
+        }
+      });
+
+      transaction.set(returnRef, {
+        ...request,
+        created_at: serverTimestamp(),
+        updated_at: serverTimestamp(),
+      });
+      itemDocs.forEach((itemDoc, index) => {
+        transaction.update(doc(db, COLLECTIONS.ORDER_ITEMS, items[index].order_item_id), {
+          returned_quantity: (itemDoc.data().returned_quantity || 0) + items[index].quantity,
+          last_return_id: returnRef.id,
+          updated_at: serverTimestamp(),
+        });
+      });
+    });
+
+    return { success: true, data: { id: returnRef.id, ...request } };
+  } catch (error) {
+    console.error('Error creating return request:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Approve a return request (Admin only)
+ * The refund is recalculated from the order items, and replacement stock for
+ * exchanges is reserved in the same transaction as the approval.
+ * @param {string} returnId - Return request ID
+ * @param {string} note - Note for the timeline
+ * @returns {Promise<Object>} Result
+ */
+export const approveReturn = async (returnId, note = '') => {
+  try {
+    const request = await getDocument(COLLECTIONS.RETURNS, returnId);
+    if (!request) throw new Error('Return request not found');
+
+    const refund = await recalculateRefund({ id: returnId, ...request });
+    await transitionReturn(returnId, RETURN_STATUS.APPROVED, {
+      note,
+      updates: toRefundUpdates(request, refund),
+      stockMoves: request.items
+        .filter((item) => item.type === RETURN_TYPES.EXCHANGE)
+        .map((item) => ({
+          product_id: item.product_id,
+          name: item.product_name,
+          size: item.exchange_size,
+          color: item.color,
+          quantity: -item.quantity,
+        })),
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error approving return:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Reject a return request (Admin only)
+ * Its quantities can be requested again.
+ * @param {string} returnId - Return request ID
+ * @param {string} note - Rejection reason
+ * @returns {Promise<Object>} Result
+ */
+export const rejectReturn = async (returnId, note = '') => {
+  try {
+    await transitionReturn(returnId, RETURN_STATUS.REJECTED, { note, releaseItems: true });
+    return { success: true };
+  } catch (error) {
+    console.error('Error rejecting return:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Mark returned items as received and restock them (Admin only)
+ * Requests that only contain exchanges are complete once received;
+ * anything else waits for the refund.
+ * @param {string} returnId - Return request ID
+ * @param {string} note - Note for the timeline
+ * @returns {Promise<Object>} Result
+ */
+export const receiveReturn = async (returnId, note = '') => {
+  try {
+    const request = await getDocument(COLLECTIONS.RETURNS, returnId);
+    if (!request) throw new Error('Return request not found');
+
+    const exchangeOnly = request.items.every(
+      (item) => item.type === RETURN_TYPES.EXCHANGE
+    );
+    const { restocks } = await transitionReturn(
+      returnId,
+      exchangeOnly ? RETURN_STATUS.EXCHANGED : RETURN_STATUS.RECEIVED,
+      {
+        note,
+        updates: { received_at: serverTimestamp() },
+        stockMoves: request.items.map((item) => ({
+          product_id: item.product_id,
+          name: item.product_name,
+          size: item.size,
+          color: item.color,
+          quantity: item.quantity,
+        })),
+      }
+    );
+
+    for (const { before, after } of restocks) {
+      await processProductAlerts(before, after);
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error receiving return:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Refund a received return (Admin only)
+ * The refund is recalculated from the order items. Online payments are
+ * refunded through the payment provider; other orders are refunded by hand
+ * and only recorded here. The order is moved to
+ * refunded once every item on it has been refunded.
+ * @param {string} returnId - Return request ID
+ * @param {string} note - Note for the timeline
+ * @returns {Promise<Object>} Result
+ */
+export const refundReturn = async (returnId, note = '') => {
+  try {
+    const pending = await getDocument(COLLECTIONS.RETURNS, returnId);
+    if (!pending) {
+      throw new Error('Return request not found');
+    }
+    assertReturnTransition(pending.status, RETURN_STATUS.REFUNDED);
+
+    const refund = await recalculateRefund({ id: returnId, ...pending });
+    const amount = refund.total;
+
+    // Pay the refund out before recording it
+    const order = await getDocument(COLLECTIONS.ORDERS, pending.order_id);
+    const refundsOnline = !!order?.payment_intent_id && amount > 0;
+    if (refundsOnline) {
+      const payment = await refundPayment(pending.order_id, amount, {
+        reference: `return_${returnId}`,
+        reason: 'Returned items',
+      });
+      if (!payment.success) throw new Error(payment.error);
+    }
+
+    const { request } = await transitionReturn(returnId, RETURN_STATUS.REFUNDED, {
+      note,
+      updates: { ...toRefundUpdates(pending, refund), refunded_at: serverTimestamp() },
+    });
+
+    await updateDocument(COLLECTIONS.ORDERS, request.order_id, {
+      refunded_amount: increment(amount),
+      timeline: arrayUnion(
+        createTimelineEntry({
+          status: ORDER_STATUS.DELIVERED,
+          actor: getCurrentActor(),
+          note: refundsOnline
+            ? `Refund of ₹${amount} issued to the original payment method for returned items`
+            : `Refund of ₹${amount} issued for returned items`,
+        })
+      ),
+      updated_at: serverTimestamp(),
+    });
+
+    const [orderResult, returns] = await Promise.all([
+      getOrderById(request.order_id),
+      getReturnsByOrderId(request.order_id),
+    ]);
+    const refundedQuantities = {};
+    returns
+      .filter((r) => r.id === returnId || r.status === RETURN_STATUS.REFUNDED)
+      .flatMap((r) => r.items)
+      .filter((item) => item.type === RETURN_TYPES.RETURN)
+      .forEach((item) => {
+        refundedQuantities[item.order_item_id] =
+          (refundedQuantities[item.order_item_id] || 0) + item.quantity;
+      });
+
+    const orderItems = (orderResult.data?.order_items || []).filter(isActiveOrderItem);
+    const fullyRefunded =
+      orderItems.length > 0 &&
+      orderItems.every((item) => (refundedQuantities[item.id] || 0) >= item.quantity);
+
+    if (fullyRefunded) {
+      await updateOrderStatus(request.order_id, ORDER_STATUS.REFUNDED, {
+        note: 'All items returned',
+        payment_status: PAYMENT_STATUS.REFUNDED,
+      });
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error refunding return:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getReturnsByOrderId,
+  getAllReturns,
+  createReturnRequest,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+};
@@ -0,0 +1,268 @@
+/**
+ * Reviews API - Firebase Firestore
+ * Customer reviews, helpful votes and admin moderation. Approving or
+ * rejecting a review updates the product's rating aggregate in the same
+ * transaction.
+ * @module api/reviews
+ */
+
+import {
+  doc,
+  runTransaction,
+  serverTimestamp,
+  increment,
+} from 'firebase/firestore';
+import { db } from '../lib/firebaseClient';
+import {
+  COLLECTIONS,
+  getDocument,
+  getDocuments,
+  setDocument,
+  updateDocument,
+} from '../lib/firestoreHelpers';
+import {
+  getReviewId,
+  getReviewerName,
+  validateReview,
+  applyRatingChange,
+} from '../lib/reviews';
+import { ORDER_STATUS, ORDER_ITEM_STATUS, REVIEW_STATUS } from '../config/constants';
+
+const getTime = (timestamp) => timestamp?.toMillis?.() || 0;
+
+/**
+ * Get a product's approved reviews
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} Result with data: reviews
+ */
+export const getProductReviews = async (productId) => {
+  try {
+    const reviews = await getDocuments(COLLECTIONS.REVIEWS, {
+      where: [
+        ['product_id', '==', productId],
+        ['status', '==', REVIEW_STATUS.APPROVED],
+      ],
+    });
+    return { success: true, data: reviews };
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Get the signed-in user's review of a product (in any status)
+ * @param {string} productId - Product ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result with data: review or null
+ */
+export const getUserReview = async (productId, userId) => {
+  try {
+    const review = await getDocument(COLLECTIONS.REVIEWS, getReviewId(productId, userId));
+    return { success: true, data: review };
+  } catch (error) {
+    console.error('Error fetching review:', error);
+    return { success: false, error: error.message, data: null };
+  }
+};
+
+/**
+ * Find a delivered, uncancelled order line for a product bought by a user
+ * @param {string} productId - Product ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Order item ID, or null if none
+ */
+export const findVerifiedPurchase = async (productId, userId) => {
+  const orders = await getDocuments(COLLECTIONS.ORDERS, {
+    where: [
+      ['user_id', '==', userId],
+      ['status', '==', ORDER_STATUS.DELIVERED],
+    ],
+  });
+
+  // Firestore 'in' queries take at most 10 values
+  for (let i = 0; i < orders.length; i += 10) {
+    const items = await getDocuments(COLLECTIONS.ORDER_ITEMS, {
+      where: [
+        ['order_id', 'in', orders.slice(i, i + 10).map((order) => order.id)],
+        ['product_id', '==', productId],
+      ],
+    });
+    const item = items.find((item) => item.status !== ORDER_ITEM_STATUS.CANCELLED);
+    if (item) return item.id;
+  }
+  return null;
+};
+
+/**
+ * Write or edit the user's review of a product
+ * New and edited reviews wait for moderation. Reviews from customers with a
+ * delivered order line for the product are marked verified.
+ * @param {Object} user - Signed-in user ({ id, full_name, displayName })
+ * @param {string} productId - Product ID
+ * @param {Object} review - { rating, title, text, photos }
+ * @returns {Promise<Object>} Result with data: { id, verified }
+ */
+export const submitReview = async (user, productId, { rating, title = '', text, photos = [] }) => {
+  try {
+    const validation = validateReview({ rating, title, text, photos });
+    if (!validation.isValid) {
+      return { success: false, error: Object.values(validation.errors)[0] };
+    }
+
+    const id = getReviewId(productId, user.id);
+    const verifiedItemId = await findVerifiedPurchase(productId, user.id);
+    const fields = {
+      rating,
+      title: title.trim(),
+      text: text.trim(),
+      photos,
+      author_name: getReviewerName(user.full_name || user.displayName),
+      verified: !!verifiedItemId,
+      verified_order_item_id: verifiedItemId,
+      status: REVIEW_STATUS.PENDING,
+    };
+
+    const existing = await getDocument(COLLECTIONS.REVIEWS, id);
+    if (existing) {
+      await updateDocument(COLLECTIONS.REVIEWS, id, fields);
+    } else {
+      await setDocument(COLLECTIONS.REVIEWS, id, {
+        ...fields,
+        product_id: productId,
+        user_id: user.id,
+        helpful_count: 0,
+        // Rating included in the product's aggregate (null until approved)
+        counted_rating: null,
+      });
+    }
+
+    return { success: true, data: { id, verified: fields.verified } };
+  } catch (error) {
+    console.error('Error submitting review:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Mark a review as helpful (once per user)
+ * @param {string} reviewId - Review ID
+ * @param {string} userId - Voter's user ID
+ * @returns {Promise<Object>} Result with data: { voted } (false if already voted)
+ */
+export const voteReviewHelpful = async (reviewId, userId) => {
+  try {
+    const voted = await runTransaction(db, async (transaction) => {
+      const voteRef = doc(db, COLLECTIONS.REVIEW_VOTES, `${reviewId}_${userId}`);
+      const reviewRef = doc(db, COLLECTIONS.REVIEWS, reviewId);
+      const [voteSnap, reviewSnap] = await Promise.all([
+        transaction.get(voteRef),
+        transaction.get(reviewRef),
+      ]);
+
+      if (voteSnap.exists()) return false;
+      if (!reviewSnap.exists() || reviewSnap.data().status !== REVIEW_STATUS.APPROVED) {
+        throw new Error('Review not found');
+      }
+      if (reviewSnap.data().user_id === userId) {
+        throw new Error("You can't vote on your own review");
+      }
+
+      transaction.set(voteRef, {
+        review_id: reviewId,
+        user_id: userId,
+        created_at: serverTimestamp(),
+      });
+      transaction.update(reviewRef, { helpful_count: increment(1) });
+      return true;
+    });
+
+    return { success: true, data: { voted } };
+  } catch (error) {
+    console.error('Error voting on review:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ============================================================================
+// MODERATION (Admin only)
+// ============================================================================
+
+/**
+ * Get reviews in a moderation status, newest first
+ * @param {string} status - REVIEW_STATUS value
+ * @returns {Promise<Object>} Result with data: reviews
+ */
+export const getReviewsByStatus = async (status = REVIEW_STATUS.PENDING) => {
+  try {
+    const reviews = await getDocuments(COLLECTIONS.REVIEWS, {
+      where: [['status', '==', status]],
+    });
+    return {
+      success: true,
+      data: reviews.sort((a, b) => getTime(b.updated_at) - getTime(a.updated_at)),
+    };
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Approve or reject a review and update the product's rating aggregate
+ * @param {string} reviewId - Review ID
+ * @param {string} status - REVIEW_STATUS.APPROVED or REVIEW_STATUS.REJECTED
+ * @param {string} note - Moderation note (shown to the reviewer)
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const moderateReview = async (reviewId, status, note = '') => {
+  try {
+    if (![REVIEW_STATUS.APPROVED, REVIEW_STATUS.REJECTED].includes(status)) {
+      throw new Error(`Invalid moderation status "${status}"`);
+    }
+
+    await runTransaction(db, async (transaction) => {
+      const reviewRef = doc(db, COLLECTIONS.REVIEWS, reviewId);
+      const reviewSnap = await transaction.get(reviewRef);
+      if (!reviewSnap.exists()) throw new Error('Review not found');
+
+      const review = reviewSnap.data();
+      const productRef = doc(db, COLLECTIONS.PRODUCTS, review.product_id);
+      const productSnap = await transaction.get(productRef);
+
+      const countedRating = status === REVIEW_STATUS.APPROVED ? review.rating : null;
+      if (productSnap.exists() && countedRating !== review.counted_rating) {
+        transaction.update(productRef, {
+          ...applyRatingChange(productSnap.data(), {
+            remove: review.counted_rating,
+            add: countedRating,
+          }),
+          updated_at: serverTimestamp(),
+        });
+      }
+
+      transaction.update(reviewRef, {
+        status,
+        counted_rating: countedRating,
+        moderation_note: note,
+        moderated_at: serverTimestamp(),
+        updated_at: serverTimestamp(),
+      });
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getProductReviews,
+  getUserReview,
+  findVerifiedPurchase,
+  submitReview,
+  voteReviewHelpful,
+  getReviewsByStatus,
+  moderateReview,
+};
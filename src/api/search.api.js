@@ -0,0 +1,186 @@
+/**
+ * Search Analytics API - Firebase Firestore
+ * Every search is counted per term and day (search_terms). Searches by
+ * signed-in visitors (guest checkout sessions included) are also logged
+ * (search_logs: query, result count, whether a result was clicked). Logs are
+ * admin-only. Trending searches are computed from the daily counts when an
+ * admin loads the search report and stored in settings/trending_searches,
+ * so the search bar reads a single document.
+ * @module api/search
+ */
+
+import { doc, setDoc, serverTimestamp, increment } from 'firebase/firestore';
+import { db, auth } from '../lib/firebaseClient';
+import {
+  COLLECTIONS,
+  getDocument,
+  getDocuments,
+  addDocument,
+  setDocument,
+  updateDocument,
+} from '../lib/firestoreHelpers';
+import {
+  normalizeSearchQuery,
+  getSearchDateKey,
+  getWindowStartKey,
+  getSearchTermId,
+  aggregateSearchTerms,
+  getTrendingTerms,
+  getZeroResultTerms,
+} from '../lib/searchAnalytics';
+import { SEARCH_ANALYTICS_CONFIG } from '../config/constants';
+
+const TRENDING_SETTINGS_ID = 'trending_searches';
+
+// Create the day's counter or add to it
+const bumpSearchTerm = (termId, counts, fields = {}) =>
+  setDoc(
+    doc(db, COLLECTIONS.SEARCH_TERMS, termId),
+    {
+      ...fields,
+      ...Object.fromEntries(Object.entries(counts).map(([key, value]) => [key, increment(value)])),
+      updated_at: serverTimestamp(),
+    },
+    { merge: true }
+  );
+
+const getTermDays = (days) =>
+  getDocuments(COLLECTIONS.SEARCH_TERMS, {
+    where: [['date', '>=', getWindowStartKey(days)]],
+  });
+
+/**
+ * Log a search
+ * Signed-out searches are counted but not logged, since the rules only take
+ * logs from a session.
+ * @param {string} query - Query as typed
+ * @param {number} resultCount - Number of products found
+ * @returns {Promise<Object>} Result with data: { logId, termId } (null for blank
+ *   queries; logId is null for signed-out visitors)
+ */
+export const logSearch = async (query, resultCount) => {
+  try {
+    const term = normalizeSearchQuery(query);
+    const date = getSearchDateKey();
+    const termId = term ? getSearchTermId(term, date) : null;
+    if (!termId) return { success: true, data: null };
+
+    const [logId] = await Promise.all([
+      auth.currentUser
+        ? addDocument(COLLECTIONS.SEARCH_LOGS, {
+            query: term,
+            result_count: resultCount,
+            clicked: false,
+            clicked_product_id: null,
+            date,
+          })
+        : null,
+      bumpSearchTerm(
+        termId,
+        { searches: 1, zero_results: resultCount === 0 ? 1 : 0 },
+        { date, term }
+      ),
+    ]);
+
+    return { success: true, data: { logId, termId } };
+  } catch (error) {
+    console.error('Error logging search:', error);
+    return { success: false, error: error.message, data: null };
+  }
+};
+
+/**
+ * Record that a search result was clicked (first click per search only)
+ * @param {Object} search - { logId, termId } from logSearch
+ * @param {string} productId - Clicked product's ID
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const recordSearchClick = async ({ logId, termId }, productId) => {
+  try {
+    await Promise.all([
+      logId &&
+        updateDocument(COLLECTIONS.SEARCH_LOGS, logId, {
+          clicked: true,
+          clicked_product_id: productId,
+          clicked_at: serverTimestamp(),
+        }),
+      bumpSearchTerm(termId, { clicks: 1 }),
+    ]);
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording search click:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get trending search terms, as last stored by refreshTrendingSearches
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Object>} Result with data: [{ search_term, search_count }]
+ */
+export const getTrendingSearches = async (limit = SEARCH_ANALYTICS_CONFIG.TRENDING_LIMIT) => {
+  try {
+    const trending = await getDocument(COLLECTIONS.SETTINGS, TRENDING_SETTINGS_ID);
+    return { success: true, data: (trending?.terms || []).slice(0, limit) };
+  } catch (error) {
+    console.error('Error fetching trending searches:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Recompute trending search terms from the daily counts (Admin only)
+ * @returns {Promise<Object>} Result with data: [{ search_term, search_count }]
+ */
+export const refreshTrendingSearches = async () => {
+  try {
+    const termDays = await getTermDays(SEARCH_ANALYTICS_CONFIG.TRENDING_DAYS);
+    const terms = getTrendingTerms(termDays);
+    await setDocument(COLLECTIONS.SETTINGS, TRENDING_SETTINGS_ID, {
+      terms,
+      days: SEARCH_ANALYTICS_CONFIG.TRENDING_DAYS,
+    });
+    return { success: true, data: terms };
+  } catch (error) {
+    console.error('Error refreshing trending searches:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Get the search report (Admin only)
+ * @param {number} days - Number of days to look back
+ * @returns {Promise<Object>} Result with data: { zeroResults, topSearches, totals }
+ *   where zeroResults and topSearches are per-term totals (see aggregateSearchTerms)
+ */
+export const getSearchReport = async (days) => {
+  try {
+    const termDays = await getTermDays(days);
+    const terms = aggregateSearchTerms(termDays);
+    const sum = (key) => terms.reduce((total, term) => total + term[key], 0);
+
+    return {
+      success: true,
+      data: {
+        zeroResults: getZeroResultTerms(termDays),
+        topSearches: [...terms].sort((a, b) => b.searches - a.searches).slice(0, 20),
+        totals: {
+          searches: sum('searches'),
+          zero_results: sum('zero_results'),
+          clicks: sum('clicks'),
+        },
+      },
+    };
+  } catch (error) {
+    console.error('Error fetching search report:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  logSearch,
+  recordSearchClick,
+  getTrendingSearches,
+  refreshTrendingSearches,
+  getSearchReport,
+};
@@ -0,0 +1,56 @@
+/**
+ * Shipping API - Firebase Firestore
+ * Admin-editable shipping settings (settings/shipping)
+ * @module api/shipping
+ */
+
+import { COLLECTIONS, getDocument, setDocument } from '../lib/firestoreHelpers';
+import { resolveShippingSettings } from '../lib/shipping';
+import { DEFAULT_SHIPPING_SETTINGS } from '../config/constants';
+
+const SHIPPING_SETTINGS_ID = 'shipping';
+
+/**
+ * Get shipping settings
+ * Falls back to the defaults for anything that hasn't been saved.
+ * @returns {Promise<Object>} Shipping settings
+ */
+export const getShippingSettings = async () => {
+  try {
+    const settings = await getDocument(COLLECTIONS.SETTINGS, SHIPPING_SETTINGS_ID);
+    return resolveShippingSettings(settings);
+  } catch (error) {
+    console.error('Error fetching shipping settings:', error);
+    return resolveShippingSettings(null);
+  }
+};
+
+/**
+ * Save shipping settings (Admin only)
+ * @param {Object} settings - Shipping settings
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const updateShippingSettings = async (settings) => {
+  try {
+    const zoneIds = settings.zones.map((zone) => zone.id);
+    if (zoneIds.some((id) => !id) || new Set(zoneIds).size !== zoneIds.length) {
+      throw new Error('Each zone needs a unique ID');
+    }
+
+    // Only store known settings (not the id/timestamps read back with them)
+    const resolved = resolveShippingSettings(settings);
+    const data = Object.fromEntries(
+      Object.keys(DEFAULT_SHIPPING_SETTINGS).map((key) => [key, resolved[key]])
+    );
+    await setDocument(COLLECTIONS.SETTINGS, SHIPPING_SETTINGS_ID, data);
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving shipping settings:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getShippingSettings,
+  updateShippingSettings,
+};
@@ -0,0 +1,177 @@
+/**
+ * Size Charts API - Firebase Firestore
+ * Admin-editable size charts, customers' saved measurements and the fit
+ * history "find my size" uses.
+ * @module api/sizeCharts
+ */
+
+import {
+  COLLECTIONS,
+  getDocument,
+  getDocuments,
+  addDocument,
+  setDocument,
+  updateDocument,
+  deleteDocument,
+} from '../lib/firestoreHelpers';
+import { validateSizeChart, buildSizeHistory } from '../lib/sizeCharts';
+import { ORDER_STATUS, BODY_MEASUREMENTS, SIZE_UNITS } from '../config/constants';
+
+/**
+ * Get saved size charts
+ * Categories without a saved chart use DEFAULT_SIZE_CHARTS (lib/productData).
+ * @returns {Promise<Object>} Result with data: charts
+ */
+export const getSizeCharts = async () => {
+  try {
+    const charts = await getDocuments(COLLECTIONS.SIZE_CHARTS);
+    return { success: true, data: charts };
+  } catch (error) {
+    console.error('Error fetching size charts:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Create or update a size chart (Admin only)
+ * @param {Object} chart - { id?, name, category, brand, measurements, rows }
+ * @returns {Promise<Object>} Result with data: { id }
+ */
+export const saveSizeChart = async ({ id, name, category = '', brand = '', measurements, rows }) => {
+  try {
+    const validation = validateSizeChart({ name, category, brand, measurements, rows });
+    if (!validation.isValid) {
+      return { success: false, error: validation.errors[0] };
+    }
+
+    const data = {
+      name: name.trim(),
+      category,
+      brand: brand.trim(),
+      measurements,
+      rows: rows.map((row) => ({
+        size: row.size.trim(),
+        ...Object.fromEntries(measurements.map((key) => [key, row[key]])),
+      })),
+    };
+
+    if (id) {
+      await updateDocument(COLLECTIONS.SIZE_CHARTS, id, data);
+      return { success: true, data: { id } };
+    }
+    const newId = await addDocument(COLLECTIONS.SIZE_CHARTS, data);
+    return { success: true, data: { id: newId } };
+  } catch (error) {
+    console.error('Error saving size chart:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a size chart (Admin only)
+ * @param {string} chartId - Chart ID
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const deleteSizeChart = async (chartId) => {
+  try {
+    await deleteDocument(COLLECTIONS.SIZE_CHARTS, chartId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting size chart:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// ============================================================================
+// FIND MY SIZE
+// ============================================================================
+
+/**
+ * Get a customer's saved body measurements
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result with data: { chest, waist, hip, unit } in inches, or null
+ */
+export const getSizeProfile = async (userId) => {
+  try {
+    const profile = await getDocument(COLLECTIONS.SIZE_PROFILES, userId);
+    return { success: true, data: profile };
+  } catch (error) {
+    console.error('Error fetching size profile:', error);
+    return { success: false, error: error.message, data: null };
+  }
+};
+
+/**
+ * Save a customer's body measurements
+ * Kept apart from the profile because profiles are readable by any
+ * signed-in user.
+ * @param {string} userId - User ID
+ * @param {Object} measurements - Inches ({ chest, waist, hip }) and preferred unit
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const saveSizeProfile = async (userId, measurements) => {
+  try {
+    const data = {
+      user_id: userId,
+      unit: measurements.unit === SIZE_UNITS.CM ? SIZE_UNITS.CM : SIZE_UNITS.IN,
+      ...Object.fromEntries(
+        BODY_MEASUREMENTS.map((key) => [key, Number(measurements[key]) > 0 ? Number(measurements[key]) : null])
+      ),
+    };
+    await setDocument(COLLECTIONS.SIZE_PROFILES, userId, data);
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving size profile:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the sizes a customer kept or returned in delivered orders
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result with data: history entries (see buildSizeHistory)
+ */
+export const getSizeHistory = async (userId) => {
+  try {
+    const [orders, returns] = await Promise.all([
+      getDocuments(COLLECTIONS.ORDERS, {
+        where: [
+          ['user_id', '==', userId],
+          ['status', '==', ORDER_STATUS.DELIVERED],
+        ],
+      }),
+      getDocuments(COLLECTIONS.RETURNS, {
+        where: [['user_id', '==', userId]],
+      }),
+    ]);
+
+    // Refunded orders are no longer "delivered", so add the orders returns point at
+    const orderIds = [
+      ...new Set([...orders.map((order) => order.id), ...returns.map((request) => request.order_id)]),
+    ];
+
+    // Firestore 'in' queries take at most 10 values
+    const items = [];
+    for (let i = 0; i < orderIds.length; i += 10) {
+      items.push(
+        ...(await getDocuments(COLLECTIONS.ORDER_ITEMS, {
+          where: [['order_id', 'in', orderIds.slice(i, i + 10)]],
+        }))
+      );
+    }
+
+    return { success: true, data: buildSizeHistory(items, returns) };
+  } catch (error) {
+    console.error('Error fetching size history:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+export default {
+  getSizeCharts,
+  saveSizeChart,
+  deleteSizeChart,
+  getSizeProfile,
+  saveSizeProfile,
+  getSizeHistory,
+};
@@ -0,0 +1,178 @@
+/**
+ * Wishlist Lists API - Firebase Firestore
+ * Named wishlists owned by a user, optionally shared read-only by link
+ * @module api/wishlistLists
+ */
+
+import {
+  COLLECTIONS,
+  getDocument,
+  getDocuments,
+  addDocument,
+  updateDocument,
+  deleteDocument,
+} from '../lib/firestoreHelpers';
+import { addListItem, removeListItem } from '../lib/wishlistLists';
+
+const getTime = (timestamp) => timestamp?.toMillis?.() || 0;
+
+/**
+ * Get a user's lists, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Result with data: lists
+ */
+export const getUserLists = async (userId) => {
+  try {
+    const lists = await getDocuments(COLLECTIONS.WISHLIST_LISTS, {
+      where: [['user_id', '==', userId]],
+    });
+    return {
+      success: true,
+      data: lists.sort((a, b) => getTime(a.created_at) - getTime(b.created_at)),
+    };
+  } catch (error) {
+    console.error('Error fetching lists:', error);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Get a list by ID (the owner's, or any shared list)
+ * @param {string} listId - List ID
+ * @returns {Promise<Object>} Result with data: list
+ */
+export const getList = async (listId) => {
+  try {
+    const list = await getDocument(COLLECTIONS.WISHLIST_LISTS, listId);
+    if (!list) {
+      return { success: false, error: 'List not found', data: null };
+    }
+    return { success: true, data: list };
+  } catch (error) {
+    console.error('Error fetching list:', error);
+    return { success: false, error: 'This list is private or no longer exists', data: null };
+  }
+};
+
+/**
+ * Create a list
+ * @param {string} userId - Owner's user ID
+ * @param {string} name - List name (validated with validateListName)
+ * @returns {Promise<Object>} Result with data: { id }
+ */
+export const createList = async (userId, name) => {
+  try {
+    const id = await addDocument(COLLECTIONS.WISHLIST_LISTS, {
+      user_id: userId,
+      name: name.trim(),
+      items: [],
+      is_shared: false,
+    });
+    return { success: true, data: { id } };
+  } catch (error) {
+    console.error('Error creating list:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Rename a list
+ * @param {string} listId - List ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const renameList = async (listId, name) => {
+  try {
+    await updateDocument(COLLECTIONS.WISHLIST_LISTS, listId, { name: name.trim() });
+    return { success: true };
+  } catch (error) {
+    console.error('Error renaming list:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a list
+ * @param {string} listId - List ID
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const deleteList = async (listId) => {
+  try {
+    await deleteDocument(COLLECTIONS.WISHLIST_LISTS, listId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting list:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Turn read-only sharing on or off
+ * @param {string} listId - List ID
+ * @param {boolean} isShared - Whether anyone with the link can view the list
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const setListShared = async (listId, isShared) => {
+  try {
+    await updateDocument(COLLECTIONS.WISHLIST_LISTS, listId, { is_shared: isShared });
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating list sharing:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Add a product (with optional size and color) to a list
+ * @param {string} listId - List ID
+ * @param {Object} line - { product_id, size, color }
+ * @returns {Promise<Object>} Result with data: { added } (false if already listed)
+ */
+export const addItemToList = async (listId, line) => {
+  try {
+    const list = await getDocument(COLLECTIONS.WISHLIST_LISTS, listId);
+    if (!list) throw new Error('List not found');
+
+    const currentItems = list.items || [];
+    const items = addListItem(currentItems, line);
+    if (items !== currentItems) {
+      await updateDocument(COLLECTIONS.WISHLIST_LISTS, listId, { items });
+    }
+    return { success: true, data: { added: items !== currentItems } };
+  } catch (error) {
+    console.error('Error adding to list:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove an item from a list
+ * @param {string} listId - List ID
+ * @param {string} key - Line key of the item (getCartLineKey)
+ * @returns {Promise<Object>} Result with success flag
+ */
+export const removeItemFromList = async (listId, key) => {
+  try {
+    const list = await getDocument(COLLECTIONS.WISHLIST_LISTS, listId);
+    if (!list) throw new Error('List not found');
+
+    await updateDocument(COLLECTIONS.WISHLIST_LISTS, listId, {
+      items: removeListItem(list.items || [], key),
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing from list:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getUserLists,
+  getList,
+  createList,
+  renameList,
+  deleteList,
+  setListShared,
+  addItemToList,
+  removeItemFromList,
+};
@@ -1,9 +1,13 @@
 import { useState, useEffect, memo, useRef } from 'react';
 import { Copy, Check } from 'lucide-react';
 import { getActiveCoupons } from '../api/coupons.api';
+import useStore from '../store/useStore';
+import { DISCOUNT_TYPES } from '../lib/coupons';
+import { describePromotion } from '../lib/promotions';
 import '../styles/coupon-carousel.css';
 
 const CouponCarousel = memo(function CouponCarousel() {
+  const userId = useStore((state) => state.user?.id || null);
   const [coupons, setCoupons] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [copiedCode, setCopiedCode] = useState(null);
@@ -11,17 +15,19 @@ const CouponCarousel = memo(function CouponCarousel() {
   const [showTooltip, setShowTooltip] = useState(false);
   const containerRef = useRef(null);
 
+  // Targeted coupons depend on who is signed in
   useEffect(() => {
-    loadCoupons();
-  }, []);
+    loadCoupons(userId);
+  }, [userId]);
 
-  const loadCoupons = async () => {
+  const loadCoupons = async (customerId) => {
     try {
       setIsLoading(true);
       console.log('🎫 CouponCarousel: Loading coupons...');
-      const activeCoupons = await getActiveCoupons();
+      const activeCoupons = await getActiveCoupons(customerId);
       console.log('🎫 CouponCarousel: Loaded coupons:', activeCoupons);
       setCoupons(activeCoupons);
+      setCurrentSlide(0);
     } catch (error) {
       console.error('🎫 CouponCarousel: Error loading coupons:', error);
     } finally {
@@ -84,14 +90,18 @@ const CouponCarousel = memo(function CouponCarousel() {
   };
 
   const getDiscountText = (coupon) => {
-    const discountType = coupon.discountType || 'percentage';
-    const discountValue = coupon.discountValue || 0;
-    
-    if (discountType === 'percentage') {
-      // Round to whole number for cleaner display
-      return `${Math.round(discountValue)}%`;
-    } else {
-      return `₹${Math.round(discountValue)}`;
+    switch (coupon.discount_type) {
+      case DISCOUNT_TYPES.PERCENTAGE:
+        // Round to whole number for cleaner display
+        return `${Math.round(coupon.discount_value)}%`;
+      case DISCOUNT_TYPES.BUY_X_GET_Y:
+        return `B${coupon.buy_quantity}G${coupon.get_quantity}`;
+      case DISCOUNT_TYPES.TIERED:
+        return `${Math.round(coupon.tiers[coupon.tiers.length - 1]?.percent || 0)}%`;
+      case DISCOUNT_TYPES.FREE_GIFT:
+        return 'GIFT';
+      default:
+        return `₹${Math.round(coupon.discount_value)}`;
     }
   };
 
@@ -156,8 +166,8 @@ const CouponCarousel = memo(function CouponCarousel() {
           onMouseLeave={handleStickerMouseLeave}
         >
           <div className="coupon-sticker__tooltip-content">
-            <h4>{currentCoupon.name || currentCoupon.code}</h4>
-            <p>{currentCoupon.description || 'Use this coupon to get amazing discounts'}</p>
+            <h4>{currentCoupon.code}</h4>
+            <p>{currentCoupon.description || describePromotion(currentCoupon)}</p>
             <div className="coupon-sticker__tooltip-code">
               <code>{currentCoupon.code}</code>
               <button
@@ -95,11 +95,11 @@ export const generateProductSchema = (product) => {
       },
     },
     aggregateRating:
-      product.reviewCount > 0
+      product.reviews_count > 0
         ? {
             '@type': 'AggregateRating',
             ratingValue: product.rating,
-            reviewCount: product.reviewCount,
+            reviewCount: product.reviews_count,
           }
         : undefined,
   };
@@ -1,7 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { Search, X, TrendingUp, Clock } from 'lucide-react';
-import { getAutocompleteSuggestions, getTrendingSearches } from '../api/products.api';
+import { getAutocompleteSuggestions } from '../api/products.api';
+import { getTrendingSearches } from '../api/search.api';
 import useDebounce from '../hooks/useDebounce';
 
 const RECENT_SEARCHES_KEY = 'stryng_recent_searches';
@@ -36,8 +37,8 @@ export default function SearchBar({ className = '' }) {
 
   // Load trending searches on mount
   useEffect(() => {
-    getTrendingSearches(7, 5).then(data => {
-      setTrendingSearches(data || []);
+    getTrendingSearches().then(result => {
+      setTrendingSearches(result.data || []);
     });
   }, []);
 
@@ -14,16 +14,28 @@ import {
   BarChart3,
   MapPin,
   Tag,
+  RotateCcw,
+  Banknote,
+  Truck,
+  Star,
+  Ruler,
 } from 'lucide-react';
 import useStore from '../../store/useStore';
-import { useState } from 'react';
+import { processQueuedAlerts } from '../../api/notifications.api';
+import { useEffect, useState } from 'react';
 
 const sidebarItems = [
   { icon: <LayoutDashboard size={20} />, label: 'Dashboard', path: '/admin' },
   { icon: <Package size={20} />, label: 'Products', path: '/admin/products' },
+  { icon: <Ruler size={20} />, label: 'Size Charts', path: '/admin/size-charts' },
   { icon: <ShoppingCart size={20} />, label: 'Orders', path: '/admin/orders' },
+  { icon: <RotateCcw size={20} />, label: 'Returns', path: '/admin/returns' },
+  { icon: <Banknote size={20} />, label: 'COD', path: '/admin/cod' },
   { icon: <Tag size={20} />, label: 'Coupons', path: '/admin/coupons' },
+  { icon: <Star size={20} />, label: 'Reviews', path: '/admin/reviews' },
+  { icon: <Search size={20} />, label: 'Search', path: '/admin/search' },
   { icon: <Image size={20} />, label: 'Banners', path: '/admin/banners' },
+  { icon: <Truck size={20} />, label: 'Shipping', path: '/admin/shipping' },
   { icon: <MapPin size={20} />, label: 'Pincodes', path: '/admin/pincodes' },
 ];
 
@@ -33,6 +45,11 @@ export default function AdminLayout({ children }) {
   const navigate = useNavigate();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
+  // Send the back-in-stock alerts for stock customers put back by cancelling
+  useEffect(() => {
+    processQueuedAlerts();
+  }, []);
+
   const handleLogout = async () => {
     try {
       // Clear local storage first for immediate UI update
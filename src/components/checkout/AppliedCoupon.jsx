@@ -1,14 +1,28 @@
 import { X, Tag, CheckCircle } from 'lucide-react';
 import useStore from '../../store/useStore';
+import { useCartDiscounts } from '../../hooks/useCartDiscounts';
+import { describePromotion, getPromotionLabel, PROMOTION_REASONS } from '../../lib/promotions';
+import { readCoupon, getCouponUnavailableMessage } from '../../lib/coupons';
 import { formatPrice } from '../../utils/format';
 
 export default function AppliedCoupon() {
-  const { appliedCoupon, couponDiscount, removeCoupon } = useStore();
+  const { appliedCoupon, removeCoupon } = useStore();
+  const { applied, rejected } = useCartDiscounts();
 
   if (!appliedCoupon) {
     return null;
   }
 
+  // The cart's other discounts come from automatic promotions
+  const discount = applied.find((promotion) => promotion.id === appliedCoupon.id)?.discount || 0;
+  const reason = rejected.find((promotion) => promotion.id === appliedCoupon.id)?.reason;
+  const notCombinable = reason === PROMOTION_REASONS.NOT_COMBINABLE;
+  // Expired or used up since it was applied
+  const unavailable =
+    reason === PROMOTION_REASONS.UNAVAILABLE
+      ? getCouponUnavailableMessage(readCoupon(appliedCoupon)) || 'This coupon is no longer available'
+      : null;
+
   const handleRemove = () => {
     removeCoupon();
   };
@@ -25,7 +39,13 @@ export default function AppliedCoupon() {
             <span className="coupon-code">{appliedCoupon.code}</span>
           </div>
           <p className="coupon-savings">
-            You saved {formatPrice(couponDiscount)}
+            {discount > 0
+              ? `You saved ${formatPrice(discount)}`
+              : unavailable
+                ? unavailable
+                : notCombinable
+                ? `Can't be combined with ${applied.map(getPromotionLabel).join(', ')}, which saves you more`
+                : `${describePromotion(appliedCoupon)} · not applicable to your cart yet`}
           </p>
         </div>
       </div>
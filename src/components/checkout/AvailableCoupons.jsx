@@ -6,7 +6,7 @@ import useStore from '../../store/useStore';
 import { formatPrice } from '../../utils/format';
 
 export default function AvailableCoupons({ orderTotal }) {
-  const { user, applyCoupon, appliedCoupon } = useStore();
+  const { user, applyCoupon, appliedCoupon, showToast } = useStore();
   const [isExpanded, setIsExpanded] = useState(false);
   const [coupons, setCoupons] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -37,6 +37,11 @@ export default function AvailableCoupons({ orderTotal }) {
       return;
     }
 
+    if (!user?.id) {
+      showToast('Please log in to apply coupons', 'info');
+      return;
+    }
+
     setApplyingCouponId(coupon.id);
 
     try {
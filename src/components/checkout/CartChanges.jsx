@@ -0,0 +1,64 @@
+import { AlertTriangle } from 'lucide-react';
+import { formatPrice } from '../../utils/format';
+import { getVariantLabel } from '../../lib/inventory';
+
+/**
+ * Describe what happened to a cart line
+ * @param {Object} change - Change from revalidateCartItems
+ * @returns {string} Description
+ */
+const describeChange = (change) => {
+  switch (change.type) {
+    case 'price_changed':
+      return `Price changed from ${formatPrice(change.previous_price)} to ${formatPrice(change.price)}`;
+    case 'insufficient_stock':
+      return `Only ${change.quantity} left, so the quantity was reduced from ${change.previous_quantity}`;
+    case 'out_of_stock':
+      return 'Out of stock and removed from your cart';
+    case 'variant_not_found':
+      return 'This size or color is no longer sold and was removed from your cart';
+    default:
+      return 'No longer available and removed from your cart';
+  }
+};
+
+/**
+ * Changes to the cart since items were added (prices, stock, removed items)
+ * Checkout stays blocked until the customer acknowledges them.
+ */
+export default function CartChanges({ changes, onAcknowledge }) {
+  if (!changes || changes.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="cart-changes" role="alert">
+      <div className="cart-changes__header">
+        <AlertTriangle size={18} />
+        <strong>Your cart has been updated</strong>
+      </div>
+      <p className="cart-changes__text">
+        Some items changed since you added them. Please review before checking out.
+      </p>
+
+      <ul className="cart-changes__list">
+        {changes.map((change) => {
+          const variant = getVariantLabel({ size: change.size, color: change.color });
+          return (
+            <li key={`${change.key}-${change.type}`} className="cart-changes__item">
+              <span className="cart-changes__name">
+                {change.name}
+                {variant && ` (${variant})`}
+              </span>
+              <span className="cart-changes__detail">{describeChange(change)}</span>
+            </li>
+          );
+        })}
+      </ul>
+
+      <button type="button" className="btn btn--primary btn--sm" onClick={onAcknowledge}>
+        OK, got it
+      </button>
+    </div>
+  );
+}
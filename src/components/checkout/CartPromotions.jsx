@@ -0,0 +1,70 @@
+import { Link } from 'react-router-dom';
+import { Gift } from 'lucide-react';
+import useStore from '../../store/useStore';
+import { useCartDiscounts } from '../../hooks/useCartDiscounts';
+import { useAutomaticPromotions } from '../../hooks/useAutomaticPromotions';
+import { useProductsByIds } from '../../hooks/useProducts';
+import { PROMOTION_REASONS, describePromotion } from '../../lib/promotions';
+import { readCoupon, DISCOUNT_TYPES } from '../../lib/coupons';
+import { formatPrice } from '../../utils/format';
+
+/**
+ * Nudges for automatic promotions the cart doesn't get yet
+ * (spend a bit more, or add the free gift that was unlocked)
+ */
+export default function CartPromotions() {
+  const cart = useStore((state) => state.cart);
+  const { rejected } = useCartDiscounts();
+  const automaticPromotions = useAutomaticPromotions();
+
+  const nudges = rejected
+    .filter(
+      (entry) =>
+        entry.automatic &&
+        [PROMOTION_REASONS.MIN_ORDER_VALUE, PROMOTION_REASONS.GIFT_NOT_IN_CART].includes(entry.reason)
+    )
+    .map((entry) => ({
+      ...entry,
+      promotion: readCoupon(automaticPromotions.find((promotion) => promotion.id === entry.id) || entry),
+    }));
+
+  const giftIds = nudges
+    .map((nudge) => nudge.promotion.gift_product_id)
+    .filter(Boolean);
+  const { data: gifts = [] } = useProductsByIds(giftIds);
+
+  if (nudges.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="cart-promotions">
+      {nudges.map(({ id, reason, promotion }) => {
+        const isGift = promotion.discount_type === DISCOUNT_TYPES.FREE_GIFT;
+        const gift = isGift ? gifts.find((product) => product.id === promotion.gift_product_id) : null;
+        const offer = gift ? `a free ${gift.name}` : promotion.name || describePromotion(promotion);
+
+        // The gift's own price doesn't count towards the threshold
+        const spent = cart
+          .filter((item) => !isGift || item.id !== promotion.gift_product_id)
+          .reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+        return (
+          <li key={id} className="cart-promotions__item">
+            <Gift size={16} />
+            {reason === PROMOTION_REASONS.MIN_ORDER_VALUE ? (
+              <span>
+                Add {formatPrice(promotion.min_order_value - spent)} more to get {offer}
+              </span>
+            ) : (
+              <span>
+                You&apos;ve unlocked {offer}.{' '}
+                {gift && <Link to={`/products/${gift.slug}`}>Add it to your bag</Link>}
+              </span>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -3,8 +3,8 @@ import { Tag, Loader, AlertCircle, CheckCircle } from 'lucide-react';
 import { validateCoupon } from '../../api/coupons.api';
 import useStore from '../../store/useStore';
 
-export default function CouponInput({ orderTotal }) {
-  const { user, applyCoupon, appliedCoupon } = useStore();
+export default function CouponInput() {
+  const { user, cart, applyCoupon, appliedCoupon } = useStore();
   const [couponCode, setCouponCode] = useState('');
   const [isValidating, setIsValidating] = useState(false);
   const [message, setMessage] = useState(null);
@@ -29,21 +29,13 @@ export default function CouponInput({ orderTotal }) {
     setMessage(null);
 
     try {
-      console.log('Validating coupon:', { code: couponCode, userId: user.id, orderTotal });
-      const result = await validateCoupon(couponCode, user.id, orderTotal);
+      console.log('Validating coupon:', { code: couponCode, userId: user.id });
+      const result = await validateCoupon(couponCode, user.id, cart);
       console.log('Validation result:', result);
 
       if (result.success && result.data.valid) {
         const couponData = result.data;
-        applyCoupon(
-          {
-            id: couponData.coupon_id,
-            code: couponData.code,
-            discount_type: couponData.discount_type,
-            discount_value: couponData.discount_value,
-          },
-          couponData.discount_amount
-        );
+        applyCoupon(couponData.coupon);
         setMessage({
           type: 'success',
           text: `Coupon applied! You saved ₹${couponData.discount_amount.toFixed(2)}`,
@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import { Check, Loader, Shield, ExternalLink, AlertCircle } from 'lucide-react';
+import { formatPrice } from '../../utils/format';
+import QRCode from '../common/QRCode';
+import { PAYMENT_METHODS, NET_BANKING_BANKS } from '../../config/constants';
+
+const isMobileDevice = () => /Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
+
+export default function PaymentForm({ intent, onConfirm, isProcessing, error }) {
+  const [details, setDetails] = useState({
+    cardNumber: '',
+    expiry: '',
+    cvv: '',
+    cardName: '',
+    vpa: '',
+    reference: '',
+    bank: '',
+  });
+
+  const handleChange = (field) => (e) => {
+    setDetails((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  // Manual UPI: the customer pays from their UPI app, then tells us
+  const isManualUpi = intent.next_action?.type === 'upi_reference';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isProcessing) return;
+
+    if (intent.method === PAYMENT_METHODS.CARD) {
+      onConfirm({
+        cardNumber: details.cardNumber.replace(/\s/g, ''),
+        expiry: details.expiry,
+        cvv: details.cvv,
+        cardName: details.cardName,
+      });
+    } else if (isManualUpi) {
+      onConfirm({ reference: details.reference.trim() });
+    } else if (intent.method === PAYMENT_METHODS.UPI) {
+      onConfirm({ vpa: details.vpa.trim() });
+    } else {
+      onConfirm({ bank: details.bank });
+    }
+  };
+
+  const upiLink = intent.next_action?.upi_link;
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {intent.method === PAYMENT_METHODS.UPI && (
+        <>
+          {upiLink && (
+            <>
+              <div className="payment-qr-section">
+                <h4>Scan QR Code</h4>
+                <div className="qr-code-wrapper">
+                  <QRCode value={upiLink} size={250} title="UPI QR Code" className="qr-code-image" />
+                </div>
+                <p className="qr-hint">Scan with any UPI app (GPay, PhonePe, Paytm)</p>
+                {isMobileDevice() && (
+                  <a href={upiLink} className="btn-open-upi">
+                    <ExternalLink size={18} />
+                    Open UPI App
+                  </a>
+                )}
+              </div>
+
+              {!isManualUpi && (
+                <div className="payment-divider">
+                  <span>OR</span>
+                </div>
+              )}
+            </>
+          )}
+
+          {isManualUpi ? (
+            <div className="transaction-id-section">
+              <h4>After Payment</h4>
+              <div className="input-group">
+                <label htmlFor="payment-reference">UPI Transaction ID (Optional)</label>
+                <input
+                  id="payment-reference"
+                  type="text"
+                  className="transaction-input"
+                  placeholder="e.g., 123456789012"
+                  value={details.reference}
+                  onChange={handleChange('reference')}
+                />
+                <small className="input-hint">Helps us verify your payment faster</small>
+              </div>
+            </div>
+          ) : (
+            <div className="payment-upi-section">
+              <h4>Pay via UPI ID</h4>
+              <div className="input-group">
+                <label htmlFor="payment-vpa">Your UPI ID</label>
+                <input
+                  id="payment-vpa"
+                  type="text"
+                  className="transaction-input"
+                  placeholder="e.g., name@okhdfcbank"
+                  value={details.vpa}
+                  onChange={handleChange('vpa')}
+                  required
+                />
+                <small className="input-hint">
+                  You&apos;ll get a payment request in your UPI app
+                </small>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {intent.method === PAYMENT_METHODS.CARD && (
+        <div className="payment-card-section">
+          <div className="input-group">
+            <label htmlFor="payment-card-number">Card Number</label>
+            <input
+              id="payment-card-number"
+              type="text"
+              inputMode="numeric"
+              autoComplete="cc-number"
+              className="transaction-input"
+              placeholder="1234 5678 9012 3456"
+              value={details.cardNumber}
+              onChange={handleChange('cardNumber')}
+              required
+            />
+          </div>
+          <div className="input-group">
+            <label htmlFor="payment-card-name">Name on Card</label>
+            <input
+              id="payment-card-name"
+              type="text"
+              autoComplete="cc-name"
+              className="transaction-input"
+              value={details.cardName}
+              onChange={handleChange('cardName')}
+              required
+            />
+          </div>
+          <div className="payment-card-row">
+            <div className="input-group">
+              <label htmlFor="payment-card-expiry">Expiry (MM/YY)</label>
+              <input
+                id="payment-card-expiry"
+                type="text"
+                autoComplete="cc-exp"
+                className="transaction-input"
+                placeholder="MM/YY"
+                value={details.expiry}
+                onChange={handleChange('expiry')}
+                required
+              />
+            </div>
+            <div className="input-group">
+              <label htmlFor="payment-card-cvv">CVV</label>
+              <input
+                id="payment-card-cvv"
+                type="password"
+                inputMode="numeric"
+                autoComplete="cc-csc"
+                maxLength={4}
+                className="transaction-input"
+                value={details.cvv}
+                onChange={handleChange('cvv')}
+                required
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {intent.method === PAYMENT_METHODS.NET_BANKING && (
+        <div className="input-group">
+          <label htmlFor="payment-bank">Select Your Bank</label>
+          <select
+            id="payment-bank"
+            className="transaction-input"
+            value={details.bank}
+            onChange={handleChange('bank')}
+            required
+          >
+            <option value="">Choose a bank</option>
+            {NET_BANKING_BANKS.map((bank) => (
+              <option key={bank.code} value={bank.code}>
+                {bank.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="payment-amount-box">
+        <span>Amount to pay</span>
+        <strong>{formatPrice(intent.amount)}</strong>
+      </div>
+
+      {error && (
+        <div className="payment-error">
+          <AlertCircle size={16} />
+          <span>{error}. Please check your details and try again.</span>
+        </div>
+      )}
+
+      <button type="submit" disabled={isProcessing} className="btn-confirm-payment">
+        {isProcessing ? (
+          <>
+            <Loader size={20} className="btn-spinner" />
+            Processing Payment...
+          </>
+        ) : (
+          <>
+            <Check size={20} />
+            {isManualUpi ? 'I Have Completed Payment' : `Pay ${formatPrice(intent.amount)}`}
+          </>
+        )}
+      </button>
+
+      <div className="payment-security-note">
+        <Shield size={14} />
+        <span>Your payment is secure and encrypted</span>
+      </div>
+    </form>
+  );
+}
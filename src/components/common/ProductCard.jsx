@@ -7,6 +7,8 @@ import { Link } from 'react-router-dom';
 import { Heart, Eye, ShoppingBag } from 'lucide-react';
 import { formatPrice } from '../../utils/format';
 import { getStockStatus } from '../../lib/inventory';
+import { getProductPromotion, getPromotionBadge } from '../../lib/promotions';
+import { useAutomaticPromotions } from '../../hooks/useAutomaticPromotions';
 import useStore from '../../store/useStore';
 import OptimizedImage from '../OptimizedImage';
 
@@ -17,6 +19,7 @@ function ProductCard({
 }) {
   const { toggleWishlist, isInWishlist } = useStore();
   const isWishlisted = isInWishlist(product.id);
+  const automaticPromotions = useAutomaticPromotions();
 
   // Memoize expensive calculations
   const stockStatus = useMemo(
@@ -39,6 +42,11 @@ function ProductCard({
     [product.originalPrice, product.price]
   );
 
+  const promotion = useMemo(
+    () => getProductPromotion(product, automaticPromotions),
+    [product, automaticPromotions]
+  );
+
   // Memoize event handlers
   const handleWishlistToggle = useCallback((e) => {
     e.preventDefault();
@@ -161,6 +169,11 @@ function ProductCard({
             </>
           )}
         </div>
+        {promotion && (
+          <p className="product-card__offer" title={promotion.name}>
+            {getPromotionBadge(promotion)}
+          </p>
+        )}
         {product.colors && product.colors.length > 0 && (
           <div className="product-card__colors">
             {product.colors.map((color) => (
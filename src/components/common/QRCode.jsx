@@ -0,0 +1,60 @@
+/**
+ * Reusable QR Code Component
+ * Renders a QR code as SVG, encoded locally (nothing is sent to a
+ * third-party service). Used for UPI payments, invoices and order links.
+ */
+
+import { useMemo } from 'react';
+import { encodeQRCode, QR_ERROR_CORRECTION } from '../../lib/qrCode';
+
+export default function QRCode({
+  value,
+  size = 200,
+  errorCorrection = QR_ERROR_CORRECTION.MEDIUM,
+  margin = 4,
+  color = '#000000',
+  background = '#ffffff',
+  title = 'QR code',
+  className = '',
+}) {
+  const qr = useMemo(() => {
+    try {
+      return encodeQRCode(value, { errorCorrection });
+    } catch (error) {
+      console.error('Error encoding QR code:', error);
+      return null;
+    }
+  }, [value, errorCorrection]);
+
+  // One path with a 1x1 square per dark module
+  const path = useMemo(() => {
+    if (!qr) return '';
+    const commands = [];
+    qr.modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (isDark) commands.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+      });
+    });
+    return commands.join('');
+  }, [qr, margin]);
+
+  if (!qr) return null;
+
+  const viewBoxSize = qr.size + margin * 2;
+
+  return (
+    <svg
+      className={className}
+      width={size}
+      height={size}
+      viewBox={`0 0 ${viewBoxSize} ${viewBoxSize}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={title}
+    >
+      <title>{title}</title>
+      <rect width={viewBoxSize} height={viewBoxSize} fill={background} />
+      <path d={path} fill={color} />
+    </svg>
+  );
+}
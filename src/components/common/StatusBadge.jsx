@@ -16,6 +16,8 @@ const STATUS_STYLES = {
   paid: { bg: '#d1fae5', color: '#065f46', label: 'Paid' },
   verification_pending: { bg: '#fed7aa', color: '#9a3412', label: 'Verifying' },
   failed: { bg: '#fee2e2', color: '#991b1b', label: 'Failed' },
+  partially_refunded: { bg: '#e0e7ff', color: '#3730a3', label: 'Partially Refunded' },
+  refunded: { bg: '#e0e7ff', color: '#3730a3', label: 'Refunded' },
 
   // Stock statuses
   in_stock: { bg: '#d1fae5', color: '#16a34a', label: 'In Stock' },
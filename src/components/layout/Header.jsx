@@ -7,9 +7,11 @@ import {
   X,
   Grid3X3,
   Heart,
+  Bell,
 } from 'lucide-react';
 import useStore from '../../store/useStore';
 import SearchBar from '../SearchBar';
+import { useNotifications } from '../../hooks/useNotifications';
 
 const navLinks = [
   { label: 'Men', path: '/products?category=men' },
@@ -28,6 +30,8 @@ export default function Header() {
   const { getCartCount, wishlist, user, isAdmin, authInitialized } = useStore();
   const cartCount = getCartCount();
   const wishlistCount = wishlist.length;
+  const { data: notifications = [] } = useNotifications(user?.id);
+  const unreadCount = notifications.filter((notification) => !notification.read).length;
 
   useEffect(() => {
     const handleScroll = () => setScrolled(window.scrollY > 20);
@@ -89,6 +93,20 @@ export default function Header() {
               )}
             </Link>
 
+            {/* Notification center (signed-in users) */}
+            {authInitialized && user && (
+              <Link
+                to="/notifications"
+                className="header__action-btn"
+                aria-label="Notifications"
+              >
+                <Bell size={22} strokeWidth={1.5} />
+                {unreadCount > 0 && (
+                  <span className="header__badge">{unreadCount}</span>
+                )}
+              </Link>
+            )}
+
             {/* Admin Link (only for admins) */}
             {authInitialized && user && isAdmin() && (
               <Link
@@ -203,6 +221,11 @@ export default function Header() {
             <Link to="/wishlist" className="mobile-menu__link">
               Wishlist
             </Link>
+            {authInitialized && user && (
+              <Link to="/notifications" className="mobile-menu__link">
+                Notifications{unreadCount > 0 && ` (${unreadCount})`}
+              </Link>
+            )}
             <Link to="/cart" className="mobile-menu__link">
               Shopping Bag
             </Link>
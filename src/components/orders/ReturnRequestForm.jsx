@@ -0,0 +1,190 @@
+import { useEffect, useMemo, useState } from 'react';
+import { fetchProductById } from '../../api/products.api';
+import { createReturnRequest } from '../../api/returns.api';
+import { calculateRefund, getReturnableQuantity } from '../../lib/returns';
+import { formatPrice } from '../../utils/format';
+import {
+  RETURN_TYPES,
+  RETURN_REASONS,
+  RETURN_REASON_LABELS,
+} from '../../config/constants';
+
+export default function ReturnRequestForm({ order, returns, onSubmitted, onCancel }) {
+  const items = useMemo(() => order.order_items || [], [order.order_items]);
+  const [lines, setLines] = useState({});
+  const [productSizes, setProductSizes] = useState({});
+  const [comments, setComments] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load current sizes so exchanges can only pick sizes that still exist
+  useEffect(() => {
+    const productIds = [...new Set(items.map((item) => item.product_id))];
+    Promise.all(productIds.map((id) => fetchProductById(id))).then((products) => {
+      const sizes = {};
+      products.forEach((product) => {
+        if (product) sizes[product.id] = product.sizes || [];
+      });
+      setProductSizes(sizes);
+    });
+  }, [items]);
+
+  const selectedLines = useMemo(
+    () =>
+      Object.entries(lines)
+        .filter(([, line]) => line.selected)
+        .map(([orderItemId, line]) => ({
+          order_item_id: orderItemId,
+          quantity: line.quantity,
+          type: line.type,
+          reason: line.reason,
+          exchange_size: line.exchange_size,
+        })),
+    [lines]
+  );
+
+  const refund = useMemo(
+    () => calculateRefund(order, items, selectedLines),
+    [order, items, selectedLines]
+  );
+
+  const updateLine = (itemId, changes) => {
+    setLines((prev) => ({
+      ...prev,
+      [itemId]: {
+        selected: false,
+        quantity: 1,
+        type: RETURN_TYPES.RETURN,
+        reason: '',
+        exchange_size: '',
+        ...prev[itemId],
+        ...changes,
+      },
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    const result = await createReturnRequest(order.id, selectedLines, comments);
+    setSubmitting(false);
+
+    if (result.success) {
+      onSubmitted(result.data);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <form className="return-form" onSubmit={handleSubmit}>
+      {items.map((item) => {
+        const returnable = getReturnableQuantity(item, returns);
+        const line = lines[item.id] || {};
+        const sizes = (productSizes[item.product_id] || []).filter(
+          (size) => size !== item.size
+        );
+
+        return (
+          <div key={item.id} className="return-form__item">
+            <label className="return-form__select">
+              <input
+                type="checkbox"
+                checked={!!line.selected}
+                disabled={returnable === 0}
+                onChange={(e) => updateLine(item.id, { selected: e.target.checked })}
+              />
+              <span>
+                {item.product_name} ({item.size}
+                {item.color && ` / ${item.color?.name || item.color}`})
+                {returnable === 0 && ' — already requested'}
+              </span>
+            </label>
+
+            {line.selected && (
+              <div className="return-form__fields">
+                <select
+                  value={line.quantity}
+                  onChange={(e) => updateLine(item.id, { quantity: Number(e.target.value) })}
+                >
+                  {Array.from({ length: returnable }, (_, i) => i + 1).map((qty) => (
+                    <option key={qty} value={qty}>
+                      Qty {qty}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={line.type}
+                  onChange={(e) => updateLine(item.id, { type: e.target.value })}
+                >
+                  <option value={RETURN_TYPES.RETURN}>Return for refund</option>
+                  <option value={RETURN_TYPES.EXCHANGE} disabled={sizes.length === 0}>
+                    Exchange size
+                  </option>
+                </select>
+                {line.type === RETURN_TYPES.EXCHANGE && (
+                  <select
+                    value={line.exchange_size}
+                    onChange={(e) => updateLine(item.id, { exchange_size: e.target.value })}
+                    required
+                  >
+                    <option value="">New size</option>
+                    {sizes.map((size) => (
+                      <option key={size} value={size}>
+                        {size}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <select
+                  value={line.reason}
+                  onChange={(e) => updateLine(item.id, { reason: e.target.value })}
+                  required
+                >
+                  <option value="">Reason</option>
+                  {Object.values(RETURN_REASONS).map((reason) => (
+                    <option key={reason} value={reason}>
+                      {RETURN_REASON_LABELS[reason]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <textarea
+        className="return-form__comments"
+        placeholder="Anything else we should know? (optional)"
+        value={comments}
+        onChange={(e) => setComments(e.target.value)}
+        rows={3}
+      />
+
+      {selectedLines.length > 0 && (
+        <p className="return-form__refund">
+          Estimated refund: <strong>{formatPrice(refund.total)}</strong>
+          <span> (includes your share of coupon discount and tax; shipping is not refunded)</span>
+        </p>
+      )}
+
+      {error && <p className="return-form__error">{error}</p>}
+
+      <div className="return-form__actions">
+        <button type="button" className="btn btn--secondary" onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="btn btn--primary"
+          disabled={submitting || selectedLines.length === 0}
+        >
+          {submitting ? 'Submitting...' : 'Submit Request'}
+        </button>
+      </div>
+    </form>
+  );
+}
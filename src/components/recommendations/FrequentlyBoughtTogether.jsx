@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus } from 'lucide-react';
+import useStore from '../../store/useStore';
+import { formatPrice } from '../../utils/format';
+import { findVariant, getVariantPrice, hasVariants } from '../../lib/inventory';
+
+const needsSize = (product) => product.sizes?.length > 0;
+
+/**
+ * The viewed product plus the products most often bought with it, with one
+ * button to add the ticked ones to the cart. The viewed product uses the
+ * size and color picked on the page; the others get a size picker here.
+ */
+export default function FrequentlyBoughtTogether({ product, bundle, selectedSize, selectedColor }) {
+  const { addToCart, showToast } = useStore();
+  const [unchecked, setUnchecked] = useState([]);
+  const [sizes, setSizes] = useState({});
+
+  if (bundle.length === 0) return null;
+
+  const lines = [product, ...bundle].map((item, index) => {
+    const isCurrent = index === 0;
+    const color = isCurrent
+      ? item.colors?.find((c) => c.name === selectedColor) || (selectedColor ? { name: selectedColor } : null)
+      : item.colors?.[0] || null;
+    const size = isCurrent ? selectedSize : sizes[item.id] || '';
+    return {
+      item,
+      isCurrent,
+      size,
+      color,
+      checked: !unchecked.includes(item.id),
+      price: size ? getVariantPrice(item, size, color?.name) : item.price,
+    };
+  });
+  const checkedLines = lines.filter((line) => line.checked);
+  const total = checkedLines.reduce((sum, line) => sum + line.price, 0);
+
+  const toggle = (id) => {
+    setUnchecked((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const handleAddAll = () => {
+    const missing = checkedLines.find((line) => needsSize(line.item) && !line.size);
+    if (missing) {
+      showToast(`Select a size for ${missing.item.name}`, 'error');
+      return;
+    }
+    checkedLines.forEach((line) => addToCart(line.item, line.size, line.color, 1));
+  };
+
+  return (
+    <section className="section fbt">
+      <div className="section__header">
+        <h2 className="section__title">Frequently Bought Together</h2>
+      </div>
+
+      <div className="fbt__items">
+        {lines.map((line, index) => (
+          <div key={line.item.id} className="fbt__item-wrapper">
+            {index > 0 && <Plus size={18} className="fbt__plus" />}
+            <div className={`fbt__item ${line.checked ? '' : 'fbt__item--unchecked'}`}>
+              <Link to={`/products/${line.item.slug}`}>
+                <img src={line.item.images[0]} alt={line.item.name} loading="lazy" />
+              </Link>
+              <label className="fbt__check">
+                <input
+                  type="checkbox"
+                  checked={line.checked}
+                  onChange={() => toggle(line.item.id)}
+                />
+                <span>{line.isCurrent ? `This item: ${line.item.name}` : line.item.name}</span>
+              </label>
+              <span className="fbt__price">{formatPrice(line.price)}</span>
+              {!line.isCurrent && needsSize(line.item) && (
+                <select
+                  className="form-input fbt__size"
+                  value={line.size}
+                  onChange={(e) => setSizes((prev) => ({ ...prev, [line.item.id]: e.target.value }))}
+                  aria-label={`Size for ${line.item.name}`}
+                >
+                  <option value="">Size</option>
+                  {line.item.sizes
+                    .filter(
+                      (size) =>
+                        !hasVariants(line.item) || findVariant(line.item, size, line.color?.name)
+                    )
+                    .map((size) => (
+                      <option key={size} value={size}>
+                        {size}
+                      </option>
+                    ))}
+                </select>
+              )}
+              {line.isCurrent && needsSize(line.item) && !line.size && (
+                <span className="fbt__hint">Pick a size above</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="fbt__summary">
+        <span>
+          Total for {checkedLines.length} item{checkedLines.length === 1 ? '' : 's'}:{' '}
+          <strong>{formatPrice(total)}</strong>
+        </span>
+        <button
+          className="btn btn--primary"
+          onClick={handleAddAll}
+          disabled={checkedLines.length === 0}
+        >
+          {checkedLines.length > 1 ? 'Add All to Cart' : 'Add to Cart'}
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,24 @@
+import useStore from '../../store/useStore';
+import { useRecentlyViewed } from '../../hooks/useRecentlyViewed';
+import RecommendedProducts from './RecommendedProducts';
+
+/**
+ * The shopper's recently viewed products, with a button to clear the history
+ * (hidden when empty)
+ */
+export default function RecentlyViewed({ excludeId = null }) {
+  const clearRecentlyViewed = useStore((state) => state.clearRecentlyViewed);
+  const products = useRecentlyViewed({ excludeId });
+
+  return (
+    <RecommendedProducts
+      title="Recently Viewed"
+      products={products}
+      action={
+        <button type="button" className="recently-viewed__clear" onClick={clearRecentlyViewed}>
+          Clear history
+        </button>
+      }
+    />
+  );
+}
@@ -0,0 +1,47 @@
+import { Link } from 'react-router-dom';
+import { formatPrice } from '../../utils/format';
+
+/**
+ * A titled row of recommended product cards (hidden when empty)
+ * An optional action (e.g. a clear button) is shown under the title.
+ */
+export default function RecommendedProducts({ title, products, action = null }) {
+  if (products.length === 0) return null;
+
+  return (
+    <section className="section">
+      <div className="section__header">
+        <h2 className="section__title">{title}</h2>
+        {action}
+      </div>
+      <div className="product-grid">
+        {products.map((p) => (
+          <Link to={`/products/${p.slug}`} key={p.id} className="product-card">
+            <div className="product-card__image-wrapper">
+              <img
+                src={p.images[0]}
+                alt={p.name}
+                className="product-card__image"
+                loading="lazy"
+              />
+            </div>
+            <div className="product-card__info">
+              <p className="product-card__brand">{p.brand}</p>
+              <h3 className="product-card__name">{p.name}</h3>
+              <div className="product-card__price">
+                <span className="product-card__price--current">
+                  {formatPrice(p.price)}
+                </span>
+                {p.originalPrice > p.price && (
+                  <span className="product-card__price--original">
+                    {formatPrice(p.originalPrice)}
+                  </span>
+                )}
+              </div>
+            </div>
+          </Link>
+        ))}
+      </div>
+    </section>
+  );
+}
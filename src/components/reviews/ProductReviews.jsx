@@ -0,0 +1,183 @@
+import { useState } from 'react';
+import { ThumbsUp } from 'lucide-react';
+import useStore from '../../store/useStore';
+import { formatDate } from '../../utils/format';
+import { voteReviewHelpful } from '../../api/reviews.api';
+import { useProductReviews, useUserReview, useInvalidateReviews } from '../../hooks/useReviews';
+import { REVIEW_SORTS, getRatingBreakdown, sortReviews } from '../../lib/reviews';
+import { REVIEW_STATUS, REVIEW_STATUS_LABELS } from '../../config/constants';
+import StarRating from './StarRating';
+import ReviewForm from './ReviewForm';
+
+const SORT_LABELS = {
+  [REVIEW_SORTS.HELPFUL]: 'Most helpful',
+  [REVIEW_SORTS.NEWEST]: 'Newest',
+  [REVIEW_SORTS.RATING_HIGH]: 'Highest rating',
+  [REVIEW_SORTS.RATING_LOW]: 'Lowest rating',
+};
+
+/**
+ * Rating summary, approved reviews and the customer's own review
+ */
+export default function ProductReviews({ product }) {
+  const { user, showToast } = useStore();
+  const [sort, setSort] = useState(REVIEW_SORTS.HELPFUL);
+  const [isWriting, setIsWriting] = useState(false);
+  const [votedIds, setVotedIds] = useState([]);
+
+  const { data: reviews = [], isLoading } = useProductReviews(product.id);
+  const { data: ownReview } = useUserReview(product.id, user?.id);
+  const invalidateReviews = useInvalidateReviews();
+
+  const reviewsCount = product.reviews_count || 0;
+  const breakdown = getRatingBreakdown(product);
+
+  const handleWrite = () => {
+    if (!user) {
+      window.dispatchEvent(new CustomEvent('requireAuth', {
+        detail: { redirectTo: '/login' }
+      }));
+      return;
+    }
+    setIsWriting(true);
+  };
+
+  const handleHelpful = async (review) => {
+    if (!user) {
+      window.dispatchEvent(new CustomEvent('requireAuth', {
+        detail: { redirectTo: '/login' }
+      }));
+      return;
+    }
+
+    const result = await voteReviewHelpful(review.id, user.id);
+    if (!result.success) {
+      showToast(result.error || 'Could not record your vote', 'error');
+      return;
+    }
+    setVotedIds((prev) => [...prev, review.id]);
+    if (result.data.voted) invalidateReviews();
+  };
+
+  return (
+    <div className="reviews">
+      <div className="reviews__summary">
+        <div className="reviews__average">
+          <span className="reviews__average-value">
+            {reviewsCount > 0 ? product.rating.toFixed(1) : '–'}
+          </span>
+          <StarRating rating={product.rating || 0} />
+          <span className="reviews__average-count">
+            {reviewsCount} review{reviewsCount === 1 ? '' : 's'}
+          </span>
+        </div>
+
+        <div className="reviews__breakdown">
+          {breakdown.map(({ stars, count, percent }) => (
+            <div key={stars} className="reviews__bar-row">
+              <span>{stars}★</span>
+              <div className="reviews__bar">
+                <div className="reviews__bar-fill" style={{ width: `${percent}%` }} />
+              </div>
+              <span>{count}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Own review: status, or the form */}
+      {isWriting ? (
+        <ReviewForm
+          productId={product.id}
+          review={ownReview}
+          onSubmitted={() => {
+            setIsWriting(false);
+            invalidateReviews();
+          }}
+          onCancel={() => setIsWriting(false)}
+        />
+      ) : ownReview ? (
+        <div className="reviews__own">
+          <p>
+            Your review is <strong>{REVIEW_STATUS_LABELS[ownReview.status].toLowerCase()}</strong>
+            {ownReview.status === REVIEW_STATUS.PENDING && ' and will appear once it has been checked'}
+            .
+          </p>
+          {ownReview.status === REVIEW_STATUS.REJECTED && ownReview.moderation_note && (
+            <p className="reviews__own-note">{ownReview.moderation_note}</p>
+          )}
+          <button className="btn btn--secondary btn--sm" onClick={handleWrite}>
+            Edit Your Review
+          </button>
+        </div>
+      ) : (
+        <button className="btn btn--secondary" onClick={handleWrite}>
+          Write a Review
+        </button>
+      )}
+
+      {reviews.length > 1 && (
+        <div className="reviews__toolbar">
+          <label htmlFor="reviews-sort">Sort by</label>
+          <select
+            id="reviews-sort"
+            className="form-input"
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+          >
+            {Object.values(REVIEW_SORTS).map((value) => (
+              <option key={value} value={value}>
+                {SORT_LABELS[value]}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="reviews__empty">Loading reviews...</p>
+      ) : reviews.length === 0 ? (
+        <p className="reviews__empty">
+          No reviews yet. Be the first to review this product!
+        </p>
+      ) : (
+        sortReviews(reviews, sort).map((review) => (
+          <div key={review.id} className="review">
+            <div className="review__header">
+              <StarRating rating={review.rating} size={14} />
+              {review.title && <span className="review__title">{review.title}</span>}
+              {review.verified && (
+                <span className="badge badge--success">Verified Purchase</span>
+              )}
+            </div>
+            <p className="review__text">{review.text}</p>
+            {review.photos?.length > 0 && (
+              <div className="review__photos">
+                {review.photos.map((url) => (
+                  <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                    <img src={url} alt="Customer photo" loading="lazy" />
+                  </a>
+                ))}
+              </div>
+            )}
+            <div className="review__footer">
+              <span>
+                {review.author_name} — {formatDate(review.created_at)}
+              </span>
+              {review.user_id !== user?.id && (
+                <button
+                  className="review__helpful"
+                  onClick={() => handleHelpful(review)}
+                  disabled={votedIds.includes(review.id)}
+                >
+                  <ThumbsUp size={14} />
+                  Helpful ({review.helpful_count || 0})
+                </button>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
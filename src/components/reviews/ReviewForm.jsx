@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { Star } from 'lucide-react';
+import useStore from '../../store/useStore';
+import { submitReview } from '../../api/reviews.api';
+import { validateReview } from '../../lib/reviews';
+import { REVIEW_CONFIG } from '../../config/constants';
+import ImageUpload from '../admin/ImageUpload';
+
+/**
+ * Write or edit the signed-in customer's review of a product
+ */
+export default function ReviewForm({ productId, review, onSubmitted, onCancel }) {
+  const { user, showToast } = useStore();
+  const [rating, setRating] = useState(review?.rating || 0);
+  const [title, setTitle] = useState(review?.title || '');
+  const [text, setText] = useState(review?.text || '');
+  const [photos, setPhotos] = useState(review?.photos || []);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validation = validateReview({ rating, title, text, photos });
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await submitReview(user, productId, { rating, title, text, photos });
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      showToast(result.error || 'Could not submit your review', 'error');
+      return;
+    }
+    showToast('Thanks! Your review will appear once it has been checked.', 'success');
+    onSubmitted();
+  };
+
+  return (
+    <form className="review-form" onSubmit={handleSubmit} noValidate>
+      <div className="review-form__field">
+        <label className="review-form__label">Rating *</label>
+        <div className="review-form__stars" role="radiogroup" aria-label="Rating">
+          {[1, 2, 3, 4, 5].map((value) => (
+            <button
+              key={value}
+              type="button"
+              role="radio"
+              aria-checked={rating === value}
+              aria-label={`${value} star${value > 1 ? 's' : ''}`}
+              className={`review-form__star ${value <= rating ? 'review-form__star--on' : ''}`}
+              onClick={() => {
+                setRating(value);
+                setErrors((prev) => ({ ...prev, rating: null }));
+              }}
+            >
+              <Star size={24} fill={value <= rating ? 'currentColor' : 'none'} />
+            </button>
+          ))}
+        </div>
+        {errors.rating && <p className="review-form__error">{errors.rating}</p>}
+      </div>
+
+      <div className="review-form__field">
+        <label className="review-form__label" htmlFor="review-title">Title</label>
+        <input
+          id="review-title"
+          type="text"
+          className="form-input"
+          value={title}
+          maxLength={REVIEW_CONFIG.MAX_TITLE_LENGTH}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Sum it up in a few words"
+        />
+        {errors.title && <p className="review-form__error">{errors.title}</p>}
+      </div>
+
+      <div className="review-form__field">
+        <label className="review-form__label" htmlFor="review-text">Review *</label>
+        <textarea
+          id="review-text"
+          className="form-input"
+          rows={5}
+          value={text}
+          maxLength={REVIEW_CONFIG.MAX_TEXT_LENGTH}
+          onChange={(e) => {
+            setText(e.target.value);
+            setErrors((prev) => ({ ...prev, text: null }));
+          }}
+          placeholder="How was the fit, fabric and quality?"
+        />
+        {errors.text && <p className="review-form__error">{errors.text}</p>}
+      </div>
+
+      <div className="review-form__field">
+        <label className="review-form__label">Photos (optional)</label>
+        <ImageUpload images={photos} onChange={setPhotos} maxImages={REVIEW_CONFIG.MAX_PHOTOS} />
+        {errors.photos && <p className="review-form__error">{errors.photos}</p>}
+      </div>
+
+      <div className="review-form__actions">
+        <button type="submit" className="btn btn--primary" disabled={isSubmitting}>
+          {isSubmitting ? 'Submitting...' : review ? 'Update Review' : 'Submit Review'}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn--secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
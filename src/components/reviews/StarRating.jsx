@@ -0,0 +1,20 @@
+import { Star } from 'lucide-react';
+
+export default function StarRating({ rating, size = 16 }) {
+  return (
+    <div className="stars">
+      {[1, 2, 3, 4, 5].map((i) => (
+        <Star
+          key={i}
+          size={size}
+          className={
+            i <= Math.floor(rating)
+              ? 'stars__star stars__star--filled'
+              : 'stars__star'
+          }
+          fill={i <= Math.floor(rating) ? 'currentColor' : 'none'}
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import useStore from '../../store/useStore';
+import { saveSizeProfile } from '../../api/sizeCharts.api';
+import { useSizeProfile, useSizeHistory, useInvalidateSizeProfile } from '../../hooks/useSizeCharts';
+import { toInches, fromInches, recommendSize } from '../../lib/sizeCharts';
+import { BODY_MEASUREMENTS, SIZE_MEASUREMENT_LABELS } from '../../config/constants';
+
+const convertValues = (values, from, to) =>
+  Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      Number(value) > 0 ? String(fromInches(toInches(Number(value), from), to)) : value,
+    ])
+  );
+
+/**
+ * Recommend a size from the customer's measurements and past orders
+ * Measurements are typed in the unit the chart is shown in; signed-in
+ * customers can save them for next time.
+ */
+export default function FindMySize({ chart, unit, selectableSizes = [], onSelectSize }) {
+  const { user, showToast } = useStore();
+  const { data: profile } = useSizeProfile(user?.id);
+  const { data: history = [] } = useSizeHistory(user?.id);
+  const invalidateSizeProfile = useInvalidateSizeProfile();
+
+  const [values, setValues] = useState({});
+  const [valuesUnit, setValuesUnit] = useState(unit);
+  const [prefilled, setPrefilled] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Fill in saved measurements once they load, and convert typed values
+  // when the unit changes
+  if (profile && !prefilled) {
+    setPrefilled(true);
+    setValuesUnit(unit);
+    setValues(
+      Object.fromEntries(
+        BODY_MEASUREMENTS.filter((key) => profile[key] > 0).map((key) => [
+          key,
+          String(fromInches(profile[key], unit)),
+        ])
+      )
+    );
+  } else if (valuesUnit !== unit) {
+    setValuesUnit(unit);
+    setValues(convertValues(values, valuesUnit, unit));
+  }
+
+  const fields = chart.measurements.filter((key) => BODY_MEASUREMENTS.includes(key));
+  const measurements = Object.fromEntries(
+    fields
+      .filter((key) => Number(values[key]) > 0)
+      .map((key) => [key, toInches(Number(values[key]), unit)])
+  );
+  const recommendation = recommendSize(chart, { measurements, history });
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const result = await saveSizeProfile(user.id, {
+      ...Object.fromEntries(
+        BODY_MEASUREMENTS.map((key) => [key, measurements[key] ?? profile?.[key] ?? null])
+      ),
+      unit,
+    });
+    setIsSaving(false);
+
+    if (result.success) {
+      invalidateSizeProfile(user.id);
+      showToast('Measurements saved', 'success');
+    } else {
+      showToast(result.error || 'Could not save your measurements', 'error');
+    }
+  };
+
+  return (
+    <div className="find-my-size">
+      <h4 className="find-my-size__title">Find My Size</h4>
+
+      {fields.length > 0 && (
+        <div className="find-my-size__fields">
+          {fields.map((key) => (
+            <label key={key} className="find-my-size__field">
+              <span>
+                {SIZE_MEASUREMENT_LABELS[key]} ({unit})
+              </span>
+              <input
+                type="number"
+                min={0}
+                step="0.5"
+                className="form-input"
+                value={values[key] || ''}
+                onChange={(e) => setValues((prev) => ({ ...prev, [key]: e.target.value }))}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {recommendation ? (
+        <div className="find-my-size__result">
+          <p>
+            We recommend <strong>{recommendation.size}</strong>
+          </p>
+          <ul className="find-my-size__notes">
+            {recommendation.notes.map((note) => (
+              <li key={note}>{note}</li>
+            ))}
+          </ul>
+          {onSelectSize && selectableSizes.includes(recommendation.size) && (
+            <button
+              type="button"
+              className="btn btn--primary btn--sm"
+              onClick={() => onSelectSize(recommendation.size)}
+            >
+              Select {recommendation.size}
+            </button>
+          )}
+        </div>
+      ) : (
+        <p className="find-my-size__hint">
+          {fields.length > 0
+            ? 'Enter your measurements to see your size.'
+            : "We'll suggest a size once you've ordered from this category."}
+          {!user && ' Sign in to use sizes from your past orders.'}
+        </p>
+      )}
+
+      {user && Object.keys(measurements).length > 0 && (
+        <button
+          type="button"
+          className="find-my-size__save"
+          onClick={handleSave}
+          disabled={isSaving}
+        >
+          {isSaving ? 'Saving...' : 'Save my measurements'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { formatRange } from '../../lib/sizeCharts';
+import { SIZE_MEASUREMENT_LABELS } from '../../config/constants';
+
+/**
+ * Size chart rows in inches or cm
+ */
+export default function SizeChartTable({ chart, unit }) {
+  return (
+    <table className="size-chart">
+      <thead>
+        <tr>
+          <th>Size</th>
+          {chart.measurements.map((key) => (
+            <th key={key}>
+              {SIZE_MEASUREMENT_LABELS[key] || key} ({unit})
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {chart.rows.map((row) => (
+          <tr key={row.size}>
+            <td>{row.size}</td>
+            {chart.measurements.map((key) => (
+              <td key={key}>{formatRange(row[key], unit)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import useStore from '../../store/useStore';
+import { useSizeChart, useSizeProfile } from '../../hooks/useSizeCharts';
+import { SIZE_UNITS } from '../../config/constants';
+import SizeChartTable from './SizeChartTable';
+import FindMySize from './FindMySize';
+
+/**
+ * Size chart for a product with an inches/cm toggle and "find my size"
+ */
+export default function SizeGuide({ product, selectableSizes, onSelectSize }) {
+  const { user } = useStore();
+  const { data: chart, isLoading } = useSizeChart(product);
+  const { data: profile } = useSizeProfile(user?.id);
+  const [selectedUnit, setSelectedUnit] = useState(null);
+  const unit = selectedUnit || profile?.unit || SIZE_UNITS.IN;
+
+  if (isLoading) {
+    return <div className="spinner" />;
+  }
+
+  if (!chart) {
+    return (
+      <p className="size-guide__empty">
+        There's no size chart for this product yet. Contact us and we'll help you pick a size.
+      </p>
+    );
+  }
+
+  return (
+    <div className="size-guide">
+      <div className="size-guide__header">
+        <span className="size-guide__name">{chart.name}</span>
+        <div className="size-guide__units" role="group" aria-label="Units">
+          {Object.values(SIZE_UNITS).map((value) => (
+            <button
+              key={value}
+              type="button"
+              className={`size-guide__unit ${unit === value ? 'size-guide__unit--active' : ''}`}
+              onClick={() => setSelectedUnit(value)}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <SizeChartTable chart={chart} unit={unit} />
+
+      <FindMySize
+        chart={chart}
+        unit={unit}
+        selectableSizes={selectableSizes}
+        onSelectSize={onSelectSize}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { ListPlus, Check } from 'lucide-react';
+import useStore from '../../store/useStore';
+import { addItemToList, createList } from '../../api/wishlistLists.api';
+import { validateListName, MAX_LIST_NAME_LENGTH } from '../../lib/wishlistLists';
+import { useWishlistLists, useInvalidateWishlistLists } from '../../hooks/useWishlistLists';
+
+/**
+ * "Add to list" dropdown: adds a product (with the chosen size and color)
+ * to one of the user's named lists, or to a new one
+ */
+export default function AddToListMenu({ productId, size, color }) {
+  const { user, showToast } = useStore();
+  const { data: lists = [] } = useWishlistLists(user?.id);
+  const invalidateLists = useInvalidateWishlistLists();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const [nameError, setNameError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const line = { product_id: productId, size, color };
+
+  const handleToggle = () => {
+    if (!user) {
+      window.dispatchEvent(new CustomEvent('requireAuth', {
+        detail: { redirectTo: '/login' }
+      }));
+      return;
+    }
+    setIsOpen((open) => !open);
+  };
+
+  const addToList = async (listId, listName) => {
+    const result = await addItemToList(listId, line);
+    if (!result.success) {
+      showToast('Could not add to list', 'error');
+      return;
+    }
+    showToast(
+      result.data.added ? `Added to ${listName}` : `Already in ${listName}`,
+      result.data.added ? 'success' : 'info'
+    );
+    invalidateLists();
+    setIsOpen(false);
+  };
+
+  const handleSelect = async (list) => {
+    setIsSaving(true);
+    await addToList(list.id, list.name);
+    setIsSaving(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const validation = validateListName(newListName, lists);
+    if (!validation.isValid) {
+      setNameError(validation.error);
+      return;
+    }
+
+    setIsSaving(true);
+    const result = await createList(user.id, newListName);
+    if (result.success) {
+      await addToList(result.data.id, newListName.trim());
+      setNewListName('');
+      setNameError('');
+    } else {
+      showToast('Could not create list', 'error');
+    }
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="add-to-list">
+      <button
+        type="button"
+        className="add-to-list__toggle"
+        onClick={handleToggle}
+        aria-expanded={isOpen}
+      >
+        <ListPlus size={16} /> Add to list
+      </button>
+
+      {isOpen && (
+        <div className="add-to-list__menu">
+          {lists.length > 0 && (
+            <ul className="add-to-list__lists">
+              {lists.map((list) => (
+                <li key={list.id}>
+                  <button
+                    type="button"
+                    className="add-to-list__option"
+                    onClick={() => handleSelect(list)}
+                    disabled={isSaving}
+                  >
+                    {list.name}
+                    {list.items?.some((item) => item.product_id === productId) && (
+                      <Check size={14} />
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form className="add-to-list__create" onSubmit={handleCreate}>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="New list, e.g. Diwali"
+              value={newListName}
+              maxLength={MAX_LIST_NAME_LENGTH}
+              onChange={(e) => {
+                setNewListName(e.target.value);
+                setNameError('');
+              }}
+            />
+            <button type="submit" className="btn btn--primary btn--sm" disabled={isSaving}>
+              Create
+            </button>
+          </form>
+          {nameError && <p className="add-to-list__error">{nameError}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
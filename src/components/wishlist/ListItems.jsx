@@ -0,0 +1,95 @@
+import { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { ShoppingBag, X } from 'lucide-react';
+import { formatPrice } from '../../utils/format';
+import { getCartLineKey } from '../../lib/cart';
+import { getColorName, getVariantLabel } from '../../lib/inventory';
+import { useProductsByIds } from '../../hooks/useProducts';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+/**
+ * Products in a named list, with the size and color they were saved in
+ * Items can only be removed when `onRemove` is given (the owner's view).
+ */
+export default function ListItems({ items, onRemove }) {
+  const productIds = useMemo(
+    () => [...new Set(items.map((item) => item.product_id))],
+    [items]
+  );
+  const { data: products = [], isLoading } = useProductsByIds(productIds);
+
+  const productsById = useMemo(
+    () => Object.fromEntries(products.map((product) => [product.id, product])),
+    [products]
+  );
+
+  if (items.length === 0) {
+    return <p className="list-items__empty">This list is empty.</p>;
+  }
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="wishlist-grid">
+      {items.map((item) => {
+        const product = productsById[item.product_id];
+        // Deleted products drop out of the list
+        if (!product) return null;
+
+        const key = getCartLineKey(item);
+        const variant = getVariantLabel({ size: item.size, color: getColorName(item.color) });
+        return (
+          <div key={key} className="wishlist-item">
+            {onRemove && (
+              <button
+                className="wishlist-item__remove"
+                aria-label="Remove from list"
+                onClick={() => onRemove(key)}
+              >
+                <X size={16} />
+              </button>
+            )}
+
+            <Link
+              to={`/products/${product.slug}`}
+              className="product-card"
+              style={{ boxShadow: 'none' }}
+            >
+              <div className="product-card__image-wrapper">
+                <img
+                  src={product.images[0]}
+                  alt={product.name}
+                  className="product-card__image"
+                  loading="lazy"
+                />
+              </div>
+              <div
+                className="product-card__info"
+                style={{ padding: 'var(--space-4) 0 0' }}
+              >
+                <p className="product-card__brand">{product.brand}</p>
+                <h3 className="product-card__name">{product.name}</h3>
+                {variant && <p className="list-items__variant">{variant}</p>}
+                <div className="product-card__price">
+                  <span className="product-card__price--current">
+                    {formatPrice(product.price)}
+                  </span>
+                </div>
+              </div>
+            </Link>
+
+            <Link
+              to={`/products/${product.slug}`}
+              className="btn btn--secondary btn--full btn--sm"
+              style={{ marginTop: 'var(--space-4)' }}
+            >
+              <ShoppingBag size={14} /> View Product
+            </Link>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import { useState } from 'react';
+import { Link2, Pencil, Trash2 } from 'lucide-react';
+import useStore from '../../store/useStore';
+import {
+  renameList,
+  deleteList,
+  setListShared,
+  removeItemFromList,
+} from '../../api/wishlistLists.api';
+import {
+  validateListName,
+  getListShareUrl,
+  MAX_LIST_NAME_LENGTH,
+} from '../../lib/wishlistLists';
+import { useInvalidateWishlistLists } from '../../hooks/useWishlistLists';
+import ListItems from './ListItems';
+
+/**
+ * The owner's view of a named list: rename, share by link, delete, and
+ * remove items
+ */
+export default function NamedList({ list, lists, onDeleted }) {
+  const { showToast } = useStore();
+  const invalidateLists = useInvalidateWishlistLists();
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(list.name);
+  const [nameError, setNameError] = useState('');
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const validation = validateListName(
+      name,
+      lists.filter((other) => other.id !== list.id)
+    );
+    if (!validation.isValid) {
+      setNameError(validation.error);
+      return;
+    }
+
+    const result = await renameList(list.id, name);
+    if (!result.success) {
+      showToast('Could not rename list', 'error');
+      return;
+    }
+    setIsRenaming(false);
+    setNameError('');
+    invalidateLists();
+  };
+
+  const handleToggleShared = async () => {
+    const result = await setListShared(list.id, !list.is_shared);
+    if (!result.success) {
+      showToast('Could not update sharing', 'error');
+      return;
+    }
+    showToast(
+      list.is_shared ? 'List is private now' : 'Anyone with the link can view this list',
+      'success'
+    );
+    invalidateLists();
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getListShareUrl(list.id));
+      showToast('Link copied', 'success');
+    } catch {
+      showToast('Could not copy the link', 'error');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${list.name}"? This can't be undone.`)) return;
+
+    const result = await deleteList(list.id);
+    if (!result.success) {
+      showToast('Could not delete list', 'error');
+      return;
+    }
+    showToast('List deleted', 'success');
+    invalidateLists();
+    onDeleted();
+  };
+
+  const handleRemoveItem = async (key) => {
+    const result = await removeItemFromList(list.id, key);
+    if (!result.success) {
+      showToast('Could not remove item', 'error');
+      return;
+    }
+    invalidateLists();
+  };
+
+  return (
+    <div className="named-list">
+      <div className="named-list__header">
+        {isRenaming ? (
+          <form className="named-list__rename" onSubmit={handleRename}>
+            <input
+              type="text"
+              className="form-input"
+              value={name}
+              maxLength={MAX_LIST_NAME_LENGTH}
+              onChange={(e) => {
+                setName(e.target.value);
+                setNameError('');
+              }}
+              autoFocus
+            />
+            <button type="submit" className="btn btn--primary btn--sm">
+              Save
+            </button>
+            <button
+              type="button"
+              className="btn btn--secondary btn--sm"
+              onClick={() => {
+                setIsRenaming(false);
+                setName(list.name);
+                setNameError('');
+              }}
+            >
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <h2 className="named-list__name">{list.name}</h2>
+        )}
+
+        <div className="named-list__actions">
+          {!isRenaming && (
+            <button type="button" className="named-list__action" onClick={() => setIsRenaming(true)}>
+              <Pencil size={14} /> Rename
+            </button>
+          )}
+          <label className="named-list__share">
+            <input
+              type="checkbox"
+              checked={!!list.is_shared}
+              onChange={handleToggleShared}
+            />
+            Share by link
+          </label>
+          {list.is_shared && (
+            <button type="button" className="named-list__action" onClick={handleCopyLink}>
+              <Link2 size={14} /> Copy link
+            </button>
+          )}
+          <button
+            type="button"
+            className="named-list__action named-list__action--danger"
+            onClick={handleDelete}
+          >
+            <Trash2 size={14} /> Delete
+          </button>
+        </div>
+      </div>
+      {nameError && <p className="add-to-list__error">{nameError}</p>}
+
+      <ListItems items={list.items || []} onRemove={handleRemoveItem} />
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { Bell, BellOff, TrendingDown } from 'lucide-react';
+import useStore from '../../store/useStore';
+import { subscribeToAlert, unsubscribeFromAlert } from '../../api/notifications.api';
+import { getAlertId } from '../../lib/stockAlerts';
+import { useStockAlerts, useInvalidateNotifications } from '../../hooks/useNotifications';
+import { STOCK_ALERT_TYPES } from '../../config/constants';
+
+const LABELS = {
+  [STOCK_ALERT_TYPES.BACK_IN_STOCK]: {
+    off: 'Notify me when back in stock',
+    on: "We'll tell you when it's back",
+    subscribed: "We'll let you know when it's back in stock",
+  },
+  [STOCK_ALERT_TYPES.PRICE_DROP]: {
+    off: 'Alert me if the price drops',
+    on: 'Price drop alert on',
+    subscribed: "We'll let you know if the price drops",
+  },
+};
+
+/**
+ * Toggle a back-in-stock or price-drop alert for a product or variant
+ */
+export default function StockAlertButton({ product, size = '', color = null, type }) {
+  const { user, showToast } = useStore();
+  const { data: alerts = [] } = useStockAlerts(user?.id);
+  const invalidate = useInvalidateNotifications();
+  const [isSaving, setIsSaving] = useState(false);
+
+  const alertId = user
+    ? getAlertId(user.id, type, { product_id: product.id, size, color })
+    : null;
+  const isSubscribed = alerts.some((alert) => alert.id === alertId);
+  const labels = LABELS[type];
+  const Icon = type === STOCK_ALERT_TYPES.PRICE_DROP ? TrendingDown : Bell;
+
+  const handleClick = async () => {
+    if (!user) {
+      window.dispatchEvent(new CustomEvent('requireAuth', {
+        detail: { redirectTo: '/login' }
+      }));
+      return;
+    }
+
+    setIsSaving(true);
+    const result = isSubscribed
+      ? await unsubscribeFromAlert(alertId)
+      : await subscribeToAlert(user, { product, size, color, type });
+    setIsSaving(false);
+
+    if (!result.success) {
+      showToast('Could not update the alert', 'error');
+      return;
+    }
+    showToast(isSubscribed ? 'Alert turned off' : labels.subscribed, 'success');
+    invalidate();
+  };
+
+  return (
+    <button
+      type="button"
+      className={`stock-alert-btn ${isSubscribed ? 'stock-alert-btn--on' : ''}`}
+      onClick={handleClick}
+      disabled={isSaving}
+      aria-pressed={isSubscribed}
+    >
+      {isSubscribed ? <BellOff size={16} /> : <Icon size={16} />}
+      {isSubscribed ? labels.on : labels.off}
+    </button>
+  );
+}
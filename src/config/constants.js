@@ -59,6 +59,7 @@ export const ROUTES = {
   PRODUCT_DETAIL: '/products/:slug',
   CART: '/cart',
   WISHLIST: '/wishlist',
+  SHARED_LIST: '/lists/:listId',
   CHECKOUT: '/checkout',
 
   // Auth
@@ -71,6 +72,8 @@ export const ROUTES = {
   // User
   ACCOUNT: '/account',
   ORDER_TRACKING: '/order/:id',
+  TRACK_ORDER: '/track-order',
+  NOTIFICATIONS: '/notifications',
 
   // Admin
   ADMIN: '/admin',
@@ -80,6 +83,11 @@ export const ROUTES = {
   ADMIN_ORDERS: '/admin/orders',
   ADMIN_ORDER_DETAIL: '/admin/orders/:id',
   ADMIN_BANNERS: '/admin/banners',
+  ADMIN_RETURNS: '/admin/returns',
+  ADMIN_COD: '/admin/cod',
+  ADMIN_REVIEWS: '/admin/reviews',
+  ADMIN_SIZE_CHARTS: '/admin/size-charts',
+  ADMIN_SEARCH: '/admin/search',
 
   // Other
   NOT_FOUND: '*',
@@ -112,17 +120,118 @@ export const ORDER_STATUS_LABELS = {
   [ORDER_STATUS.REFUNDED]: 'Refunded',
 };
 
+// Allowed status changes; anything not listed here is rejected
+export const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [
+    ORDER_STATUS.PLACED,
+    ORDER_STATUS.CONFIRMED,
+    ORDER_STATUS.CANCELLED,
+  ],
+  [ORDER_STATUS.PLACED]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.CONFIRMED]: [
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.CANCELLED,
+  ],
+  [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SHIPPED]: [
+    ORDER_STATUS.OUT_FOR_DELIVERY,
+    ORDER_STATUS.DELIVERED,
+  ],
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+// Individual order lines can be cancelled before the order ships
+export const ORDER_ITEM_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled',
+};
+
+// ========================================
+// RETURNS & EXCHANGES
+// ========================================
+export const RETURN_WINDOW_DAYS = 7;
+
+// Items per return request (the return rules in firestore.rules check this many)
+export const RETURN_MAX_LINES = 5;
+
+export const RETURN_TYPES = {
+  RETURN: 'return',
+  EXCHANGE: 'exchange',
+};
+
+export const RETURN_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RECEIVED: 'received',
+  REFUNDED: 'refunded',
+  EXCHANGED: 'exchanged',
+};
+
+export const RETURN_STATUS_LABELS = {
+  [RETURN_STATUS.REQUESTED]: 'Requested',
+  [RETURN_STATUS.APPROVED]: 'Approved',
+  [RETURN_STATUS.REJECTED]: 'Rejected',
+  [RETURN_STATUS.RECEIVED]: 'Received',
+  [RETURN_STATUS.REFUNDED]: 'Refunded',
+  [RETURN_STATUS.EXCHANGED]: 'Exchanged',
+};
+
+export const RETURN_STATUS_TRANSITIONS = {
+  [RETURN_STATUS.REQUESTED]: [RETURN_STATUS.APPROVED, RETURN_STATUS.REJECTED],
+  [RETURN_STATUS.APPROVED]: [RETURN_STATUS.RECEIVED, RETURN_STATUS.EXCHANGED],
+  [RETURN_STATUS.RECEIVED]: [RETURN_STATUS.REFUNDED],
+  [RETURN_STATUS.REJECTED]: [],
+  [RETURN_STATUS.REFUNDED]: [],
+  [RETURN_STATUS.EXCHANGED]: [],
+};
+
+export const RETURN_REASONS = {
+  SIZE_TOO_SMALL: 'size_too_small',
+  SIZE_TOO_LARGE: 'size_too_large',
+  DAMAGED: 'damaged',
+  WRONG_ITEM: 'wrong_item',
+  NOT_AS_DESCRIBED: 'not_as_described',
+  QUALITY: 'quality',
+  CHANGED_MIND: 'changed_mind',
+};
+
+export const RETURN_REASON_LABELS = {
+  [RETURN_REASONS.SIZE_TOO_SMALL]: 'Size too small',
+  [RETURN_REASONS.SIZE_TOO_LARGE]: 'Size too large',
+  [RETURN_REASONS.DAMAGED]: 'Damaged or defective',
+  [RETURN_REASONS.WRONG_ITEM]: 'Wrong item delivered',
+  [RETURN_REASONS.NOT_AS_DESCRIBED]: 'Not as described',
+  [RETURN_REASONS.QUALITY]: 'Quality not as expected',
+  [RETURN_REASONS.CHANGED_MIND]: 'Changed my mind',
+};
+
 // ========================================
 // PAYMENT STATUS
 // ========================================
 export const PAYMENT_STATUS = {
   PENDING: 'pending',
   VERIFICATION_PENDING: 'verification_pending',
+  PAID: 'paid',
   COMPLETED: 'completed',
   FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
   REFUNDED: 'refunded',
 };
 
+// Status of a payment intent at the gateway
+export const PAYMENT_INTENT_STATUS = {
+  REQUIRES_ACTION: 'requires_action',
+  // Submitted by the customer, waiting for the gateway or an admin to settle it
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
 // ========================================
 // PAYMENT METHODS
 // ========================================
@@ -140,6 +249,150 @@ export const PAYMENT_METHOD_LABELS = {
   [PAYMENT_METHODS.NET_BANKING]: 'Net Banking',
 };
 
+// UPI account that receives payments (used in UPI links and QR codes)
+export const MERCHANT_UPI = {
+  VPA: import.meta.env.VITE_MERCHANT_VPA || '',
+  NAME: 'Stryng Clothing',
+};
+
+// The offline mock gateway approves any valid-looking details, so it is only
+// available in development and tests
+export const MOCK_PAYMENTS_ENABLED = !!import.meta.env.DEV || import.meta.env.MODE === 'test';
+
+// Gateway provider backing each online payment method (null when none is
+// configured; the method is then not offered at checkout). Without a gateway,
+// UPI falls back to manual transfers to the merchant VPA that an admin verifies.
+const DEFAULT_PAYMENT_PROVIDER = MOCK_PAYMENTS_ENABLED ? 'mock' : null;
+export const PAYMENT_PROVIDERS = {
+  [PAYMENT_METHODS.UPI]:
+    import.meta.env.VITE_PAYMENT_PROVIDER_UPI ||
+    DEFAULT_PAYMENT_PROVIDER ||
+    (MERCHANT_UPI.VPA ? 'manual_upi' : null),
+  [PAYMENT_METHODS.CARD]: import.meta.env.VITE_PAYMENT_PROVIDER_CARD || DEFAULT_PAYMENT_PROVIDER,
+  [PAYMENT_METHODS.NET_BANKING]:
+    import.meta.env.VITE_PAYMENT_PROVIDER_NET_BANKING || DEFAULT_PAYMENT_PROVIDER,
+};
+
+// Cash on Delivery rules (a max order value of 0 means no limit)
+export const COD_CONFIG = {
+  ENABLED: import.meta.env.VITE_COD_ENABLED !== 'false',
+  FEE: Number(import.meta.env.VITE_COD_FEE || 0),
+  MAX_ORDER_VALUE: Number(import.meta.env.VITE_COD_MAX_ORDER_VALUE || 0),
+};
+
+// Where the cash for a COD order is: with the courier, collected, or
+// remitted to us and matched against the order
+export const COD_STATUS = {
+  PENDING: 'pending',
+  COLLECTED: 'collected',
+  RECONCILED: 'reconciled',
+};
+
+export const COD_STATUS_LABELS = {
+  [COD_STATUS.PENDING]: 'To Collect',
+  [COD_STATUS.COLLECTED]: 'Collected',
+  [COD_STATUS.RECONCILED]: 'Reconciled',
+};
+
+export const NET_BANKING_BANKS = [
+  { code: 'SBIN', name: 'State Bank of India' },
+  { code: 'HDFC', name: 'HDFC Bank' },
+  { code: 'ICIC', name: 'ICICI Bank' },
+  { code: 'UTIB', name: 'Axis Bank' },
+  { code: 'KKBK', name: 'Kotak Mahindra Bank' },
+];
+
+// ========================================
+// REVIEWS
+// ========================================
+// Reviews are shown (and counted in the product's rating) once approved
+export const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+export const REVIEW_STATUS_LABELS = {
+  [REVIEW_STATUS.PENDING]: 'Pending',
+  [REVIEW_STATUS.APPROVED]: 'Approved',
+  [REVIEW_STATUS.REJECTED]: 'Rejected',
+};
+
+export const REVIEW_CONFIG = {
+  MIN_TEXT_LENGTH: 10,
+  MAX_TEXT_LENGTH: 2000,
+  MAX_TITLE_LENGTH: 100,
+  MAX_PHOTOS: 3,
+};
+
+// ========================================
+// SIZE CHARTS
+// ========================================
+// Size charts are stored in inches and shown in either unit
+export const SIZE_UNITS = {
+  IN: 'in',
+  CM: 'cm',
+};
+
+export const SIZE_MEASUREMENT_LABELS = {
+  chest: 'Chest',
+  waist: 'Waist',
+  hip: 'Hip',
+  shoulder: 'Shoulder',
+  length: 'Length',
+  inseam: 'Inseam',
+};
+
+// Body measurements customers can save for "find my size" (garment
+// measurements like length are only shown in the chart)
+export const BODY_MEASUREMENTS = ['chest', 'waist', 'hip'];
+
+// ========================================
+// RECOMMENDATIONS
+// ========================================
+export const RECOMMENDATION_CONFIG = {
+  RELATED_LIMIT: 4,
+  BUNDLE_LIMIT: 2,
+  COMPLETE_LOOK_LIMIT: 4,
+  // Pairs bought together fewer times than this aren't "frequently" bought together
+  MIN_CO_PURCHASES: 2,
+  // Prices within this share of each other count as the same price band
+  PRICE_BAND: 0.25,
+};
+
+// Products kept in a shopper's recently viewed history, and shown per rail
+export const RECENTLY_VIEWED_CONFIG = {
+  MAX_ITEMS: 20,
+  RAIL_LIMIT: 8,
+};
+
+// ========================================
+// SEARCH ANALYTICS
+// ========================================
+export const SEARCH_ANALYTICS_CONFIG = {
+  // Longer queries are cut to this length before they're logged
+  MAX_QUERY_LENGTH: 80,
+  TRENDING_DAYS: 7,
+  TRENDING_LIMIT: 5,
+  // Terms searched fewer times than this in the window aren't trending
+  MIN_TRENDING_SEARCHES: 3,
+  // Windows (in days) offered in the admin search report
+  REPORT_WINDOWS: [7, 30, 90],
+};
+
+// ========================================
+// NOTIFICATIONS
+// ========================================
+// What a customer can ask to be told about for a product or variant
+export const STOCK_ALERT_TYPES = {
+  BACK_IN_STOCK: 'back_in_stock',
+  PRICE_DROP: 'price_drop',
+};
+
+// Service that sends notification emails (only "stub" ships; it logs
+// emails instead of sending them)
+export const EMAIL_CHANNEL = import.meta.env.VITE_EMAIL_CHANNEL || 'stub';
+
 // ========================================
 // PRODUCT CATEGORIES
 // ========================================
@@ -151,6 +404,84 @@ export const CATEGORIES = {
   JACKETS: 'jackets',
 };
 
+// ========================================
+// SHIPPING
+// ========================================
+export const SHIPPING_METHODS = {
+  STANDARD: 'standard',
+  EXPRESS: 'express',
+};
+
+export const SHIPPING_METHOD_LABELS = {
+  [SHIPPING_METHODS.STANDARD]: 'Standard Delivery',
+  [SHIPPING_METHODS.EXPRESS]: 'Express Delivery',
+};
+
+export const SHIPPING_RATE_TYPES = {
+  FLAT: 'flat',
+  WEIGHT: 'weight',
+};
+
+// Used until an admin saves shipping settings, so nothing is charged for
+// shipping until then (the order rules also treat missing settings as free).
+// A free shipping threshold of 0 means shipping is never free; weights are in
+// grams.
+export const DEFAULT_SHIPPING_SETTINGS = {
+  free_shipping_threshold: 0,
+  rate_type: SHIPPING_RATE_TYPES.FLAT,
+  flat_rate: 0,
+  weight_base_grams: 500,
+  weight_base_rate: 0,
+  weight_step_grams: 500,
+  weight_step_rate: 0,
+  default_item_weight_grams: 300,
+  zones: [
+    { id: 'metro', label: 'Metro', surcharge: 0 },
+    { id: 'rest_of_india', label: 'Rest of India', surcharge: 0 },
+    { id: 'remote', label: 'North East & Remote', surcharge: 0 },
+  ],
+  express_enabled: false,
+  express_fee: 149,
+  express_delivery_days: 2,
+};
+
+// ========================================
+// TAX (GST)
+// ========================================
+// Rates are picked per line: a product's own gst_rate wins, then the first
+// rule whose HSN prefix matches, then DEFAULT_RATE. Slabs are checked in
+// order against the taxable value of one unit (after discounts).
+export const GST_CONFIG = {
+  SELLER_STATE: import.meta.env.VITE_SELLER_STATE || 'Maharashtra',
+  SELLER_GSTIN: import.meta.env.VITE_SELLER_GSTIN || '',
+  DEFAULT_HSN_CODE: '6211',
+  DEFAULT_RATE: 18,
+  CATEGORY_HSN_CODES: {
+    [CATEGORIES.T_SHIRTS]: '6109',
+    [CATEGORIES.SHIRTS]: '6205',
+    [CATEGORIES.TROUSERS]: '6203',
+    [CATEGORIES.HOODIES]: '6110',
+    [CATEGORIES.JACKETS]: '6201',
+  },
+  RULES: [
+    {
+      label: 'Apparel and clothing accessories',
+      hsn_prefixes: ['61', '62'],
+      slabs: [
+        { max_unit_value: 2500, rate: 5 },
+        { max_unit_value: null, rate: 18 },
+      ],
+    },
+  ],
+};
+
+// How GST is split on an order: CGST + SGST within the seller's state,
+// IGST for shipments to another state
+export const GST_TYPES = {
+  INTRA_STATE: 'intra_state',
+  INTER_STATE: 'inter_state',
+};
+
 // ========================================
 // SIZES
 // ========================================
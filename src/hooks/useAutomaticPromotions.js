@@ -0,0 +1,27 @@
+/**
+ * React Query Hook for Automatic Promotions
+ * @module hooks/useAutomaticPromotions
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { getAutomaticPromotions } from '../api/coupons.api';
+
+const EMPTY = [];
+
+/**
+ * Hook to fetch the automatic promotions running now
+ * Returns an empty list while loading, so prices can always be shown.
+ * @returns {Array} Live automatic promotions
+ */
+export const useAutomaticPromotions = () => {
+  const { data } = useQuery({
+    queryKey: ['promotions', 'automatic'],
+    queryFn: getAutomaticPromotions,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    refetchOnWindowFocus: false,
+  });
+
+  return data || EMPTY;
+};
+
+export default useAutomaticPromotions;
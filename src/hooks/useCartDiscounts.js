@@ -0,0 +1,55 @@
+/**
+ * Cart Discounts Hook
+ * The applied coupon and the automatic promotions are evaluated on the cart
+ * as it is now, so a promotion scoped to some items follows them as the cart
+ * changes. A coupon that has expired or run out since it was applied is
+ * rejected with PROMOTION_REASONS.UNAVAILABLE.
+ * @module hooks/useCartDiscounts
+ */
+
+import { useMemo } from 'react';
+import useStore from '../store/useStore';
+import { readCoupon } from '../lib/coupons';
+import { evaluatePromotions, toPromotionLines } from '../lib/promotions';
+import { isAddressEligible, TARGETING_REASONS } from '../lib/couponTargeting';
+import { useAutomaticPromotions } from './useAutomaticPromotions';
+
+/**
+ * Hook for the discounts on the current cart
+ * @param {Object} options
+ * @param {Object|null} options.address - Shipping address, once chosen; a coupon
+ *   limited to other delivery areas is rejected with TARGETING_REASONS.DELIVERY_AREA
+ * @returns {Object} evaluatePromotions result ({ discount, lines, applied, rejected });
+ *   lines line up with the cart items
+ */
+export const useCartDiscounts = ({ address = null } = {}) => {
+  const cart = useStore((state) => state.cart);
+  const appliedCoupon = useStore((state) => state.appliedCoupon);
+  const automaticPromotions = useAutomaticPromotions();
+
+  return useMemo(() => {
+    const coupon = appliedCoupon ? readCoupon(appliedCoupon) : null;
+    const outsideArea = !!coupon && !!address && !isAddressEligible(coupon, address);
+    const result = evaluatePromotions(toPromotionLines(cart), [
+      outsideArea ? null : coupon,
+      ...automaticPromotions,
+    ]);
+    if (!outsideArea) return result;
+
+    return {
+      ...result,
+      rejected: [
+        ...result.rejected,
+        {
+          id: coupon.id,
+          code: coupon.code,
+          name: coupon.name,
+          automatic: coupon.automatic,
+          reason: TARGETING_REASONS.DELIVERY_AREA,
+        },
+      ],
+    };
+  }, [cart, appliedCoupon, automaticPromotions, address]);
+};
+
+export default useCartDiscounts;
@@ -0,0 +1,59 @@
+/**
+ * Cart Revalidation Hook
+ * Re-checks cart items against live product data
+ * @module hooks/useCartRevalidation
+ */
+
+import { useEffect, useMemo } from 'react';
+import useStore from '../store/useStore';
+import { useProductsByIds } from './useProducts';
+
+/**
+ * Hook to keep the cart in line with current prices and stock
+ * Products are re-fetched whenever the page mounts or the set of products in
+ * the cart changes; anything that changed is applied to the cart and listed
+ * in `changes` until the customer acknowledges it.
+ * @returns {Object} { changes, isChecking, checkFailed, acknowledge, revalidate }
+ */
+export const useCartRevalidation = () => {
+  const cart = useStore((state) => state.cart);
+  const cartChanges = useStore((state) => state.cartChanges);
+  const revalidateCart = useStore((state) => state.revalidateCart);
+  const acknowledgeCartChanges = useStore((state) => state.acknowledgeCartChanges);
+
+  const idsKey = [...new Set(cart.map((item) => item.id))].sort().join(',');
+  const productIds = useMemo(() => (idsKey ? idsKey.split(',') : []), [idsKey]);
+
+  const { data, isFetching, isError, refetch } = useProductsByIds(productIds, {
+    staleTime: 0,
+    refetchOnMount: 'always',
+  });
+
+  useEffect(() => {
+    if (data) revalidateCart(data, productIds);
+  }, [data, productIds, revalidateCart]);
+
+  /**
+   * Check again now (e.g. just before placing an order)
+   * @returns {Promise<Array|null>} Unacknowledged changes, or null if the check failed
+   */
+  const revalidate = async () => {
+    if (productIds.length === 0) return [];
+    const result = await refetch();
+    if (result.isError || !result.data) return null;
+
+    // The effect above may already have applied this result
+    revalidateCart(result.data, productIds);
+    return useStore.getState().cartChanges;
+  };
+
+  return {
+    changes: cartChanges,
+    isChecking: isFetching,
+    checkFailed: isError,
+    acknowledge: acknowledgeCartChanges,
+    revalidate,
+  };
+};
+
+export default useCartRevalidation;
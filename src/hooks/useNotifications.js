@@ -0,0 +1,57 @@
+/**
+ * React Query Hooks for Notifications and Stock Alerts
+ * @module hooks/useNotifications
+ */
+
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { getUserNotifications, getUserAlerts } from '../api/notifications.api';
+
+/**
+ * Hook to fetch the signed-in user's notifications (newest first)
+ * Polls every minute so the header badge picks up new ones.
+ * @param {string} userId - User ID (the query waits until there is one)
+ */
+export const useNotifications = (userId) => {
+  return useQuery({
+    queryKey: ['notifications', userId],
+    queryFn: async () => {
+      const result = await getUserNotifications(userId);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    },
+    enabled: !!userId,
+    staleTime: 30 * 1000,
+    refetchInterval: 60 * 1000,
+  });
+};
+
+/**
+ * Hook to fetch the signed-in user's active stock alerts
+ * @param {string} userId - User ID (the query waits until there is one)
+ */
+export const useStockAlerts = (userId) => {
+  return useQuery({
+    queryKey: ['stock-alerts', userId],
+    queryFn: async () => {
+      const result = await getUserAlerts(userId);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    },
+    enabled: !!userId,
+    staleTime: 5 * 60 * 1000,
+  });
+};
+
+/**
+ * Hook to refresh notifications and alerts after a change
+ */
+export const useInvalidateNotifications = () => {
+  const queryClient = useQueryClient();
+
+  return () => {
+    queryClient.invalidateQueries({ queryKey: ['notifications'] });
+    queryClient.invalidateQueries({ queryKey: ['stock-alerts'] });
+  };
+};
+
+export default useNotifications;
@@ -0,0 +1,28 @@
+/**
+ * Recently Viewed Hook
+ * The history lives in the store; products come from the cached catalogue
+ * (useAllProducts), so deleted products drop out on their own.
+ * @module hooks/useRecentlyViewed
+ */
+
+import { useMemo } from 'react';
+import useStore from '../store/useStore';
+import { getRecentlyViewedProducts } from '../lib/recentlyViewed';
+import { useAllProducts } from './useProducts';
+
+/**
+ * Hook for the shopper's recently viewed products
+ * @param {Object} options - { excludeId, limit }
+ * @returns {Array} Products, most recently viewed first
+ */
+export const useRecentlyViewed = ({ excludeId = null, limit } = {}) => {
+  const recentlyViewed = useStore((state) => state.recentlyViewed);
+  const { data: products = [] } = useAllProducts({ enabled: recentlyViewed.length > 0 });
+
+  return useMemo(
+    () => getRecentlyViewedProducts(recentlyViewed, products, { excludeId, limit }),
+    [recentlyViewed, products, excludeId, limit]
+  );
+};
+
+export default useRecentlyViewed;
@@ -0,0 +1,71 @@
+/**
+ * React Query Hooks for Recommendations
+ * Scoring runs on the cached catalogue (useAllProducts); only co-purchase
+ * counts are fetched per product.
+ * @module hooks/useRecommendations
+ */
+
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { getCoPurchases } from '../api/recommendations.api';
+import {
+  getRelatedProducts,
+  getFrequentlyBoughtTogether,
+  getCompleteTheLook,
+} from '../lib/recommendations';
+import { useAllProducts } from './useProducts';
+
+/**
+ * Hook to fetch co-purchase counts for products
+ * @param {Array<string>} productIds - Product IDs
+ */
+export const useCoPurchases = (productIds = []) => {
+  const ids = [...new Set(productIds)].sort();
+
+  return useQuery({
+    queryKey: ['coPurchases', ids.join(',')],
+    queryFn: async () => {
+      const result = await getCoPurchases(ids);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    },
+    enabled: ids.length > 0,
+    staleTime: 30 * 60 * 1000,
+  });
+};
+
+/**
+ * Hook for a product page's "You may also like" and "Frequently bought together"
+ * @param {Object} product - Product being viewed
+ * @returns {Object} { related, bundle }
+ */
+export const useProductRecommendations = (product) => {
+  const { data: products = [] } = useAllProducts({ enabled: !!product });
+  const { data: coPurchases = {} } = useCoPurchases(product ? [product.id] : []);
+
+  return useMemo(() => {
+    if (!product) return { related: [], bundle: [] };
+    const counts = coPurchases[product.id] || {};
+    return {
+      related: getRelatedProducts(product, products, counts),
+      bundle: getFrequentlyBoughtTogether(product, products, counts),
+    };
+  }, [product, products, coPurchases]);
+};
+
+/**
+ * Hook for the cart page's "Complete the look"
+ * @param {Array} cartItems - Cart items
+ * @returns {Array} Products
+ */
+export const useCompleteTheLook = (cartItems) => {
+  const { data: products = [] } = useAllProducts({ enabled: cartItems.length > 0 });
+  const { data: coPurchases = {} } = useCoPurchases(cartItems.map((item) => item.id));
+
+  return useMemo(
+    () => (cartItems.length > 0 ? getCompleteTheLook(cartItems, products, coPurchases) : []),
+    [cartItems, products, coPurchases]
+  );
+};
+
+export default useProductRecommendations;
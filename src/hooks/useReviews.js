@@ -0,0 +1,53 @@
+/**
+ * React Query Hooks for Reviews
+ * @module hooks/useReviews
+ */
+
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { getProductReviews, getUserReview } from '../api/reviews.api';
+
+const unwrap = async (request) => {
+  const result = await request;
+  if (!result.success) throw new Error(result.error);
+  return result.data;
+};
+
+/**
+ * Hook to fetch a product's approved reviews
+ * @param {string} productId - Product ID
+ */
+export const useProductReviews = (productId) => {
+  return useQuery({
+    queryKey: ['reviews', productId],
+    queryFn: () => unwrap(getProductReviews(productId)),
+    enabled: !!productId,
+    staleTime: 5 * 60 * 1000,
+  });
+};
+
+/**
+ * Hook to fetch the signed-in user's review of a product
+ * @param {string} productId - Product ID
+ * @param {string} userId - User ID (the query waits until there is one)
+ */
+export const useUserReview = (productId, userId) => {
+  return useQuery({
+    queryKey: ['reviews', productId, 'user', userId],
+    queryFn: () => unwrap(getUserReview(productId, userId)),
+    enabled: !!productId && !!userId,
+  });
+};
+
+/**
+ * Hook to refresh reviews (and product ratings) after a change
+ */
+export const useInvalidateReviews = () => {
+  const queryClient = useQueryClient();
+
+  return () => {
+    queryClient.invalidateQueries({ queryKey: ['reviews'] });
+    queryClient.invalidateQueries({ queryKey: ['product'] });
+  };
+};
+
+export default useProductReviews;
@@ -0,0 +1,26 @@
+/**
+ * React Query Hook for Shipping Settings
+ * @module hooks/useShippingSettings
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { getShippingSettings } from '../api/shipping.api';
+import { resolveShippingSettings } from '../lib/shipping';
+
+/**
+ * Hook to fetch shipping settings
+ * Returns the defaults while loading, so totals can always be shown.
+ * @returns {Object} Shipping settings
+ */
+export const useShippingSettings = () => {
+  const { data } = useQuery({
+    queryKey: ['settings', 'shipping'],
+    queryFn: getShippingSettings,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    refetchOnWindowFocus: false,
+  });
+
+  return data || resolveShippingSettings(null);
+};
+
+export default useShippingSettings;
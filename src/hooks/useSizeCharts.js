@@ -0,0 +1,69 @@
+/**
+ * React Query Hooks for Size Charts and Find My Size
+ * @module hooks/useSizeCharts
+ */
+
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { getSizeCharts, getSizeProfile, getSizeHistory } from '../api/sizeCharts.api';
+import { findSizeChart } from '../lib/sizeCharts';
+import { DEFAULT_SIZE_CHARTS } from '../lib/productData';
+
+const unwrap = async (request) => {
+  const result = await request;
+  if (!result.success) throw new Error(result.error);
+  return result.data;
+};
+
+/**
+ * Hook to fetch the size chart for a product
+ * Saved charts are fetched once and shared; the default chart for the
+ * category is used if none matches.
+ * @param {Object} product - Product ({ category, brand })
+ */
+export const useSizeChart = (product) => {
+  return useQuery({
+    queryKey: ['sizeCharts'],
+    queryFn: () => unwrap(getSizeCharts()),
+    select: (charts) => findSizeChart([...charts, ...DEFAULT_SIZE_CHARTS], product),
+    enabled: !!product,
+    staleTime: 30 * 60 * 1000,
+  });
+};
+
+/**
+ * Hook to fetch the signed-in user's saved measurements
+ * @param {string} userId - User ID (the query waits until there is one)
+ */
+export const useSizeProfile = (userId) => {
+  return useQuery({
+    queryKey: ['sizeProfile', userId],
+    queryFn: () => unwrap(getSizeProfile(userId)),
+    enabled: !!userId,
+  });
+};
+
+/**
+ * Hook to fetch the sizes the signed-in user kept or returned
+ * @param {string} userId - User ID (the query waits until there is one)
+ */
+export const useSizeHistory = (userId) => {
+  return useQuery({
+    queryKey: ['sizeHistory', userId],
+    queryFn: () => unwrap(getSizeHistory(userId)),
+    enabled: !!userId,
+    staleTime: 10 * 60 * 1000,
+  });
+};
+
+/**
+ * Hook to refresh saved measurements after they change
+ */
+export const useInvalidateSizeProfile = () => {
+  const queryClient = useQueryClient();
+
+  return (userId) => {
+    queryClient.invalidateQueries({ queryKey: ['sizeProfile', userId] });
+  };
+};
+
+export default useSizeChart;
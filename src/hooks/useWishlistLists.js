@@ -0,0 +1,55 @@
+/**
+ * React Query Hooks for Named Wishlists
+ * @module hooks/useWishlistLists
+ */
+
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { getUserLists, getList } from '../api/wishlistLists.api';
+
+/**
+ * Hook to fetch the signed-in user's lists
+ * @param {string} userId - User ID (the query waits until there is one)
+ */
+export const useWishlistLists = (userId) => {
+  return useQuery({
+    queryKey: ['wishlist-lists', userId],
+    queryFn: async () => {
+      const result = await getUserLists(userId);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    },
+    enabled: !!userId,
+    staleTime: 60 * 1000,
+  });
+};
+
+/**
+ * Hook to fetch a single list (the user's own, or one shared by link)
+ * @param {string} listId - List ID
+ */
+export const useWishlistList = (listId) => {
+  return useQuery({
+    queryKey: ['wishlist-list', listId],
+    queryFn: async () => {
+      const result = await getList(listId);
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    },
+    enabled: !!listId,
+    retry: false,
+  });
+};
+
+/**
+ * Hook to refresh list data after a change
+ */
+export const useInvalidateWishlistLists = () => {
+  const queryClient = useQueryClient();
+
+  return () => {
+    queryClient.invalidateQueries({ queryKey: ['wishlist-lists'] });
+    queryClient.invalidateQueries({ queryKey: ['wishlist-list'] });
+  };
+};
+
+export default useWishlistLists;
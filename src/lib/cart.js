@@ -0,0 +1,194 @@
+/**
+ * Cart
+ * Cart line helpers shared by the store and the server-side cart
+ * @module lib/cart
+ */
+
+import {
+  findVariant,
+  getColorName,
+  getVariantStock,
+  getVariantPrice,
+  hasVariants,
+  validateCartStock,
+} from './inventory';
+
+// Issues that take an item out of the cart
+const REMOVING_ISSUES = ['product_not_found', 'variant_not_found', 'out_of_stock'];
+
+/**
+ * Get the key that identifies a cart line (product × size × color)
+ * @param {Object} line - Stored line ({ product_id, size, color })
+ * @returns {string} Line key
+ */
+export const getCartLineKey = ({ product_id, size, color }) =>
+  `${product_id}::${size || ''}::${getColorName(color)}`;
+
+/**
+ * Build a cart item from a product
+ * @param {Object} product - Product
+ * @param {string} size - Selected size
+ * @param {Object|string} color - Selected color
+ * @param {number} quantity - Quantity
+ * @returns {Object} Cart item (the product with its variant price and selection)
+ */
+export const buildCartItem = (product, size, color, quantity) => ({
+  ...product,
+  price: getVariantPrice(product, size, color),
+  sku: findVariant(product, size, color)?.sku || product.sku,
+  selectedSize: size,
+  selectedColor: color,
+  quantity,
+});
+
+/**
+ * Convert a cart item to the line stored on the server
+ * Only the selection is stored; product details are re-read when the cart
+ * is loaded so prices and stock are never stale.
+ * @param {Object} item - Cart item
+ * @returns {Object} { product_id, size, color, quantity }
+ */
+export const toStoredCartLine = (item) => ({
+  product_id: item.id,
+  size: item.selectedSize || '',
+  color: item.selectedColor || null,
+  quantity: item.quantity,
+});
+
+/**
+ * Merge a local cart into a stored cart
+ * Lines in both carts keep the larger quantity rather than the sum, so
+ * logging in on a device that already shows the same cart doesn't double it.
+ * Stored lines keep their order; new local lines are appended.
+ * @param {Array} storedLines - Lines from the server
+ * @param {Array} localLines - Lines from this device
+ * @returns {Array} Merged lines
+ */
+export const mergeCartLines = (storedLines, localLines) => {
+  const merged = new Map(storedLines.map((line) => [getCartLineKey(line), { ...line }]));
+
+  localLines.forEach((line) => {
+    const key = getCartLineKey(line);
+    const existing = merged.get(key);
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, line.quantity);
+    } else {
+      merged.set(key, { ...line });
+    }
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Turn stored lines into cart items, capped at the stock available
+ * @param {Array} lines - Stored lines
+ * @param {Object} productsById - Current products keyed by ID
+ * @returns {Object} { items, adjustments } where each adjustment is
+ *   { product_id, name, requested, quantity } (quantity 0 = removed)
+ */
+export const hydrateCartLines = (lines, productsById) => {
+  const items = [];
+  const adjustments = [];
+
+  lines.forEach((line) => {
+    const product = productsById[line.product_id];
+    const variantMissing = hasVariants(product) && !findVariant(product, line.size, line.color);
+    const stock = getVariantStock(product, line.size, line.color);
+    const quantity =
+      !product || variantMissing
+        ? 0
+        : stock === undefined || stock === null
+          ? line.quantity
+          : Math.min(line.quantity, Math.max(0, stock));
+
+    if (quantity !== line.quantity) {
+      adjustments.push({
+        product_id: line.product_id,
+        name: product?.name || 'An item',
+        requested: line.quantity,
+        quantity,
+      });
+    }
+    if (quantity > 0) {
+      items.push(buildCartItem(product, line.size, line.color, quantity));
+    }
+  });
+
+  return { items, adjustments };
+};
+
+/**
+ * Turn stored saved-for-later lines into items
+ * Unlike the cart, quantities aren't capped at stock: an item saved for later
+ * may be out of stock now, and stock is checked when it's moved to the cart.
+ * Lines for deleted products or discontinued variants are dropped.
+ * @param {Array} lines - Stored lines
+ * @param {Object} productsById - Current products keyed by ID
+ * @returns {Array} Items
+ */
+export const hydrateSavedLines = (lines, productsById) =>
+  lines
+    .filter((line) => {
+      const product = productsById[line.product_id];
+      return product && (!hasVariants(product) || findVariant(product, line.size, line.color));
+    })
+    .map((line) =>
+      buildCartItem(productsById[line.product_id], line.size, line.color, line.quantity)
+    );
+
+/**
+ * Bring cart items up to date with live product data
+ * Items are rebuilt from the current product (price, SKU, images), quantities
+ * are capped at stock, and items that can't be bought any more are removed.
+ * @param {Array} cart - Cart items
+ * @param {Array} products - Current products (from fetchProductsByIds)
+ * @returns {Object} { items, changes } where each change is
+ *   { key, product_id, name, size, color, type, message, previous_price?,
+ *   price?, previous_quantity?, quantity? } and type is a validateCartStock issue
+ */
+export const revalidateCartItems = (cart, products) => {
+  const { issues } = validateCartStock(cart, products);
+  const productsById = Object.fromEntries(products.map((product) => [product.id, product]));
+  const items = [];
+  const changes = [];
+
+  cart.forEach((item) => {
+    const key = getCartLineKey(toStoredCartLine(item));
+    const itemIssues = issues.filter((issue) => issue.item === item);
+    const shortage = itemIssues.find((issue) => issue.issue === 'insufficient_stock');
+    const quantity = shortage ? shortage.available : item.quantity;
+
+    itemIssues.forEach(({ issue, message, previous_price, price }) => {
+      changes.push({
+        key,
+        product_id: item.id,
+        name: item.name,
+        size: item.selectedSize || '',
+        color: getColorName(item.selectedColor),
+        type: issue,
+        message,
+        ...(issue === 'price_changed' ? { previous_price, price } : {}),
+        ...(issue === 'insufficient_stock' ? { previous_quantity: item.quantity, quantity } : {}),
+      });
+    });
+
+    if (!itemIssues.some((issue) => REMOVING_ISSUES.includes(issue.issue))) {
+      items.push(
+        buildCartItem(productsById[item.id], item.selectedSize, item.selectedColor, quantity)
+      );
+    }
+  });
+
+  return { items, changes };
+};
+
+export default {
+  getCartLineKey,
+  buildCartItem,
+  toStoredCartLine,
+  mergeCartLines,
+  hydrateCartLines,
+  hydrateSavedLines,
+  revalidateCartItems,
+};
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  mergeCartLines,
+  hydrateCartLines,
+  toStoredCartLine,
+  getCartLineKey,
+  buildCartItem,
+  revalidateCartItems,
+} from './cart';
+
+const red = { name: 'Red', hex: '#f00' };
+
+describe('mergeCartLines', () => {
+  it('should keep the larger quantity for lines in both carts', () => {
+    const stored = [
+      { product_id: 'p1', size: 'M', color: red, quantity: 2 },
+      { product_id: 'p2', size: 'L', color: null, quantity: 1 },
+    ];
+    const local = [
+      { product_id: 'p1', size: 'M', color: 'Red', quantity: 1 },
+      { product_id: 'p2', size: 'L', color: null, quantity: 3 },
+      { product_id: 'p3', size: 'S', color: null, quantity: 1 },
+    ];
+
+    expect(mergeCartLines(stored, local).map((line) => [line.product_id, line.quantity])).toEqual([
+      ['p1', 2],
+      ['p2', 3],
+      ['p3', 1],
+    ]);
+  });
+
+  it('should treat different sizes as different lines', () => {
+    const merged = mergeCartLines(
+      [{ product_id: 'p1', size: 'M', quantity: 1 }],
+      [{ product_id: 'p1', size: 'L', quantity: 1 }]
+    );
+
+    expect(merged).toHaveLength(2);
+  });
+});
+
+describe('hydrateCartLines', () => {
+  const productsById = {
+    p1: {
+      id: 'p1',
+      name: 'Tee',
+      price: 500,
+      variants: [
+        { size: 'M', color: 'Red', stock: 2, price: 550 },
+        { size: 'L', color: 'Red', stock: 0 },
+      ],
+    },
+    p2: { id: 'p2', name: 'Cap', price: 300 },
+  };
+
+  it('should cap quantities at stock and drop unavailable lines', () => {
+    const { items, adjustments } = hydrateCartLines(
+      [
+        { product_id: 'p1', size: 'M', color: red, quantity: 5 },
+        { product_id: 'p1', size: 'L', color: red, quantity: 1 },
+        { product_id: 'gone', size: 'M', color: null, quantity: 1 },
+        { product_id: 'p2', size: '', color: null, quantity: 4 },
+      ],
+      productsById
+    );
+
+    expect(items.map((item) => [item.id, item.quantity, item.price])).toEqual([
+      ['p1', 2, 550],
+      ['p2', 4, 300],
+    ]);
+    expect(adjustments.map((adjustment) => adjustment.quantity)).toEqual([2, 0, 0]);
+  });
+
+  it('should round-trip through the stored line format', () => {
+    const { items } = hydrateCartLines(
+      [{ product_id: 'p1', size: 'M', color: red, quantity: 1 }],
+      productsById
+    );
+    const line = toStoredCartLine(items[0]);
+
+    expect(getCartLineKey(line)).toBe('p1::M::Red');
+    expect(line.quantity).toBe(1);
+  });
+});
+
+describe('revalidateCartItems', () => {
+  const tee = {
+    id: 'p1',
+    name: 'Tee',
+    price: 500,
+    variants: [
+      { size: 'M', color: 'Red', stock: 2 },
+      { size: 'L', color: 'Red', stock: 0 },
+    ],
+  };
+  const cap = { id: 'p2', name: 'Cap', price: 300 };
+
+  it('should report and apply price and stock changes', () => {
+    const cart = [
+      buildCartItem({ ...tee, price: 450 }, 'M', red, 3),
+      buildCartItem(tee, 'L', red, 1),
+      buildCartItem({ ...tee, variants: [...tee.variants, { size: 'S', color: 'Red', stock: 1 }] }, 'S', red, 1),
+      buildCartItem({ id: 'gone', name: 'Old', price: 100 }, 'M', null, 1),
+      buildCartItem(cap, '', null, 2),
+    ];
+
+    const { items, changes } = revalidateCartItems(cart, [tee, cap]);
+
+    expect(items.map((item) => [item.id, item.selectedSize, item.quantity, item.price])).toEqual([
+      ['p1', 'M', 2, 500],
+      ['p2', '', 2, 300],
+    ]);
+    expect(changes.map((change) => [change.product_id, change.type])).toEqual([
+      ['p1', 'price_changed'],
+      ['p1', 'insufficient_stock'],
+      ['p1', 'out_of_stock'],
+      ['p1', 'variant_not_found'],
+      ['gone', 'product_not_found'],
+    ]);
+    expect(changes[0]).toMatchObject({ previous_price: 450, price: 500 });
+    expect(changes[1]).toMatchObject({ previous_quantity: 3, quantity: 2 });
+  });
+
+  it('should leave an up-to-date cart unchanged', () => {
+    const cart = [buildCartItem(cap, '', null, 5)];
+
+    expect(revalidateCartItems(cart, [cap]).changes).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Cash on Delivery
+ * Eligibility and fee rules for COD orders
+ * @module lib/cod
+ */
+
+import { COD_CONFIG, COD_STATUS, ORDER_STATUS } from '../config/constants';
+
+/**
+ * COD not available error class
+ * Thrown when an order can't be placed as cash on delivery
+ */
+export class CodNotAvailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CodNotAvailableError';
+  }
+}
+
+/**
+ * Get the fee charged for paying cash on delivery
+ * @param {Object} config - COD config (defaults to COD_CONFIG)
+ * @returns {number} Fee
+ */
+export const getCodFee = (config = COD_CONFIG) => (config.ENABLED ? config.FEE || 0 : 0);
+
+/**
+ * Check if an order can be paid cash on delivery
+ * @param {Object|null} pincode - Pincode check result ({ is_serviceable, is_cod_available })
+ * @param {number} orderValue - Order total before the COD fee
+ * @param {Object} config - COD config (defaults to COD_CONFIG)
+ * @returns {Object} { available, reason }
+ */
+export const getCodAvailability = (pincode, orderValue, config = COD_CONFIG) => {
+  if (!config.ENABLED) {
+    return { available: false, reason: 'Cash on Delivery is not offered right now' };
+  }
+  if (!pincode?.is_serviceable) {
+    return { available: false, reason: "We don't deliver to this pincode yet" };
+  }
+  if (!pincode.is_cod_available) {
+    return { available: false, reason: 'Cash on Delivery is not available for this pincode' };
+  }
+  if (config.MAX_ORDER_VALUE && orderValue > config.MAX_ORDER_VALUE) {
+    return {
+      available: false,
+      reason: `Cash on Delivery is available on orders up to ₹${config.MAX_ORDER_VALUE}`,
+    };
+  }
+  return { available: true, reason: null };
+};
+
+/**
+ * Assert that an order can be paid cash on delivery
+ * @throws {CodNotAvailableError} If COD isn't available
+ */
+export const assertCodAvailable = (pincode, orderValue, config = COD_CONFIG) => {
+  const { available, reason } = getCodAvailability(pincode, orderValue, config);
+  if (!available) {
+    throw new CodNotAvailableError(reason);
+  }
+};
+
+/**
+ * Summarise COD cash by collection status
+ * @param {Array} orders - COD orders
+ * @returns {Object} { toCollect, collected, reconciled, shortfall } each with count/amount
+ */
+export const summarizeCodOrders = (orders) => {
+  const summary = {
+    toCollect: { count: 0, amount: 0 },
+    collected: { count: 0, amount: 0 },
+    reconciled: { count: 0, amount: 0 },
+    shortfall: 0,
+  };
+
+  orders
+    .filter((order) => order.status !== ORDER_STATUS.CANCELLED)
+    .forEach((order) => {
+      if (order.cod_status === COD_STATUS.COLLECTED) {
+        summary.collected.count++;
+        summary.collected.amount += order.cod_collected_amount || 0;
+      } else if (order.cod_status === COD_STATUS.RECONCILED) {
+        summary.reconciled.count++;
+        summary.reconciled.amount += order.cod_collected_amount || 0;
+      } else {
+        summary.toCollect.count++;
+        summary.toCollect.amount += order.total || 0;
+      }
+      if (order.cod_status && order.cod_status !== COD_STATUS.PENDING) {
+        summary.shortfall += Math.max(0, (order.total || 0) - (order.cod_collected_amount || 0));
+      }
+    });
+
+  return summary;
+};
+
+export default {
+  CodNotAvailableError,
+  getCodFee,
+  getCodAvailability,
+  assertCodAvailable,
+  summarizeCodOrders,
+};
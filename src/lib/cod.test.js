@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCodFee,
+  getCodAvailability,
+  assertCodAvailable,
+  summarizeCodOrders,
+  CodNotAvailableError,
+} from './cod';
+
+const CONFIG = { ENABLED: true, FEE: 40, MAX_ORDER_VALUE: 5000 };
+const SERVICEABLE = { is_serviceable: true, is_cod_available: true };
+
+describe('getCodAvailability', () => {
+  it('should allow COD for serviceable pincodes under the limit', () => {
+    expect(getCodAvailability(SERVICEABLE, 4999, CONFIG)).toEqual({
+      available: true,
+      reason: null,
+    });
+  });
+
+  it('should explain why COD is unavailable', () => {
+    expect(getCodAvailability(SERVICEABLE, 100, { ...CONFIG, ENABLED: false }).reason).toMatch(
+      'not offered'
+    );
+    expect(getCodAvailability(null, 100, CONFIG).reason).toMatch("don't deliver");
+    expect(
+      getCodAvailability({ is_serviceable: true, is_cod_available: false }, 100, CONFIG).reason
+    ).toMatch('not available for this pincode');
+    expect(getCodAvailability(SERVICEABLE, 5001, CONFIG).reason).toMatch('up to ₹5000');
+  });
+
+  it('should not cap order value when no limit is configured', () => {
+    expect(getCodAvailability(SERVICEABLE, 100000, { ...CONFIG, MAX_ORDER_VALUE: 0 }).available).toBe(
+      true
+    );
+  });
+
+  it('should throw CodNotAvailableError from assertCodAvailable', () => {
+    expect(() => assertCodAvailable(SERVICEABLE, 6000, CONFIG)).toThrow(CodNotAvailableError);
+    expect(() => assertCodAvailable(SERVICEABLE, 100, CONFIG)).not.toThrow();
+  });
+});
+
+describe('getCodFee', () => {
+  it('should only charge the fee while COD is enabled', () => {
+    expect(getCodFee(CONFIG)).toBe(40);
+    expect(getCodFee({ ...CONFIG, ENABLED: false })).toBe(0);
+  });
+});
+
+describe('summarizeCodOrders', () => {
+  it('should total cash by collection status and track shortfalls', () => {
+    const summary = summarizeCodOrders([
+      { status: 'shipped', total: 1000 },
+      { status: 'delivered', total: 500, cod_status: 'pending' },
+      { status: 'delivered', total: 800, cod_status: 'collected', cod_collected_amount: 750 },
+      { status: 'delivered', total: 300, cod_status: 'reconciled', cod_collected_amount: 300 },
+      { status: 'cancelled', total: 900 },
+    ]);
+
+    expect(summary.toCollect).toEqual({ count: 2, amount: 1500 });
+    expect(summary.collected).toEqual({ count: 1, amount: 750 });
+    expect(summary.reconciled).toEqual({ count: 1, amount: 300 });
+    expect(summary.shortfall).toBe(50);
+  });
+});
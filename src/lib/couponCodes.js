@@ -0,0 +1,136 @@
+/**
+ * Coupon Codes
+ * Unique single-use codes generated in bulk for one coupon (influencer and
+ * apology campaigns). The coupon holds the discount rules; each code is a
+ * document in coupon_codes, keyed by the code itself, that records its own
+ * redemption.
+ * @module lib/couponCodes
+ */
+
+/**
+ * @typedef {Object} CouponCode
+ * @property {string} code - Upper-case code (also the document ID)
+ * @property {string} coupon_id - Coupon whose rules the code redeems
+ * @property {Date|null} redeemed_at
+ * @property {string|null} redeemed_by - User ID
+ * @property {string|null} order_id
+ * @property {Date|null} created_at
+ */
+
+// No 0/O or 1/I, so codes read out loud or copied by hand still work
+export const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const MIN_CODE_LENGTH = 6;
+export const MAX_CODE_LENGTH = 16;
+export const MAX_PREFIX_LENGTH = 12;
+export const MAX_CODES_PER_BATCH = 10000;
+// Same limit as the coupon input at checkout
+export const MAX_TOTAL_LENGTH = 20;
+
+// Codes are bearer tokens, so they come from the platform's secure random
+// source. CODE_ALPHABET has 32 characters, which divides 2^32 without bias.
+const secureRandomIndex = (max) => globalThis.crypto.getRandomValues(new Uint32Array(1))[0] % max;
+
+/**
+ * Check a code template and batch size
+ * @param {Object} template - { prefix, length } where length is the random part
+ * @param {number} count - Codes to generate
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateCodeTemplate = ({ prefix = '', length }, count) => {
+  if (!new RegExp(`^[A-Z0-9]{0,${MAX_PREFIX_LENGTH}}$`).test(prefix.toUpperCase())) {
+    return `Prefix must be up to ${MAX_PREFIX_LENGTH} letters or digits`;
+  }
+  if (!Number.isInteger(length) || length < MIN_CODE_LENGTH || length > MAX_CODE_LENGTH) {
+    return `Random part must be ${MIN_CODE_LENGTH}-${MAX_CODE_LENGTH} characters`;
+  }
+  if ((prefix ? prefix.length + 1 : 0) + length > MAX_TOTAL_LENGTH) {
+    return `Codes can be at most ${MAX_TOTAL_LENGTH} characters including the prefix and dash`;
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_CODES_PER_BATCH) {
+    return `Generate between 1 and ${MAX_CODES_PER_BATCH} codes at a time`;
+  }
+  return null;
+};
+
+/**
+ * Generate unique codes from a template
+ * @param {number} count - Codes to generate
+ * @param {Object} template - { prefix, length } where length is the random part
+ * @param {Object} options
+ * @param {Set<string>} options.existing - Codes already issued, never repeated
+ * @param {Function} options.randomIndex - (max) => integer in [0, max)
+ * @returns {Array<string>} Codes, e.g. "AMIT-7KQ2M9XD" for prefix AMIT and length 8
+ */
+export const generateCouponCodes = (
+  count,
+  { prefix = '', length },
+  { existing = new Set(), randomIndex = secureRandomIndex } = {}
+) => {
+  const error = validateCodeTemplate({ prefix, length }, count);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const head = prefix ? `${prefix.toUpperCase()}-` : '';
+  const codes = new Set();
+  // Codes are random rather than sequential so they can't be guessed; with
+  // at least 32^6 combinations a repeat is rare, but retries are bounded
+  let attempts = 0;
+  while (codes.size < count) {
+    if (attempts++ > count * 10) {
+      throw new Error('Could not generate enough unique codes; use a longer random part');
+    }
+    const code =
+      head + Array.from({ length }, () => CODE_ALPHABET[randomIndex(CODE_ALPHABET.length)]).join('');
+    if (!existing.has(code)) codes.add(code);
+  }
+  return [...codes];
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read a coupon_codes document
+ * @param {Object} data - Document data (with id)
+ * @returns {CouponCode}
+ */
+export const readCouponCode = (data) => ({
+  code: String(data.code || data.id || '').toUpperCase(),
+  coupon_id: data.coupon_id || null,
+  redeemed_at: toDate(data.redeemed_at),
+  redeemed_by: data.redeemed_by || null,
+  order_id: data.order_id || null,
+  created_at: toDate(data.created_at),
+});
+
+/**
+ * Build the CSV export of a coupon's codes
+ * @param {Array<CouponCode>} codes - Codes (read with readCouponCode)
+ * @returns {string} CSV with a header row
+ */
+export const toCouponCodesCsv = (codes) =>
+  [
+    ['Code', 'Status', 'Redeemed At', 'Redeemed By', 'Order ID'].join(','),
+    ...codes.map((code) =>
+      [
+        code.code,
+        code.redeemed_at ? 'redeemed' : 'unused',
+        code.redeemed_at ? code.redeemed_at.toISOString() : '',
+        code.redeemed_by || '',
+        code.order_id || '',
+      ].join(',')
+    ),
+  ].join('\n');
+
+export default {
+  CODE_ALPHABET,
+  validateCodeTemplate,
+  generateCouponCodes,
+  readCouponCode,
+  toCouponCodesCsv,
+};
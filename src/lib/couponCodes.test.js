@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CODE_ALPHABET,
+  validateCodeTemplate,
+  generateCouponCodes,
+  readCouponCode,
+  toCouponCodesCsv,
+} from './couponCodes';
+
+describe('generateCouponCodes', () => {
+  it('should generate unique codes from the prefix and length', () => {
+    const codes = generateCouponCodes(500, { prefix: 'amit', length: 8 });
+
+    expect(new Set(codes).size).toBe(500);
+    codes.forEach((code) => {
+      expect(code).toMatch(new RegExp(`^AMIT-[${CODE_ALPHABET}]{8}$`));
+    });
+  });
+
+  it('should never repeat codes already issued', () => {
+    // A fixed sequence that produces AAAAAA first, then BBBBBB
+    let call = 0;
+    const randomIndex = () => Math.floor(call++ / 6);
+
+    expect(generateCouponCodes(1, { length: 6 }, { existing: new Set(['AAAAAA']), randomIndex })).toEqual([
+      'BBBBBB',
+    ]);
+  });
+});
+
+describe('validateCodeTemplate', () => {
+  it('should reject templates that make codes too short, too long or too many', () => {
+    expect(validateCodeTemplate({ prefix: 'SORRY', length: 8 }, 1000)).toBeNull();
+    expect(validateCodeTemplate({ prefix: 'SORRY', length: 4 }, 1000)).toMatch(/Random part/);
+    expect(validateCodeTemplate({ prefix: 'SORRY-', length: 8 }, 1000)).toMatch(/Prefix/);
+    expect(validateCodeTemplate({ prefix: 'APOLOGIES', length: 12 }, 1000)).toMatch(/at most 20/);
+    expect(validateCodeTemplate({ prefix: 'SORRY', length: 8 }, 20000)).toMatch(/between 1 and/);
+  });
+});
+
+describe('toCouponCodesCsv', () => {
+  it('should list each code with its redemption', () => {
+    const codes = [
+      readCouponCode({ id: 'SORRY-ABCDEFGH', coupon_id: 'c1' }),
+      readCouponCode({
+        code: 'SORRY-JKLMNPQR',
+        coupon_id: 'c1',
+        redeemed_at: { toDate: () => new Date('2026-10-19T10:00:00.000Z') },
+        redeemed_by: 'u1',
+        order_id: 'o1',
+      }),
+    ];
+
+    expect(toCouponCodesCsv(codes).split('\n')).toEqual([
+      'Code,Status,Redeemed At,Redeemed By,Order ID',
+      'SORRY-ABCDEFGH,unused,,,',
+      'SORRY-JKLMNPQR,redeemed,2026-10-19T10:00:00.000Z,u1,o1',
+    ]);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Coupon Targeting
+ * Eligibility rules that limit who can use a coupon: first orders only,
+ * listed customers or email domains, recent signups, and delivery to listed
+ * states or pincodes. Customer rules are checked when the code is entered;
+ * delivery rules once the shipping address is known.
+ * @module lib/couponTargeting
+ */
+
+// Why a customer can't use a coupon
+export const TARGETING_REASONS = {
+  FIRST_ORDER_ONLY: 'first_order_only',
+  NOT_ELIGIBLE: 'not_eligible',
+  EMAIL_DOMAIN: 'email_domain',
+  EMAIL_NOT_VERIFIED: 'email_not_verified',
+  SIGNUP_WINDOW: 'signup_window',
+  DELIVERY_AREA: 'delivery_area',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Coupon not eligible error class
+ * Thrown when an order is placed with a coupon the customer can't use
+ */
+export class CouponNotEligibleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponNotEligibleError';
+  }
+}
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Check if a coupon has rules about the customer
+ * @param {Object} coupon - Coupon (read with readCoupon)
+ * @returns {boolean}
+ */
+export const hasCustomerTargeting = ({ targeting }) =>
+  targeting.first_order_only ||
+  targeting.user_ids.length > 0 ||
+  targeting.email_domains.length > 0 ||
+  targeting.signup_within_days !== null;
+
+/**
+ * Check if a coupon is limited to some delivery areas
+ * @param {Object} coupon - Coupon (read with readCoupon)
+ * @returns {boolean}
+ */
+export const hasAddressTargeting = ({ targeting }) =>
+  targeting.states.length > 0 || targeting.pincodes.length > 0;
+
+/**
+ * Check if a coupon can be delivered to an address
+ * The address qualifies if its state or its pincode is listed.
+ * @param {Object} coupon - Coupon (read with readCoupon)
+ * @param {Object} address - { state, pincode }
+ * @returns {boolean}
+ */
+export const isAddressEligible = (coupon, address) =>
+  !hasAddressTargeting(coupon) ||
+  (!!address &&
+    (coupon.targeting.states.some((state) => sameText(state, address.state)) ||
+      coupon.targeting.pincodes.includes(String(address.pincode || '').trim())));
+
+/**
+ * Find the first targeting rule a customer fails
+ * @param {Object} coupon - Coupon (read with readCoupon)
+ * @param {Object|null} customer - { user_id, email, email_verified, signed_up_at, order_count }
+ * @param {Object|null} address - Shipping address; delivery rules are skipped without one
+ * @param {Date} now
+ * @returns {string|null} TARGETING_REASONS value, or null when the customer qualifies
+ */
+export const getTargetingFailure = (coupon, customer, address = null, now = new Date()) => {
+  const { targeting } = coupon;
+
+  if (hasCustomerTargeting(coupon)) {
+    if (!customer) return TARGETING_REASONS.NOT_ELIGIBLE;
+    if (targeting.first_order_only && customer.order_count > 0) {
+      return TARGETING_REASONS.FIRST_ORDER_ONLY;
+    }
+    if (targeting.user_ids.length > 0 && !targeting.user_ids.includes(customer.user_id)) {
+      return TARGETING_REASONS.NOT_ELIGIBLE;
+    }
+    if (targeting.email_domains.length > 0) {
+      const domain = String(customer.email || '').split('@')[1];
+      if (!targeting.email_domains.some((candidate) => sameText(candidate, domain))) {
+        return TARGETING_REASONS.EMAIL_DOMAIN;
+      }
+      // Anyone can sign up with any address, so the domain only counts once verified
+      if (!customer.email_verified) return TARGETING_REASONS.EMAIL_NOT_VERIFIED;
+    }
+    if (
+      targeting.signup_within_days !== null &&
+      !(customer.signed_up_at && now - customer.signed_up_at <= targeting.signup_within_days * DAY_MS)
+    ) {
+      return TARGETING_REASONS.SIGNUP_WINDOW;
+    }
+  }
+
+  if (address && !isAddressEligible(coupon, address)) {
+    return TARGETING_REASONS.DELIVERY_AREA;
+  }
+  return null;
+};
+
+/**
+ * Describe the delivery areas a coupon is limited to
+ * @param {Object} coupon - Coupon (read with readCoupon)
+ * @returns {string} e.g. "Karnataka, 400001"
+ */
+export const describeDeliveryAreas = ({ targeting }) => [...targeting.states, ...targeting.pincodes].join(', ');
+
+/**
+ * Explain to the customer why they can't use a coupon
+ * @param {Object} coupon - Coupon (read with readCoupon)
+ * @param {string} reason - TARGETING_REASONS value
+ * @returns {string} Message
+ */
+export const getTargetingMessage = (coupon, reason) => {
+  switch (reason) {
+    case TARGETING_REASONS.FIRST_ORDER_ONLY:
+      return 'This coupon is only valid on your first order';
+    case TARGETING_REASONS.EMAIL_DOMAIN:
+      return `This coupon is only for ${coupon.targeting.email_domains.map((domain) => `@${domain}`).join(', ')} accounts`;
+    case TARGETING_REASONS.EMAIL_NOT_VERIFIED:
+      return 'Verify your email address to use this coupon';
+    case TARGETING_REASONS.SIGNUP_WINDOW:
+      return `This coupon is only for customers who joined in the last ${coupon.targeting.signup_within_days} days`;
+    case TARGETING_REASONS.DELIVERY_AREA:
+      return `This coupon is only valid for delivery to ${describeDeliveryAreas(coupon)}`;
+    default:
+      return "This coupon isn't available on your account";
+  }
+};
+
+/**
+ * Summarize a coupon's targeting for the admin list
+ * @param {Object} coupon - Coupon (read with readCoupon)
+ * @returns {string} e.g. "First order · @acme.com · Delivery to Karnataka" ('' for everyone)
+ */
+export const describeTargeting = (coupon) => {
+  const { targeting } = coupon;
+  return [
+    ...(targeting.first_order_only ? ['First order'] : []),
+    ...(targeting.user_ids.length ? [`${targeting.user_ids.length} customers`] : []),
+    ...targeting.email_domains.map((domain) => `@${domain}`),
+    ...(targeting.signup_within_days !== null ? [`Joined in ${targeting.signup_within_days} days`] : []),
+    ...(hasAddressTargeting(coupon) ? [`Delivery to ${describeDeliveryAreas(coupon)}`] : []),
+  ].join(' · ');
+};
+
+export default {
+  TARGETING_REASONS,
+  CouponNotEligibleError,
+  hasCustomerTargeting,
+  hasAddressTargeting,
+  isAddressEligible,
+  getTargetingFailure,
+  describeDeliveryAreas,
+  getTargetingMessage,
+  describeTargeting,
+};
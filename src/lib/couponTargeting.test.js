@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { readCoupon } from './coupons';
+import {
+  TARGETING_REASONS,
+  isAddressEligible,
+  getTargetingFailure,
+  getTargetingMessage,
+  describeTargeting,
+} from './couponTargeting';
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+const customer = {
+  user_id: 'user-1',
+  email: 'asha@Acme.com',
+  email_verified: true,
+  signed_up_at: new Date('2026-10-10T12:00:00.000Z'),
+  order_count: 0,
+};
+
+const targeted = (targeting) => readCoupon({ id: 'c1', code: 'WELCOME', targeting });
+
+describe('getTargetingFailure', () => {
+  it('should let everyone use a coupon without targeting, guests included', () => {
+    const coupon = targeted(undefined);
+
+    expect(getTargetingFailure(coupon, customer, { state: 'Goa', pincode: '403001' }, NOW)).toBeNull();
+    expect(getTargetingFailure(coupon, null, null, NOW)).toBeNull();
+  });
+
+  it('should check first orders, listed customers and the signup window', () => {
+    const firstOrder = targeted({ first_order_only: true });
+    const recent = targeted({ signup_within_days: 7 });
+    const listed = targeted({ user_ids: 'user-2, user-3' });
+
+    expect(getTargetingFailure(firstOrder, customer, null, NOW)).toBeNull();
+    expect(getTargetingFailure(firstOrder, { ...customer, order_count: 1 }, null, NOW)).toBe(
+      TARGETING_REASONS.FIRST_ORDER_ONLY
+    );
+    expect(getTargetingFailure(firstOrder, null, null, NOW)).toBe(TARGETING_REASONS.NOT_ELIGIBLE);
+    expect(getTargetingFailure(recent, customer, null, NOW)).toBe(TARGETING_REASONS.SIGNUP_WINDOW);
+    expect(getTargetingFailure(targeted({ signup_within_days: 30 }), customer, null, NOW)).toBeNull();
+    expect(getTargetingFailure(listed, customer, null, NOW)).toBe(TARGETING_REASONS.NOT_ELIGIBLE);
+  });
+
+  it('should only accept verified emails at the listed domains', () => {
+    const coupon = targeted({ email_domains: ['@ACME.com'] });
+
+    expect(coupon.targeting.email_domains).toEqual(['acme.com']);
+    expect(getTargetingFailure(coupon, customer, null, NOW)).toBeNull();
+    expect(getTargetingFailure(coupon, { ...customer, email_verified: false }, null, NOW)).toBe(
+      TARGETING_REASONS.EMAIL_NOT_VERIFIED
+    );
+    expect(getTargetingFailure(coupon, { ...customer, email: 'asha@acme.com.evil.in' }, null, NOW)).toBe(
+      TARGETING_REASONS.EMAIL_DOMAIN
+    );
+  });
+});
+
+describe('isAddressEligible', () => {
+  it('should accept an address in any listed state or pincode, and skip the check without one', () => {
+    const coupon = targeted({ states: ['Karnataka'], pincodes: '400001' });
+
+    expect(isAddressEligible(coupon, { state: ' karnataka', pincode: '560001' })).toBe(true);
+    expect(isAddressEligible(coupon, { state: 'Maharashtra', pincode: '400001' })).toBe(true);
+    expect(isAddressEligible(coupon, { state: 'Maharashtra', pincode: '411001' })).toBe(false);
+    expect(getTargetingFailure(coupon, customer, null, NOW)).toBeNull();
+    expect(getTargetingFailure(coupon, customer, { state: 'Kerala', pincode: '682001' }, NOW)).toBe(
+      TARGETING_REASONS.DELIVERY_AREA
+    );
+    expect(getTargetingMessage(coupon, TARGETING_REASONS.DELIVERY_AREA)).toBe(
+      'This coupon is only valid for delivery to Karnataka, 400001'
+    );
+  });
+});
+
+describe('describeTargeting', () => {
+  it('should summarize every rule set', () => {
+    expect(
+      describeTargeting(targeted({ first_order_only: true, email_domains: 'acme.com', states: ['Goa'] }))
+    ).toBe('First order · @acme.com · Delivery to Goa');
+    expect(describeTargeting(targeted({}))).toBe('');
+  });
+});
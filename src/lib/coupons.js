@@ -0,0 +1,400 @@
+/**
+ * Coupons
+ * The canonical coupon and coupon_usage schema (snake_case fields, dates as
+ * Firestore Timestamps). Older documents were written with camelCase fields
+ * (discountType, usedCount, startDate, couponId...); the readers here accept
+ * both so callers only ever see the canonical shape, and
+ * scripts/migrate-coupons.js rewrites the old documents.
+ *
+ * Has no imports so the migration script can load it in Node.
+ * @module lib/coupons
+ */
+
+/**
+ * @typedef {Object} Coupon
+ * @property {string} id - Document ID
+ * @property {string} code - Upper-case code
+ * @property {string} name - Name shown to customers for automatic promotions
+ * @property {string} description
+ * @property {boolean} automatic - Applies itself to qualifying carts; the code can't be entered
+ * @property {boolean} unique_codes - Redeemed with single-use codes (lib/couponCodes); the code can't be entered
+ * @property {{prefix: string, length: number}|null} code_template - How its unique codes are generated
+ * @property {number} codes_count - Unique codes generated so far
+ * @property {'percentage'|'fixed'|'buy_x_get_y'|'tiered'|'free_gift'} discount_type
+ * @property {number} discount_value - Percent or rupees (percentage and fixed only)
+ * @property {number|null} max_discount - Cap for percentage and tiered discounts
+ * @property {number|null} buy_quantity - Units bought per free/discounted group (buy_x_get_y)
+ * @property {number|null} get_quantity - Units discounted per group (buy_x_get_y)
+ * @property {number|null} get_discount_percent - Discount on those units, 100 = free (buy_x_get_y)
+ * @property {Array<{min_subtotal: number, percent: number}>} tiers - Ascending (tiered)
+ * @property {string|null} gift_product_id - Product given free once min_order_value is reached (free_gift)
+ * @property {CouponScope} scope - Lines the discount applies to
+ * @property {CouponTargeting} targeting - Customers and delivery areas the coupon is limited to
+ * @property {boolean} exclusive - Can't be combined with other promotions
+ * @property {number} priority - Higher priorities are applied first when stacking
+ * @property {number} min_order_value
+ * @property {number|null} max_uses - Total redemptions allowed (null = unlimited)
+ * @property {number} max_uses_per_user
+ * @property {number} used_count
+ * @property {Date|null} start_date
+ * @property {Date|null} end_date
+ * @property {boolean} is_active
+ * @property {Date|null} created_at
+ */
+
+/**
+ * @typedef {Object} CouponScope
+ * Empty lists match every line; a line must match each non-empty list.
+ * @property {Array<string>} product_ids
+ * @property {Array<string>} categories
+ * @property {Array<string>} brands
+ * @property {Array<string>} sizes
+ */
+
+/**
+ * @typedef {Object} CouponTargeting
+ * Empty lists and null/false rules are not checked (see lib/couponTargeting).
+ * @property {boolean} first_order_only - Only customers without a previous order
+ * @property {Array<string>} user_ids - Only these customers
+ * @property {Array<string>} email_domains - Only verified emails at these domains (lower case, no @)
+ * @property {number|null} signup_within_days - Only customers who signed up this many days ago or less
+ * @property {Array<string>} states - Only delivery to these states (or to pincodes)
+ * @property {Array<string>} pincodes - Only delivery to these pincodes (or to states)
+ */
+
+/**
+ * @typedef {Object} CouponUsage
+ * @property {string} id - Document ID
+ * @property {string} coupon_id
+ * @property {string} user_id
+ * @property {string|null} order_id
+ * @property {string|null} code - Unique code redeemed, for coupons with unique codes
+ * @property {number} discount_amount
+ * @property {Date|null} created_at
+ */
+
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  BUY_X_GET_Y: 'buy_x_get_y',
+  TIERED: 'tiered',
+  FREE_GIFT: 'free_gift',
+};
+
+export const SCOPE_FIELDS = ['product_ids', 'categories', 'brands', 'sizes'];
+
+// Canonical field → older spellings still found in stored documents
+export const COUPON_FIELD_ALIASES = {
+  discount_type: ['discountType'],
+  discount_value: ['discountValue'],
+  max_discount: ['maxDiscount'],
+  min_order_value: ['minOrderValue'],
+  max_uses: ['maxUses'],
+  max_uses_per_user: ['maxUsesPerUser'],
+  used_count: ['usedCount'],
+  start_date: ['startDate'],
+  end_date: ['endDate'],
+  is_active: ['isActive', 'active'],
+  created_at: ['createdAt'],
+  updated_at: ['updatedAt'],
+};
+
+export const COUPON_USAGE_FIELD_ALIASES = {
+  coupon_id: ['couponId'],
+  user_id: ['userId'],
+  order_id: ['orderId'],
+  discount_amount: ['discountAmount'],
+  created_at: ['createdAt'],
+  updated_at: ['updatedAt'],
+};
+
+// First value set under the canonical name or one of its aliases
+const pick = (data, field, aliases) => {
+  const value = [field, ...(aliases[field] || [])]
+    .map((key) => data[key])
+    .find((candidate) => candidate !== undefined && candidate !== null && candidate !== '');
+  return value === undefined ? null : value;
+};
+
+const toNumber = (value, fallback = null) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+
+const readTargeting = (targeting) => {
+  const signupWithinDays = Math.floor(toNumber(targeting.signup_within_days, 0));
+  return {
+    first_order_only: targeting.first_order_only === true,
+    user_ids: toList(targeting.user_ids),
+    email_domains: toList(targeting.email_domains).map((domain) => domain.replace(/^@/, '').toLowerCase()),
+    signup_within_days: signupWithinDays > 0 ? signupWithinDays : null,
+    states: toList(targeting.states),
+    pincodes: toList(targeting.pincodes),
+  };
+};
+
+const readDiscountType = (value) => {
+  if (value === 'flat') return DISCOUNT_TYPES.FIXED;
+  if (value === 'bogo') return DISCOUNT_TYPES.BUY_X_GET_Y;
+  return Object.values(DISCOUNT_TYPES).includes(value) ? value : DISCOUNT_TYPES.PERCENTAGE;
+};
+
+const readTiers = (tiers) =>
+  (Array.isArray(tiers) ? tiers : [])
+    .map((tier) => ({
+      min_subtotal: toNumber(tier.min_subtotal, 0),
+      percent: Math.min(100, toNumber(tier.percent, 0)),
+    }))
+    .filter((tier) => tier.percent > 0)
+    .sort((a, b) => a.min_subtotal - b.min_subtotal);
+
+/**
+ * Convert a stored date (Timestamp, Date, ISO string or milliseconds) to a Date
+ * @param {*} value - Stored value
+ * @returns {Date|null} Date, or null if missing or invalid
+ */
+export const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read a coupon document in the canonical shape
+ * @param {Object} data - Coupon document (canonical or older fields)
+ * @returns {Coupon} Coupon
+ */
+export const readCoupon = (data) => {
+  const field = (name) => pick(data, name, COUPON_FIELD_ALIASES);
+  const discountType = readDiscountType(field('discount_type'));
+  const isBuyXGetY = discountType === DISCOUNT_TYPES.BUY_X_GET_Y;
+  const isCapped = discountType === DISCOUNT_TYPES.PERCENTAGE || discountType === DISCOUNT_TYPES.TIERED;
+  const maxDiscount = toNumber(field('max_discount'));
+  const maxUses = toNumber(field('max_uses'));
+  // Orders counted redemptions in used_count while the admin API only ever
+  // set usedCount to 0, so the larger of the two is the real count
+  const usedCount = Math.max(toNumber(data.used_count, 0), toNumber(data.usedCount, 0));
+
+  return {
+    id: data.id,
+    code: String(data.code || '').trim().toUpperCase(),
+    name: String(data.name || '').trim(),
+    description: data.description || '',
+    automatic: data.automatic === true,
+    unique_codes: data.unique_codes === true,
+    code_template:
+      data.unique_codes === true && data.code_template
+        ? {
+            prefix: String(data.code_template.prefix || '').toUpperCase(),
+            length: toNumber(data.code_template.length, 8),
+          }
+        : null,
+    codes_count: toNumber(data.codes_count, 0),
+    discount_type: discountType,
+    discount_value: toNumber(field('discount_value'), 0),
+    max_discount: isCapped && maxDiscount > 0 ? maxDiscount : null,
+    buy_quantity: isBuyXGetY ? Math.max(1, Math.floor(toNumber(data.buy_quantity, 1))) : null,
+    get_quantity: isBuyXGetY ? Math.max(1, Math.floor(toNumber(data.get_quantity, 1))) : null,
+    get_discount_percent: isBuyXGetY
+      ? Math.min(100, Math.max(0, toNumber(data.get_discount_percent, 100)))
+      : null,
+    tiers: discountType === DISCOUNT_TYPES.TIERED ? readTiers(data.tiers) : [],
+    gift_product_id:
+      discountType === DISCOUNT_TYPES.FREE_GIFT ? String(data.gift_product_id || '').trim() || null : null,
+    scope: Object.fromEntries(SCOPE_FIELDS.map((key) => [key, toList(data.scope?.[key])])),
+    targeting: readTargeting(data.targeting || {}),
+    exclusive: data.exclusive === true,
+    priority: toNumber(data.priority, 0),
+    min_order_value: toNumber(field('min_order_value'), 0),
+    max_uses: maxUses > 0 ? maxUses : null,
+    max_uses_per_user: toNumber(field('max_uses_per_user'), 1),
+    used_count: usedCount,
+    start_date: toDate(field('start_date')),
+    end_date: toDate(field('end_date')),
+    is_active: field('is_active') !== false,
+    created_at: toDate(field('created_at')),
+  };
+};
+
+/**
+ * Build the stored fields for a coupon
+ * Leaves out id, used_count, codes_count and timestamps, which the caller owns.
+ * @param {Object} coupon - Coupon in the canonical shape (form values are coerced)
+ * @returns {Object} Fields to write
+ */
+export const toCouponFields = (coupon) => {
+  const normalized = readCoupon(coupon);
+  return {
+    code: normalized.code,
+    name: normalized.name,
+    description: normalized.description,
+    automatic: normalized.automatic,
+    unique_codes: normalized.unique_codes,
+    code_template: normalized.code_template,
+    discount_type: normalized.discount_type,
+    discount_value: normalized.discount_value,
+    max_discount: normalized.max_discount,
+    buy_quantity: normalized.buy_quantity,
+    get_quantity: normalized.get_quantity,
+    get_discount_percent: normalized.get_discount_percent,
+    tiers: normalized.tiers,
+    gift_product_id: normalized.gift_product_id,
+    scope: normalized.scope,
+    targeting: normalized.targeting,
+    exclusive: normalized.exclusive,
+    priority: normalized.priority,
+    min_order_value: normalized.min_order_value,
+    max_uses: normalized.max_uses,
+    max_uses_per_user: normalized.max_uses_per_user,
+    start_date: normalized.start_date,
+    end_date: normalized.end_date,
+    is_active: normalized.is_active,
+  };
+};
+
+/**
+ * Read a coupon_usage document in the canonical shape
+ * @param {Object} data - Usage document (canonical or older fields)
+ * @returns {CouponUsage} Usage
+ */
+export const readCouponUsage = (data) => {
+  const field = (name) => pick(data, name, COUPON_USAGE_FIELD_ALIASES);
+  return {
+    id: data.id,
+    coupon_id: field('coupon_id'),
+    user_id: field('user_id'),
+    order_id: field('order_id'),
+    code: data.code || null,
+    discount_amount: toNumber(field('discount_amount'), 0),
+    created_at: toDate(field('created_at')),
+  };
+};
+
+/**
+ * Check if a coupon can be redeemed at a given time (ignoring usage limits)
+ * @param {Coupon} coupon - Coupon
+ * @param {Date} now - Time to check
+ * @returns {boolean}
+ */
+export const isCouponLive = (coupon, now = new Date()) =>
+  coupon.is_active &&
+  (!coupon.start_date || coupon.start_date <= now) &&
+  (!coupon.end_date || coupon.end_date >= now);
+
+/**
+ * Find why a coupon can't be redeemed now
+ * Checks the same things as isCouponLive plus the usage limits. The limit per
+ * customer is only checked when their usage count is given.
+ * @param {Coupon} coupon - Coupon
+ * @param {Object} options - { userUsageCount, now }
+ * @returns {string|null} Message for the customer, or null if it can be redeemed
+ */
+export const getCouponUnavailableMessage = (coupon, { userUsageCount = null, now = new Date() } = {}) => {
+  if (!coupon.is_active) return 'This coupon is no longer active';
+  if (coupon.start_date && now < coupon.start_date) return 'This coupon is not yet valid';
+  if (coupon.end_date && now > coupon.end_date) return 'This coupon has expired';
+  if (coupon.max_uses && coupon.used_count >= coupon.max_uses) return 'Coupon usage limit reached';
+  if (userUsageCount !== null && userUsageCount >= coupon.max_uses_per_user) {
+    return 'You have already used this coupon';
+  }
+  return null;
+};
+
+// A stored value already matches the canonical one (dates must be Timestamps;
+// lists and maps are compared by content)
+const isSameValue = (stored, canonical) => {
+  if (canonical instanceof Date) {
+    return typeof stored?.toDate === 'function' && stored.toDate().getTime() === canonical.getTime();
+  }
+  if (Array.isArray(canonical)) {
+    return (
+      Array.isArray(stored) &&
+      stored.length === canonical.length &&
+      canonical.every((value, index) => isSameValue(stored[index], value))
+    );
+  }
+  if (canonical && typeof canonical === 'object' && typeof canonical.toDate !== 'function') {
+    const keys = Object.keys(canonical);
+    return (
+      !!stored &&
+      typeof stored === 'object' &&
+      Object.keys(stored).length === keys.length &&
+      keys.every((key) => isSameValue(stored[key], canonical[key]))
+    );
+  }
+  return stored === canonical;
+};
+
+const getMigration = (data, canonical, aliases) => {
+  const updates = Object.fromEntries(
+    Object.entries(canonical).filter(([key, value]) => !isSameValue(data[key], value))
+  );
+  const removed = Object.values(aliases)
+    .flat()
+    .filter((key) => key in data);
+  return { updates, removed, changed: Object.keys(updates).length > 0 || removed.length > 0 };
+};
+
+// Keep the stored Timestamp when it's already one; Dates are written as Timestamps
+const withStoredTimestamps = (data, fields, aliases) =>
+  Object.fromEntries(
+    fields
+      .map((key) => [key, pick(data, key, aliases)])
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => [key, typeof value.toDate === 'function' ? value : toDate(value)])
+      .filter(([, value]) => value !== null)
+  );
+
+/**
+ * Work out how to rewrite a coupon document in the canonical schema
+ * Running it on an already migrated document returns no changes.
+ * @param {Object} data - Stored coupon document
+ * @returns {Object} { updates, removed, changed } - fields to set and older fields to delete
+ */
+export const getCouponMigration = (data) =>
+  getMigration(
+    data,
+    {
+      ...toCouponFields(data),
+      used_count: readCoupon(data).used_count,
+      ...withStoredTimestamps(data, ['created_at', 'updated_at'], COUPON_FIELD_ALIASES),
+    },
+    COUPON_FIELD_ALIASES
+  );
+
+/**
+ * Work out how to rewrite a coupon_usage document in the canonical schema
+ * @param {Object} data - Stored usage document
+ * @returns {Object} { updates, removed, changed } - fields to set and older fields to delete
+ */
+export const getCouponUsageMigration = (data) => {
+  const usage = readCouponUsage(data);
+  return getMigration(
+    data,
+    {
+      coupon_id: usage.coupon_id,
+      user_id: usage.user_id,
+      order_id: usage.order_id,
+      discount_amount: usage.discount_amount,
+      ...withStoredTimestamps(data, ['created_at', 'updated_at'], COUPON_USAGE_FIELD_ALIASES),
+    },
+    COUPON_USAGE_FIELD_ALIASES
+  );
+};
+
+export default {
+  DISCOUNT_TYPES,
+  toDate,
+  readCoupon,
+  toCouponFields,
+  readCouponUsage,
+  isCouponLive,
+  getCouponUnavailableMessage,
+  getCouponMigration,
+  getCouponUsageMigration,
+};
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  readCoupon,
+  readCouponUsage,
+  isCouponLive,
+  getCouponMigration,
+  getCouponUsageMigration,
+} from './coupons';
+
+// Minimal stand-in for a Firestore Timestamp
+const timestamp = (iso) => {
+  const date = new Date(iso);
+  return { toDate: () => date };
+};
+
+// Apply a migration the way the script does, turning written Dates into Timestamps
+const applyMigration = (data, { updates, removed }) => {
+  const migrated = { ...data };
+  Object.entries(updates).forEach(([key, value]) => {
+    migrated[key] = value instanceof Date ? timestamp(value.toISOString()) : value;
+  });
+  removed.forEach((key) => delete migrated[key]);
+  return migrated;
+};
+
+const adminCoupon = {
+  code: 'save20',
+  discountType: 'percentage',
+  discountValue: 20,
+  maxDiscount: 300,
+  minOrderValue: 1000,
+  maxUses: null,
+  maxUsesPerUser: 1,
+  usedCount: 0,
+  used_count: 4,
+  startDate: '2026-10-01T00:00:00.000Z',
+  endDate: '2026-10-31T23:59:00.000Z',
+  isActive: true,
+  createdAt: timestamp('2026-09-30T10:00:00.000Z'),
+};
+
+describe('readCoupon', () => {
+  it('should read camelCase coupons in the canonical shape', () => {
+    const coupon = readCoupon(adminCoupon);
+
+    expect(coupon).toMatchObject({
+      code: 'SAVE20',
+      discount_type: 'percentage',
+      discount_value: 20,
+      max_discount: 300,
+      min_order_value: 1000,
+      max_uses: null,
+      max_uses_per_user: 1,
+      used_count: 4,
+      is_active: true,
+    });
+    expect(coupon.start_date).toEqual(new Date('2026-10-01T00:00:00.000Z'));
+    expect(coupon.created_at).toEqual(new Date('2026-09-30T10:00:00.000Z'));
+  });
+
+  it('should treat flat coupons as fixed and drop their max discount', () => {
+    const coupon = readCoupon({ code: 'FLAT100', discount_type: 'flat', discount_value: '100', max_discount: 50, active: false });
+
+    expect(coupon.discount_type).toBe('fixed');
+    expect(coupon.discount_value).toBe(100);
+    expect(coupon.max_discount).toBeNull();
+    expect(coupon.is_active).toBe(false);
+  });
+});
+
+describe('readCouponUsage', () => {
+  it('should read usage written with either spelling', () => {
+    expect(readCouponUsage({ couponId: 'c1', userId: 'u1', discountAmount: 50 })).toMatchObject({
+      coupon_id: 'c1',
+      user_id: 'u1',
+      order_id: null,
+      discount_amount: 50,
+    });
+    expect(readCouponUsage({ coupon_id: 'c1', user_id: 'u2', order_id: 'o1', discount_amount: 80 })).toMatchObject({
+      coupon_id: 'c1',
+      user_id: 'u2',
+      order_id: 'o1',
+      discount_amount: 80,
+    });
+  });
+});
+
+describe('isCouponLive', () => {
+  it('should check the active flag and validity period', () => {
+    const coupon = readCoupon(adminCoupon);
+
+    expect(isCouponLive(coupon, new Date('2026-10-19T12:00:00Z'))).toBe(true);
+    expect(isCouponLive(coupon, new Date('2026-11-01T00:00:00Z'))).toBe(false);
+    expect(isCouponLive({ ...coupon, is_active: false }, new Date('2026-10-19T12:00:00Z'))).toBe(false);
+  });
+});
+
+describe('coupon migrations', () => {
+  it('should rewrite older documents once and then report no changes', () => {
+    const migration = getCouponMigration(adminCoupon);
+    expect(migration.changed).toBe(true);
+    expect(migration.removed).toEqual(expect.arrayContaining(['discountType', 'usedCount', 'startDate', 'createdAt']));
+    expect(migration.updates.created_at).toBe(adminCoupon.createdAt);
+
+    const migrated = applyMigration(adminCoupon, migration);
+    expect(readCoupon(migrated)).toEqual(readCoupon(adminCoupon));
+    expect(getCouponMigration(migrated).changed).toBe(false);
+
+    const usage = { couponId: 'c1', userId: 'u1', orderId: 'o1', discountAmount: 50 };
+    const migratedUsage = applyMigration(usage, getCouponUsageMigration(usage));
+    expect(migratedUsage).toEqual({ coupon_id: 'c1', user_id: 'u1', order_id: 'o1', discount_amount: 50 });
+    expect(getCouponUsageMigration(migratedUsage).changed).toBe(false);
+  });
+});
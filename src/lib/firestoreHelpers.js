@@ -37,8 +37,28 @@ export const COLLECTIONS = {
   PROFILES: 'profiles',
   COUPONS: 'coupons',
   COUPON_USAGE: 'coupon_usage',
+  COUPON_CODES: 'coupon_codes',
   SERVICEABLE_PINCODES: 'serviceable_pincodes',
   ADDRESSES: 'addresses',
+  RETURNS: 'returns',
+  PAYMENTS: 'payments',
+  PAYMENT_INTENTS: 'payment_intents',
+  SETTINGS: 'settings',
+  CARTS: 'carts',
+  WISHLISTS: 'wishlists',
+  ORDER_LOOKUPS: 'order_lookups',
+  WISHLIST_LISTS: 'wishlist_lists',
+  STOCK_ALERTS: 'stock_alerts',
+  ALERT_CHECKS: 'alert_checks',
+  NOTIFICATIONS: 'notifications',
+  REVIEWS: 'reviews',
+  REVIEW_VOTES: 'review_votes',
+  SIZE_CHARTS: 'size_charts',
+  SIZE_PROFILES: 'size_profiles',
+  CO_PURCHASES: 'co_purchases',
+  RECENTLY_VIEWED: 'recently_viewed',
+  SEARCH_LOGS: 'search_logs',
+  SEARCH_TERMS: 'search_terms',
 };
 
 // ============================================================================
@@ -0,0 +1,50 @@
+/**
+ * Guest Orders
+ * Helpers for orders placed without an account. A guest finds their order
+ * again with its order number and the phone number it was placed with; the
+ * pair is hashed into the ID of an order_lookups document so neither is
+ * stored in a readable form.
+ * @module lib/guestOrders
+ */
+
+/**
+ * Normalise a phone number for lookups
+ * Keeps the last 10 digits, so "+91 98765 43210" and "9876543210" match.
+ * @param {string} phone - Phone number
+ * @returns {string} Digits
+ */
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Normalise an order number for lookups
+ * @param {string} orderNumber - Order number (e.g., "ord-2024-00001 ")
+ * @returns {string} Upper-case order number without a leading '#'
+ */
+export const normalizeOrderNumber = (orderNumber) =>
+  String(orderNumber || '').trim().replace(/^#/, '').toUpperCase();
+
+/**
+ * Normalise an email address for matching guest orders to accounts
+ * @param {string} email - Email address
+ * @returns {string} Lower-case email
+ */
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Get the order_lookups document ID for an order number and phone
+ * @param {string} orderNumber - Order number
+ * @param {string} phone - Phone number the order was placed with
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+export const getOrderLookupKey = async (orderNumber, phone) => {
+  const value = `${normalizeOrderNumber(orderNumber)}:${normalizePhone(phone)}`;
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export default {
+  normalizePhone,
+  normalizeOrderNumber,
+  normalizeEmail,
+  getOrderLookupKey,
+};
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { normalizePhone, normalizeOrderNumber, getOrderLookupKey } from './guestOrders';
+
+describe('normalizePhone', () => {
+  it('should keep the last 10 digits', () => {
+    expect(normalizePhone('+91 98765-43210')).toBe('9876543210');
+    expect(normalizePhone('09876543210')).toBe('9876543210');
+    expect(normalizePhone('')).toBe('');
+  });
+});
+
+describe('normalizeOrderNumber', () => {
+  it('should trim, drop a leading # and upper-case', () => {
+    expect(normalizeOrderNumber(' #ord-2024-00001 ')).toBe('ORD-2024-00001');
+  });
+});
+
+describe('getOrderLookupKey', () => {
+  it('should give the same key for differently formatted input', async () => {
+    const key = await getOrderLookupKey('ORD-2024-00001', '9876543210');
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(await getOrderLookupKey('#ord-2024-00001', '+91 98765 43210')).toBe(key);
+  });
+
+  it('should give different keys for a different phone', async () => {
+    expect(await getOrderLookupKey('ORD-2024-00001', '9876543211')).not.toBe(
+      await getOrderLookupKey('ORD-2024-00001', '9876543210')
+    );
+  });
+});
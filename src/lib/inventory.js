@@ -1,6 +1,11 @@
 /**
  * Simple Inventory Utilities - Firebase Version
  * Basic stock status helpers
+ *
+ * Products may carry a `variants` array of
+ * { sku, size, color, stock, price? } entries, one per size × color.
+ * When present, variant stock is authoritative and `product.stock` is kept
+ * as the sum of all variants for listings and filters.
  * @module lib/inventory
  */
 
@@ -58,6 +63,214 @@ export const getStockStatus = (stock, threshold = 10) => {
   };
 };
 
+// ============================================================================
+// VARIANTS
+// ============================================================================
+
+/**
+ * Check if a product tracks stock per size × color variant
+ */
+export const hasVariants = (product) => {
+  return Array.isArray(product?.variants) && product.variants.length > 0;
+};
+
+/**
+ * Get the color name from a color object or string
+ */
+export const getColorName = (color) => {
+  if (!color) return '';
+  return typeof color === 'string' ? color : color.name || '';
+};
+
+/**
+ * Find the variant matching a size and color
+ * @param {Object} product - Product with variants
+ * @param {string} size - Size (e.g. 'M')
+ * @param {Object|string} color - Color object or color name
+ * @returns {Object|null} Variant or null
+ */
+export const findVariant = (product, size, color) => {
+  if (!hasVariants(product)) return null;
+  const colorName = getColorName(color);
+  return (
+    product.variants.find(
+      (variant) =>
+        (variant.size || '') === (size || '') &&
+        (variant.color || '') === colorName
+    ) || null
+  );
+};
+
+/**
+ * Get stock for a size × color, falling back to product-level stock
+ * Returns undefined when stock isn't tracked, 0 for unknown variants.
+ */
+export const getVariantStock = (product, size, color) => {
+  if (!product) return 0;
+  if (!hasVariants(product)) return product.stock;
+  const variant = findVariant(product, size, color);
+  return variant ? variant.stock || 0 : 0;
+};
+
+/**
+ * Get price for a size × color, honouring a variant price override
+ */
+export const getVariantPrice = (product, size, color) => {
+  const variant = findVariant(product, size, color);
+  if (variant && variant.price !== undefined && variant.price !== null && variant.price !== '') {
+    return Number(variant.price);
+  }
+  return product?.price;
+};
+
+/**
+ * Sum stock across all variants
+ */
+export const sumVariantStock = (variants = []) => {
+  return variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+};
+
+/**
+ * Build the size × color variant matrix, keeping existing variant data
+ * @param {Array<string>} sizes - Selected sizes
+ * @param {Array<Object>} colors - Selected colors ({ name, hex })
+ * @param {Array<Object>} existing - Current variants
+ * @param {string} baseSku - Product SKU used to derive variant SKUs
+ * @returns {Array<Object>} Variants
+ */
+export const buildVariantMatrix = (sizes = [], colors = [], existing = [], baseSku = '') => {
+  const colorNames = colors.map(getColorName).filter(Boolean);
+  const variants = [];
+
+  (sizes.length > 0 ? sizes : ['']).forEach((size) => {
+    (colorNames.length > 0 ? colorNames : ['']).forEach((colorName) => {
+      const current = existing.find(
+        (variant) => variant.size === size && variant.color === colorName
+      );
+      variants.push(
+        current || {
+          sku: [baseSku, colorName, size]
+            .filter(Boolean)
+            .join('-')
+            .toUpperCase()
+            .replace(/[^A-Z0-9-]+/g, ''),
+          size,
+          color: colorName,
+          stock: 0,
+          price: null,
+        }
+      );
+    });
+  });
+
+  return variants;
+};
+
+/**
+ * Apply stock deltas to a product
+ * @param {Object} product - Current product data
+ * @param {Array} lines - Deltas ({ size, color, quantity }); negative to deduct
+ * @returns {Object} Fields to update ({ stock } or { stock, variants })
+ */
+export const applyStockChanges = (product, lines) => {
+  const totalDelta = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+  if (!hasVariants(product)) {
+    return { stock: Math.max(0, (product.stock || 0) + totalDelta) };
+  }
+
+  const variants = product.variants.map((variant) => {
+    const delta = lines
+      .filter(
+        (line) =>
+          (line.size || '') === (variant.size || '') &&
+          getColorName(line.color) === (variant.color || '')
+      )
+      .reduce((sum, line) => sum + line.quantity, 0);
+    return delta === 0
+      ? variant
+      : { ...variant, stock: Math.max(0, (variant.stock || 0) + delta) };
+  });
+
+  return { stock: sumVariantStock(variants), variants };
+};
+
+// The security rules check at most this many changed variants in one
+// customer stock write (see isVariantStockChange in firestore.rules)
+export const MAX_STOCK_CHANGE_VARIANTS = 10;
+
+/**
+ * Summarize stock deltas by variant position
+ * Customers' stock writes are checked by the security rules against this
+ * summary, which the order stores, so variants are listed by their index in
+ * product.variants.
+ * @param {Object} product - Current product data
+ * @param {Array} lines - Deltas ({ size, color, quantity }); negative to deduct
+ * @returns {Object} { quantity, variants } where variants are the changed
+ *   variants ({ index, quantity }) in index order
+ */
+export const getStockChangeSummary = (product, lines) => {
+  const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+  if (!hasVariants(product)) return { quantity, variants: [] };
+
+  const variants = product.variants
+    .map((variant, index) => ({
+      index,
+      quantity: lines
+        .filter(
+          (line) =>
+            (line.size || '') === (variant.size || '') &&
+            getColorName(line.color) === (variant.color || '')
+        )
+        .reduce((sum, line) => sum + line.quantity, 0),
+    }))
+    .filter((change) => change.quantity !== 0);
+
+  return { quantity, variants };
+};
+
+/**
+ * Get variants at or below the low stock threshold across products
+ * Products without variants are reported as a single entry.
+ * @param {Array} products - Products
+ * @param {number} threshold - Low stock threshold
+ * @param {Object} options - { includeOutOfStock }
+ * @returns {Array} Entries ({ product, variant, stock })
+ */
+export const getLowStockVariants = (products, threshold = 10, options = {}) => {
+  const { includeOutOfStock = false } = options;
+  const isLow = (stock) =>
+    stock <= threshold && (includeOutOfStock ? stock >= 0 : stock > 0);
+  const entries = [];
+
+  products.forEach((product) => {
+    if (hasVariants(product)) {
+      product.variants.forEach((variant) => {
+        const stock = variant.stock || 0;
+        if (isLow(stock)) entries.push({ product, variant, stock });
+      });
+    } else if (product.stock !== undefined && product.stock !== null) {
+      if (isLow(product.stock)) {
+        entries.push({ product, variant: null, stock: product.stock });
+      }
+    }
+  });
+
+  return entries.sort((a, b) => a.stock - b.stock);
+};
+
+/**
+ * Get a human readable variant label (e.g. "M / Black")
+ */
+export const getVariantLabel = (variant) => {
+  if (!variant) return '';
+  return [variant.size, variant.color].filter(Boolean).join(' / ');
+};
+
+// ============================================================================
+// PRODUCT STOCK
+// ============================================================================
+
 /**
  * Check if product is in stock
  */
@@ -72,6 +285,7 @@ export const isInStock = (product) => {
  */
 export const getAvailableStock = (product) => {
   if (!product) return 0;
+  if (hasVariants(product)) return sumVariantStock(product.variants);
   return product.stock || 0;
 };
 
@@ -84,7 +298,14 @@ export const isLowStock = (product, threshold = 10) => {
 };
 
 /**
- * Validate cart items against current stock
+ * Validate cart items against current stock and prices
+ * An item can have a price_changed issue as well as a stock issue; the
+ * other issues (product_not_found, variant_not_found, out_of_stock) mean the
+ * item can't be bought at all.
+ * @param {Array} cart - Cart items
+ * @param {Array} products - Current products
+ * @returns {Object} { isValid, issues } where each issue is
+ *   { item, issue, message, available?, previous_price?, price? }
  */
 export const validateCartStock = (cart, products = []) => {
   const issues = [];
@@ -101,9 +322,31 @@ export const validateCartStock = (cart, products = []) => {
       return;
     }
 
-    const available = getAvailableStock(product);
+    if (hasVariants(product) && !findVariant(product, cartItem.selectedSize, cartItem.selectedColor)) {
+      issues.push({
+        item: cartItem,
+        issue: 'variant_not_found',
+        message: `${cartItem.name} (${getVariantLabel({ size: cartItem.selectedSize, color: getColorName(cartItem.selectedColor) })}) is no longer available`,
+      });
+      return;
+    }
 
-    if (available === 0) {
+    const price = getVariantPrice(product, cartItem.selectedSize, cartItem.selectedColor);
+    if (Number(price) !== Number(cartItem.price)) {
+      issues.push({
+        item: cartItem,
+        issue: 'price_changed',
+        message: `The price of ${cartItem.name} has ${price > cartItem.price ? 'gone up' : 'dropped'}`,
+        previous_price: cartItem.price,
+        price,
+      });
+    }
+
+    // undefined = stock isn't tracked for this product
+    const available = getVariantStock(product, cartItem.selectedSize, cartItem.selectedColor);
+    if (available === undefined || available === null) return;
+
+    if (available <= 0) {
       issues.push({
         item: cartItem,
         issue: 'out_of_stock',
@@ -125,6 +368,70 @@ export const validateCartStock = (cart, products = []) => {
   };
 };
 
+/**
+ * Find order lines that cannot be filled from current stock
+ * Quantities for the same stock unit (a variant, or the whole product when
+ * it has no variants) are summed across lines before comparing.
+ * @param {Array} items - Order items ({ product_id, name, size, color, quantity })
+ * @param {Object} productsById - Current product data keyed by product ID
+ * @returns {Array} Shortages ({ product_id, name, size, color, requested, available, message })
+ */
+export const findStockShortages = (items, productsById = {}) => {
+  const requested = new Map();
+
+  items.forEach((item) => {
+    const product = productsById[item.product_id];
+    const byVariant = hasVariants(product);
+    const key = byVariant
+      ? `${item.product_id}::${item.size || ''}/${getColorName(item.color)}`
+      : item.product_id;
+    const entry = requested.get(key) || {
+      product_id: item.product_id,
+      name: byVariant
+        ? `${item.name} (${getVariantLabel({ size: item.size, color: getColorName(item.color) })})`
+        : item.name,
+      ...(byVariant ? { size: item.size || '', color: getColorName(item.color) } : {}),
+      requested: 0,
+    };
+    entry.requested += item.quantity;
+    requested.set(key, entry);
+  });
+
+  const shortages = [];
+
+  requested.forEach((entry) => {
+    const product = productsById[entry.product_id];
+
+    if (!product || (hasVariants(product) && !findVariant(product, entry.size, entry.color))) {
+      shortages.push({
+        ...entry,
+        available: 0,
+        message: `${entry.name} is no longer available`,
+      });
+      return;
+    }
+
+    // Stock not tracked for this product
+    if (!hasVariants(product) && (product.stock === undefined || product.stock === null)) return;
+
+    const available = hasVariants(product)
+      ? getVariantStock(product, entry.size, entry.color)
+      : getAvailableStock(product);
+    if (available < entry.requested) {
+      shortages.push({
+        ...entry,
+        available,
+        message:
+          available === 0
+            ? `${entry.name} is out of stock`
+            : `Insufficient stock for ${entry.name}: only ${available} available (requested ${entry.requested})`,
+      });
+    }
+  });
+
+  return shortages;
+};
+
 /**
  * Get inventory statistics
  */
@@ -166,11 +473,23 @@ export const getOutOfStockProducts = (products) => {
 };
 
 export default {
+  hasVariants,
+  findVariant,
+  getVariantStock,
+  getVariantPrice,
+  sumVariantStock,
+  buildVariantMatrix,
+  applyStockChanges,
+  getStockChangeSummary,
+  getLowStockVariants,
+  getColorName,
+  getVariantLabel,
   getStockStatus,
   isInStock,
   getAvailableStock,
   isLowStock,
   validateCartStock,
+  findStockShortages,
   getInventoryStats,
   getLowStockProducts,
   getOutOfStockProducts,
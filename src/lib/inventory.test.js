@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findStockShortages,
+  applyStockChanges,
+  getStockChangeSummary,
+  buildVariantMatrix,
+  getVariantPrice,
+  getLowStockVariants,
+} from './inventory';
+
+const variantProduct = {
+  name: 'Polo',
+  price: 999,
+  stock: 5,
+  variants: [
+    { sku: 'POLO-BLACK-M', size: 'M', color: 'Black', stock: 0 },
+    { sku: 'POLO-WHITE-L', size: 'L', color: 'White', stock: 5, price: 1099 },
+  ],
+};
+
+describe('findStockShortages', () => {
+  const products = {
+    tee: { name: 'Basic Tee', stock: 3 },
+    shirt: { name: 'Oxford Shirt', stock: 0 },
+    hoodie: { name: 'Hoodie' }, // stock not tracked
+  };
+
+  it('should return no shortages when every line can be filled', () => {
+    const items = [{ product_id: 'tee', name: 'Basic Tee', quantity: 3 }];
+
+    expect(findStockShortages(items, products)).toEqual([]);
+  });
+
+  it('should sum quantities across lines of the same product', () => {
+    const items = [
+      { product_id: 'tee', name: 'Basic Tee', size: 'M', quantity: 2 },
+      { product_id: 'tee', name: 'Basic Tee', size: 'L', quantity: 2 },
+    ];
+
+    const shortages = findStockShortages(items, products);
+
+    expect(shortages).toHaveLength(1);
+    expect(shortages[0]).toMatchObject({
+      product_id: 'tee',
+      requested: 4,
+      available: 3,
+    });
+    expect(shortages[0].message).toContain('Insufficient stock');
+  });
+
+  it('should report out of stock and missing products', () => {
+    const items = [
+      { product_id: 'shirt', name: 'Oxford Shirt', quantity: 1 },
+      { product_id: 'deleted', name: 'Old Jacket', quantity: 1 },
+    ];
+
+    const shortages = findStockShortages(items, products);
+
+    expect(shortages.map((s) => s.product_id)).toEqual(['shirt', 'deleted']);
+    expect(shortages[0].message).toContain('out of stock');
+    expect(shortages[1].message).toContain('no longer available');
+  });
+
+  it('should ignore products that do not track stock', () => {
+    const items = [{ product_id: 'hoodie', name: 'Hoodie', quantity: 50 }];
+
+    expect(findStockShortages(items, products)).toEqual([]);
+  });
+});
+
+describe('findStockShortages with variants', () => {
+  const products = { polo: variantProduct };
+
+  it('should check stock per size and color', () => {
+    const items = [
+      { product_id: 'polo', name: 'Polo', size: 'M', color: 'Black', quantity: 1 },
+      { product_id: 'polo', name: 'Polo', size: 'L', color: 'White', quantity: 2 },
+    ];
+
+    const shortages = findStockShortages(items, products);
+
+    expect(shortages).toHaveLength(1);
+    expect(shortages[0]).toMatchObject({ size: 'M', color: 'Black', available: 0 });
+    expect(shortages[0].message).toContain('Polo (M / Black) is out of stock');
+  });
+
+  it('should reject variants that no longer exist', () => {
+    const items = [
+      { product_id: 'polo', name: 'Polo', size: 'XL', color: 'Black', quantity: 1 },
+    ];
+
+    expect(findStockShortages(items, products)[0].message).toContain(
+      'no longer available'
+    );
+  });
+});
+
+describe('applyStockChanges', () => {
+  it('should adjust product-level stock without going below zero', () => {
+    expect(applyStockChanges({ stock: 2 }, [{ quantity: -3 }])).toEqual({ stock: 0 });
+  });
+
+  it('should adjust only the matching variant and resum stock', () => {
+    const update = applyStockChanges(variantProduct, [
+      { size: 'L', color: { name: 'White' }, quantity: -2 },
+    ]);
+
+    expect(update.stock).toBe(3);
+    expect(update.variants[0].stock).toBe(0);
+    expect(update.variants[1].stock).toBe(3);
+  });
+});
+
+describe('getStockChangeSummary', () => {
+  it('should list changed variants by index', () => {
+    const lines = [
+      { size: 'L', color: 'White', quantity: -2 },
+      { size: 'M', color: { name: 'Black' }, quantity: -1 },
+      { size: 'L', color: 'White', quantity: -1 },
+    ];
+
+    expect(getStockChangeSummary(variantProduct, lines)).toEqual({
+      quantity: -4,
+      variants: [
+        { index: 0, quantity: -1 },
+        { index: 1, quantity: -3 },
+      ],
+    });
+    expect(getStockChangeSummary({ stock: 4 }, [{ quantity: 2 }])).toEqual({ quantity: 2, variants: [] });
+  });
+});
+
+describe('variant helpers', () => {
+  it('should use the variant price override when set', () => {
+    expect(getVariantPrice(variantProduct, 'L', 'White')).toBe(1099);
+    expect(getVariantPrice(variantProduct, 'M', 'Black')).toBe(999);
+  });
+
+  it('should build a size × color matrix keeping existing variants', () => {
+    const matrix = buildVariantMatrix(
+      ['M', 'L'],
+      [{ name: 'Black' }],
+      variantProduct.variants,
+      'POLO'
+    );
+
+    expect(matrix).toHaveLength(2);
+    expect(matrix[0]).toBe(variantProduct.variants[0]);
+    expect(matrix[1]).toMatchObject({ sku: 'POLO-BLACK-L', stock: 0 });
+  });
+
+  it('should report low stock per variant', () => {
+    const entries = getLowStockVariants([variantProduct], 10, {
+      includeOutOfStock: true,
+    });
+
+    expect(entries.map((e) => e.variant.sku)).toEqual([
+      'POLO-BLACK-M',
+      'POLO-WHITE-L',
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Order Status State Machine
+ * Allowed status transitions and timeline entries for orders
+ * @module lib/orderStatus
+ */
+
+import { ORDER_STATUS, ORDER_STATUS_TRANSITIONS } from '../config/constants';
+
+/**
+ * Invalid order transition error class
+ */
+export class InvalidOrderTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change order status from "${from}" to "${to}"`);
+    this.name = 'InvalidOrderTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Get statuses an order can move to from its current status
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+export const getAllowedTransitions = (status) => {
+  return ORDER_STATUS_TRANSITIONS[status] || [];
+};
+
+/**
+ * Check if an order can move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+export const canTransition = (from, to) => {
+  return getAllowedTransitions(from).includes(to);
+};
+
+/**
+ * Throw if a transition is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {InvalidOrderTransitionError}
+ */
+export const assertTransition = (from, to) => {
+  if (!Object.values(ORDER_STATUS).includes(to) || !canTransition(from, to)) {
+    throw new InvalidOrderTransitionError(from, to);
+  }
+};
+
+/**
+ * Check if a status is terminal (no further transitions)
+ * @param {string} status - Status
+ * @returns {boolean}
+ */
+export const isTerminalStatus = (status) => {
+  return getAllowedTransitions(status).length === 0;
+};
+
+/**
+ * Create an order timeline entry
+ * Timestamps are ISO strings because Firestore can't store server
+ * timestamps inside arrays.
+ * @param {Object} entry - { status, actor, note }
+ * @returns {Object} Timeline entry ({ status, timestamp, actor, note })
+ */
+export const createTimelineEntry = ({ status, actor = null, note = '' }) => ({
+  status,
+  timestamp: new Date().toISOString(),
+  actor: {
+    id: actor?.id || null,
+    email: actor?.email || null,
+    role: actor?.role || 'system',
+  },
+  note,
+});
+
+export default {
+  InvalidOrderTransitionError,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  isTerminalStatus,
+  createTimelineEntry,
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  canTransition,
+  assertTransition,
+  isTerminalStatus,
+  createTimelineEntry,
+  InvalidOrderTransitionError,
+} from './orderStatus';
+
+describe('order status transitions', () => {
+  it('should allow forward transitions', () => {
+    expect(canTransition('pending', 'confirmed')).toBe(true);
+    expect(canTransition('shipped', 'delivered')).toBe(true);
+    expect(canTransition('delivered', 'refunded')).toBe(true);
+  });
+
+  it('should reject moving a delivered order back to pending', () => {
+    expect(canTransition('delivered', 'pending')).toBe(false);
+    expect(() => assertTransition('delivered', 'pending')).toThrow(
+      InvalidOrderTransitionError
+    );
+  });
+
+  it('should reject cancelling a shipped order', () => {
+    expect(() => assertTransition('shipped', 'cancelled')).toThrow(
+      'Cannot change order status from "shipped" to "cancelled"'
+    );
+  });
+
+  it('should reject unknown statuses', () => {
+    expect(() => assertTransition('pending', 'lost')).toThrow(
+      InvalidOrderTransitionError
+    );
+  });
+
+  it('should treat refunded as terminal', () => {
+    expect(isTerminalStatus('refunded')).toBe(true);
+    expect(isTerminalStatus('pending')).toBe(false);
+  });
+});
+
+describe('createTimelineEntry', () => {
+  it('should record status, actor and note with an ISO timestamp', () => {
+    const entry = createTimelineEntry({
+      status: 'shipped',
+      actor: { id: 'u1', email: 'admin@example.com', role: 'admin' },
+      note: 'Handed to courier',
+    });
+
+    expect(entry).toMatchObject({
+      status: 'shipped',
+      actor: { id: 'u1', email: 'admin@example.com', role: 'admin' },
+      note: 'Handed to courier',
+    });
+    expect(new Date(entry.timestamp).toISOString()).toBe(entry.timestamp);
+  });
+
+  it('should default to a system actor', () => {
+    expect(createTimelineEntry({ status: 'pending' }).actor).toEqual({
+      id: null,
+      email: null,
+      role: 'system',
+    });
+  });
+});
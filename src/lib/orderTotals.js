@@ -0,0 +1,191 @@
+/**
+ * Order Totals
+ * Recalculates order pricing when lines change after checkout
+ * @module lib/orderTotals
+ */
+
+import { ORDER_ITEM_STATUS, SHIPPING_METHODS } from '../config/constants';
+import { calculateTax, toTaxBreakdown } from './tax';
+import { evaluatePromotions, toPromotionLines } from './promotions';
+import { getShippingOptions } from './shipping';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Calculate a coupon's discount for a subtotal
+ * Treats the subtotal as a single line, so it only suits coupons without a
+ * scope; carts are evaluated line by line with evaluatePromotions.
+ * @param {Object} coupon - Coupon document (read with readCoupon, so older fields work too)
+ * @param {number} subtotal - Order subtotal
+ * @returns {number} Discount amount (0 if the minimum order value isn't met)
+ */
+export const calculateCouponDiscount = (coupon, subtotal) =>
+  evaluatePromotions([{ price: subtotal, quantity: 1 }], [coupon]).discount;
+
+/**
+ * Check if an order item is still part of the order
+ * @param {Object} item - Order item
+ * @returns {boolean}
+ */
+export const isActiveOrderItem = (item) => item.status !== ORDER_ITEM_STATUS.CANCELLED;
+
+/**
+ * Get the coupon and automatic promotions applied to an order
+ * Older orders only record the coupon.
+ * @param {Object} order - Order
+ * @returns {Array} Applied promotions ({ id, code, name, automatic, discount })
+ */
+export const getOrderPromotions = (order) =>
+  order.promotions ||
+  (order.coupon_id
+    ? [{ id: order.coupon_id, code: order.coupon_code, discount: order.coupon_discount || 0, automatic: false }]
+    : []);
+
+/**
+ * Price an order's shipping again for its remaining lines
+ * Charges the base rate once the order drops below the free shipping
+ * threshold, but never less than the order was placed with, and never more
+ * than the cancelled lines took off the total, so the total can't go up.
+ * @param {Object} order - Order
+ * @param {Array} activeItems - Remaining lines
+ * @param {number} orderValue - Merchandise value after discounts
+ * @param {number} otherCharges - Everything else in the new total
+ * @param {Object} settings - Shipping settings
+ * @returns {number} Shipping cost
+ */
+const repriceShipping = (order, activeItems, orderValue, otherCharges, settings) => {
+  const placedWith = order.shipping_cost || 0;
+  const option = getShippingOptions({
+    items: activeItems,
+    orderValue,
+    pincode: { zone: order.shipping_zone, is_serviceable: true },
+    settings,
+  }).find((candidate) => candidate.method === (order.shipping_method || SHIPPING_METHODS.STANDARD));
+  if (!option || order.total == null) return placedWith;
+
+  const limit = order.total - otherCharges;
+  return roundAmount(Math.max(placedWith, Math.min(option.cost, limit)));
+};
+
+/**
+ * Keep each line at or below the discount it was placed with
+ * A cancelled line's share of a discount isn't passed on to the lines that
+ * remain, so no line's taxable value drops and the order's tax can't fall by
+ * more than the cancelled line's (which the rules check for customers).
+ * @param {Object} result - evaluatePromotions result
+ * @param {Array} items - Lines in the same order ({ discount })
+ * @returns {Object} Result with capped lines, applied promotions and discount
+ */
+const capLineDiscounts = (result, items) => {
+  const lines = result.lines.map((line, index) => {
+    const placedWith = items[index].discount;
+    if (placedWith == null || line.discount <= placedWith) return line;
+
+    // Scale the line's promotions down; the last takes the rounding
+    const scale = placedWith / line.discount;
+    let left = placedWith;
+    const promotions = line.promotions.map((promotion, position) => {
+      const amount =
+        position === line.promotions.length - 1 ? left : roundAmount(promotion.amount * scale);
+      left = roundAmount(left - amount);
+      return { ...promotion, amount };
+    });
+    return { ...line, discount: placedWith, promotions };
+  });
+
+  const applied = result.applied.map((promotion) => ({
+    ...promotion,
+    discount: roundAmount(
+      lines.reduce(
+        (sum, line) =>
+          sum +
+          line.promotions
+            .filter((entry) => entry.id === promotion.id)
+            .reduce((total, entry) => total + entry.amount, 0),
+        0
+      )
+    ),
+  }));
+
+  return {
+    ...result,
+    lines,
+    applied,
+    discount: roundAmount(applied.reduce((sum, promotion) => sum + promotion.discount, 0)),
+  };
+};
+
+/**
+ * Recalculate subtotal, discounts, tax, shipping and total from active lines
+ * The coupon and automatic promotions the order was placed with are evaluated
+ * again on the remaining lines, even if they have since expired or run out;
+ * none are added, and no line gets more discount than it was placed with. A
+ * promotion whose document is no longer available keeps its original
+ * discount, capped at the new subtotal. Shipping is only repriced
+ * when shipping settings are given (see repriceShipping).
+ * @param {Object} order - Order
+ * @param {Array} items - All order items (cancelled lines are ignored)
+ * @param {Object|null} coupon - Coupon document applied to the order
+ * @param {Array} automaticPromotions - Documents of the order's automatic promotions
+ * @param {Object|null} shippingSettings - Shipping settings
+ * @returns {Object} { subtotal, shipping_cost, coupon_discount, tax, tax_breakdown, total,
+ *   coupon_revoked, promotions }
+ */
+export const recalculateOrderTotals = (
+  order,
+  items,
+  coupon = null,
+  automaticPromotions = [],
+  shippingSettings = null
+) => {
+  const activeItems = items.filter(isActiveOrderItem);
+  const subtotal = activeItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  const documents = [coupon && { id: order.coupon_id, ...coupon }, ...automaticPromotions].filter(Boolean);
+  const promotions = getOrderPromotions(order)
+    .filter((promotion) => promotion.automatic || !order.coupon_revoked)
+    .map(
+      (promotion) =>
+        documents.find((document) => document.id === promotion.id) || {
+          ...promotion,
+          discount_type: 'fixed',
+          discount_value: promotion.discount,
+        }
+    );
+  const result = capLineDiscounts(
+    evaluatePromotions(toPromotionLines(activeItems), promotions, { checkAvailability: false }),
+    activeItems
+  );
+  const couponDiscount = result.discount;
+
+  const taxResult = calculateTax(activeItems, {
+    lineDiscounts: result.lines.map((line) => line.discount),
+    shippingState: order.shipping_state,
+  });
+  const tax = taxResult.tax;
+  const otherCharges = subtotal + (order.cod_fee || 0) + tax - couponDiscount;
+  const shippingCost = shippingSettings
+    ? repriceShipping(order, activeItems, subtotal - couponDiscount, otherCharges, shippingSettings)
+    : order.shipping_cost || 0;
+  const total = roundAmount(otherCharges + shippingCost);
+
+  return {
+    subtotal,
+    shipping_cost: shippingCost,
+    coupon_discount: couponDiscount,
+    tax,
+    tax_breakdown: toTaxBreakdown(taxResult),
+    total,
+    coupon_revoked:
+      !!order.coupon_revoked ||
+      (!!order.coupon_id && !result.applied.some((promotion) => promotion.id === order.coupon_id)),
+    promotions: result.applied,
+  };
+};
+
+export default {
+  calculateCouponDiscount,
+  isActiveOrderItem,
+  getOrderPromotions,
+  recalculateOrderTotals,
+};
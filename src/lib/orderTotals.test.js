@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { calculateCouponDiscount, recalculateOrderTotals } from './orderTotals';
+
+const items = [
+  { id: 'a', price: 1000, quantity: 2 },
+  { id: 'b', price: 500, quantity: 1, status: 'cancelled' },
+];
+
+describe('calculateCouponDiscount', () => {
+  it('should cap percentage discounts at the max discount', () => {
+    const coupon = { discountType: 'percentage', discountValue: 20, maxDiscount: 300 };
+
+    expect(calculateCouponDiscount(coupon, 2000)).toBe(300);
+  });
+
+  it('should return no discount below the minimum order value', () => {
+    const coupon = { discount_type: 'fixed', discount_value: 200, min_order_value: 2500 };
+
+    expect(calculateCouponDiscount(coupon, 2000)).toBe(0);
+  });
+});
+
+describe('recalculateOrderTotals', () => {
+  it('should ignore cancelled lines', () => {
+    const totals = recalculateOrderTotals({ shipping_cost: 50 }, items);
+
+    expect(totals).toMatchObject({
+      subtotal: 2000,
+      coupon_discount: 0,
+      tax: 100,
+      total: 2150,
+      coupon_revoked: false,
+    });
+  });
+
+  it('should keep shipping and the COD fee in the total', () => {
+    const totals = recalculateOrderTotals({ shipping_cost: 50, cod_fee: 40 }, items);
+
+    expect(totals.total).toBe(2190);
+  });
+
+  it('should charge shipping once the order drops below the free shipping threshold', () => {
+    const settings = { free_shipping_threshold: 2500, flat_rate: 99 };
+    const order = { subtotal: 2500, shipping_cost: 0, tax: 125, total: 2625 };
+
+    const totals = recalculateOrderTotals(order, items, null, [], settings);
+
+    expect(totals.shipping_cost).toBe(99);
+    expect(totals.total).toBe(2199);
+  });
+
+  it('should not let repriced shipping raise the total', () => {
+    const settings = { free_shipping_threshold: 2040, flat_rate: 99 };
+    const order = { subtotal: 2040, shipping_cost: 0, tax: 102, total: 2142 };
+    const cancelled = [items[0], { id: 'c', price: 40, quantity: 1, status: 'cancelled' }];
+
+    const totals = recalculateOrderTotals(order, cancelled, null, [], settings);
+
+    expect(totals.shipping_cost).toBe(42);
+    expect(totals.total).toBe(2142);
+  });
+
+  it('should recompute a percentage coupon on the new subtotal', () => {
+    const order = { coupon_id: 'c1', coupon_discount: 250 };
+    const coupon = { discountType: 'percentage', discountValue: 10 };
+
+    const totals = recalculateOrderTotals(order, items, coupon);
+
+    expect(totals.coupon_discount).toBe(200);
+    expect(totals.tax).toBe(90);
+    expect(totals.total).toBe(1890);
+  });
+
+  it('should revoke the coupon when the minimum order value is no longer met', () => {
+    const order = { coupon_id: 'c1', coupon_code: 'BIG', coupon_discount: 300 };
+    const coupon = { discountType: 'fixed', discountValue: 300, minOrderValue: 2500 };
+
+    const totals = recalculateOrderTotals(order, items, coupon);
+
+    expect(totals.coupon_discount).toBe(0);
+    expect(totals.coupon_revoked).toBe(true);
+  });
+
+  it('should record the GST split for the shipping state', () => {
+    const totals = recalculateOrderTotals({ shipping_state: 'Kerala' }, items);
+
+    expect(totals.tax_breakdown).toMatchObject({ type: 'inter_state', igst: 100, cgst: 0 });
+  });
+
+  it('should keep the original discount when the coupon no longer exists', () => {
+    const order = { coupon_id: 'deleted', coupon_discount: 150 };
+
+    expect(recalculateOrderTotals(order, items, null).coupon_discount).toBe(150);
+  });
+
+  it('should not move a cancelled line\'s discount onto the remaining lines', () => {
+    const order = { coupon_id: 'c1', coupon_code: 'FLAT300', coupon_discount: 300, tax: 135 };
+    const coupon = { code: 'FLAT300', discount_type: 'fixed', discount_value: 300 };
+    const placed = [
+      { id: 'a', price: 1000, quantity: 2, discount: 200, tax: 90 },
+      { id: 'b', price: 1000, quantity: 1, discount: 100, tax: 45, status: 'cancelled' },
+    ];
+
+    const totals = recalculateOrderTotals(order, placed, coupon);
+
+    expect(totals.coupon_discount).toBe(200);
+    expect(totals.promotions[0].discount).toBe(200);
+    expect(totals.tax).toBe(90);
+  });
+
+  it('should re-evaluate the automatic promotions the order was placed with', () => {
+    const order = {
+      coupon_id: 'c1',
+      coupon_code: 'TEN',
+      promotions: [
+        { id: 'c1', code: 'TEN', discount: 250, automatic: false },
+        { id: 'eoss', code: 'EOSS', name: 'End of season sale', discount: 500, automatic: true },
+      ],
+    };
+    const coupon = { code: 'TEN', discount_type: 'percentage', discount_value: 10 };
+    const sale = { id: 'eoss', code: 'EOSS', name: 'End of season sale', automatic: true, discount_type: 'fixed', discount_value: 500, min_order_value: 2500 };
+
+    const totals = recalculateOrderTotals(order, items, coupon, [sale]);
+
+    expect(totals.coupon_discount).toBe(200);
+    expect(totals.coupon_revoked).toBe(false);
+    expect(totals.promotions.map((promotion) => promotion.code)).toEqual(['TEN']);
+  });
+});
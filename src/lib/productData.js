@@ -1,60 +1,57 @@
 /**
  * Product-related static data
- * Reviews and size guide information
+ * Default size charts, used for a category until an admin saves its own
+ * chart (reviews live in the reviews collection). Measurements are in inches.
  */
 
-// Sample reviews data
-export const reviews = [
+import { CATEGORIES } from '../config/constants';
+
+const range = (min, max = min) => ({ min, max });
+
+export const DEFAULT_SIZE_CHARTS = [
   {
-    id: 1,
-    author: 'John D.',
-    rating: 5,
-    date: '2024-01-15',
-    comment: 'Excellent quality and fit. Highly recommended!',
-    verified: true,
+    id: 'default-shirts',
+    name: 'Shirts',
+    category: CATEGORIES.SHIRTS,
+    brand: '',
+    measurements: ['chest', 'waist', 'length'],
+    rows: [
+      { size: 'XS', chest: range(34, 36), waist: range(28, 30), length: range(27) },
+      { size: 'S', chest: range(36, 38), waist: range(30, 32), length: range(28) },
+      { size: 'M', chest: range(38, 40), waist: range(32, 34), length: range(29) },
+      { size: 'L', chest: range(40, 42), waist: range(34, 36), length: range(30) },
+      { size: 'XL', chest: range(42, 44), waist: range(36, 38), length: range(31) },
+      { size: 'XXL', chest: range(44, 46), waist: range(38, 40), length: range(32) },
+    ],
   },
   {
-    id: 2,
-    author: 'Sarah M.',
-    rating: 4,
-    date: '2024-01-10',
-    comment: 'Great product, fast delivery. Very satisfied.',
-    verified: true,
+    id: 'default-trousers',
+    name: 'Trousers',
+    category: CATEGORIES.TROUSERS,
+    brand: '',
+    measurements: ['waist', 'hip', 'length'],
+    rows: [
+      { size: '28', waist: range(28), hip: range(36), length: range(40) },
+      { size: '30', waist: range(30), hip: range(38), length: range(40) },
+      { size: '32', waist: range(32), hip: range(40), length: range(41) },
+      { size: '34', waist: range(34), hip: range(42), length: range(41) },
+      { size: '36', waist: range(36), hip: range(44), length: range(42) },
+      { size: '38', waist: range(38), hip: range(46), length: range(42) },
+    ],
   },
   {
-    id: 3,
-    author: 'Mike R.',
-    rating: 5,
-    date: '2024-01-05',
-    comment: 'Perfect fit and amazing fabric quality.',
-    verified: true,
+    id: 'default-t-shirts',
+    name: 'T-Shirts',
+    category: CATEGORIES.T_SHIRTS,
+    brand: '',
+    measurements: ['chest', 'waist', 'length'],
+    rows: [
+      { size: 'XS', chest: range(34, 36), waist: range(28, 30), length: range(26) },
+      { size: 'S', chest: range(36, 38), waist: range(30, 32), length: range(27) },
+      { size: 'M', chest: range(38, 40), waist: range(32, 34), length: range(28) },
+      { size: 'L', chest: range(40, 42), waist: range(34, 36), length: range(29) },
+      { size: 'XL', chest: range(42, 44), waist: range(36, 38), length: range(30) },
+      { size: 'XXL', chest: range(44, 46), waist: range(38, 40), length: range(31) },
+    ],
   },
 ];
-
-// Size guide data
-export const sizeGuide = {
-  shirts: [
-    { size: 'XS', chest: '34-36', waist: '28-30', length: '27' },
-    { size: 'S', chest: '36-38', waist: '30-32', length: '28' },
-    { size: 'M', chest: '38-40', waist: '32-34', length: '29' },
-    { size: 'L', chest: '40-42', waist: '34-36', length: '30' },
-    { size: 'XL', chest: '42-44', waist: '36-38', length: '31' },
-    { size: 'XXL', chest: '44-46', waist: '38-40', length: '32' },
-  ],
-  trousers: [
-    { size: '28', waist: '28', hip: '36', length: '40' },
-    { size: '30', waist: '30', hip: '38', length: '40' },
-    { size: '32', waist: '32', hip: '40', length: '41' },
-    { size: '34', waist: '34', hip: '42', length: '41' },
-    { size: '36', waist: '36', hip: '44', length: '42' },
-    { size: '38', waist: '38', hip: '46', length: '42' },
-  ],
-  'tshirts': [
-    { size: 'XS', chest: '34-36', waist: '28-30', length: '26' },
-    { size: 'S', chest: '36-38', waist: '30-32', length: '27' },
-    { size: 'M', chest: '38-40', waist: '32-34', length: '28' },
-    { size: 'L', chest: '40-42', waist: '34-36', length: '29' },
-    { size: 'XL', chest: '42-44', waist: '36-38', length: '30' },
-    { size: 'XXL', chest: '44-46', waist: '38-40', length: '31' },
-  ],
-};
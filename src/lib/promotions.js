@@ -0,0 +1,350 @@
+/**
+ * Promotions
+ * Rules engine for discounts. A promotion is a coupon in the canonical schema
+ * (see lib/coupons) and is evaluated against the cart lines rather than one
+ * order total, so it can be limited to products, categories, brands or sizes
+ * and the result says how much of the discount falls on each line.
+ *
+ * Coupons flagged automatic apply themselves to every qualifying cart;
+ * customers don't enter a code for them.
+ *
+ * Promotions stack in priority order, each one working on what the earlier
+ * ones left of a line. An exclusive promotion is never combined: the engine
+ * compares it alone against the stack of the others and keeps whichever saves
+ * the customer more.
+ * @module lib/promotions
+ */
+
+import { readCoupon, getCouponUnavailableMessage, DISCOUNT_TYPES } from './coupons';
+
+// Why a promotion gave no discount
+export const PROMOTION_REASONS = {
+  MIN_ORDER_VALUE: 'min_order_value',
+  NO_ELIGIBLE_ITEMS: 'no_eligible_items',
+  MIN_QUANTITY: 'min_quantity',
+  MIN_TIER: 'min_tier',
+  GIFT_NOT_IN_CART: 'gift_not_in_cart',
+  NOT_COMBINABLE: 'not_combinable',
+  UNAVAILABLE: 'unavailable',
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Convert cart items or order items to promotion lines
+ * @param {Array} items - Cart items ({ id, selectedSize, ... }) or order items ({ product_id, size, ... })
+ * @returns {Array} Lines ({ product_id, category, brand, size, price, quantity })
+ */
+export const toPromotionLines = (items) =>
+  items.map((item) => ({
+    product_id: item.product_id || item.id,
+    category: item.category || '',
+    brand: item.brand || '',
+    size: item.selectedSize ?? item.size ?? '',
+    price: Number(item.price) || 0,
+    quantity: Number(item.quantity) || 0,
+  }));
+
+const matchesAny = (values, value) =>
+  values.length === 0 ||
+  values.some((candidate) => candidate.toLowerCase() === String(value || '').toLowerCase());
+
+/**
+ * Check if a line is covered by a promotion's scope
+ * @param {Object} line - Promotion line
+ * @param {Object} scope - { product_ids, categories, brands, sizes }
+ * @returns {boolean}
+ */
+export const isLineInScope = (line, scope) =>
+  (scope.product_ids.length === 0 || scope.product_ids.includes(line.product_id)) &&
+  matchesAny(scope.categories, line.category) &&
+  matchesAny(scope.brands, line.brand) &&
+  matchesAny(scope.sizes, line.size);
+
+/**
+ * Share an amount across lines in proportion to their value
+ * The last line with value takes whatever is left so the shares add up.
+ * @param {Array<number>} values - Value of each line (0 = not shared)
+ * @param {number} amount - Amount to share (capped at the total value)
+ * @returns {Array<number>} Share of each line
+ */
+export const allocateDiscount = (values, amount) => {
+  const total = sum(values);
+  const capped = Math.min(amount, total);
+  const lastIndex = values.findLastIndex((value) => value > 0);
+
+  let left = roundAmount(capped);
+  return values.map((value, index) => {
+    if (value <= 0) return 0;
+    const share =
+      index === lastIndex ? Math.min(left, value) : roundAmount((capped * value) / total);
+    left = roundAmount(left - share);
+    return share;
+  });
+};
+
+// The cheapest units of every full group of buy + get units are discounted
+const getBuyXGetYDiscounts = (promotion, lines, remaining, eligible) => {
+  const units = eligible
+    .flatMap((index) =>
+      Array.from({ length: lines[index].quantity }, () => ({
+        index,
+        value: remaining[index] / lines[index].quantity,
+      }))
+    )
+    .sort((a, b) => b.value - a.value);
+  const groupSize = promotion.buy_quantity + promotion.get_quantity;
+  if (units.length < groupSize) return null;
+
+  const discounts = lines.map(() => 0);
+  units.forEach((unit, position) => {
+    if (position >= Math.floor(units.length / groupSize) * groupSize) return;
+    if (position % groupSize < promotion.buy_quantity) return;
+    discounts[unit.index] += (unit.value * promotion.get_discount_percent) / 100;
+  });
+  return discounts.map(roundAmount);
+};
+
+/**
+ * Evaluate one promotion against the cart
+ * @param {Object} coupon - Promotion (coupon document, read with readCoupon)
+ * @param {Array} lines - Promotion lines
+ * @param {Array<number>} remaining - What is left of each line after earlier promotions
+ * @param {Object} options - { checkAvailability, now }; set checkAvailability to false
+ *   to re-price an order with the promotions it was placed with, even if they
+ *   have since expired or run out
+ * @returns {Object} { discounts, reason } - discount per line, and why it's 0 when nothing applies
+ */
+export const evaluatePromotion = (
+  coupon,
+  lines,
+  remaining = lines.map((line) => line.price * line.quantity),
+  { checkAvailability = true, now = new Date() } = {}
+) => {
+  const promotion = readCoupon(coupon);
+  const none = (reason) => ({ discounts: lines.map(() => 0), reason });
+  // Inactive, expired and used up promotions give nothing
+  if (checkAvailability && getCouponUnavailableMessage(promotion, { now })) {
+    return none(PROMOTION_REASONS.UNAVAILABLE);
+  }
+  const isGift = (line) =>
+    promotion.discount_type === DISCOUNT_TYPES.FREE_GIFT && line.product_id === promotion.gift_product_id;
+
+  // A free gift's own price doesn't count towards its threshold
+  const subtotal = sum(lines.filter((line) => !isGift(line)).map((line) => line.price * line.quantity));
+  if (subtotal < promotion.min_order_value) return none(PROMOTION_REASONS.MIN_ORDER_VALUE);
+
+  if (promotion.discount_type === DISCOUNT_TYPES.FREE_GIFT) {
+    // One unit of the gift is free
+    const giftIndex = lines.findIndex((line, index) => isGift(line) && remaining[index] > 0);
+    if (giftIndex === -1) return none(PROMOTION_REASONS.GIFT_NOT_IN_CART);
+    return {
+      discounts: lines.map((line, index) =>
+        index === giftIndex ? roundAmount(remaining[index] / line.quantity) : 0
+      ),
+      reason: null,
+    };
+  }
+
+  const eligible = lines
+    .map((line, index) => index)
+    .filter((index) => remaining[index] > 0 && isLineInScope(lines[index], promotion.scope));
+  if (eligible.length === 0) return none(PROMOTION_REASONS.NO_ELIGIBLE_ITEMS);
+
+  const eligibleRemaining = remaining.map((value, index) => (eligible.includes(index) ? value : 0));
+  const eligibleValue = sum(eligibleRemaining);
+  const capped = (amount) =>
+    promotion.max_discount ? Math.min(amount, promotion.max_discount) : amount;
+
+  let discounts;
+  if (promotion.discount_type === DISCOUNT_TYPES.FIXED) {
+    discounts = allocateDiscount(eligibleRemaining, promotion.discount_value);
+  } else if (promotion.discount_type === DISCOUNT_TYPES.BUY_X_GET_Y) {
+    discounts = getBuyXGetYDiscounts(promotion, lines, remaining, eligible);
+    if (!discounts) return none(PROMOTION_REASONS.MIN_QUANTITY);
+  } else {
+    let percent = promotion.discount_value;
+    if (promotion.discount_type === DISCOUNT_TYPES.TIERED) {
+      // Tiers are reached on the eligible lines' full price
+      const spend = sum(eligible.map((index) => lines[index].price * lines[index].quantity));
+      const tier = promotion.tiers.filter((candidate) => spend >= candidate.min_subtotal).pop();
+      if (!tier) return none(PROMOTION_REASONS.MIN_TIER);
+      percent = tier.percent;
+    }
+    discounts = allocateDiscount(eligibleRemaining, capped((eligibleValue * percent) / 100));
+  }
+
+  return { discounts, reason: null };
+};
+
+const describeEntry = (promotion) => ({
+  id: promotion.id,
+  code: promotion.code,
+  name: promotion.name,
+  automatic: promotion.automatic,
+});
+
+// Apply promotions in order, each on what the previous ones left
+const applyPromotions = (promotions, lines, evaluation) => {
+  const remaining = lines.map((line) => line.price * line.quantity);
+  const lineResults = lines.map(() => ({ discount: 0, promotions: [] }));
+  const applied = [];
+  const rejected = [];
+
+  promotions.forEach((promotion) => {
+    const { discounts, reason } = evaluatePromotion(promotion, lines, remaining, evaluation);
+    const discount = roundAmount(sum(discounts));
+    if (discount <= 0) {
+      rejected.push({ ...describeEntry(promotion), reason: reason || PROMOTION_REASONS.NO_ELIGIBLE_ITEMS });
+      return;
+    }
+
+    discounts.forEach((amount, index) => {
+      if (amount <= 0) return;
+      remaining[index] = roundAmount(remaining[index] - amount);
+      lineResults[index].discount = roundAmount(lineResults[index].discount + amount);
+      lineResults[index].promotions.push({ id: promotion.id, code: promotion.code, amount });
+    });
+    applied.push({ ...describeEntry(promotion), discount });
+  });
+
+  return {
+    discount: roundAmount(sum(applied.map((promotion) => promotion.discount))),
+    lines: lineResults,
+    applied,
+    rejected,
+  };
+};
+
+/**
+ * Evaluate promotions against the cart, with stacking and exclusivity
+ * @param {Array} lines - Promotion lines (see toPromotionLines)
+ * @param {Array} promotions - Promotions (coupon documents)
+ * @param {Object} evaluation - Options for evaluatePromotion ({ checkAvailability, now })
+ * @returns {Object} { discount, lines, applied, rejected } where lines holds each line's
+ *   { discount, promotions: [{ id, code, amount }] }, applied the promotions used
+ *   ({ id, code, name, automatic, discount }) and rejected the others (same, with a
+ *   reason instead of a discount)
+ */
+export const evaluatePromotions = (lines, promotions, evaluation = {}) => {
+  const candidates = promotions
+    .filter(Boolean)
+    .map(readCoupon)
+    .sort((a, b) => b.priority - a.priority);
+
+  const options = [
+    applyPromotions(candidates.filter((promotion) => !promotion.exclusive), lines, evaluation),
+    ...candidates
+      .filter((promotion) => promotion.exclusive)
+      .map((promotion) => applyPromotions([promotion], lines, evaluation)),
+  ];
+  // Ties go to the stack, which comes first
+  const best = options.reduce((winner, option) => (option.discount > winner.discount ? option : winner));
+
+  const evaluated = new Set(best.applied.concat(best.rejected).map((promotion) => promotion.id));
+  return {
+    ...best,
+    rejected: [
+      ...best.rejected,
+      ...candidates
+        .filter((promotion) => !evaluated.has(promotion.id))
+        .map((promotion) => ({
+          ...describeEntry(promotion),
+          reason: PROMOTION_REASONS.NOT_COMBINABLE,
+        })),
+    ],
+  };
+};
+
+/**
+ * Describe a promotion's discount for people ("Buy 2 get 1 free")
+ * @param {Object} coupon - Promotion (coupon document)
+ * @returns {string} Description
+ */
+export const describePromotion = (coupon) => {
+  const promotion = readCoupon(coupon);
+  const rupees = (amount) => `₹${amount.toLocaleString('en-IN')}`;
+
+  switch (promotion.discount_type) {
+    case DISCOUNT_TYPES.FIXED:
+      return `${rupees(promotion.discount_value)} off`;
+    case DISCOUNT_TYPES.BUY_X_GET_Y:
+      return `Buy ${promotion.buy_quantity} get ${promotion.get_quantity} ${
+        promotion.get_discount_percent === 100 ? 'free' : `at ${promotion.get_discount_percent}% off`
+      }`;
+    case DISCOUNT_TYPES.TIERED:
+      return promotion.tiers
+        .map((tier) => `${tier.percent}% off over ${rupees(tier.min_subtotal)}`)
+        .join(', ');
+    case DISCOUNT_TYPES.FREE_GIFT:
+      return `Free gift over ${rupees(promotion.min_order_value)}`;
+    default:
+      return `${promotion.discount_value}% off`;
+  }
+};
+
+/**
+ * Get the label for an applied promotion in order and cart summaries
+ * @param {Object} promotion - Applied promotion ({ code, name, automatic })
+ * @returns {string} Label
+ */
+export const getPromotionLabel = (promotion) =>
+  promotion.automatic ? promotion.name || promotion.code : `Coupon (${promotion.code})`;
+
+/**
+ * Find the automatic promotion to advertise on a product
+ * Free gifts and promotions limited by size or a minimum order aren't shown,
+ * since the product alone can't tell whether they apply.
+ * @param {Object} product - Product ({ id, category, brand })
+ * @param {Array} promotions - Live automatic promotions
+ * @returns {Object|null} Highest-priority matching promotion (read with readCoupon)
+ */
+export const getProductPromotion = (product, promotions) => {
+  const line = { product_id: product.id, category: product.category, brand: product.brand, size: '' };
+  return (
+    promotions
+      .map(readCoupon)
+      .filter(
+        (promotion) =>
+          promotion.discount_type !== DISCOUNT_TYPES.FREE_GIFT &&
+          promotion.min_order_value === 0 &&
+          promotion.scope.sizes.length === 0 &&
+          isLineInScope(line, promotion.scope)
+      )
+      .sort((a, b) => b.priority - a.priority)[0] || null
+  );
+};
+
+/**
+ * Get the short text for a promotion's price badge ("20% OFF")
+ * @param {Object} coupon - Promotion (coupon document)
+ * @returns {string} Badge text
+ */
+export const getPromotionBadge = (coupon) => {
+  const promotion = readCoupon(coupon);
+
+  switch (promotion.discount_type) {
+    case DISCOUNT_TYPES.FIXED:
+      return `₹${promotion.discount_value} OFF`;
+    case DISCOUNT_TYPES.BUY_X_GET_Y:
+      return `BUY ${promotion.buy_quantity} GET ${promotion.get_quantity}`;
+    case DISCOUNT_TYPES.TIERED:
+      return `UP TO ${promotion.tiers[promotion.tiers.length - 1]?.percent || 0}% OFF`;
+    default:
+      return `${promotion.discount_value}% OFF`;
+  }
+};
+
+export default {
+  PROMOTION_REASONS,
+  toPromotionLines,
+  isLineInScope,
+  allocateDiscount,
+  evaluatePromotion,
+  evaluatePromotions,
+  describePromotion,
+  getPromotionLabel,
+  getProductPromotion,
+  getPromotionBadge,
+};
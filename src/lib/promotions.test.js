@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PROMOTION_REASONS,
+  toPromotionLines,
+  evaluatePromotion,
+  evaluatePromotions,
+  describePromotion,
+  getProductPromotion,
+  getPromotionBadge,
+} from './promotions';
+
+const lines = toPromotionLines([
+  { id: 'tee-1', category: 't-shirts', brand: 'Stryng', selectedSize: 'M', price: 800, quantity: 2 },
+  { id: 'tee-2', category: 't-shirts', brand: 'Stryng', selectedSize: 'L', price: 600, quantity: 1 },
+  { product_id: 'jacket', category: 'jackets', brand: 'Northline', size: 'L', price: 3000, quantity: 1 },
+]);
+
+describe('evaluatePromotion', () => {
+  it('should give the cheapest units of each group away for buy 2 get 1', () => {
+    const promotion = {
+      id: 'b2g1',
+      discount_type: 'buy_x_get_y',
+      buy_quantity: 2,
+      get_quantity: 1,
+      scope: { categories: ['T-Shirts'] },
+    };
+
+    expect(evaluatePromotion(promotion, lines).discounts).toEqual([0, 600, 0]);
+    expect(evaluatePromotion(promotion, lines.slice(1)).reason).toBe(PROMOTION_REASONS.MIN_QUANTITY);
+  });
+
+  it('should pick the highest tier reached and explain when none is', () => {
+    const promotion = {
+      id: 'tiers',
+      discount_type: 'tiered',
+      tiers: [
+        { min_subtotal: 2999, percent: 15 },
+        { min_subtotal: 1999, percent: 10 },
+      ],
+    };
+
+    expect(evaluatePromotion(promotion, lines).discounts).toEqual([240, 90, 450]);
+    expect(evaluatePromotion(promotion, lines.slice(1, 2)).reason).toBe(PROMOTION_REASONS.MIN_TIER);
+  });
+
+  it('should only discount lines in scope', () => {
+    const jacketsOnly = { id: 'jackets20', discount_type: 'percentage', discount_value: 20, scope: { categories: ['jackets'] } };
+    const sizeS = { id: 'small', discount_type: 'fixed', discount_value: 100, scope: { sizes: ['S'] } };
+
+    expect(evaluatePromotion(jacketsOnly, lines).discounts).toEqual([0, 0, 600]);
+    expect(evaluatePromotion(sizeS, lines).reason).toBe(PROMOTION_REASONS.NO_ELIGIBLE_ITEMS);
+  });
+
+  it('should give one gift unit free once the rest of the cart reaches the threshold', () => {
+    const gift = { id: 'gift', discount_type: 'free_gift', gift_product_id: 'tee-2', min_order_value: 5000 };
+
+    expect(evaluatePromotion(gift, lines).discounts).toEqual([0, 0, 0]);
+    expect(evaluatePromotion(gift, lines).reason).toBe(PROMOTION_REASONS.MIN_ORDER_VALUE);
+    expect(evaluatePromotion({ ...gift, min_order_value: 4600 }, lines).discounts).toEqual([0, 600, 0]);
+    expect(evaluatePromotion({ ...gift, gift_product_id: 'socks', min_order_value: 0 }, lines).reason).toBe(
+      PROMOTION_REASONS.GIFT_NOT_IN_CART
+    );
+  });
+});
+
+describe('evaluatePromotions', () => {
+  it('should stack promotions by priority on what is left of each line', () => {
+    const jackets = { id: 'j', code: 'JACKET20', discount_type: 'percentage', discount_value: 20, priority: 1, scope: { categories: ['jackets'] } };
+    const flat = { id: 'f', code: 'FLAT300', discount_type: 'fixed', discount_value: 300 };
+
+    const result = evaluatePromotions(lines, [flat, jackets]);
+
+    expect(result.applied).toEqual([
+      { id: 'j', code: 'JACKET20', name: '', automatic: false, discount: 600 },
+      { id: 'f', code: 'FLAT300', name: '', automatic: false, discount: 300 },
+    ]);
+    expect(result.discount).toBe(900);
+    expect(result.lines.map((line) => line.discount)).toEqual([104.35, 39.13, 756.52]);
+    expect(result.lines[2].promotions.map((promotion) => promotion.code)).toEqual(['JACKET20', 'FLAT300']);
+  });
+
+  it('should keep an exclusive promotion only when it beats the stack', () => {
+    const stackable = [
+      { id: 'a', code: 'TEN', discount_type: 'percentage', discount_value: 10 },
+      { id: 'b', code: 'FLAT100', discount_type: 'fixed', discount_value: 100 },
+    ];
+    const exclusive = { id: 'x', code: 'HALF', discount_type: 'percentage', discount_value: 50, exclusive: true };
+
+    const withExclusive = evaluatePromotions(lines, [...stackable, exclusive]);
+    expect(withExclusive.applied.map((promotion) => promotion.code)).toEqual(['HALF']);
+    expect(withExclusive.rejected.map((promotion) => promotion.reason)).toEqual([
+      PROMOTION_REASONS.NOT_COMBINABLE,
+      PROMOTION_REASONS.NOT_COMBINABLE,
+    ]);
+
+    const weakExclusive = { ...exclusive, discount_value: 5 };
+    expect(evaluatePromotions(lines, [...stackable, weakExclusive]).discount).toBe(620);
+  });
+
+  it('should skip inactive, expired and used up promotions unless re-pricing an order', () => {
+    const ten = { id: 'a', code: 'TEN', discount_type: 'percentage', discount_value: 10 };
+    const unavailable = [
+      { ...ten, is_active: false },
+      { ...ten, end_date: new Date('2020-01-01') },
+      { ...ten, max_uses: 10, used_count: 10 },
+    ];
+
+    unavailable.forEach((promotion) => {
+      expect(evaluatePromotions(lines, [promotion]).rejected[0].reason).toBe(PROMOTION_REASONS.UNAVAILABLE);
+      expect(evaluatePromotions(lines, [promotion], { checkAvailability: false }).discount).toBe(520);
+    });
+  });
+});
+
+describe('describePromotion', () => {
+  it('should describe each discount type', () => {
+    expect(describePromotion({ discount_type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1 })).toBe('Buy 2 get 1 free');
+    expect(describePromotion({ discount_type: 'fixed', discount_value: 1500 })).toBe('₹1,500 off');
+  });
+});
+
+describe('getProductPromotion', () => {
+  it('should advertise the highest-priority promotion a product qualifies for on its own', () => {
+    const promotions = [
+      { id: 'sale', code: 'EOSS', discount_type: 'percentage', discount_value: 30, scope: { categories: ['jackets'] } },
+      { id: 'brand', code: 'NORTH', discount_type: 'fixed', discount_value: 500, priority: 2, scope: { brands: ['Northline'] } },
+      { id: 'gift', code: 'GIFT', discount_type: 'free_gift', gift_product_id: 'tee-2', priority: 5 },
+      { id: 'big', code: 'BIG', discount_type: 'percentage', discount_value: 40, min_order_value: 5000, priority: 5 },
+    ];
+
+    const jacket = { id: 'jacket', category: 'jackets', brand: 'Northline' };
+    expect(getPromotionBadge(getProductPromotion(jacket, promotions))).toBe('₹500 OFF');
+    expect(getProductPromotion({ id: 'tee-1', category: 't-shirts', brand: 'Stryng' }, promotions)).toBeNull();
+    expect(getPromotionBadge(promotions[0])).toBe('30% OFF');
+  });
+});
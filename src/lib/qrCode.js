@@ -0,0 +1,382 @@
+/**
+ * QR Code Encoder
+ * Encodes text as a QR code symbol (byte mode, versions 1-40) so codes can
+ * be rendered locally instead of through a third-party image service
+ * @module lib/qrCode
+ */
+
+export const QR_ERROR_CORRECTION = {
+  LOW: 'L',
+  MEDIUM: 'M',
+  QUARTILE: 'Q',
+  HIGH: 'H',
+};
+
+// Format bits for each error correction level
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block, indexed by version (0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+
+// Error correction blocks, indexed by version (0 unused)
+const ECC_BLOCKS = {
+  L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const BYTE_MODE = 0x4;
+
+// Data masks by pattern number
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+/**
+ * Multiply two numbers in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+/**
+ * Reed-Solomon generator polynomial of the given degree
+ */
+const getGeneratorPolynomial = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+/**
+ * Reed-Solomon error correction codewords for a block of data
+ * @param {Array<number>} data - Data codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Error correction codewords
+ */
+export const getErrorCorrectionCodewords = (data, degree) => {
+  const generator = getGeneratorPolynomial(degree);
+  const result = new Array(degree).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    generator.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+/**
+ * Number of modules available for data and error correction
+ */
+const getRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const getDataCodewords = (version, level) =>
+  Math.floor(getRawDataModules(version) / 8) -
+  ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+
+const getAlignmentPositions = (version) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+};
+
+/**
+ * Encode the payload as a bit stream and pad it to the version's capacity
+ */
+const getDataBytes = (bytes, version, level) => {
+  const capacityBits = getDataCodewords(version, level) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+  };
+
+  append(BYTE_MODE, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const result = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    result.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return result;
+};
+
+/**
+ * Split data into blocks, add error correction and interleave the codewords
+ */
+const addErrorCorrection = (data, version, level) => {
+  const blockCount = ECC_BLOCKS[level][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = getErrorCorrectionCodewords(block, eccLength);
+    if (i < shortBlockCount) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte added to short blocks
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+/**
+ * Penalty score for a finished symbol (lower scans more reliably)
+ */
+const getPenalty = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+  const finderLike = ['10111010000', '00001011101'];
+
+  const scoreLine = (line) => {
+    let runLength = 1;
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) penalty += runLength - 2;
+        runLength = 1;
+      }
+    }
+    const text = line.map((module) => (module ? '1' : '0')).join('');
+    finderLike.forEach((pattern) => {
+      for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) {
+        penalty += 40;
+      }
+    });
+  };
+
+  for (let y = 0; y < size; y++) {
+    scoreLine(modules[y]);
+    scoreLine(modules.map((row) => row[y]));
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+};
+
+/**
+ * Build the module matrix for a version, level, mask and codewords
+ */
+const buildSymbol = (version, level, mask, codewords) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const setFunction = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns (except where they would overlap finders)
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Format information (BCH(15,5) with mask 0x5412)
+  const formatData = (FORMAT_BITS[level] << 3) | mask;
+  let remainder = formatData;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const formatBits = ((formatData << 10) | remainder) ^ 0x5412;
+  for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(formatBits, i));
+  setFunction(8, 7, getBit(formatBits, 6));
+  setFunction(8, 8, getBit(formatBits, 7));
+  setFunction(7, 8, getBit(formatBits, 8));
+  for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(formatBits, i));
+  for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(formatBits, i));
+  for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(formatBits, i));
+  setFunction(8, size - 8, true);
+
+  // Version information (BCH(18,6)) for versions 7 and up
+  if (version >= 7) {
+    let versionRemainder = version;
+    for (let i = 0; i < 12; i++) {
+      versionRemainder = (versionRemainder << 1) ^ ((versionRemainder >>> 11) * 0x1f25);
+    }
+    const versionBits = (version << 12) | versionRemainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, getBit(versionBits, i));
+      setFunction(b, a, getBit(versionBits, i));
+    }
+  }
+
+  // Codewords in the zigzag order, with the data mask applied
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (reserved[y][x]) continue;
+
+        const isDark =
+          bitIndex < codewords.length * 8 &&
+          getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+        bitIndex++;
+        modules[y][x] = isDark !== MASKS[mask](x, y);
+      }
+    }
+  }
+
+  return modules;
+};
+
+/**
+ * Encode text as a QR code
+ * The smallest version that fits is used, and the mask with the lowest
+ * penalty score is chosen.
+ * @param {string} text - Text to encode (UTF-8)
+ * @param {Object} options - { errorCorrection: 'L' | 'M' | 'Q' | 'H' }
+ * @returns {Object} { version, size, modules } where modules[y][x] is true for dark
+ * @throws {Error} If the text doesn't fit in a version 40 symbol
+ */
+export const encodeQRCode = (text, options = {}) => {
+  const { errorCorrection = QR_ERROR_CORRECTION.MEDIUM } = options;
+  if (!(errorCorrection in FORMAT_BITS)) {
+    throw new Error(`Unknown error correction level "${errorCorrection}"`);
+  }
+
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  let version = MIN_VERSION;
+  const fits = (v) =>
+    4 + (v <= 9 ? 8 : 16) + bytes.length * 8 <= getDataCodewords(v, errorCorrection) * 8;
+  while (version <= MAX_VERSION && !fits(version)) version++;
+  if (version > MAX_VERSION) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const codewords = addErrorCorrection(
+    getDataBytes(bytes, version, errorCorrection),
+    version,
+    errorCorrection
+  );
+
+  let best = null;
+  MASKS.forEach((_, mask) => {
+    const modules = buildSymbol(version, errorCorrection, mask, codewords);
+    const penalty = getPenalty(modules);
+    if (!best || penalty < best.penalty) best = { modules, penalty };
+  });
+
+  return { version, size: best.modules.length, modules: best.modules };
+};
+
+export default {
+  QR_ERROR_CORRECTION,
+  getErrorCorrectionCodewords,
+  encodeQRCode,
+};
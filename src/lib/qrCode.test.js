@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { encodeQRCode, getErrorCorrectionCodewords } from './qrCode';
+
+const UPI_LINK =
+  'upi://pay?pa=shop@okicici&pn=Stryng%20Clothing&am=2360.00&cu=INR&tr=ORD-2026-00042';
+
+/**
+ * Read the 15 format bits from the copy next to the top-left finder
+ */
+const readFormat = ({ modules }) => {
+  const bits = [];
+  for (let i = 0; i <= 5; i++) bits.push(modules[i][8]);
+  bits.push(modules[7][8], modules[8][8], modules[8][7]);
+  for (let i = 9; i < 15; i++) bits.push(modules[8][14 - i]);
+  const value = bits.reduce((sum, bit, i) => sum | ((bit ? 1 : 0) << i), 0) ^ 0x5412;
+  return { level: value >>> 13, mask: (value >>> 10) & 7 };
+};
+
+describe('getErrorCorrectionCodewords', () => {
+  it('should match the reference codewords for a 1-M symbol', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+
+    expect(getErrorCorrectionCodewords(data, 10)).toEqual([
+      196, 35, 39, 119, 235, 215, 231, 226, 93, 23,
+    ]);
+  });
+});
+
+describe('encodeQRCode', () => {
+  it('should pick the smallest version that fits', () => {
+    expect(encodeQRCode('hello').version).toBe(1);
+    expect(encodeQRCode(UPI_LINK).version).toBe(5);
+    expect(encodeQRCode(UPI_LINK, { errorCorrection: 'H' }).version).toBe(8);
+  });
+
+  it('should size the matrix by version', () => {
+    const qr = encodeQRCode(UPI_LINK);
+
+    expect(qr.size).toBe(qr.version * 4 + 17);
+    expect(qr.modules).toHaveLength(qr.size);
+    qr.modules.forEach((row) => expect(row).toHaveLength(qr.size));
+  });
+
+  it('should draw the three finder patterns', () => {
+    const { modules, size } = encodeQRCode(UPI_LINK);
+    const finderRow = [true, true, true, true, true, true, true, false];
+
+    expect(modules[0].slice(0, 8)).toEqual(finderRow);
+    expect(modules[0].slice(size - 8)).toEqual([...finderRow].reverse());
+    expect(modules[size - 1].slice(0, 8)).toEqual(finderRow);
+    expect(modules[3].slice(0, 7)).toEqual([true, false, true, true, true, false, true]);
+  });
+
+  it('should encode the error correction level in the format bits', () => {
+    expect(readFormat(encodeQRCode(UPI_LINK, { errorCorrection: 'M' })).level).toBe(0);
+    expect(readFormat(encodeQRCode(UPI_LINK, { errorCorrection: 'H' })).level).toBe(2);
+  });
+
+  it('should be deterministic', () => {
+    expect(encodeQRCode(UPI_LINK)).toEqual(encodeQRCode(UPI_LINK));
+  });
+
+  it('should reject text that does not fit and unknown levels', () => {
+    expect(() => encodeQRCode('x'.repeat(3000))).toThrow('too long');
+    expect(() => encodeQRCode('x', { errorCorrection: 'X' })).toThrow('Unknown');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Recently Viewed
+ * A shopper's product-view history, newest first. Entries are
+ * { product_id, viewed_at } with viewed_at in milliseconds, so the same list
+ * can live in localStorage for guests and in Firestore for signed-in users.
+ * @module lib/recentlyViewed
+ */
+
+import { RECENTLY_VIEWED_CONFIG } from '../config/constants';
+
+/**
+ * Record a product view
+ * A product viewed again moves to the front instead of being listed twice.
+ * @param {Array} entries - Current history ({ product_id, viewed_at })
+ * @param {string} productId - Viewed product's ID
+ * @param {number} viewedAt - View time in milliseconds
+ * @returns {Array} History, newest first and capped at MAX_ITEMS
+ */
+export const addRecentView = (entries, productId, viewedAt = Date.now()) =>
+  [
+    { product_id: productId, viewed_at: viewedAt },
+    ...entries.filter((entry) => entry.product_id !== productId),
+  ].slice(0, RECENTLY_VIEWED_CONFIG.MAX_ITEMS);
+
+/**
+ * Merge two histories (e.g. a guest's views into the stored account history)
+ * Each product keeps its latest view.
+ * @param {Array} entries - History ({ product_id, viewed_at })
+ * @param {Array} otherEntries - History to merge in
+ * @returns {Array} History, newest first and capped at MAX_ITEMS
+ */
+export const mergeRecentViews = (entries, otherEntries) => {
+  const latest = new Map();
+  [...entries, ...otherEntries].forEach((entry) => {
+    const existing = latest.get(entry.product_id);
+    if (!existing || entry.viewed_at > existing.viewed_at) {
+      latest.set(entry.product_id, entry);
+    }
+  });
+
+  return [...latest.values()]
+    .sort((a, b) => b.viewed_at - a.viewed_at)
+    .slice(0, RECENTLY_VIEWED_CONFIG.MAX_ITEMS);
+};
+
+/**
+ * Look up the products in a history
+ * Products that no longer exist are skipped.
+ * @param {Array} entries - History ({ product_id, viewed_at })
+ * @param {Array} products - Catalogue
+ * @param {Object} options - { excludeId, limit }
+ * @returns {Array} Products, most recently viewed first
+ */
+export const getRecentlyViewedProducts = (
+  entries,
+  products,
+  { excludeId = null, limit = RECENTLY_VIEWED_CONFIG.RAIL_LIMIT } = {}
+) => {
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  return entries
+    .filter((entry) => entry.product_id !== excludeId)
+    .map((entry) => productsById.get(entry.product_id))
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+export default {
+  addRecentView,
+  mergeRecentViews,
+  getRecentlyViewedProducts,
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+  addRecentView,
+  mergeRecentViews,
+  getRecentlyViewedProducts,
+} from './recentlyViewed';
+import { RECENTLY_VIEWED_CONFIG } from '../config/constants';
+
+const view = (productId, viewedAt) => ({ product_id: productId, viewed_at: viewedAt });
+
+describe('addRecentView', () => {
+  it('should move a product viewed again to the front', () => {
+    const entries = [view('b', 200), view('a', 100)];
+
+    expect(addRecentView(entries, 'a', 300)).toEqual([view('a', 300), view('b', 200)]);
+  });
+
+  it('should keep at most MAX_ITEMS products', () => {
+    let entries = [];
+    for (let i = 0; i <= RECENTLY_VIEWED_CONFIG.MAX_ITEMS; i += 1) {
+      entries = addRecentView(entries, `p${i}`, i);
+    }
+
+    expect(entries).toHaveLength(RECENTLY_VIEWED_CONFIG.MAX_ITEMS);
+    expect(entries[0].product_id).toBe(`p${RECENTLY_VIEWED_CONFIG.MAX_ITEMS}`);
+    expect(entries.map((entry) => entry.product_id)).not.toContain('p0');
+  });
+});
+
+describe('mergeRecentViews', () => {
+  it('should keep the latest view of each product, newest first', () => {
+    const stored = [view('a', 300), view('b', 100)];
+    const guest = [view('b', 400), view('c', 200)];
+
+    expect(mergeRecentViews(stored, guest)).toEqual([
+      view('b', 400),
+      view('a', 300),
+      view('c', 200),
+    ]);
+  });
+});
+
+describe('getRecentlyViewedProducts', () => {
+  const products = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+  it('should skip the excluded product and deleted products', () => {
+    const entries = [view('gone', 400), view('c', 300), view('a', 200), view('b', 100)];
+
+    expect(getRecentlyViewedProducts(entries, products, { excludeId: 'a' })).toEqual([
+      { id: 'c' },
+      { id: 'b' },
+    ]);
+  });
+
+  it('should stop at the limit', () => {
+    const entries = [view('a', 300), view('b', 200), view('c', 100)];
+
+    expect(getRecentlyViewedProducts(entries, products, { limit: 2 })).toEqual([
+      { id: 'a' },
+      { id: 'b' },
+    ]);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Recommendations
+ * "You may also like", "Frequently bought together" and "Complete the look",
+ * scored from shared category, color and price band plus co-purchase counts
+ * (how many orders contained both products).
+ * @module lib/recommendations
+ */
+
+import { isInStock } from './inventory';
+import { ORDER_STATUS, ORDER_ITEM_STATUS, RECOMMENDATION_CONFIG } from '../config/constants';
+
+const getColorNames = (product) =>
+  (product.colors || []).map((color) => (typeof color === 'string' ? color : color.name));
+
+const isSamePriceBand = (a, b) =>
+  a > 0 && b > 0 && Math.abs(a - b) <= Math.max(a, b) * RECOMMENDATION_CONFIG.PRICE_BAND;
+
+const byScore = (a, b) =>
+  b.score - a.score || (b.product.rating || 0) - (a.product.rating || 0);
+
+/**
+ * Count how many orders contained each pair of products
+ * Cancelled orders and cancelled lines are skipped; a product counts once per
+ * order however many sizes or colors were bought.
+ * @param {Array} orders - Orders ({ id, status })
+ * @param {Array} orderItems - Order items ({ order_id, product_id, status })
+ * @returns {Object} Counts ({ [productId]: { [otherProductId]: orders } })
+ */
+export const countCoPurchases = (orders, orderItems) => {
+  const validOrders = new Set(
+    orders.filter((order) => order.status !== ORDER_STATUS.CANCELLED).map((order) => order.id)
+  );
+
+  const productsByOrder = new Map();
+  orderItems
+    .filter((item) => validOrders.has(item.order_id) && item.status !== ORDER_ITEM_STATUS.CANCELLED)
+    .forEach((item) => {
+      if (!productsByOrder.has(item.order_id)) productsByOrder.set(item.order_id, new Set());
+      productsByOrder.get(item.order_id).add(item.product_id);
+    });
+
+  const counts = {};
+  productsByOrder.forEach((productIds) => {
+    productIds.forEach((id) => {
+      productIds.forEach((otherId) => {
+        if (id === otherId) return;
+        counts[id] = counts[id] || {};
+        counts[id][otherId] = (counts[id][otherId] || 0) + 1;
+      });
+    });
+  });
+  return counts;
+};
+
+/**
+ * Score how alike two products are
+ * Same category counts most, then the same price band, then each shared color.
+ * @param {Object} product - Product being viewed
+ * @param {Object} candidate - Product to score
+ * @returns {number} Score (0 if nothing in common)
+ */
+export const getSimilarityScore = (product, candidate) => {
+  let score = 0;
+  if (product.category && product.category === candidate.category) score += 3;
+  if (isSamePriceBand(product.price, candidate.price)) score += 2;
+
+  const colors = getColorNames(product);
+  score += Math.min(getColorNames(candidate).filter((name) => colors.includes(name)).length, 2);
+  return score;
+};
+
+/**
+ * Pick "You may also like" products
+ * @param {Object} product - Product being viewed
+ * @param {Array} products - Catalogue
+ * @param {Object} coPurchases - Co-purchase counts for the product ({ [otherId]: orders })
+ * @param {number} limit - Max products
+ * @returns {Array} Products, best first
+ */
+export const getRelatedProducts = (
+  product,
+  products,
+  coPurchases = {},
+  limit = RECOMMENDATION_CONFIG.RELATED_LIMIT
+) =>
+  products
+    .filter((candidate) => candidate.id !== product.id && isInStock(candidate))
+    .map((candidate) => ({
+      product: candidate,
+      score:
+        getSimilarityScore(product, candidate) + Math.min(coPurchases[candidate.id] || 0, 5),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort(byScore)
+    .slice(0, limit)
+    .map(({ product: candidate }) => candidate);
+
+/**
+ * Pick "Frequently bought together" products
+ * @param {Object} product - Product being viewed
+ * @param {Array} products - Catalogue
+ * @param {Object} coPurchases - Co-purchase counts for the product ({ [otherId]: orders })
+ * @param {number} limit - Max products
+ * @returns {Array} Products most often bought with this one
+ */
+export const getFrequentlyBoughtTogether = (
+  product,
+  products,
+  coPurchases = {},
+  limit = RECOMMENDATION_CONFIG.BUNDLE_LIMIT
+) =>
+  products
+    .filter(
+      (candidate) =>
+        candidate.id !== product.id &&
+        (coPurchases[candidate.id] || 0) >= RECOMMENDATION_CONFIG.MIN_CO_PURCHASES &&
+        isInStock(candidate)
+    )
+    .sort((a, b) => coPurchases[b.id] - coPurchases[a.id])
+    .slice(0, limit);
+
+/**
+ * Pick "Complete the look" products for a cart
+ * Only categories that aren't in the cart yet are suggested, scored by how
+ * often they were bought with the cart's products and how well their color
+ * and price go with them.
+ * @param {Array} cartItems - Cart items ({ id, category, price, colors, selectedColor })
+ * @param {Array} products - Catalogue
+ * @param {Object} coPurchases - Counts per cart product ({ [productId]: { [otherId]: orders } })
+ * @param {number} limit - Max products
+ * @returns {Array} Products, best first
+ */
+export const getCompleteTheLook = (
+  cartItems,
+  products,
+  coPurchases = {},
+  limit = RECOMMENDATION_CONFIG.COMPLETE_LOOK_LIMIT
+) => {
+  const cartIds = new Set(cartItems.map((item) => item.id));
+  const cartCategories = new Set(cartItems.map((item) => item.category));
+  const cartColors = cartItems.flatMap((item) =>
+    item.selectedColor ? [item.selectedColor.name || item.selectedColor] : getColorNames(item)
+  );
+
+  return products
+    .filter(
+      (candidate) =>
+        !cartIds.has(candidate.id) &&
+        !cartCategories.has(candidate.category) &&
+        isInStock(candidate)
+    )
+    .map((candidate) => {
+      const bought = cartItems.reduce(
+        (sum, item) => sum + (coPurchases[item.id]?.[candidate.id] || 0),
+        0
+      );
+      const colorMatch = getColorNames(candidate).some((name) => cartColors.includes(name));
+      const priceMatch = cartItems.some((item) => isSamePriceBand(item.price, candidate.price));
+      return {
+        product: candidate,
+        score: Math.min(bought, 5) * 2 + (colorMatch ? 1 : 0) + (priceMatch ? 1 : 0),
+      };
+    })
+    .filter(({ score }) => score > 0)
+    .sort(byScore)
+    .slice(0, limit)
+    .map(({ product }) => product);
+};
+
+export default {
+  countCoPurchases,
+  getSimilarityScore,
+  getRelatedProducts,
+  getFrequentlyBoughtTogether,
+  getCompleteTheLook,
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countCoPurchases,
+  getRelatedProducts,
+  getFrequentlyBoughtTogether,
+  getCompleteTheLook,
+} from './recommendations';
+
+const black = { name: 'Black', hex: '#000000' };
+const white = { name: 'White', hex: '#FFFFFF' };
+
+const products = [
+  { id: 'tee', category: 't-shirts', price: 999, colors: [black], stock: 5 },
+  { id: 'tee-2', category: 't-shirts', price: 1099, colors: [black], stock: 5 },
+  { id: 'tee-3', category: 't-shirts', price: 2999, colors: [white], stock: 5 },
+  { id: 'chino', category: 'trousers', price: 1199, colors: [black], stock: 5 },
+  { id: 'jacket', category: 'jackets', price: 4999, colors: [white], stock: 5 },
+  { id: 'hoodie', category: 'hoodies', price: 1999, colors: [black], stock: 0 },
+];
+
+describe('countCoPurchases', () => {
+  it('should count each pair once per order, skipping cancelled orders and lines', () => {
+    const orders = [
+      { id: 'o1', status: 'delivered' },
+      { id: 'o2', status: 'placed' },
+      { id: 'o3', status: 'cancelled' },
+    ];
+    const items = [
+      { order_id: 'o1', product_id: 'tee' },
+      { order_id: 'o1', product_id: 'tee' },
+      { order_id: 'o1', product_id: 'chino' },
+      { order_id: 'o2', product_id: 'tee' },
+      { order_id: 'o2', product_id: 'chino' },
+      { order_id: 'o2', product_id: 'jacket', status: 'cancelled' },
+      { order_id: 'o3', product_id: 'tee' },
+      { order_id: 'o3', product_id: 'jacket' },
+    ];
+
+    expect(countCoPurchases(orders, items)).toEqual({
+      tee: { chino: 2 },
+      chino: { tee: 2 },
+    });
+  });
+});
+
+describe('getRelatedProducts', () => {
+  it('should rank by category, price band and color, skipping sold-out products', () => {
+    const related = getRelatedProducts(products[0], products).map((p) => p.id);
+
+    expect(related[0]).toBe('tee-2');
+    expect(related).not.toContain('tee');
+    expect(related).not.toContain('hoodie');
+  });
+
+  it('should let co-purchases lift a product from another category', () => {
+    const related = getRelatedProducts(products[0], products, { jacket: 5 }).map((p) => p.id);
+
+    expect(related.indexOf('jacket')).toBeLessThan(related.indexOf('tee-3'));
+  });
+});
+
+describe('getFrequentlyBoughtTogether', () => {
+  it('should only include products bought together often enough', () => {
+    const bundle = getFrequentlyBoughtTogether(products[0], products, {
+      chino: 4,
+      jacket: 1,
+      hoodie: 9,
+    });
+
+    expect(bundle.map((p) => p.id)).toEqual(['chino']);
+  });
+});
+
+describe('getCompleteTheLook', () => {
+  it('should suggest other categories that go with the cart', () => {
+    const cart = [{ ...products[0], selectedColor: black }];
+    const look = getCompleteTheLook(cart, products, { tee: { jacket: 3 } }).map((p) => p.id);
+
+    expect(look).toEqual(['jacket', 'chino']);
+  });
+});
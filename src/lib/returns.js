@@ -0,0 +1,214 @@
+/**
+ * Returns & Exchanges
+ * Return window, returnable quantities and pro-rata refund calculation
+ * @module lib/returns
+ */
+
+import {
+  ORDER_STATUS,
+  ORDER_ITEM_STATUS,
+  RETURN_WINDOW_DAYS,
+  RETURN_MAX_LINES,
+  RETURN_TYPES,
+  RETURN_STATUS,
+  RETURN_STATUS_TRANSITIONS,
+  RETURN_REASONS,
+} from '../config/constants';
+import { isActiveOrderItem } from './orderTotals';
+
+/**
+ * Invalid return transition error class
+ */
+export class InvalidReturnTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change return status from "${from}" to "${to}"`);
+    this.name = 'InvalidReturnTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Convert a Firestore Timestamp, ISO string or Date to a Date
+ * @param {*} value - Date-like value
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value.seconds) return new Date(value.seconds * 1000);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Round an amount to paise
+ * @param {number} amount - Amount
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the last day an order can be returned, counted from delivery
+ * @param {Object} order - Order
+ * @returns {Date|null} Window end, or null if the order isn't delivered
+ */
+export const getReturnWindowEnd = (order) => {
+  const deliveredAt = toDate(order?.delivered_at);
+  if (!deliveredAt) return null;
+  return new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Check if an order can still be returned
+ * @param {Object} order - Order
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isReturnWindowOpen = (order, now = new Date()) => {
+  if (order?.status !== ORDER_STATUS.DELIVERED) return false;
+  const windowEnd = getReturnWindowEnd(order);
+  return !!windowEnd && now <= windowEnd;
+};
+
+/**
+ * Get the quantity of an order item that can still be returned
+ * Quantities in rejected requests are available again; cancelled lines
+ * can't be returned.
+ * @param {Object} item - Order item
+ * @param {Array} returns - Existing return requests for the order
+ * @returns {number}
+ */
+export const getReturnableQuantity = (item, returns = []) => {
+  if (item.status === ORDER_ITEM_STATUS.CANCELLED) return 0;
+
+  const requested = returns
+    .filter((request) => request.status !== RETURN_STATUS.REJECTED)
+    .flatMap((request) => request.items || [])
+    .filter((line) => line.order_item_id === item.id)
+    .reduce((sum, line) => sum + line.quantity, 0);
+
+  return Math.max(0, item.quantity - requested);
+};
+
+/**
+ * Calculate refund amounts for return lines
+ * Each line is refunded net of the discount and with the GST recorded on
+ * that order item, so a promotion scoped to some items only reduces their
+ * refunds. Orders placed before per-line discounts or tax were recorded get a
+ * share of the order's coupon discount or tax in proportion to the line's
+ * value in the subtotal. Shipping is not refunded and exchanges are not refunded.
+ * @param {Object} order - Order (subtotal, coupon_discount, tax)
+ * @param {Array} orderItems - Order items
+ * @param {Array} lines - Return lines ({ order_item_id, quantity, type })
+ * @returns {Object} { lines: [{ order_item_id, refund_amount }], total }
+ */
+export const calculateRefund = (order, orderItems, lines) => {
+  const itemsById = Object.fromEntries(orderItems.map((item) => [item.id, item]));
+  const subtotal =
+    order.subtotal ||
+    orderItems
+      .filter(isActiveOrderItem)
+      .reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  const refundLines = lines.map((line) => {
+    const item = itemsById[line.order_item_id];
+    if (!item || line.type === RETURN_TYPES.EXCHANGE || !subtotal) {
+      return { order_item_id: line.order_item_id, refund_amount: 0 };
+    }
+
+    const value = item.price * line.quantity;
+    const share = value / subtotal;
+    const discount =
+      item.discount !== undefined && item.discount !== null
+        ? (item.discount * line.quantity) / item.quantity
+        : (order.coupon_discount || 0) * share;
+    const tax =
+      item.tax !== undefined && item.tax !== null
+        ? (item.tax * line.quantity) / item.quantity
+        : (order.tax || 0) * share;
+
+    return {
+      order_item_id: line.order_item_id,
+      refund_amount: roundAmount(Math.max(0, value - discount + tax)),
+    };
+  });
+
+  return {
+    lines: refundLines,
+    total: roundAmount(refundLines.reduce((sum, line) => sum + line.refund_amount, 0)),
+  };
+};
+
+/**
+ * Validate return lines against an order
+ * @param {Object} order - Order
+ * @param {Array} orderItems - Order items
+ * @param {Array} returns - Existing return requests for the order
+ * @param {Array} lines - Requested lines
+ *   ({ order_item_id, quantity, type, reason, exchange_size })
+ * @param {Date} now - Current time
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export const validateReturnLines = (order, orderItems, returns, lines, now = new Date()) => {
+  if (!isReturnWindowOpen(order, now)) {
+    return [`Returns are only accepted within ${RETURN_WINDOW_DAYS} days of delivery`];
+  }
+  if (!lines || lines.length === 0) {
+    return ['Select at least one item to return or exchange'];
+  }
+  if (lines.length > RETURN_MAX_LINES) {
+    return [`Return up to ${RETURN_MAX_LINES} items per request`];
+  }
+  if (new Set(lines.map((line) => line.order_item_id)).size < lines.length) {
+    return ['Each item can only be listed once'];
+  }
+
+  const errors = [];
+  lines.forEach((line) => {
+    const item = orderItems.find((orderItem) => orderItem.id === line.order_item_id);
+    if (!item) {
+      errors.push('Item not found in this order');
+      return;
+    }
+
+    const name = item.product_name || 'Item';
+    const returnable = getReturnableQuantity(item, returns);
+    if (!Number.isInteger(line.quantity) || line.quantity < 1 || line.quantity > returnable) {
+      errors.push(`${name}: only ${returnable} can be returned`);
+    }
+    if (!Object.values(RETURN_TYPES).includes(line.type)) {
+      errors.push(`${name}: choose return or exchange`);
+    }
+    if (!Object.values(RETURN_REASONS).includes(line.reason)) {
+      errors.push(`${name}: choose a reason`);
+    }
+    if (line.type === RETURN_TYPES.EXCHANGE && (!line.exchange_size || line.exchange_size === item.size)) {
+      errors.push(`${name}: choose a different size to exchange for`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Throw if a return status change is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {InvalidReturnTransitionError}
+ */
+export const assertReturnTransition = (from, to) => {
+  if (!(RETURN_STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw new InvalidReturnTransitionError(from, to);
+  }
+};
+
+export default {
+  InvalidReturnTransitionError,
+  getReturnWindowEnd,
+  isReturnWindowOpen,
+  getReturnableQuantity,
+  calculateRefund,
+  validateReturnLines,
+  assertReturnTransition,
+};
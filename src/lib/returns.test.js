@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isReturnWindowOpen,
+  getReturnableQuantity,
+  calculateRefund,
+  validateReturnLines,
+  assertReturnTransition,
+  InvalidReturnTransitionError,
+} from './returns';
+
+const deliveredAt = '2024-03-01T10:00:00.000Z';
+const order = {
+  status: 'delivered',
+  delivered_at: deliveredAt,
+  subtotal: 3000,
+  coupon_discount: 300,
+  tax: 486,
+};
+const orderItems = [
+  { id: 'a', product_name: 'Tee', size: 'M', price: 1000, quantity: 2 },
+  { id: 'b', product_name: 'Shirt', size: 'L', price: 1000, quantity: 1 },
+];
+
+describe('isReturnWindowOpen', () => {
+  it('should be open within the window after delivery', () => {
+    expect(isReturnWindowOpen(order, new Date('2024-03-05T00:00:00.000Z'))).toBe(true);
+  });
+
+  it('should close after the window', () => {
+    expect(isReturnWindowOpen(order, new Date('2024-03-09T00:00:00.000Z'))).toBe(false);
+  });
+
+  it('should be closed for orders that are not delivered', () => {
+    expect(isReturnWindowOpen({ ...order, status: 'shipped' })).toBe(false);
+  });
+});
+
+describe('getReturnableQuantity', () => {
+  it('should subtract quantities already requested, ignoring rejected requests', () => {
+    const returns = [
+      { status: 'approved', items: [{ order_item_id: 'a', quantity: 1 }] },
+      { status: 'rejected', items: [{ order_item_id: 'a', quantity: 1 }] },
+    ];
+
+    expect(getReturnableQuantity(orderItems[0], returns)).toBe(1);
+  });
+});
+
+describe('calculateRefund', () => {
+  it('should refund each line its share of the coupon discount and tax', () => {
+    const refund = calculateRefund(order, orderItems, [
+      { order_item_id: 'a', quantity: 1, type: 'return' },
+    ]);
+
+    // 1000 - 300/3 + 486/3
+    expect(refund.total).toBe(1062);
+  });
+
+  it('should refund the GST recorded on the line when there is one', () => {
+    const items = orderItems.map((item) => ({ ...item, tax: item.quantity * 45 }));
+    const refund = calculateRefund(order, items, [
+      { order_item_id: 'a', quantity: 1, type: 'return' },
+    ]);
+
+    // 1000 - 300/3 + 45
+    expect(refund.total).toBe(945);
+  });
+
+  it('should take off only the discount recorded on the line', () => {
+    // A 20% promotion scoped to the shirt: the tee carries none of it
+    const items = [
+      { ...orderItems[0], discount: 0, tax: 240 },
+      { ...orderItems[1], discount: 200, tax: 96 },
+    ];
+    const refund = calculateRefund({ ...order, coupon_discount: 200, tax: 336 }, items, [
+      { order_item_id: 'a', quantity: 1, type: 'return' },
+      { order_item_id: 'b', quantity: 1, type: 'return' },
+    ]);
+
+    expect(refund.lines).toEqual([
+      { order_item_id: 'a', refund_amount: 1120 },
+      { order_item_id: 'b', refund_amount: 896 },
+    ]);
+  });
+
+  it('should not refund exchanges', () => {
+    const refund = calculateRefund(order, orderItems, [
+      { order_item_id: 'a', quantity: 1, type: 'exchange' },
+      { order_item_id: 'b', quantity: 1, type: 'return' },
+    ]);
+
+    expect(refund.lines[0].refund_amount).toBe(0);
+    expect(refund.total).toBe(1062);
+  });
+
+  it('should refund the whole order minus shipping when everything is returned', () => {
+    const refund = calculateRefund(order, orderItems, [
+      { order_item_id: 'a', quantity: 2, type: 'return' },
+      { order_item_id: 'b', quantity: 1, type: 'return' },
+    ]);
+
+    expect(refund.total).toBe(3000 - 300 + 486);
+  });
+});
+
+describe('validateReturnLines', () => {
+  const now = new Date('2024-03-02T00:00:00.000Z');
+
+  it('should accept a valid exchange', () => {
+    const lines = [
+      { order_item_id: 'a', quantity: 1, type: 'exchange', reason: 'size_too_small', exchange_size: 'L' },
+    ];
+
+    expect(validateReturnLines(order, orderItems, [], lines, now)).toEqual([]);
+  });
+
+  it('should reject exchanges to the same size and excess quantities', () => {
+    const lines = [
+      { order_item_id: 'a', quantity: 3, type: 'exchange', reason: 'size_too_small', exchange_size: 'M' },
+    ];
+
+    const errors = validateReturnLines(order, orderItems, [], lines, now);
+
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toContain('only 2 can be returned');
+  });
+
+  it('should reject an item listed twice', () => {
+    const lines = [
+      { order_item_id: 'a', quantity: 2, type: 'return', reason: 'damaged' },
+      { order_item_id: 'a', quantity: 2, type: 'return', reason: 'damaged' },
+    ];
+
+    expect(validateReturnLines(order, orderItems, [], lines, now)).toEqual([
+      'Each item can only be listed once',
+    ]);
+  });
+
+  it('should reject requests outside the return window', () => {
+    const lines = [{ order_item_id: 'a', quantity: 1, type: 'return', reason: 'damaged' }];
+
+    expect(
+      validateReturnLines(order, orderItems, [], lines, new Date('2024-04-01T00:00:00.000Z'))[0]
+    ).toContain('within 7 days of delivery');
+  });
+});
+
+describe('assertReturnTransition', () => {
+  it('should not allow refunding a request that was not received', () => {
+    expect(() => assertReturnTransition('requested', 'refunded')).toThrow(
+      InvalidReturnTransitionError
+    );
+  });
+});
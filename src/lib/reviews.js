@@ -0,0 +1,135 @@
+/**
+ * Reviews
+ * Review validation, sorting and the per-product rating aggregate
+ * (rating, reviews_count, rating_distribution) kept on each product.
+ * @module lib/reviews
+ */
+
+import { REVIEW_CONFIG } from '../config/constants';
+
+export const REVIEW_SORTS = {
+  HELPFUL: 'helpful',
+  NEWEST: 'newest',
+  RATING_HIGH: 'rating-high',
+  RATING_LOW: 'rating-low',
+};
+
+const EMPTY_DISTRIBUTION = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+
+const getTime = (timestamp) => timestamp?.toMillis?.() || 0;
+
+/**
+ * Get the ID of a user's review of a product (one review per customer)
+ * @param {string} productId - Product ID
+ * @param {string} userId - User ID
+ * @returns {string} Review ID
+ */
+export const getReviewId = (productId, userId) => `${productId}_${userId}`;
+
+/**
+ * Get the name shown on a review ("Priya S.")
+ * @param {string} fullName - Reviewer's full name
+ * @returns {string} Display name
+ */
+export const getReviewerName = (fullName) => {
+  const [first, ...rest] = (fullName || '').trim().split(/\s+/);
+  if (!first) return 'Customer';
+  const last = rest[rest.length - 1];
+  return last ? `${first} ${last[0].toUpperCase()}.` : first;
+};
+
+/**
+ * Validate a review before it's submitted
+ * @param {Object} review - { rating, title, text, photos }
+ * @returns {Object} Validation result ({ isValid, errors })
+ */
+export const validateReview = ({ rating, title = '', text = '', photos = [] }) => {
+  const errors = {};
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.rating = 'Choose a rating from 1 to 5 stars';
+  }
+  if (title.trim().length > REVIEW_CONFIG.MAX_TITLE_LENGTH) {
+    errors.title = `Title must be at most ${REVIEW_CONFIG.MAX_TITLE_LENGTH} characters`;
+  }
+  const length = text.trim().length;
+  if (length < REVIEW_CONFIG.MIN_TEXT_LENGTH) {
+    errors.text = `Review must be at least ${REVIEW_CONFIG.MIN_TEXT_LENGTH} characters`;
+  } else if (length > REVIEW_CONFIG.MAX_TEXT_LENGTH) {
+    errors.text = `Review must be at most ${REVIEW_CONFIG.MAX_TEXT_LENGTH} characters`;
+  }
+  if (photos.length > REVIEW_CONFIG.MAX_PHOTOS) {
+    errors.photos = `You can add up to ${REVIEW_CONFIG.MAX_PHOTOS} photos`;
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Update a product's rating aggregate
+ * Counting a review adds its rating; re-moderating one removes the rating
+ * that was counted before and adds the current one.
+ * @param {Object} product - Product ({ rating_distribution })
+ * @param {Object} change - { remove, add } ratings (null to skip either)
+ * @returns {Object} Fields to update ({ rating, reviews_count, rating_distribution })
+ */
+export const applyRatingChange = (product, { remove = null, add = null }) => {
+  const distribution = { ...EMPTY_DISTRIBUTION, ...(product?.rating_distribution || {}) };
+  if (remove) distribution[remove] = Math.max(0, distribution[remove] - 1);
+  if (add) distribution[add] += 1;
+
+  const count = Object.values(distribution).reduce((sum, n) => sum + n, 0);
+  const total = Object.entries(distribution).reduce(
+    (sum, [stars, n]) => sum + Number(stars) * n,
+    0
+  );
+
+  return {
+    rating: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    reviews_count: count,
+    rating_distribution: distribution,
+  };
+};
+
+/**
+ * Get the share of reviews at each star rating, 5 stars first
+ * @param {Object} product - Product ({ reviews_count, rating_distribution })
+ * @returns {Array} Rows ({ stars, count, percent })
+ */
+export const getRatingBreakdown = (product) => {
+  const distribution = { ...EMPTY_DISTRIBUTION, ...(product?.rating_distribution || {}) };
+  const total = product?.reviews_count || 0;
+  return [5, 4, 3, 2, 1].map((stars) => ({
+    stars,
+    count: distribution[stars],
+    percent: total > 0 ? Math.round((distribution[stars] / total) * 100) : 0,
+  }));
+};
+
+/**
+ * Sort reviews
+ * @param {Array} reviews - Reviews
+ * @param {string} sort - REVIEW_SORTS value
+ * @returns {Array} Sorted copy
+ */
+export const sortReviews = (reviews, sort = REVIEW_SORTS.HELPFUL) => {
+  const byNewest = (a, b) => getTime(b.created_at) - getTime(a.created_at);
+  const comparators = {
+    [REVIEW_SORTS.HELPFUL]: (a, b) =>
+      (b.helpful_count || 0) - (a.helpful_count || 0) || byNewest(a, b),
+    [REVIEW_SORTS.NEWEST]: byNewest,
+    [REVIEW_SORTS.RATING_HIGH]: (a, b) => b.rating - a.rating || byNewest(a, b),
+    [REVIEW_SORTS.RATING_LOW]: (a, b) => a.rating - b.rating || byNewest(a, b),
+  };
+  return [...reviews].sort(comparators[sort] || comparators[REVIEW_SORTS.HELPFUL]);
+};
+
+export default {
+  REVIEW_SORTS,
+  getReviewId,
+  getReviewerName,
+  validateReview,
+  applyRatingChange,
+  getRatingBreakdown,
+  sortReviews,
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getReviewerName,
+  validateReview,
+  applyRatingChange,
+  sortReviews,
+} from './reviews';
+
+describe('applyRatingChange', () => {
+  it('should keep the average and count in step with the distribution', () => {
+    let product = {};
+    product = applyRatingChange(product, { add: 5 });
+    product = applyRatingChange(product, { add: 4 });
+    product = applyRatingChange(product, { add: 4 });
+
+    expect(product.reviews_count).toBe(3);
+    expect(product.rating).toBe(4.3);
+    expect(product.rating_distribution).toEqual({ 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 });
+  });
+
+  it('should swap a re-moderated rating and drop a removed one', () => {
+    const product = { rating_distribution: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 } };
+
+    expect(applyRatingChange(product, { remove: 5, add: 1 })).toMatchObject({
+      rating: 3,
+      reviews_count: 3,
+    });
+    expect(applyRatingChange(product, { remove: 5 })).toMatchObject({
+      rating: 4,
+      reviews_count: 2,
+    });
+  });
+});
+
+describe('validateReview', () => {
+  it('should require a 1-5 star rating and some text', () => {
+    const result = validateReview({ rating: 0, text: 'Nice' });
+
+    expect(result.isValid).toBe(false);
+    expect(Object.keys(result.errors)).toEqual(['rating', 'text']);
+    expect(validateReview({ rating: 4, text: 'Fits true to size.' }).isValid).toBe(true);
+  });
+});
+
+describe('sortReviews', () => {
+  it('should put the most helpful reviews first by default', () => {
+    const reviews = [
+      { id: 'a', rating: 5, helpful_count: 1 },
+      { id: 'b', rating: 2, helpful_count: 4 },
+      { id: 'c', rating: 3 },
+    ];
+
+    expect(sortReviews(reviews).map((r) => r.id)).toEqual(['b', 'a', 'c']);
+    expect(sortReviews(reviews, 'rating-low').map((r) => r.id)).toEqual(['b', 'c', 'a']);
+  });
+});
+
+describe('getReviewerName', () => {
+  it('should shorten the last name to an initial', () => {
+    expect(getReviewerName('Priya Ravi Sharma')).toBe('Priya S.');
+    expect(getReviewerName('Arjun')).toBe('Arjun');
+    expect(getReviewerName('')).toBe('Customer');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Search Analytics
+ * Searches are counted per normalized term and day (UTC) in search_terms
+ * documents ({ date, term, searches, zero_results, clicks }). Trending
+ * searches and the admin zero-result report both add those days up over a
+ * time window.
+ * @module lib/searchAnalytics
+ */
+
+import { SEARCH_ANALYTICS_CONFIG } from '../config/constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a search query so "T-Shirt " and "t-shirt" count as one term
+ * @param {string} query - Query as typed
+ * @returns {string} Lowercased, trimmed query with single spaces ('' if blank)
+ */
+export const normalizeSearchQuery = (query) =>
+  (query || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, SEARCH_ANALYTICS_CONFIG.MAX_QUERY_LENGTH)
+    .trim();
+
+/**
+ * Get the day key (UTC) searches are counted under
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+export const getSearchDateKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Get the first day key of a window ending today
+ * @param {number} days - Window length in days (today included)
+ * @param {Date} now - Current time
+ * @returns {string} YYYY-MM-DD
+ */
+export const getWindowStartKey = (days, now = new Date()) =>
+  getSearchDateKey(new Date(now.getTime() - (days - 1) * DAY_MS));
+
+/**
+ * Get the search_terms document ID for a term and day
+ * @param {string} term - Normalized term
+ * @param {string} dateKey - Day key (YYYY-MM-DD)
+ * @returns {string|null} Document ID, or null if the term has no letters or digits
+ */
+export const getSearchTermId = (term, dateKey) => {
+  const slug = term
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug ? `${dateKey}_${slug}` : null;
+};
+
+/**
+ * Add up daily term counts over a window
+ * @param {Array} termDays - search_terms documents
+ * @returns {Array} Totals per term ({ term, searches, zero_results, clicks, last_date })
+ */
+export const aggregateSearchTerms = (termDays) => {
+  const totals = new Map();
+  termDays.forEach((day) => {
+    const total = totals.get(day.term) || {
+      term: day.term,
+      searches: 0,
+      zero_results: 0,
+      clicks: 0,
+      last_date: day.date,
+    };
+    total.searches += day.searches || 0;
+    total.zero_results += day.zero_results || 0;
+    total.clicks += day.clicks || 0;
+    if (day.date > total.last_date) total.last_date = day.date;
+    totals.set(day.term, total);
+  });
+  return [...totals.values()];
+};
+
+/**
+ * Get trending search terms
+ * Terms that never returned results aren't suggested; ties go to the term
+ * whose results were clicked more.
+ * @param {Array} termDays - search_terms documents in the window
+ * @param {Object} options - { limit, minSearches }
+ * @returns {Array} Trending terms ({ search_term, search_count })
+ */
+export const getTrendingTerms = (
+  termDays,
+  {
+    limit = SEARCH_ANALYTICS_CONFIG.TRENDING_LIMIT,
+    minSearches = SEARCH_ANALYTICS_CONFIG.MIN_TRENDING_SEARCHES,
+  } = {}
+) =>
+  aggregateSearchTerms(termDays)
+    .filter((total) => total.searches >= minSearches && total.zero_results < total.searches)
+    .sort((a, b) => b.searches - a.searches || b.clicks - a.clicks)
+    .slice(0, limit)
+    .map((total) => ({ search_term: total.term, search_count: total.searches }));
+
+/**
+ * Get the terms that returned no results, most frequent first
+ * @param {Array} termDays - search_terms documents in the window
+ * @returns {Array} Totals per term ({ term, searches, zero_results, clicks, last_date })
+ */
+export const getZeroResultTerms = (termDays) =>
+  aggregateSearchTerms(termDays)
+    .filter((total) => total.zero_results > 0)
+    .sort((a, b) => b.zero_results - a.zero_results || b.last_date.localeCompare(a.last_date));
+
+export default {
+  normalizeSearchQuery,
+  getSearchDateKey,
+  getWindowStartKey,
+  getSearchTermId,
+  aggregateSearchTerms,
+  getTrendingTerms,
+  getZeroResultTerms,
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSearchQuery,
+  getWindowStartKey,
+  getSearchTermId,
+  getTrendingTerms,
+  getZeroResultTerms,
+} from './searchAnalytics';
+
+const day = (term, date, searches, zeroResults = 0, clicks = 0) => ({
+  term,
+  date,
+  searches,
+  zero_results: zeroResults,
+  clicks,
+});
+
+describe('normalizeSearchQuery', () => {
+  it('should lowercase, trim and collapse spaces', () => {
+    expect(normalizeSearchQuery('  Oversized   T-Shirt ')).toBe('oversized t-shirt');
+    expect(normalizeSearchQuery('   ')).toBe('');
+  });
+});
+
+describe('getSearchTermId', () => {
+  it('should key a term by day and skip terms without letters or digits', () => {
+    expect(getSearchTermId('oversized t-shirt', '2026-10-19')).toBe('2026-10-19_oversized-t-shirt');
+    expect(getSearchTermId('?!', '2026-10-19')).toBeNull();
+    expect(getWindowStartKey(7, new Date('2026-10-19T12:00:00Z'))).toBe('2026-10-13');
+  });
+});
+
+describe('getTrendingTerms', () => {
+  it('should add up days and rank by searches, then clicks', () => {
+    const termDays = [
+      day('shirts', '2026-10-18', 2, 0, 1),
+      day('shirts', '2026-10-19', 3, 0, 1),
+      day('jackets', '2026-10-19', 5, 0, 4),
+      day('chinos', '2026-10-19', 6),
+    ];
+
+    expect(getTrendingTerms(termDays)).toEqual([
+      { search_term: 'chinos', search_count: 6 },
+      { search_term: 'jackets', search_count: 5 },
+      { search_term: 'shirts', search_count: 5 },
+    ]);
+  });
+
+  it('should skip rare terms and terms that never returned results', () => {
+    const termDays = [day('linen', '2026-10-19', 2), day('jeans', '2026-10-19', 9, 9)];
+
+    expect(getTrendingTerms(termDays)).toEqual([]);
+  });
+});
+
+describe('getZeroResultTerms', () => {
+  it('should list terms with zero-result searches, most frequent first', () => {
+    const termDays = [
+      day('jeans', '2026-10-18', 4, 4),
+      day('jeans', '2026-10-19', 3, 3),
+      day('kurta', '2026-10-19', 9, 2),
+      day('shirts', '2026-10-19', 9),
+    ];
+
+    expect(getZeroResultTerms(termDays)).toEqual([
+      { term: 'jeans', searches: 7, zero_results: 7, clicks: 0, last_date: '2026-10-19' },
+      { term: 'kurta', searches: 9, zero_results: 2, clicks: 0, last_date: '2026-10-19' },
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Shipping
+ * Shipping rates from the admin's shipping settings. Used by the cart and
+ * checkout summaries and by createOrder, so every total is priced the same way.
+ * @module lib/shipping
+ */
+
+import {
+  DEFAULT_SHIPPING_SETTINGS,
+  SHIPPING_METHODS,
+  SHIPPING_METHOD_LABELS,
+  SHIPPING_RATE_TYPES,
+} from '../config/constants';
+
+/**
+ * Shipping method not available error class
+ * Thrown when an order asks for a delivery option the pincode doesn't get
+ */
+export class ShippingMethodUnavailableError extends Error {
+  constructor(method) {
+    super(`${SHIPPING_METHOD_LABELS[method] || method} is not available for this pincode`);
+    this.name = 'ShippingMethodUnavailableError';
+    this.method = method;
+  }
+}
+
+/**
+ * Fill in any settings an admin hasn't saved yet
+ * @param {Object|null} settings - Saved shipping settings
+ * @returns {Object} Complete settings
+ */
+export const resolveShippingSettings = (settings) => ({
+  ...DEFAULT_SHIPPING_SETTINGS,
+  ...(settings || {}),
+});
+
+/**
+ * Get the total shipping weight of a set of lines
+ * @param {Array} items - Lines ({ quantity, weight_grams })
+ * @param {Object} settings - Shipping settings
+ * @returns {number} Weight in grams
+ */
+export const getShippingWeight = (items, settings) =>
+  items.reduce(
+    (sum, item) =>
+      sum + (Number(item.weight_grams) || settings.default_item_weight_grams) * item.quantity,
+    0
+  );
+
+/**
+ * Get the base rate before the free shipping threshold and zone surcharge
+ * Weight-based rates charge the base rate for the first weight_base_grams
+ * and weight_step_rate for each started weight_step_grams after that.
+ * @param {Array} items - Lines
+ * @param {Object} settings - Shipping settings
+ * @returns {number} Base rate
+ */
+export const getBaseShippingRate = (items, settings) => {
+  if (settings.rate_type !== SHIPPING_RATE_TYPES.WEIGHT) {
+    return settings.flat_rate;
+  }
+
+  const extraWeight = getShippingWeight(items, settings) - settings.weight_base_grams;
+  const steps = extraWeight > 0 ? Math.ceil(extraWeight / settings.weight_step_grams) : 0;
+  return settings.weight_base_rate + steps * settings.weight_step_rate;
+};
+
+/**
+ * Get the surcharge for a pincode's shipping zone
+ * @param {Object|null} pincode - Pincode check result ({ zone })
+ * @param {Object} settings - Shipping settings
+ * @returns {number} Surcharge (0 for unknown zones)
+ */
+export const getZoneSurcharge = (pincode, settings) =>
+  settings.zones.find((zone) => zone.id === pincode?.zone)?.surcharge || 0;
+
+/**
+ * Get the delivery options for an order
+ * The free shipping threshold waives the base rate only; zone surcharges and
+ * the express fee are always charged.
+ * @param {Object} params - { items, orderValue, pincode, settings }
+ *   orderValue is the merchandise value after discounts; pincode is the
+ *   checkPincode result (null when the address isn't known yet)
+ * @returns {Array} Options ({ method, label, cost, base, surcharge, express_fee,
+ *   is_free, estimated_delivery_days })
+ */
+export const getShippingOptions = ({ items, orderValue, pincode = null, settings }) => {
+  const config = resolveShippingSettings(settings);
+  const threshold = config.free_shipping_threshold;
+  const isFree = threshold > 0 && orderValue >= threshold;
+  const base = isFree ? 0 : getBaseShippingRate(items, config);
+  const surcharge = getZoneSurcharge(pincode, config);
+  const deliveryDays = pincode?.estimated_delivery_days || null;
+
+  const options = [
+    {
+      method: SHIPPING_METHODS.STANDARD,
+      label: SHIPPING_METHOD_LABELS[SHIPPING_METHODS.STANDARD],
+      base,
+      surcharge,
+      express_fee: 0,
+      cost: base + surcharge,
+      is_free: base + surcharge === 0,
+      estimated_delivery_days: deliveryDays,
+    },
+  ];
+
+  if (config.express_enabled && pincode?.is_serviceable && pincode.is_express_available !== false) {
+    const cost = base + surcharge + config.express_fee;
+    options.push({
+      method: SHIPPING_METHODS.EXPRESS,
+      label: SHIPPING_METHOD_LABELS[SHIPPING_METHODS.EXPRESS],
+      base,
+      surcharge,
+      express_fee: config.express_fee,
+      cost,
+      is_free: cost === 0,
+      estimated_delivery_days: Math.min(
+        config.express_delivery_days,
+        deliveryDays || config.express_delivery_days
+      ),
+    });
+  }
+
+  return options;
+};
+
+/**
+ * Price one delivery option
+ * @param {Object} params - getShippingOptions params plus method
+ * @returns {Object} Option (see getShippingOptions)
+ * @throws {ShippingMethodUnavailableError} If the method isn't offered
+ */
+export const calculateShipping = ({ method = SHIPPING_METHODS.STANDARD, ...params }) => {
+  const option = getShippingOptions(params).find((candidate) => candidate.method === method);
+  if (!option) {
+    throw new ShippingMethodUnavailableError(method);
+  }
+  return option;
+};
+
+export default {
+  ShippingMethodUnavailableError,
+  resolveShippingSettings,
+  getShippingWeight,
+  getBaseShippingRate,
+  getZoneSurcharge,
+  getShippingOptions,
+  calculateShipping,
+};
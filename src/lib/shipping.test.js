@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getShippingOptions,
+  calculateShipping,
+  getBaseShippingRate,
+  ShippingMethodUnavailableError,
+} from './shipping';
+
+const SETTINGS = {
+  free_shipping_threshold: 999,
+  rate_type: 'flat',
+  flat_rate: 99,
+  weight_base_grams: 500,
+  weight_base_rate: 50,
+  weight_step_grams: 500,
+  weight_step_rate: 20,
+  default_item_weight_grams: 300,
+  zones: [{ id: 'remote', label: 'Remote', surcharge: 80 }],
+  express_enabled: true,
+  express_fee: 150,
+  express_delivery_days: 2,
+};
+
+const items = [{ quantity: 2 }, { quantity: 1, weight_grams: 900 }];
+const pincode = { is_serviceable: true, zone: 'remote', estimated_delivery_days: 6 };
+
+describe('getBaseShippingRate', () => {
+  it('should charge per started weight step above the base weight', () => {
+    // 2 × 300 + 900 = 1500g → base + 2 steps
+    expect(getBaseShippingRate(items, { ...SETTINGS, rate_type: 'weight' })).toBe(90);
+    expect(getBaseShippingRate([{ quantity: 1 }], { ...SETTINGS, rate_type: 'weight' })).toBe(50);
+  });
+});
+
+describe('getShippingOptions', () => {
+  it('should charge the flat rate below the free shipping threshold', () => {
+    const [standard] = getShippingOptions({ items, orderValue: 998, settings: SETTINGS });
+
+    expect(standard.cost).toBe(99);
+    expect(standard.is_free).toBe(false);
+  });
+
+  it('should waive the base rate but keep the zone surcharge above the threshold', () => {
+    const [standard, express] = getShippingOptions({
+      items,
+      orderValue: 999,
+      pincode,
+      settings: SETTINGS,
+    });
+
+    expect(standard).toMatchObject({ base: 0, surcharge: 80, cost: 80 });
+    expect(express).toMatchObject({ cost: 230, estimated_delivery_days: 2 });
+  });
+
+  it('should only offer express where it is available', () => {
+    const methods = (options) => options.map((option) => option.method);
+
+    expect(methods(getShippingOptions({ items, orderValue: 500, settings: SETTINGS }))).toEqual([
+      'standard',
+    ]);
+    expect(
+      methods(
+        getShippingOptions({
+          items,
+          orderValue: 500,
+          pincode: { ...pincode, is_express_available: false },
+          settings: SETTINGS,
+        })
+      )
+    ).toEqual(['standard']);
+  });
+
+  it('should never be free when the threshold is 0', () => {
+    const settings = { ...SETTINGS, free_shipping_threshold: 0 };
+
+    expect(getShippingOptions({ items, orderValue: 100000, settings })[0].cost).toBe(99);
+  });
+
+  it('should charge nothing until an admin saves shipping settings', () => {
+    const options = getShippingOptions({ items, orderValue: 100, pincode, settings: null });
+
+    expect(options).toHaveLength(1);
+    expect(options[0]).toMatchObject({ method: 'standard', cost: 0, is_free: true });
+  });
+});
+
+describe('calculateShipping', () => {
+  it('should throw when the method is not offered', () => {
+    expect(() =>
+      calculateShipping({ items, orderValue: 500, method: 'express', settings: SETTINGS })
+    ).toThrow(ShippingMethodUnavailableError);
+  });
+});
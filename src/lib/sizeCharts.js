@@ -0,0 +1,279 @@
+/**
+ * Size Charts
+ * Per-category or per-brand size charts and the "find my size" recommender.
+ * Charts and saved measurements are kept in inches; cm is only for display
+ * and input.
+ * @module lib/sizeCharts
+ */
+
+import {
+  BODY_MEASUREMENTS,
+  ORDER_ITEM_STATUS,
+  RETURN_REASONS,
+  RETURN_STATUS,
+  SIZE_UNITS,
+} from '../config/constants';
+
+export const CM_PER_INCH = 2.54;
+
+export const SIZE_OUTCOMES = {
+  KEPT: 'kept',
+  TOO_SMALL: 'too_small',
+  TOO_LARGE: 'too_large',
+};
+
+const RETURN_OUTCOMES = {
+  [RETURN_REASONS.SIZE_TOO_SMALL]: SIZE_OUTCOMES.TOO_SMALL,
+  [RETURN_REASONS.SIZE_TOO_LARGE]: SIZE_OUTCOMES.TOO_LARGE,
+};
+
+/**
+ * Convert a measurement to inches
+ * @param {number} value - Measurement
+ * @param {string} unit - SIZE_UNITS value it's in
+ * @returns {number} Inches (to 0.1)
+ */
+export const toInches = (value, unit) => {
+  const inches = unit === SIZE_UNITS.CM ? value / CM_PER_INCH : value;
+  return Math.round(inches * 10) / 10;
+};
+
+/**
+ * Convert a measurement from inches
+ * @param {number} inches - Measurement in inches
+ * @param {string} unit - SIZE_UNITS value to show it in
+ * @returns {number} Whole cm, or inches to 0.1
+ */
+export const fromInches = (inches, unit) =>
+  unit === SIZE_UNITS.CM ? Math.round(inches * CM_PER_INCH) : Math.round(inches * 10) / 10;
+
+/**
+ * Parse a chart cell typed by an admin ("38-40" or "29")
+ * @param {string} text - Cell text
+ * @param {string} unit - SIZE_UNITS value it's typed in
+ * @returns {Object|null} Range in inches ({ min, max }), or null if invalid
+ */
+export const parseRange = (text, unit = SIZE_UNITS.IN) => {
+  const match = String(text ?? '').trim().match(/^(\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?$/);
+  if (!match) return null;
+
+  const min = Number(match[1]);
+  const max = match[2] ? Number(match[2]) : min;
+  if (min <= 0 || max < min) return null;
+  return { min: toInches(min, unit), max: toInches(max, unit) };
+};
+
+/**
+ * Format a chart range for display
+ * @param {Object} range - Range in inches ({ min, max })
+ * @param {string} unit - SIZE_UNITS value to show it in
+ * @returns {string} "38-40", "29" or "" if missing
+ */
+export const formatRange = (range, unit = SIZE_UNITS.IN) => {
+  if (!range) return '';
+  const min = fromInches(range.min, unit);
+  const max = fromInches(range.max, unit);
+  return min === max ? String(min) : `${min}-${max}`;
+};
+
+/**
+ * Find the size chart for a product
+ * A chart for the product's brand and category wins over a category chart,
+ * which wins over a brand chart. Earlier charts win ties, so saved charts
+ * should come before the defaults.
+ * @param {Array} charts - Size charts ({ category, brand })
+ * @param {Object} product - Product ({ category, brand })
+ * @returns {Object|null} Size chart
+ */
+export const findSizeChart = (charts, product) => {
+  const brand = (product?.brand || '').trim().toLowerCase();
+  const score = (chart) => {
+    const chartBrand = (chart.brand || '').trim().toLowerCase();
+    const categoryMatches = chart.category === product?.category;
+    const brandMatches = !!chartBrand && chartBrand === brand;
+
+    if (chart.category && chartBrand) return categoryMatches && brandMatches ? 3 : 0;
+    if (chart.category) return categoryMatches ? 2 : 0;
+    return brandMatches ? 1 : 0;
+  };
+
+  let best = null;
+  let bestScore = 0;
+  charts.forEach((chart) => {
+    const chartScore = score(chart);
+    if (chartScore > bestScore) {
+      best = chart;
+      bestScore = chartScore;
+    }
+  });
+  return best;
+};
+
+/**
+ * Validate a size chart before it's saved
+ * @param {Object} chart - { name, category, brand, measurements, rows }
+ * @returns {Object} Validation result ({ isValid, errors })
+ */
+export const validateSizeChart = ({ name, category, brand, measurements = [], rows = [] }) => {
+  const errors = [];
+
+  if (!name?.trim()) errors.push('Chart name is required');
+  if (!category && !brand?.trim()) errors.push('Choose a category, a brand or both');
+  if (measurements.length === 0) errors.push('Add at least one measurement');
+  if (rows.length === 0) errors.push('Add at least one size');
+
+  const sizes = rows.map((row) => row.size?.trim());
+  if (sizes.some((size) => !size)) errors.push('Every row needs a size');
+  if (new Set(sizes).size !== sizes.length) errors.push('Sizes must be unique');
+
+  rows.forEach((row) => {
+    measurements.forEach((key) => {
+      if (!row[key]) errors.push(`Size ${row.size || '?'} needs a valid ${key}`);
+    });
+  });
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Turn past order lines and return requests into fit history
+ * Lines returned as too small or too large record that size as a bad fit;
+ * lines returned for other reasons say nothing about fit and are skipped.
+ * Sizes received in an exchange count as kept.
+ * @param {Array} items - Delivered order items ({ id, category, size, status })
+ * @param {Array} returns - The customer's return requests ({ status, items })
+ * @returns {Array} Entries ({ category, size, outcome })
+ */
+export const buildSizeHistory = (items, returns = []) => {
+  const returnedLines = new Map();
+  returns
+    .filter((request) => request.status !== RETURN_STATUS.REJECTED)
+    .forEach((request) => {
+      (request.items || []).forEach((line) => {
+        returnedLines.set(line.order_item_id, { ...line, request_status: request.status });
+      });
+    });
+
+  return items
+    .filter((item) => item.size && item.status !== ORDER_ITEM_STATUS.CANCELLED)
+    .flatMap((item) => {
+      const line = returnedLines.get(item.id);
+      if (!line) return [{ category: item.category, size: item.size, outcome: SIZE_OUTCOMES.KEPT }];
+
+      const entries = [];
+      if (RETURN_OUTCOMES[line.reason]) {
+        entries.push({ category: item.category, size: item.size, outcome: RETURN_OUTCOMES[line.reason] });
+      }
+      if (line.request_status === RETURN_STATUS.EXCHANGED && line.exchange_size) {
+        entries.push({ category: item.category, size: line.exchange_size, outcome: SIZE_OUTCOMES.KEPT });
+      }
+      return entries;
+    });
+};
+
+/**
+ * Find the chart row closest to a customer's body measurements
+ * @param {Object} chart - Size chart
+ * @param {Object} measurements - Inches ({ chest, waist, hip })
+ * @returns {Object|null} { index, fits } or null if nothing to compare
+ */
+const matchMeasurements = (chart, measurements = {}) => {
+  const keys = chart.measurements.filter(
+    (key) => BODY_MEASUREMENTS.includes(key) && Number(measurements[key]) > 0
+  );
+  if (keys.length === 0) return null;
+
+  let best = null;
+  chart.rows.forEach((row, index) => {
+    let outside = 0;
+    let offCenter = 0;
+    keys.forEach((key) => {
+      const value = Number(measurements[key]);
+      const { min, max } = row[key];
+      outside += value < min ? min - value : value > max ? value - max : 0;
+      offCenter += Math.abs(value - (min + max) / 2);
+    });
+
+    // Ties go to the larger size (between two sizes, size up)
+    if (
+      !best ||
+      outside < best.outside ||
+      (outside === best.outside && offCenter <= best.offCenter)
+    ) {
+      best = { index, outside, offCenter };
+    }
+  });
+
+  return { index: best.index, fits: best.outside === 0 };
+};
+
+/**
+ * Recommend a size from a chart
+ * Saved measurements come first, then the size the customer kept most often
+ * in this category. Sizes they returned as too small or too large push the
+ * recommendation one size up or down.
+ * @param {Object} chart - Size chart ({ category, measurements, rows })
+ * @param {Object} input - { measurements, history } (see buildSizeHistory)
+ * @returns {Object|null} { size, basis, notes } or null if there's nothing to go on
+ */
+export const recommendSize = (chart, { measurements = {}, history = [] } = {}) => {
+  if (!chart?.rows?.length) return null;
+
+  const sizes = chart.rows.map((row) => row.size);
+  const relevant = history.filter(
+    (entry) => (!chart.category || entry.category === chart.category) && sizes.includes(entry.size)
+  );
+  const indexesWith = (outcome) =>
+    relevant.filter((entry) => entry.outcome === outcome).map((entry) => sizes.indexOf(entry.size));
+
+  const notes = [];
+  let index = -1;
+  let basis = null;
+
+  const match = matchMeasurements(chart, measurements);
+  if (match) {
+    index = match.index;
+    basis = 'measurements';
+    notes.push(match.fits ? 'Matches your measurements' : 'Closest to your measurements');
+  } else {
+    const kept = indexesWith(SIZE_OUTCOMES.KEPT);
+    if (kept.length > 0) {
+      const counts = kept.reduce((acc, i) => ({ ...acc, [i]: (acc[i] || 0) + 1 }), {});
+      index = Number(Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0]);
+      basis = 'orders';
+      notes.push(`You kept size ${sizes[index]} in ${counts[index]} past order${counts[index] > 1 ? 's' : ''}`);
+    }
+  }
+
+  const tooSmall = indexesWith(SIZE_OUTCOMES.TOO_SMALL);
+  const tooLarge = indexesWith(SIZE_OUTCOMES.TOO_LARGE);
+  if (index === -1) {
+    if (tooSmall.length > 0) index = Math.max(...tooSmall) + 1;
+    else if (tooLarge.length > 0) index = Math.min(...tooLarge) - 1;
+    else return null;
+    basis = 'returns';
+  } else if (tooSmall.includes(index)) {
+    index += 1;
+  } else if (tooLarge.includes(index)) {
+    index -= 1;
+  }
+
+  tooSmall.forEach((i) => notes.push(`You returned size ${sizes[i]} as too small`));
+  tooLarge.forEach((i) => notes.push(`You returned size ${sizes[i]} as too large`));
+
+  index = Math.min(Math.max(index, 0), sizes.length - 1);
+  return { size: sizes[index], basis, notes: [...new Set(notes)] };
+};
+
+export default {
+  CM_PER_INCH,
+  SIZE_OUTCOMES,
+  toInches,
+  fromInches,
+  parseRange,
+  formatRange,
+  findSizeChart,
+  validateSizeChart,
+  buildSizeHistory,
+  recommendSize,
+};
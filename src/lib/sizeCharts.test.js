@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseRange,
+  formatRange,
+  findSizeChart,
+  buildSizeHistory,
+  recommendSize,
+} from './sizeCharts';
+import { DEFAULT_SIZE_CHARTS } from './productData';
+
+const shirtChart = DEFAULT_SIZE_CHARTS.find((chart) => chart.category === 'shirts');
+
+describe('parseRange / formatRange', () => {
+  it('should store ranges in inches and show them in either unit', () => {
+    expect(parseRange('38-40')).toEqual({ min: 38, max: 40 });
+    expect(parseRange('76', 'cm')).toEqual({ min: 29.9, max: 29.9 });
+    expect(parseRange('40-38')).toBeNull();
+    expect(parseRange('abc')).toBeNull();
+
+    expect(formatRange({ min: 38, max: 40 })).toBe('38-40');
+    expect(formatRange({ min: 38, max: 40 }, 'cm')).toBe('97-102');
+  });
+});
+
+describe('findSizeChart', () => {
+  it('should prefer brand + category charts, then category, then brand', () => {
+    const charts = [
+      { id: 'brand', brand: 'Stryng', category: '' },
+      { id: 'category', brand: '', category: 'shirts' },
+      { id: 'both', brand: 'stryng', category: 'shirts' },
+    ];
+
+    expect(findSizeChart(charts, { brand: 'Stryng', category: 'shirts' }).id).toBe('both');
+    expect(findSizeChart(charts, { brand: 'Other', category: 'shirts' }).id).toBe('category');
+    expect(findSizeChart(charts, { brand: 'Stryng', category: 'jackets' }).id).toBe('brand');
+    expect(findSizeChart(charts, { brand: 'Other', category: 'jackets' })).toBeNull();
+  });
+});
+
+describe('buildSizeHistory', () => {
+  it('should record fit returns and exchanges, and skip other returns', () => {
+    const items = [
+      { id: 'i1', category: 'shirts', size: 'S' },
+      { id: 'i2', category: 'shirts', size: 'M' },
+      { id: 'i3', category: 'shirts', size: 'L' },
+      { id: 'i4', category: 'shirts', size: 'L', status: 'cancelled' },
+    ];
+    const returns = [
+      {
+        status: 'exchanged',
+        items: [{ order_item_id: 'i1', reason: 'size_too_small', exchange_size: 'M' }],
+      },
+      { status: 'refunded', items: [{ order_item_id: 'i3', reason: 'damaged' }] },
+    ];
+
+    expect(buildSizeHistory(items, returns)).toEqual([
+      { category: 'shirts', size: 'S', outcome: 'too_small' },
+      { category: 'shirts', size: 'M', outcome: 'kept' },
+      { category: 'shirts', size: 'M', outcome: 'kept' },
+    ]);
+  });
+});
+
+describe('recommendSize', () => {
+  it('should match measurements, sizing up between two sizes', () => {
+    expect(recommendSize(shirtChart, { measurements: { chest: 39, waist: 33 } })).toMatchObject({
+      size: 'M',
+      basis: 'measurements',
+    });
+    expect(recommendSize(shirtChart, { measurements: { chest: 40 } }).size).toBe('L');
+    expect(recommendSize(shirtChart, {})).toBeNull();
+  });
+
+  it('should fall back to kept sizes and step away from sizes returned as a bad fit', () => {
+    const history = [
+      { category: 'shirts', size: 'M', outcome: 'kept' },
+      { category: 'shirts', size: 'M', outcome: 'kept' },
+      { category: 'shirts', size: 'L', outcome: 'kept' },
+      { category: 'trousers', size: '32', outcome: 'kept' },
+    ];
+
+    expect(recommendSize(shirtChart, { history })).toMatchObject({ size: 'M', basis: 'orders' });
+    expect(
+      recommendSize(shirtChart, {
+        measurements: { chest: 37 },
+        history: [{ category: 'shirts', size: 'S', outcome: 'too_small' }],
+      }).size
+    ).toBe('M');
+    expect(
+      recommendSize(shirtChart, { history: [{ category: 'shirts', size: 'XL', outcome: 'too_large' }] })
+    ).toMatchObject({ size: 'L', basis: 'returns' });
+  });
+});
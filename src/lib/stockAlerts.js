@@ -0,0 +1,165 @@
+/**
+ * Stock Alerts
+ * Back-in-stock and price-drop subscriptions for a product or one of its
+ * size × color variants, and the check that decides which ones fire when a
+ * product changes.
+ * @module lib/stockAlerts
+ */
+
+import {
+  hasVariants,
+  getColorName,
+  getVariantStock,
+  getVariantPrice,
+  sumVariantStock,
+} from './inventory';
+import { getCartLineKey } from './cart';
+import { formatPrice } from '../utils/format';
+import { STOCK_ALERT_TYPES } from '../config/constants';
+
+/**
+ * Get the ID of a user's alert, so subscribing twice is a no-op
+ * @param {string} userId - User ID
+ * @param {string} type - STOCK_ALERT_TYPES value
+ * @param {Object} line - { product_id, size, color }
+ * @returns {string} Alert ID
+ */
+export const getAlertId = (userId, type, line) =>
+  `${userId}_${type}_${encodeURIComponent(getCartLineKey(line))}`;
+
+/**
+ * Get the stock an alert watches
+ * Alerts without a size or color watch the product as a whole.
+ * @param {Object} product - Product
+ * @param {Object} alert - Alert ({ size, color })
+ * @returns {number|undefined} Stock, or undefined when stock isn't tracked
+ */
+export const getWatchedStock = (product, alert) => {
+  if (alert.size || alert.color) {
+    return getVariantStock(product, alert.size, alert.color);
+  }
+  return hasVariants(product) ? sumVariantStock(product.variants) : product?.stock;
+};
+
+/**
+ * Get the price an alert watches (a variant's price override, or the product price)
+ * @param {Object} product - Product
+ * @param {Object} alert - Alert ({ size, color })
+ * @returns {number} Price
+ */
+export const getWatchedPrice = (product, alert) =>
+  Number(getVariantPrice(product, alert.size, alert.color));
+
+const isAvailable = (stock) => stock === undefined || stock === null || stock > 0;
+
+/**
+ * Check if an update changed anything alerts watch
+ * @param {Object} before - Product before the update
+ * @param {Object} after - Product after the update
+ * @returns {boolean}
+ */
+export const hasStockOrPriceChanged = (before, after) => {
+  const snapshot = (product) =>
+    JSON.stringify([
+      product.stock,
+      Number(product.price),
+      (product.variants || []).map((variant) => [
+        variant.size,
+        variant.color,
+        variant.stock,
+        variant.price,
+      ]),
+    ]);
+  return snapshot(before) !== snapshot(after);
+};
+
+/**
+ * Find the alerts a product update fires
+ * - Back in stock: the watched product or variant went from sold out to available
+ * - Price drop: the price fell in this update and is below the price the
+ *   customer was last told about
+ * @param {Array} alerts - Active alerts for the product
+ * @param {Object} before - Product before the update
+ * @param {Object} after - Product after the update
+ * @returns {Array} Triggers ({ alert, type, price })
+ */
+export const findTriggeredAlerts = (alerts, before, after) => {
+  return alerts.reduce((triggers, alert) => {
+    const price = getWatchedPrice(after, alert);
+
+    if (alert.type === STOCK_ALERT_TYPES.BACK_IN_STOCK) {
+      if (!isAvailable(getWatchedStock(before, alert)) && isAvailable(getWatchedStock(after, alert))) {
+        triggers.push({ alert, type: alert.type, price });
+      }
+    }
+
+    if (alert.type === STOCK_ALERT_TYPES.PRICE_DROP) {
+      if (price < getWatchedPrice(before, alert) && price < Number(alert.price)) {
+        triggers.push({ alert, type: alert.type, price });
+      }
+    }
+
+    return triggers;
+  }, []);
+};
+
+/**
+ * Find the back-in-stock alerts for a product that can fire now
+ * Used for restocks checked after the fact, where the stock before is
+ * unknown: every watched item that is available fires.
+ * @param {Array} alerts - Active alerts for the product
+ * @param {Object} product - Product as it is now
+ * @returns {Array} Triggers ({ alert, type, price })
+ */
+export const findAvailableAlerts = (alerts, product) =>
+  alerts
+    .filter(
+      (alert) =>
+        alert.type === STOCK_ALERT_TYPES.BACK_IN_STOCK && isAvailable(getWatchedStock(product, alert))
+    )
+    .map((alert) => ({ alert, type: alert.type, price: getWatchedPrice(product, alert) }));
+
+/**
+ * Build the in-app notification and email for a fired alert
+ * @param {Object} trigger - From findTriggeredAlerts
+ * @param {Object} product - Product after the update
+ * @param {string} origin - Site origin for the link in the email
+ * @returns {Object} { notification, email } (email is null without an address)
+ */
+export const buildAlertNotification = (trigger, product, origin = '') => {
+  const { alert, type, price } = trigger;
+  const variant = [alert.size, getColorName(alert.color)].filter(Boolean).join(' / ');
+  const name = variant ? `${product.name} (${variant})` : product.name;
+
+  const title = type === STOCK_ALERT_TYPES.BACK_IN_STOCK ? 'Back in stock' : 'Price drop';
+  const message =
+    type === STOCK_ALERT_TYPES.BACK_IN_STOCK
+      ? `${name} is back in stock.`
+      : `${name} is now ${formatPrice(price)} (was ${formatPrice(Number(alert.price))}).`;
+  const link = `/products/${product.slug}`;
+
+  return {
+    notification: {
+      user_id: alert.user_id,
+      type,
+      title,
+      message,
+      product_id: product.id,
+      link,
+      read: false,
+    },
+    email: alert.email
+      ? { to: alert.email, subject: `${title}: ${product.name}`, text: `${message}\n\n${origin}${link}` }
+      : null,
+  };
+};
+
+export default {
+  getAlertId,
+  getWatchedStock,
+  getWatchedPrice,
+  hasStockOrPriceChanged,
+  findTriggeredAlerts,
+  findAvailableAlerts,
+  buildAlertNotification,
+};
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getAlertId,
+  hasStockOrPriceChanged,
+  findTriggeredAlerts,
+  findAvailableAlerts,
+  buildAlertNotification,
+} from './stockAlerts';
+
+const product = {
+  id: 'p1',
+  name: 'Oversized Tee',
+  slug: 'oversized-tee',
+  price: 999,
+  stock: 5,
+  variants: [
+    { size: 'M', color: 'Black', stock: 0 },
+    { size: 'L', color: 'Black', stock: 5 },
+  ],
+};
+
+const restock = (stock) => ({
+  ...product,
+  variants: [{ ...product.variants[0], stock }, product.variants[1]],
+  stock: stock + 5,
+});
+
+const backInStock = { id: 'a1', user_id: 'u1', type: 'back_in_stock', size: 'M', color: 'Black' };
+const priceDrop = { id: 'a2', user_id: 'u1', type: 'price_drop', size: '', color: null, price: 999 };
+
+describe('findTriggeredAlerts', () => {
+  it('should fire back-in-stock alerts when a sold-out variant is restocked', () => {
+    expect(findTriggeredAlerts([backInStock], product, restock(3))).toHaveLength(1);
+    // Still sold out, or already in stock before the update
+    expect(findTriggeredAlerts([backInStock], product, restock(0))).toHaveLength(0);
+    expect(findTriggeredAlerts([backInStock], restock(3), restock(8))).toHaveLength(0);
+  });
+
+  it('should fire price-drop alerts only below the price the customer last saw', () => {
+    const cheaper = { ...product, price: 799 };
+
+    expect(findTriggeredAlerts([priceDrop], product, cheaper)).toEqual([
+      { alert: priceDrop, type: 'price_drop', price: 799 },
+    ]);
+    expect(findTriggeredAlerts([{ ...priceDrop, price: 699 }], product, cheaper)).toHaveLength(0);
+    expect(findTriggeredAlerts([priceDrop], cheaper, product)).toHaveLength(0);
+  });
+});
+
+describe('findAvailableAlerts', () => {
+  it('should fire back-in-stock alerts for items in stock now, and never price drops', () => {
+    expect(findAvailableAlerts([backInStock, priceDrop], restock(3))).toEqual([
+      { alert: backInStock, type: 'back_in_stock', price: 999 },
+    ]);
+    expect(findAvailableAlerts([backInStock], product)).toHaveLength(0);
+  });
+});
+
+describe('hasStockOrPriceChanged', () => {
+  it('should ignore updates that leave stock and price alone', () => {
+    expect(hasStockOrPriceChanged(product, { ...product, name: 'Boxy Tee' })).toBe(false);
+    expect(hasStockOrPriceChanged(product, restock(1))).toBe(true);
+    expect(hasStockOrPriceChanged(product, { ...product, price: '899' })).toBe(true);
+  });
+});
+
+describe('buildAlertNotification', () => {
+  it('should name the variant and link to the product', () => {
+    const { notification, email } = buildAlertNotification(
+      { alert: { ...backInStock, email: 'a@b.com' }, type: 'back_in_stock', price: 999 },
+      product,
+      'https://stryng.in'
+    );
+
+    expect(notification.message).toBe('Oversized Tee (M / Black) is back in stock.');
+    expect(notification.read).toBe(false);
+    expect(email.to).toBe('a@b.com');
+    expect(email.text).toContain('https://stryng.in/products/oversized-tee');
+  });
+});
+
+describe('getAlertId', () => {
+  it('should be the same for a color object or name', () => {
+    expect(getAlertId('u1', 'back_in_stock', { product_id: 'p1', size: 'M', color: { name: 'Black' } })).toBe(
+      getAlertId('u1', 'back_in_stock', { product_id: 'p1', size: 'M', color: 'Black' })
+    );
+  });
+});
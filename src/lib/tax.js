@@ -0,0 +1,198 @@
+/**
+ * Tax (GST)
+ * Per-line GST from HSN rules and price slabs, split into CGST + SGST for
+ * shipments within the seller's state and IGST for everything else
+ * @module lib/tax
+ */
+
+import { GST_CONFIG, GST_TYPES } from '../config/constants';
+
+// Two-letter state/UT codes, so "MH" and "Maharashtra" compare equal
+const STATE_CODES = {
+  AN: 'andaman and nicobar islands',
+  AP: 'andhra pradesh',
+  AR: 'arunachal pradesh',
+  AS: 'assam',
+  BR: 'bihar',
+  CH: 'chandigarh',
+  CG: 'chhattisgarh',
+  DH: 'dadra and nagar haveli and daman and diu',
+  DL: 'delhi',
+  GA: 'goa',
+  GJ: 'gujarat',
+  HR: 'haryana',
+  HP: 'himachal pradesh',
+  JK: 'jammu and kashmir',
+  JH: 'jharkhand',
+  KA: 'karnataka',
+  KL: 'kerala',
+  LA: 'ladakh',
+  LD: 'lakshadweep',
+  MP: 'madhya pradesh',
+  MH: 'maharashtra',
+  MN: 'manipur',
+  ML: 'meghalaya',
+  MZ: 'mizoram',
+  NL: 'nagaland',
+  OD: 'odisha',
+  PY: 'puducherry',
+  PB: 'punjab',
+  RJ: 'rajasthan',
+  SK: 'sikkim',
+  TN: 'tamil nadu',
+  TS: 'telangana',
+  TR: 'tripura',
+  UP: 'uttar pradesh',
+  UK: 'uttarakhand',
+  WB: 'west bengal',
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalise a state name for comparison
+ * @param {string} state - State name or two-letter code
+ * @returns {string} Lower-case state name ('' if missing)
+ */
+export const normalizeState = (state) => {
+  const value = (state || '').trim();
+  if (!value) return '';
+
+  const code = STATE_CODES[value.toUpperCase()];
+  return code || value.toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ');
+};
+
+/**
+ * Get the GST type for a shipment
+ * An unknown shipping state is treated as within the seller's state; the
+ * total tax is the same either way, only the split differs.
+ * @param {string} shippingState - Delivery state
+ * @param {Object} config - GST config (defaults to GST_CONFIG)
+ * @returns {string} GST_TYPES value
+ */
+export const getGstType = (shippingState, config = GST_CONFIG) => {
+  const state = normalizeState(shippingState);
+  return state && state !== normalizeState(config.SELLER_STATE)
+    ? GST_TYPES.INTER_STATE
+    : GST_TYPES.INTRA_STATE;
+};
+
+/**
+ * Get the HSN code for a product or order line
+ * @param {Object} item - Product or line ({ hsn_code, category })
+ * @param {Object} config - GST config (defaults to GST_CONFIG)
+ * @returns {string} HSN code
+ */
+export const getHsnCode = (item, config = GST_CONFIG) =>
+  item.hsn_code || config.CATEGORY_HSN_CODES[item.category] || config.DEFAULT_HSN_CODE;
+
+/**
+ * Get the GST rate (percent) for one unit of a product
+ * @param {Object} item - Product or line ({ hsn_code, category, gst_rate })
+ * @param {number} unitValue - Taxable value of one unit
+ * @param {Object} config - GST config (defaults to GST_CONFIG)
+ * @returns {number} Rate in percent
+ */
+export const getGstRate = (item, unitValue, config = GST_CONFIG) => {
+  if (item.gst_rate !== undefined && item.gst_rate !== null && item.gst_rate !== '') {
+    return Number(item.gst_rate);
+  }
+
+  const hsnCode = getHsnCode(item, config);
+  const rule = config.RULES.find((candidate) =>
+    candidate.hsn_prefixes.some((prefix) => hsnCode.startsWith(prefix))
+  );
+  if (!rule) return config.DEFAULT_RATE;
+
+  const slab = rule.slabs.find(
+    (candidate) => candidate.max_unit_value === null || unitValue <= candidate.max_unit_value
+  );
+  return slab ? slab.rate : config.DEFAULT_RATE;
+};
+
+/**
+ * Calculate GST for a set of lines
+ * The order discount is shared across lines in proportion to their value
+ * before picking each line's slab, since GST is due on the discounted price.
+ * Promotions that only cover some lines pass each line's share instead
+ * (lineDiscounts, from lib/promotions).
+ * @param {Array} items - Lines ({ price, quantity, hsn_code, category, gst_rate })
+ * @param {Object} options - { discount, lineDiscounts, shippingState, config }
+ * @returns {Object} { type, tax, cgst, sgst, igst, taxable_value, lines, rates }
+ */
+export const calculateTax = (items, options = {}) => {
+  const { discount = 0, lineDiscounts = null, shippingState = '', config = GST_CONFIG } = options;
+  const type = getGstType(shippingState, config);
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const totalDiscount = Math.min(discount, subtotal);
+
+  let discountLeft = totalDiscount;
+  const lines = items.map((item, index) => {
+    const value = item.price * item.quantity;
+    // The last line takes whatever is left so the shares add up exactly
+    const lineDiscount = lineDiscounts
+      ? Math.min(lineDiscounts[index] || 0, value)
+      : index === items.length - 1
+        ? discountLeft
+        : roundAmount(subtotal ? (totalDiscount * value) / subtotal : 0);
+    discountLeft = roundAmount(discountLeft - lineDiscount);
+
+    const taxableValue = roundAmount(Math.max(0, value - lineDiscount));
+    const rate = getGstRate(item, item.quantity ? taxableValue / item.quantity : 0, config);
+    const tax = roundAmount((taxableValue * rate) / 100);
+    const cgst = type === GST_TYPES.INTRA_STATE ? roundAmount(tax / 2) : 0;
+
+    return {
+      hsn_code: getHsnCode(item, config),
+      tax_rate: rate,
+      discount: lineDiscount,
+      taxable_value: taxableValue,
+      cgst,
+      sgst: type === GST_TYPES.INTRA_STATE ? roundAmount(tax - cgst) : 0,
+      igst: type === GST_TYPES.INTER_STATE ? tax : 0,
+      tax,
+    };
+  });
+
+  const sum = (field, rows = lines) => roundAmount(rows.reduce((total, row) => total + row[field], 0));
+  const rates = [...new Set(lines.map((line) => line.tax_rate))]
+    .sort((a, b) => a - b)
+    .map((rate) => {
+      const rows = lines.filter((line) => line.tax_rate === rate);
+      return { rate, taxable_value: sum('taxable_value', rows), tax: sum('tax', rows) };
+    });
+
+  return {
+    type,
+    tax: sum('tax'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    taxable_value: sum('taxable_value'),
+    lines,
+    rates,
+  };
+};
+
+/**
+ * Get the summary stored on an order (calculateTax without the lines)
+ * @param {Object} result - calculateTax result
+ * @returns {Object} { type, cgst, sgst, igst, taxable_value, rates }
+ */
+export const toTaxBreakdown = ({ type, cgst, sgst, igst, taxable_value, rates }) => ({
+  type,
+  cgst,
+  sgst,
+  igst,
+  taxable_value,
+  rates,
+});
+
+export default {
+  normalizeState,
+  getGstType,
+  getHsnCode,
+  getGstRate,
+  calculateTax,
+  toTaxBreakdown,
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeState, getGstType, getHsnCode, getGstRate, calculateTax } from './tax';
+
+const CONFIG = {
+  SELLER_STATE: 'Maharashtra',
+  DEFAULT_HSN_CODE: '6211',
+  DEFAULT_RATE: 18,
+  CATEGORY_HSN_CODES: { 't-shirts': '6109' },
+  RULES: [
+    {
+      hsn_prefixes: ['61', '62'],
+      slabs: [
+        { max_unit_value: 2500, rate: 5 },
+        { max_unit_value: null, rate: 18 },
+      ],
+    },
+  ],
+};
+
+describe('getGstType', () => {
+  it('should split within the seller state and use IGST elsewhere', () => {
+    expect(getGstType('maharashtra ', CONFIG)).toBe('intra_state');
+    expect(getGstType('MH', CONFIG)).toBe('intra_state');
+    expect(getGstType('Karnataka', CONFIG)).toBe('inter_state');
+    expect(getGstType('', CONFIG)).toBe('intra_state');
+  });
+
+  it('should normalise state codes and spelling', () => {
+    expect(normalizeState('TN')).toBe('tamil nadu');
+    expect(normalizeState('Jammu & Kashmir')).toBe('jammu and kashmir');
+  });
+});
+
+describe('getGstRate', () => {
+  it('should pick the slab from the unit value', () => {
+    expect(getGstRate({ category: 't-shirts' }, 2500, CONFIG)).toBe(5);
+    expect(getGstRate({ category: 't-shirts' }, 2500.01, CONFIG)).toBe(18);
+  });
+
+  it('should prefer the product rate, then fall back to the default rate', () => {
+    expect(getGstRate({ gst_rate: 12 }, 100, CONFIG)).toBe(12);
+    expect(getGstRate({ hsn_code: '6403' }, 100, CONFIG)).toBe(18);
+  });
+
+  it('should use the category HSN code when the product has none', () => {
+    expect(getHsnCode({ category: 't-shirts' }, CONFIG)).toBe('6109');
+    expect(getHsnCode({ hsn_code: '6205' }, CONFIG)).toBe('6205');
+    expect(getHsnCode({}, CONFIG)).toBe('6211');
+  });
+});
+
+describe('calculateTax', () => {
+  const items = [
+    { price: 2000, quantity: 2, category: 't-shirts' },
+    { price: 3000, quantity: 1, category: 't-shirts' },
+  ];
+
+  it('should tax each line at its own slab and split CGST/SGST', () => {
+    const result = calculateTax(items, { shippingState: 'Maharashtra', config: CONFIG });
+
+    expect(result.lines.map((line) => line.tax_rate)).toEqual([5, 18]);
+    expect(result.tax).toBe(740);
+    expect(result.cgst).toBe(370);
+    expect(result.sgst).toBe(370);
+    expect(result.igst).toBe(0);
+    expect(result.rates).toEqual([
+      { rate: 5, taxable_value: 4000, tax: 200 },
+      { rate: 18, taxable_value: 3000, tax: 540 },
+    ]);
+  });
+
+  it('should apply the discount before choosing the slab', () => {
+    const result = calculateTax(items, { discount: 700, shippingState: 'Goa', config: CONFIG });
+
+    // 3000 - 300 = 2700 is still above the 2500 slab; 4000 - 400 stays at 5%
+    expect(result.lines.map((line) => line.discount)).toEqual([400, 300]);
+    expect(result.type).toBe('inter_state');
+    expect(result.igst).toBe(180 + 486);
+    expect(result.cgst).toBe(0);
+
+    const bigDiscount = calculateTax(items, { discount: 1400, config: CONFIG });
+    expect(bigDiscount.lines[1].tax_rate).toBe(5);
+  });
+});
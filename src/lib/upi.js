@@ -0,0 +1,29 @@
+/**
+ * UPI
+ * Builds UPI deep links (the payload encoded in UPI QR codes)
+ * @module lib/upi
+ */
+
+/**
+ * Build a upi://pay link
+ * @param {Object} params - { vpa, name, amount, currency, reference, note }
+ * @returns {string} UPI link
+ */
+export const buildUpiLink = ({ vpa, name, amount, currency = 'INR', reference, note }) => {
+  const params = [
+    ['pa', vpa],
+    ['pn', name],
+    ['am', amount !== undefined && amount !== null ? Number(amount).toFixed(2) : null],
+    ['cu', currency],
+    ['tr', reference],
+    ['tn', note],
+  ]
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${key === 'pa' ? value : encodeURIComponent(value)}`);
+
+  return `upi://pay?${params.join('&')}`;
+};
+
+export default {
+  buildUpiLink,
+};
@@ -0,0 +1,75 @@
+/**
+ * Wishlist Lists
+ * Named wishlists (e.g. "Diwali") holding products with an optional size and
+ * color. Lists are private unless shared, when anyone with the link can view
+ * them read-only.
+ * @module lib/wishlistLists
+ */
+
+import { getCartLineKey } from './cart';
+
+export const MAX_LIST_NAME_LENGTH = 40;
+
+/**
+ * Validate a list name
+ * @param {string} name - Proposed name
+ * @param {Array} lists - The user's other lists ({ id, name })
+ * @returns {Object} Validation result ({ isValid, error })
+ */
+export const validateListName = (name, lists = []) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return { isValid: false, error: 'List name is required' };
+  }
+  if (trimmed.length > MAX_LIST_NAME_LENGTH) {
+    return { isValid: false, error: `List name must be at most ${MAX_LIST_NAME_LENGTH} characters` };
+  }
+  if (lists.some((list) => list.name.trim().toLowerCase() === trimmed.toLowerCase())) {
+    return { isValid: false, error: 'You already have a list with this name' };
+  }
+  return { isValid: true, error: null };
+};
+
+/**
+ * Add a product to a list's items
+ * The same product in the same size and color is only listed once.
+ * @param {Array} items - Current items ({ product_id, size, color })
+ * @param {Object} line - Item to add ({ product_id, size, color })
+ * @returns {Array} Items (unchanged if already listed)
+ */
+export const addListItem = (items, line) => {
+  const item = {
+    product_id: line.product_id,
+    size: line.size || '',
+    color: line.color || null,
+  };
+  const key = getCartLineKey(item);
+  if (items.some((existing) => getCartLineKey(existing) === key)) return items;
+  return [...items, item];
+};
+
+/**
+ * Remove an item from a list's items
+ * @param {Array} items - Current items
+ * @param {string} key - Line key of the item (getCartLineKey)
+ * @returns {Array} Items
+ */
+export const removeListItem = (items, key) =>
+  items.filter((item) => getCartLineKey(item) !== key);
+
+/**
+ * Get the read-only link for a shared list
+ * @param {string} listId - List ID
+ * @param {string} origin - Site origin (defaults to the current one)
+ * @returns {string} URL
+ */
+export const getListShareUrl = (listId, origin = window.location.origin) =>
+  `${origin}/lists/${listId}`;
+
+export default {
+  MAX_LIST_NAME_LENGTH,
+  validateListName,
+  addListItem,
+  removeListItem,
+  getListShareUrl,
+};
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { validateListName, addListItem, removeListItem, getListShareUrl } from './wishlistLists';
+
+describe('validateListName', () => {
+  it('should require a name that is not too long', () => {
+    expect(validateListName('  ').isValid).toBe(false);
+    expect(validateListName('x'.repeat(41)).isValid).toBe(false);
+    expect(validateListName('Diwali').isValid).toBe(true);
+  });
+
+  it('should reject a name the user already has, ignoring case', () => {
+    const result = validateListName(' diwali ', [{ id: 'l1', name: 'Diwali' }]);
+
+    expect(result.isValid).toBe(false);
+    expect(result.error).toMatch(/already/);
+  });
+});
+
+describe('list items', () => {
+  it('should add each product × size × color once', () => {
+    let items = addListItem([], { product_id: 'p1', size: 'M', color: { name: 'Red', hex: '#f00' } });
+    items = addListItem(items, { product_id: 'p1', size: 'M', color: 'Red' });
+    items = addListItem(items, { product_id: 'p1', size: 'L', color: 'Red' });
+    items = addListItem(items, { product_id: 'p2' });
+
+    expect(items).toHaveLength(3);
+    expect(items[2]).toEqual({ product_id: 'p2', size: '', color: null });
+  });
+
+  it('should remove an item by its line key', () => {
+    const items = [
+      { product_id: 'p1', size: 'M', color: 'Red' },
+      { product_id: 'p1', size: 'L', color: 'Red' },
+    ];
+
+    expect(removeListItem(items, 'p1::M::Red')).toEqual([items[1]]);
+  });
+});
+
+describe('getListShareUrl', () => {
+  it('should link to the read-only list page', () => {
+    expect(getListShareUrl('abc', 'https://stryng.in')).toBe('https://stryng.in/lists/abc');
+  });
+});
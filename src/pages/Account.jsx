@@ -21,7 +21,16 @@ import '../styles/account.css';
 const formatPrice = (price) => `₹${Number(price).toLocaleString('en-IN')}`;
 
 export default function Account() {
-  const { user, logout, fetchUserOrders } = useStore();
+  const {
+    user,
+    logout,
+    fetchUserOrders,
+    recentlyViewed,
+    recentlyViewedPaused,
+    clearRecentlyViewed,
+    setRecentlyViewedPaused,
+    showToast,
+  } = useStore();
   const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState('profile');
   const [userOrders, setUserOrders] = useState([]);
@@ -280,6 +289,38 @@ export default function Account() {
                     </button>
                   </div>
                 </form>
+
+                <div className="privacy-settings">
+                  <div className="section-header">
+                    <h2 className="section-title">Privacy</h2>
+                  </div>
+
+                  <label className="privacy-settings__option">
+                    <input
+                      type="checkbox"
+                      checked={!recentlyViewedPaused}
+                      onChange={(e) => setRecentlyViewedPaused(!e.target.checked)}
+                    />
+                    <span>
+                      Keep a history of products I view
+                      <span className="form-field-hint">
+                        Shown as &quot;Recently Viewed&quot; on the home, product and cart pages
+                      </span>
+                    </span>
+                  </label>
+
+                  <button
+                    type="button"
+                    className="privacy-settings__clear"
+                    onClick={() => {
+                      clearRecentlyViewed();
+                      showToast('Browsing history cleared', 'success');
+                    }}
+                    disabled={recentlyViewed.length === 0}
+                  >
+                    Clear browsing history ({recentlyViewed.length})
+                  </button>
+                </div>
               </>
             )}
 
@@ -8,12 +8,23 @@ import {
 } from 'lucide-react';
 import useStore from '../store/useStore';
 import { formatPrice } from '../utils/format';
+import { calculateTax } from '../lib/tax';
+import { getShippingOptions } from '../lib/shipping';
+import { useShippingSettings } from '../hooks/useShippingSettings';
 import { useMemo, useCallback, memo } from 'react';
 import CouponInput from '../components/checkout/CouponInput';
 import AppliedCoupon from '../components/checkout/AppliedCoupon';
+import CartChanges from '../components/checkout/CartChanges';
+import CartPromotions from '../components/checkout/CartPromotions';
+import { useCartRevalidation } from '../hooks/useCartRevalidation';
+import { useCartDiscounts } from '../hooks/useCartDiscounts';
+import { getPromotionLabel } from '../lib/promotions';
+import { useCompleteTheLook } from '../hooks/useRecommendations';
+import RecommendedProducts from '../components/recommendations/RecommendedProducts';
+import RecentlyViewed from '../components/recommendations/RecentlyViewed';
 
 // Memoized CartItem component to prevent unnecessary re-renders
-const CartItem = memo(({ item, onUpdateQuantity, onRemove }) => {
+const CartItem = memo(({ item, onUpdateQuantity, onRemove, onSaveForLater }) => {
   const totalPrice = useMemo(
     () => formatPrice(item.price * item.quantity),
     [item.price, item.quantity]
@@ -31,6 +42,10 @@ const CartItem = memo(({ item, onUpdateQuantity, onRemove }) => {
     onRemove(item.id, item.selectedSize, item.selectedColor?.name);
   }, [item.id, item.selectedSize, item.selectedColor?.name, onRemove]);
 
+  const handleSaveForLater = useCallback(() => {
+    onSaveForLater(item.id, item.selectedSize, item.selectedColor?.name);
+  }, [item.id, item.selectedSize, item.selectedColor?.name, onSaveForLater]);
+
   return (
     <div className="cart-item">
       <Link
@@ -72,12 +87,20 @@ const CartItem = memo(({ item, onUpdateQuantity, onRemove }) => {
         <p className="cart-item__price">
           {totalPrice}
         </p>
-        <button
-          className="cart-item__remove"
-          onClick={handleRemove}
-        >
-          Remove
-        </button>
+        <div className="cart-item__actions">
+          <button
+            className="cart-item__remove"
+            onClick={handleRemove}
+          >
+            Remove
+          </button>
+          <button
+            className="cart-item__remove"
+            onClick={handleSaveForLater}
+          >
+            Save for later
+          </button>
+        </div>
       </div>
       <button
         style={{
@@ -95,9 +118,95 @@ const CartItem = memo(({ item, onUpdateQuantity, onRemove }) => {
 
 CartItem.displayName = 'CartItem';
 
+// Saved-for-later line: kept out of the cart totals until moved back
+const SavedItem = memo(({ item, onMoveToCart, onRemove }) => {
+  const handleMoveToCart = useCallback(() => {
+    onMoveToCart(item.id, item.selectedSize, item.selectedColor?.name);
+  }, [item.id, item.selectedSize, item.selectedColor?.name, onMoveToCart]);
+
+  const handleRemove = useCallback(() => {
+    onRemove(item.id, item.selectedSize, item.selectedColor?.name);
+  }, [item.id, item.selectedSize, item.selectedColor?.name, onRemove]);
+
+  return (
+    <div className="cart-item cart-item--saved">
+      <Link
+        to={`/products/${item.slug}`}
+        className="cart-item__image"
+      >
+        <img src={item.images[0]} alt={item.name} loading="lazy" />
+      </Link>
+      <div>
+        <Link
+          to={`/products/${item.slug}`}
+          className="cart-item__name"
+        >
+          {item.name}
+        </Link>
+        <p className="cart-item__variant">
+          Size: {item.selectedSize} | Color:{' '}
+          {item.selectedColor?.name} | Qty: {item.quantity}
+        </p>
+        <p className="cart-item__price">
+          {formatPrice(item.price)}
+        </p>
+        <div className="cart-item__actions">
+          <button
+            className="btn btn--secondary btn--sm"
+            onClick={handleMoveToCart}
+          >
+            Move to cart
+          </button>
+          <button
+            className="cart-item__remove"
+            onClick={handleRemove}
+          >
+            Remove
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+SavedItem.displayName = 'SavedItem';
+
+function SavedForLater({ items, onMoveToCart, onRemove }) {
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="saved-for-later">
+      <h2 className="saved-for-later__title">
+        Saved for later ({items.length})
+      </h2>
+      {items.map((item) => (
+        <SavedItem
+          key={`${item.id}-${item.selectedSize}-${item.selectedColor?.name}`}
+          item={item}
+          onMoveToCart={onMoveToCart}
+          onRemove={onRemove}
+        />
+      ))}
+    </section>
+  );
+}
+
 export default function Cart() {
-  const { cart, updateCartItemQuantity, removeFromCart, couponDiscount } =
-    useStore();
+  const {
+    cart,
+    savedForLater,
+    updateCartItemQuantity,
+    removeFromCart,
+    saveForLater,
+    moveToCart,
+    removeSavedItem,
+  } = useStore();
+  const { discount: couponDiscount, lines: discountLines, applied: appliedPromotions } = useCartDiscounts();
+  // Prices and stock are re-checked against live product data on load
+  const { changes, acknowledge } = useCartRevalidation();
+  const completeTheLook = useCompleteTheLook(cart);
 
   // Memoize expensive calculations
   const subtotal = useMemo(
@@ -105,18 +214,28 @@ export default function Cart() {
     [cart]
   );
 
+  // Standard delivery without a pincode; zone surcharges and express are
+  // priced at checkout
+  const shippingSettings = useShippingSettings();
   const shipping = useMemo(
-    () => subtotal > 999 ? 0 : 99,
-    [subtotal]
+    () =>
+      getShippingOptions({
+        items: cart,
+        orderValue: subtotal - couponDiscount,
+        settings: shippingSettings,
+      })[0].cost,
+    [cart, subtotal, couponDiscount, shippingSettings]
   );
 
+  // The CGST/SGST vs IGST split needs the delivery address, so only the
+  // total is shown here
   const tax = useMemo(
-    () => Math.round((subtotal - couponDiscount) * 0.18),
-    [subtotal, couponDiscount]
+    () => calculateTax(cart, { lineDiscounts: discountLines.map((line) => line.discount) }).tax,
+    [cart, discountLines]
   );
 
   const total = useMemo(
-    () => subtotal + shipping + tax - couponDiscount,
+    () => Math.round((subtotal + shipping + tax - couponDiscount) * 100) / 100,
     [subtotal, shipping, tax, couponDiscount]
   );
 
@@ -160,10 +279,31 @@ export default function Cart() {
     removeFromCart(productId, size, colorName);
   }, [removeFromCart]);
 
+  const handleSaveForLater = useCallback((productId, size, colorName) => {
+    saveForLater(productId, size, colorName);
+  }, [saveForLater]);
+
+  const handleMoveToCart = useCallback((productId, size, colorName) => {
+    moveToCart(productId, size, colorName);
+  }, [moveToCart]);
+
+  const handleRemoveSaved = useCallback((productId, size, colorName) => {
+    removeSavedItem(productId, size, colorName);
+  }, [removeSavedItem]);
+
+  const savedSection = (
+    <SavedForLater
+      items={savedForLater}
+      onMoveToCart={handleMoveToCart}
+      onRemove={handleRemoveSaved}
+    />
+  );
+
   if (cart.length === 0) {
     return (
       <div className="page">
         <div className="container">
+          <CartChanges changes={changes} onAcknowledge={acknowledge} />
           <div className="empty-cart">
             <div className="empty-cart__icon">
               <ShoppingBag size={56} strokeWidth={1.5} />
@@ -178,6 +318,8 @@ export default function Cart() {
               Go Shopping!
             </Link>
           </div>
+          {savedSection}
+          <RecentlyViewed />
         </div>
 
         <style>{`
@@ -343,6 +485,8 @@ export default function Cart() {
           Shopping Bag ({cart.length})
         </h1>
 
+        <CartChanges changes={changes} onAcknowledge={acknowledge} />
+
         <div className="cart-page">
           {/* Cart Items */}
           <div>
@@ -352,8 +496,10 @@ export default function Cart() {
                 item={item}
                 onUpdateQuantity={handleUpdateQuantity}
                 onRemove={handleRemoveFromCart}
+                onSaveForLater={handleSaveForLater}
               />
             ))}
+            {savedSection}
           </div>
 
           {/* Summary */}
@@ -367,14 +513,14 @@ export default function Cart() {
               <span>Shipping</span>
               <span>{formattedShipping}</span>
             </div>
-            {couponDiscount > 0 && (
-              <div className="cart-summary__row" style={{ color: 'var(--color-success)' }}>
-                <span>Coupon Discount</span>
-                <span>-{formatPrice(couponDiscount)}</span>
+            {appliedPromotions.map((promotion) => (
+              <div key={promotion.id} className="cart-summary__row" style={{ color: 'var(--color-success)' }}>
+                <span>{getPromotionLabel(promotion)}</span>
+                <span>-{formatPrice(promotion.discount)}</span>
               </div>
-            )}
+            ))}
             <div className="cart-summary__row">
-              <span>Tax (GST 18%)</span>
+              <span>Tax (GST)</span>
               <span>{formattedTax}</span>
             </div>
             <div className="cart-summary__row cart-summary__row--total">
@@ -382,18 +528,31 @@ export default function Cart() {
               <span>{formattedTotal}</span>
             </div>
 
+            <CartPromotions />
+
             <div style={{ marginTop: 'var(--space-4)', marginBottom: 'var(--space-4)' }}>
               <AppliedCoupon />
-              <CouponInput orderTotal={subtotal} />
+              <CouponInput />
             </div>
 
-            <Link
-              to="/checkout"
-              className="btn btn--primary btn--full btn--lg"
-              style={{ marginTop: 'var(--space-4)' }}
-            >
-              Checkout <ArrowRight size={18} />
-            </Link>
+            {changes.length > 0 ? (
+              <button
+                type="button"
+                className="btn btn--primary btn--full btn--lg"
+                style={{ marginTop: 'var(--space-4)' }}
+                disabled
+              >
+                Review cart changes to continue
+              </button>
+            ) : (
+              <Link
+                to="/checkout"
+                className="btn btn--primary btn--full btn--lg"
+                style={{ marginTop: 'var(--space-4)' }}
+              >
+                Checkout <ArrowRight size={18} />
+              </Link>
+            )}
 
             <Link
               to="/products"
@@ -410,6 +569,8 @@ export default function Cart() {
             </Link>
           </div>
         </div>
+
+        <RecommendedProducts title="Complete the Look" products={completeTheLook} />
       </div>
     </div>
   );
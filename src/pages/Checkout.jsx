@@ -18,18 +18,105 @@ import {
   Edit3,
   CreditCard,
   CheckCircle2,
-  Copy,
-  ExternalLink,
+  Smartphone,
+  Landmark,
+  Banknote,
+  Zap,
+  Mail,
 } from 'lucide-react';
 import useStore from '../store/useStore';
 import { formatPrice } from '../utils/format';
 import { getUserAddresses } from '../api/addresses.api';
-import { createOrder, markPaymentAsPaid } from '../api/orders.api';
+import { createOrder, InsufficientStockError, PriceChangedError } from '../api/orders.api';
+import { startPayment, confirmPayment } from '../api/payments.api';
+import { isPaymentMethodAvailable, PaymentError } from '../services/payments';
+import { checkPincode } from '../api/pincodes.api';
+import { signInAsGuest } from '../api/auth.api';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+  GST_TYPES,
+  SHIPPING_METHODS,
+} from '../config/constants';
+import { getCodFee, getCodAvailability, CodNotAvailableError } from '../lib/cod';
+import { calculateTax } from '../lib/tax';
+import { getShippingOptions, ShippingMethodUnavailableError } from '../lib/shipping';
+import { useShippingSettings } from '../hooks/useShippingSettings';
+import { validateEmail, validateAddress } from '../utils/validation';
+import PaymentForm from '../components/checkout/PaymentForm';
+import CartChanges from '../components/checkout/CartChanges';
+import { useCartRevalidation } from '../hooks/useCartRevalidation';
+import { useCartDiscounts } from '../hooks/useCartDiscounts';
+import { getPromotionLabel } from '../lib/promotions';
+import { readCoupon } from '../lib/coupons';
+import { getTargetingMessage, TARGETING_REASONS, CouponNotEligibleError } from '../lib/couponTargeting';
 import SEO from '../components/SEO';
 
-// UPI Configuration
-const MERCHANT_VPA = 'kurmikapil154@okicici';
-const MERCHANT_NAME = 'Stryng Clothing';
+const PAYMENT_OPTIONS = [
+  { method: PAYMENT_METHODS.UPI, icon: <Smartphone size={28} />, description: 'Pay securely using any UPI app' },
+  { method: PAYMENT_METHODS.CARD, icon: <CreditCard size={28} />, description: 'Visa, Mastercard, RuPay' },
+  { method: PAYMENT_METHODS.NET_BANKING, icon: <Landmark size={28} />, description: 'All major Indian banks' },
+  { method: PAYMENT_METHODS.COD, icon: <Banknote size={28} />, description: 'Pay in cash when your order arrives' },
+];
+
+// Online methods without a configured payment provider aren't offered
+const DEFAULT_PAYMENT_METHOD =
+  PAYMENT_OPTIONS.find(({ method }) => method !== PAYMENT_METHODS.COD && isPaymentMethodAvailable(method))
+    ?.method || PAYMENT_METHODS.COD;
+
+const EMPTY_GUEST_DETAILS = {
+  email: '',
+  phone: '',
+  full_name: '',
+  pincode: '',
+  city: '',
+  state: '',
+  address_line1: '',
+  address_line2: '',
+  landmark: '',
+};
+
+const GUEST_CONTACT_FIELDS = [
+  { name: 'email', label: 'Email', type: 'email', required: true, placeholder: 'For your order confirmation' },
+  { name: 'phone', label: 'Phone Number', type: 'tel', required: true, placeholder: '10-digit mobile number', maxLength: 10 },
+];
+
+const GUEST_ADDRESS_FIELDS = [
+  { name: 'full_name', label: 'Full Name', required: true, placeholder: 'Enter your full name' },
+  { name: 'pincode', label: 'Pincode', required: true, placeholder: '6-digit pincode', maxLength: 6 },
+  { name: 'city', label: 'City', required: true, placeholder: 'Enter city' },
+  { name: 'state', label: 'State', required: true, placeholder: 'Enter state' },
+  { name: 'address_line1', label: 'Address Line 1', required: true, placeholder: 'House No., Building Name, Street' },
+  { name: 'address_line2', label: 'Address Line 2', placeholder: 'Road Name, Area, Colony (Optional)' },
+  { name: 'landmark', label: 'Landmark', placeholder: 'Nearby landmark (Optional)' },
+];
+
+// validateAddress field names → guest form field names
+const ADDRESS_ERROR_FIELDS = { name: 'full_name', street: 'address_line1', pin: 'pincode' };
+
+/**
+ * Validate the guest contact and delivery form
+ * @param {Object} details - Guest details
+ * @returns {Object} Errors keyed by field name (empty if valid)
+ */
+const validateGuestDetails = (details) => {
+  const { errors } = validateAddress({
+    name: details.full_name,
+    street: details.address_line1,
+    city: details.city,
+    state: details.state,
+    pin: details.pincode,
+    phone: details.phone,
+  });
+  const email = validateEmail(details.email.trim());
+
+  return {
+    ...Object.fromEntries(
+      Object.entries(errors).map(([field, error]) => [ADDRESS_ERROR_FIELDS[field] || field, error])
+    ),
+    ...(email.isValid ? {} : { email: email.error }),
+  };
+};
 
 // Memoized AddressCard component
 const AddressCard = memo(({ address, isSelected, onSelect, onEdit }) => {
@@ -125,16 +212,36 @@ OrderItem.displayName = 'OrderItem';
 
 export default function Checkout() {
   const navigate = useNavigate();
-  const { cart, getCartTotal, clearCart, user, couponDiscount, clearCoupon } = useStore();
+  const { cart, getCartTotal, clearCart, user, clearCoupon, appliedCoupon } = useStore();
 
   // State
   const [addresses, setAddresses] = useState([]);
   const [selectedAddress, setSelectedAddress] = useState(null);
+  const {
+    discount: couponDiscount,
+    lines: discountLines,
+    applied: appliedPromotions,
+    rejected: rejectedPromotions,
+  } = useCartDiscounts({ address: selectedAddress });
+  // The coupon is dropped while the chosen address is outside its delivery areas
+  const isCouponOutsideArea = rejectedPromotions.some(
+    (promotion) => promotion.reason === TARGETING_REASONS.DELIVERY_AREA
+  );
   const [isPlacingOrder, setIsPlacingOrder] = useState(false);
-  const [currentStep, setCurrentStep] = useState(1); // 1: Address, 2: Review & Pay, 3: Payment Verification
+  const [currentStep, setCurrentStep] = useState(1); // 1: Address, 2: Review & Pay, 3: Payment
   const [orderId, setOrderId] = useState(null);
-  const [transactionId, setTransactionId] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState(DEFAULT_PAYMENT_METHOD);
+  const [paymentIntent, setPaymentIntent] = useState(null);
+  const [paymentError, setPaymentError] = useState(null);
   const [isConfirmingPayment, setIsConfirmingPayment] = useState(false);
+  const [pincodeInfo, setPincodeInfo] = useState(null);
+  const [shippingMethod, setShippingMethod] = useState(SHIPPING_METHODS.STANDARD);
+  const [guestDetails, setGuestDetails] = useState(EMPTY_GUEST_DETAILS);
+  const [guestErrors, setGuestErrors] = useState({});
+  const shippingSettings = useShippingSettings();
+  const isGuest = !user;
+  const { changes: cartChanges, acknowledge: acknowledgeCartChanges, revalidate } =
+    useCartRevalidation();
 
   // Ref to prevent duplicate order creation
   const orderCreationInProgress = useRef(false);
@@ -142,21 +249,44 @@ export default function Checkout() {
 
   // Calculations
   const subtotal = useMemo(() => getCartTotal(), [getCartTotal]);
-  const shipping = 0; // Free shipping
-  const tax = useMemo(() => Math.round((subtotal - couponDiscount) * 0.18), [subtotal, couponDiscount]);
-  const total = useMemo(() => subtotal + shipping + tax - couponDiscount, [subtotal, shipping, tax, couponDiscount]);
+  const shippingOptions = useMemo(
+    () =>
+      getShippingOptions({
+        items: cart,
+        orderValue: subtotal - couponDiscount,
+        pincode: pincodeInfo,
+        settings: shippingSettings,
+      }),
+    [cart, subtotal, couponDiscount, pincodeInfo, shippingSettings]
+  );
+  // Falls back to standard when express isn't offered for the pincode
+  const selectedShipping =
+    shippingOptions.find((option) => option.method === shippingMethod) || shippingOptions[0];
+  const shipping = selectedShipping.cost;
+  const taxResult = useMemo(
+    () =>
+      calculateTax(cart, {
+        lineDiscounts: discountLines.map((line) => line.discount),
+        shippingState: selectedAddress?.state,
+      }),
+    [cart, discountLines, selectedAddress?.state]
+  );
+  const tax = taxResult.tax;
+  const totalBeforeCodFee = Math.round((subtotal + shipping + tax - couponDiscount) * 100) / 100;
+  const codAvailability = useMemo(
+    () => getCodAvailability(pincodeInfo, totalBeforeCodFee),
+    [pincodeInfo, totalBeforeCodFee]
+  );
+  const codFee = paymentMethod === PAYMENT_METHODS.COD ? getCodFee() : 0;
+  const total = useMemo(() => totalBeforeCodFee + codFee, [totalBeforeCodFee, codFee]);
 
-  // Redirect if not logged in or empty cart
+  // Redirect if the cart is empty
   useEffect(() => {
-    if (!user) {
-      navigate('/login');
-      return;
-    }
     if (cart.length === 0 && currentStep !== 3) {
       navigate('/cart');
       return;
     }
-  }, [user, cart, navigate, currentStep]);
+  }, [cart, navigate, currentStep]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -174,6 +304,32 @@ export default function Checkout() {
     }
   }, [user, currentStep]);
 
+  // Check COD availability for the delivery pincode
+  useEffect(() => {
+    if (!selectedAddress?.pincode) return;
+
+    let cancelled = false;
+    setPincodeInfo(null);
+    checkPincode(selectedAddress.pincode).then((response) => {
+      if (!cancelled && response.success) setPincodeInfo(response.data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedAddress?.pincode]);
+
+  // Fall back to an online method if COD stops being available (address or total changed)
+  useEffect(() => {
+    if (
+      paymentMethod === PAYMENT_METHODS.COD &&
+      pincodeInfo &&
+      !codAvailability.available &&
+      DEFAULT_PAYMENT_METHOD !== PAYMENT_METHODS.COD
+    ) {
+      setPaymentMethod(DEFAULT_PAYMENT_METHOD);
+    }
+  }, [paymentMethod, pincodeInfo, codAvailability.available]);
+
   // Debug: Log state changes
   useEffect(() => {
     console.log('🔍 Checkout State:', { currentStep, orderId, isPlacingOrder, cartLength: cart.length });
@@ -235,10 +391,26 @@ export default function Checkout() {
     }, 30000);
 
     try {
-      const { appliedCoupon } = useStore.getState();
+      // Prices and stock may have changed since the page loaded
+      const outstanding = await revalidate();
+      if (outstanding?.length > 0) {
+        clearTimeout(timeoutId);
+        setIsPlacingOrder(false);
+        orderCreationInProgress.current = false;
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        return;
+      }
+
+      // Guests check out under an anonymous session that owns the order
+      let userId = user?.id;
+      if (!userId) {
+        const session = await signInAsGuest();
+        if (session.error) throw new Error(session.error);
+        userId = session.uid;
+      }
 
       const orderData = {
-        user_id: user.id,
+        user_id: userId,
         items: cart.map(item => ({
           product_id: item.id,
           name: item.name,
@@ -260,16 +432,16 @@ export default function Checkout() {
           state: selectedAddress.state,
           pincode: selectedAddress.pincode,
         },
-        payment_method: 'upi',
-        coupon: appliedCoupon ? {
+        payment_method: paymentMethod,
+        // createOrder re-evaluates the coupon and automatic promotions on these lines
+        coupon: appliedCoupon && appliedPromotions.some((promotion) => promotion.id === appliedCoupon.id) ? {
           id: appliedCoupon.id,
           code: appliedCoupon.code,
         } : null,
         subtotal: subtotal,
-        shipping_cost: shipping,
-        tax: tax,
-        coupon_discount: couponDiscount,
+        shipping_method: selectedShipping.method,
         total: total,
+        guest: user ? null : { email: selectedAddress.email, phone: selectedAddress.phone },
       };
 
       console.log('📦 Order data prepared:', orderData);
@@ -290,7 +462,23 @@ export default function Checkout() {
         createdOrderId.current = result.id;
         
         setOrderId(result.id);
-        setCurrentStep(3); // Move to payment verification
+
+        // Nothing to pay now for cash on delivery
+        if (paymentMethod === PAYMENT_METHODS.COD) {
+          clearCart();
+          clearCoupon();
+          navigate(`/order-success/${result.id}`);
+          return;
+        }
+
+        const payment = await startPayment(result.id);
+        if (payment.success) {
+          setPaymentIntent(payment.data);
+        } else {
+          setPaymentError(payment.error);
+        }
+
+        setCurrentStep(3); // Move to payment
         setIsPlacingOrder(false);
         
         // Keep orderCreationInProgress locked to prevent re-creation
@@ -307,36 +495,62 @@ export default function Checkout() {
       console.error('💥 Order placement error:', error);
       setIsPlacingOrder(false);
       orderCreationInProgress.current = false;
-      alert('Failed to place order. Please try again.');
+      if (error instanceof InsufficientStockError) {
+        alert(`Some items in your cart are no longer available:\n\n${error.message}\n\nPlease update your cart and try again.`);
+      } else if (error instanceof PriceChangedError) {
+        // Pick up the current prices so the customer can review them
+        revalidate();
+        alert(`Some prices have changed:\n\n${error.message}\n\nPlease review your order and try again.`);
+      } else if (error instanceof ShippingMethodUnavailableError) {
+        alert(`${error.message}. Please choose another delivery option.`);
+      } else if (error instanceof CodNotAvailableError) {
+        alert(`${error.message}. Please choose another payment method.`);
+      } else if (error instanceof CouponNotEligibleError) {
+        alert(`${error.message}. Please remove the coupon and try again.`);
+      } else if (error instanceof PaymentError) {
+        alert(`${PAYMENT_METHOD_LABELS[paymentMethod]} payments are not available right now. Please choose another payment method.`);
+      } else {
+        alert('Failed to place order. Please try again.');
+      }
+    }
+  }, [selectedAddress, total, cart, appliedCoupon, appliedPromotions, isPlacingOrder, user, subtotal, selectedShipping.method, paymentMethod, clearCart, clearCoupon, navigate, revalidate]);
+
+  // Start a new payment attempt (after a failure or if starting failed)
+  const retryPayment = useCallback(async () => {
+    const payment = await startPayment(orderId);
+    if (payment.success) {
+      setPaymentIntent(payment.data);
+    } else {
+      setPaymentError(payment.error);
     }
-  }, [selectedAddress, total, cart, couponDiscount, isPlacingOrder, user, subtotal, shipping, tax]);
+  }, [orderId]);
 
-  // Confirm payment
-  const handlePaymentConfirmation = useCallback(async () => {
-    if (!orderId || isConfirmingPayment) return;
+  // Confirm payment with the provider
+  const handlePaymentConfirmation = useCallback(async (details) => {
+    if (!orderId || !paymentIntent || isConfirmingPayment) return;
 
     setIsConfirmingPayment(true);
+    setPaymentError(null);
 
     try {
-      console.log('💳 Confirming payment for order:', orderId);
-      
-      const result = await markPaymentAsPaid(orderId, transactionId);
+      const result = await confirmPayment(orderId, paymentIntent.id, details);
 
       if (result.success) {
-        console.log('✅ Payment confirmed successfully');
         clearCart();
         clearCoupon();
         navigate(`/order-success/${orderId}`);
       } else {
-        alert(result.error || 'Failed to confirm payment. Please try again.');
+        setPaymentError(result.error || 'Payment failed');
+        // A declined intent can't be confirmed again
+        if (result.data) await retryPayment();
       }
     } catch (error) {
       console.error('Payment confirmation error:', error);
-      alert('Failed to confirm payment. Please try again or contact support.');
+      setPaymentError('Payment failed');
     } finally {
       setIsConfirmingPayment(false);
     }
-  }, [orderId, transactionId, isConfirmingPayment, clearCart, clearCoupon, navigate]);
+  }, [orderId, paymentIntent, isConfirmingPayment, clearCart, clearCoupon, navigate, retryPayment]);
 
   const handleAddressSelect = useCallback((address) => {
     setSelectedAddress(address);
@@ -352,36 +566,49 @@ export default function Checkout() {
     }
   }, [selectedAddress]);
 
-  const copyUPIId = useCallback(() => {
-    navigator.clipboard.writeText(MERCHANT_VPA);
-    showToast('UPI ID copied to clipboard!', 'success');
-  }, [showToast]);
+  const handleGuestChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setGuestDetails((prev) => ({ ...prev, [name]: value }));
+    setGuestErrors((prev) => ({ ...prev, [name]: null }));
+  }, []);
 
-  // Handle UPI payment - Opens device's UPI app chooser
-  const handleUPIPayment = useCallback((e) => {
+  const handleContinueAsGuest = useCallback((e) => {
     e.preventDefault();
-    
-    // For mobile devices, directly open the UPI link
-    if (/Android|iPhone|iPad|iPod/i.test(navigator.userAgent)) {
-      window.location.href = upiLink;
-    } else {
-      // For desktop, show a message or open in new tab
-      showToast('Please scan the QR code or use mobile device for UPI payment', 'info');
-    }
-  }, [upiLink, showToast]);
-
-  // UPI Payment Link - Generic format that works with all UPI apps
-  const upiLink = useMemo(
-    () => `upi://pay?pa=${MERCHANT_VPA}&pn=${encodeURIComponent(MERCHANT_NAME)}&am=${total}&cu=INR&tn=${encodeURIComponent('Order Payment - Stryng Clothing')}`,
-    [total]
-  );
 
-  const qrCodeUrl = useMemo(
-    () => `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(upiLink)}`,
-    [upiLink]
+    const errors = validateGuestDetails(guestDetails);
+    setGuestErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSelectedAddress({
+      ...guestDetails,
+      email: guestDetails.email.trim(),
+      phone: guestDetails.phone.replace(/\D/g, ''),
+    });
+    setCurrentStep(2);
+  }, [guestDetails]);
+
+  const renderGuestField = (field) => (
+    <div className="form-group" key={field.name}>
+      <label className="form-label" htmlFor={`guest-${field.name}`}>
+        {field.label} {field.required && <span className="form-required">*</span>}
+      </label>
+      <input
+        id={`guest-${field.name}`}
+        type={field.type || 'text'}
+        name={field.name}
+        value={guestDetails[field.name]}
+        onChange={handleGuestChange}
+        className="form-input"
+        placeholder={field.placeholder}
+        maxLength={field.maxLength}
+      />
+      {guestErrors[field.name] && (
+        <p className="checkout-field-error">{guestErrors[field.name]}</p>
+      )}
+    </div>
   );
 
-  if (!user || cart.length === 0) {
+  if (cart.length === 0) {
     return null;
   }
 
@@ -430,8 +657,55 @@ export default function Checkout() {
 
         <div className="checkout-container">
           <div className="checkout-main">
+            {currentStep !== 3 && (
+              <CartChanges changes={cartChanges} onAcknowledge={acknowledgeCartChanges} />
+            )}
+
+            {/* Step 1 (guest): Contact & Delivery */}
+            {currentStep === 1 && isGuest && (
+              <div className="checkout-section">
+                <div className="section-header">
+                  <div className="section-icon">
+                    <Mail size={20} />
+                  </div>
+                  <h2 className="section-title">Contact & Delivery</h2>
+                  <Link to="/login" state={{ from: '/checkout' }} className="section-action-link">
+                    <span>Log in instead</span>
+                  </Link>
+                </div>
+
+                <form className="section-content checkout-guest-form" onSubmit={handleContinueAsGuest} noValidate>
+                  <p className="checkout-guest-note">
+                    Checking out as a guest. You can track this order with its order number and
+                    your phone number, and add it to an account later by signing up with this email.
+                  </p>
+
+                  <div className="form-section">
+                    <h3 className="form-section__title">Contact Information</h3>
+                    <div className="form-row">{GUEST_CONTACT_FIELDS.map(renderGuestField)}</div>
+                  </div>
+
+                  <div className="form-section">
+                    <h3 className="form-section__title">Delivery Address</h3>
+                    <div className="form-row">
+                      {GUEST_ADDRESS_FIELDS.slice(0, 2).map(renderGuestField)}
+                    </div>
+                    <div className="form-row">
+                      {GUEST_ADDRESS_FIELDS.slice(2, 4).map(renderGuestField)}
+                    </div>
+                    {GUEST_ADDRESS_FIELDS.slice(4).map(renderGuestField)}
+                  </div>
+
+                  <button type="submit" className="btn-continue-checkout">
+                    Continue to Payment
+                    <ChevronLeft size={20} style={{ transform: 'rotate(180deg)' }} />
+                  </button>
+                </form>
+              </div>
+            )}
+
             {/* Step 1: Delivery Address */}
-            {currentStep === 1 && (
+            {currentStep === 1 && !isGuest && (
               <div className="checkout-section">
                 <div className="section-header">
                   <div className="section-icon">
@@ -522,6 +796,9 @@ export default function Checkout() {
                         {selectedAddress?.city}, {selectedAddress?.state} {selectedAddress?.pincode}
                       </p>
                       <p className="delivery-summary-phone">{selectedAddress?.phone}</p>
+                      {selectedAddress?.email && (
+                        <p className="delivery-summary-phone">{selectedAddress.email}</p>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -544,6 +821,53 @@ export default function Checkout() {
                   </div>
                 </div>
 
+                {/* Delivery Option */}
+                <div className="checkout-section">
+                  <div className="section-header">
+                    <div className="section-icon">
+                      <Truck size={20} />
+                    </div>
+                    <h2 className="section-title">Delivery Option</h2>
+                  </div>
+
+                  <div className="section-content">
+                    {shippingOptions.map((option) => (
+                      <button
+                        key={option.method}
+                        type="button"
+                        onClick={() => setShippingMethod(option.method)}
+                        className={`payment-method-card payment-method-card--option ${
+                          selectedShipping.method === option.method ? 'selected' : ''
+                        }`}
+                      >
+                        <div className="payment-method-icon">
+                          {option.method === SHIPPING_METHODS.EXPRESS ? (
+                            <Zap size={28} />
+                          ) : (
+                            <Truck size={28} />
+                          )}
+                        </div>
+                        <div className="payment-method-info">
+                          <h4>
+                            {option.label} · {option.is_free ? 'FREE' : formatPrice(option.cost)}
+                          </h4>
+                          <p>
+                            {option.estimated_delivery_days
+                              ? `Delivered in ${option.estimated_delivery_days} day${option.estimated_delivery_days > 1 ? 's' : ''}`
+                              : 'Delivery time confirmed after your pincode is checked'}
+                            {option.surcharge > 0 && ` · includes ${formatPrice(option.surcharge)} remote area charge`}
+                          </p>
+                        </div>
+                        {selectedShipping.method === option.method && (
+                          <div className="payment-method-check">
+                            <CheckCircle2 size={20} />
+                          </div>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
                 {/* Payment Method */}
                 <div className="checkout-section">
                   <div className="section-header">
@@ -554,22 +878,46 @@ export default function Checkout() {
                   </div>
 
                   <div className="section-content">
-                    <div className="payment-method-card">
-                      <div className="payment-method-icon">
-                        <svg width="32" height="32" viewBox="0 0 32 32" fill="none">
-                          <rect width="32" height="32" rx="8" fill="var(--color-accent-light)" />
-                          <path d="M16 8L20 12L16 16L12 12L16 8Z" fill="var(--color-accent)" />
-                          <path d="M16 16L20 20L16 24L12 20L16 16Z" fill="var(--color-accent-dark)" />
-                        </svg>
-                      </div>
-                      <div className="payment-method-info">
-                        <h4>UPI Payment</h4>
-                        <p>Pay securely using any UPI app</p>
-                      </div>
-                      <div className="payment-method-check">
-                        <CheckCircle2 size={20} />
-                      </div>
-                    </div>
+                    {PAYMENT_OPTIONS.map(({ method, icon, description }) => {
+                      const isCod = method === PAYMENT_METHODS.COD;
+                      const isUnavailable = !isPaymentMethodAvailable(method);
+                      const isDisabled = isUnavailable || (isCod && !codAvailability.available);
+                      let hint = description;
+                      if (isUnavailable) {
+                        hint = 'Not available right now';
+                      } else if (isCod && !pincodeInfo) {
+                        hint = 'Checking availability for your pincode...';
+                      } else if (isDisabled) {
+                        hint = codAvailability.reason;
+                      } else if (isCod && getCodFee() > 0) {
+                        hint = `${description} (+${formatPrice(getCodFee())} COD fee)`;
+                      }
+
+                      return (
+                      <button
+                        key={method}
+                        type="button"
+                        onClick={() => setPaymentMethod(method)}
+                        disabled={isDisabled}
+                        className={`payment-method-card payment-method-card--option ${
+                          paymentMethod === method ? 'selected' : ''
+                        }`}
+                      >
+                        <div className="payment-method-icon">
+                          {icon}
+                        </div>
+                        <div className="payment-method-info">
+                          <h4>{PAYMENT_METHOD_LABELS[method]}</h4>
+                          <p>{hint}</p>
+                        </div>
+                        {paymentMethod === method && (
+                          <div className="payment-method-check">
+                            <CheckCircle2 size={20} />
+                          </div>
+                        )}
+                      </button>
+                      );
+                    })}
 
                     <div className="payment-security-note">
                       <Shield size={14} />
@@ -581,7 +929,7 @@ export default function Checkout() {
                 {/* Place Order Button */}
                 <button
                   onClick={handlePlaceOrder}
-                  disabled={isPlacingOrder}
+                  disabled={isPlacingOrder || cartChanges.length > 0}
                   className="btn-place-order-checkout"
                 >
                   {isPlacingOrder ? (
@@ -599,7 +947,7 @@ export default function Checkout() {
               </>
             )}
 
-            {/* Step 3: Payment Verification */}
+            {/* Step 3: Payment */}
             {currentStep === 3 && (
               <>
                 <div className="checkout-section">
@@ -618,7 +966,7 @@ export default function Checkout() {
                   </div>
                 </div>
 
-                {/* UPI Payment Section */}
+                {/* Payment Form */}
                 {orderId && (
                   <div className="checkout-section">
                     <div className="section-header">
@@ -629,93 +977,26 @@ export default function Checkout() {
                     </div>
 
                     <div className="section-content">
-                      {/* QR Code */}
-                      <div className="payment-qr-section">
-                        <h4>Scan QR Code</h4>
-                        <div className="qr-code-wrapper">
-                          <img
-                            src={qrCodeUrl}
-                            alt="UPI QR Code"
-                            className="qr-code-image"
-                          />
-                        </div>
-                        <p className="qr-hint">Scan with any UPI app (GPay, PhonePe, Paytm)</p>
-                      </div>
-
-                      <div className="payment-divider">
-                        <span>OR</span>
-                      </div>
-
-                      {/* UPI ID */}
-                      <div className="payment-upi-section">
-                        <h4>Pay via UPI ID</h4>
-                        <div className="upi-id-display">
-                          <span className="upi-id-text">{MERCHANT_VPA}</span>
-                          <button
-                            onClick={copyUPIId}
-                            className="upi-copy-btn"
-                            title="Copy UPI ID"
-                          >
-                            <Copy size={16} />
-                          </button>
-                        </div>
-                        <div className="payment-amount-box">
-                          <span>Amount to pay</span>
-                          <strong>{formatPrice(total)}</strong>
-                        </div>
-                        <button
-                          onClick={handleUPIPayment}
-                          className="btn-open-upi"
-                          type="button"
-                        >
-                          <ExternalLink size={18} />
-                          Open UPI App
-                        </button>
-                      </div>
-
-                      {/* Transaction ID Input */}
-                      <div className="transaction-id-section">
-                        <h4>After Payment</h4>
-                        <div className="input-group">
-                          <label htmlFor="transaction-id">
-                            UPI Transaction ID (Optional)
-                          </label>
-                          <input
-                            id="transaction-id"
-                            type="text"
-                            className="transaction-input"
-                            placeholder="e.g., 123456789012"
-                            value={transactionId}
-                            onChange={(e) => setTransactionId(e.target.value)}
-                          />
-                          <small className="input-hint">
-                            Helps us verify your payment faster
-                          </small>
-                        </div>
-
-                        <button
-                          onClick={handlePaymentConfirmation}
-                          disabled={isConfirmingPayment}
-                          className="btn-confirm-payment"
-                        >
-                          {isConfirmingPayment ? (
-                            <>
-                              <Loader size={20} className="btn-spinner" />
-                              Verifying Payment...
-                            </>
-                          ) : (
-                            <>
-                              <Check size={20} />
-                              I Have Completed Payment
-                            </>
+                      {paymentIntent ? (
+                        <PaymentForm
+                          key={paymentIntent.id}
+                          intent={paymentIntent}
+                          onConfirm={handlePaymentConfirmation}
+                          isProcessing={isConfirmingPayment}
+                          error={paymentError}
+                        />
+                      ) : (
+                        <div className="checkout-empty-state">
+                          <p className="empty-state-text">
+                            {paymentError || 'Preparing payment...'}
+                          </p>
+                          {paymentError && (
+                            <button onClick={retryPayment} className="btn-primary-checkout">
+                              Try Again
+                            </button>
                           )}
-                        </button>
-
-                        <div className="payment-security-note">
-                          <Shield size={14} />
-                          <span>Your payment is secure and encrypted</span>
                         </div>
-                      </div>
+                      )}
                     </div>
                   </div>
                 )}
@@ -758,19 +1039,47 @@ export default function Checkout() {
                   <span>{formatPrice(subtotal)}</span>
                 </div>
                 <div className="summary-row">
-                  <span>Shipping</span>
-                  <span className="summary-free">FREE</span>
+                  <span>Shipping{selectedShipping.method === SHIPPING_METHODS.EXPRESS && ' (Express)'}</span>
+                  {shipping > 0 ? (
+                    <span>{formatPrice(shipping)}</span>
+                  ) : (
+                    <span className="summary-free">FREE</span>
+                  )}
                 </div>
-                {couponDiscount > 0 && (
-                  <div className="summary-row summary-discount">
-                    <span>Discount</span>
-                    <span>-{formatPrice(couponDiscount)}</span>
+                {appliedPromotions.map((promotion) => (
+                  <div key={promotion.id} className="summary-row summary-discount">
+                    <span>{getPromotionLabel(promotion)}</span>
+                    <span>-{formatPrice(promotion.discount)}</span>
+                  </div>
+                ))}
+                {isCouponOutsideArea && (
+                  <p className="summary-note">
+                    {appliedCoupon.code}: {getTargetingMessage(readCoupon(appliedCoupon), TARGETING_REASONS.DELIVERY_AREA)}
+                  </p>
+                )}
+                {taxResult.type === GST_TYPES.INTER_STATE ? (
+                  <div className="summary-row">
+                    <span>IGST</span>
+                    <span>{formatPrice(taxResult.igst)}</span>
+                  </div>
+                ) : (
+                  <>
+                    <div className="summary-row">
+                      <span>CGST</span>
+                      <span>{formatPrice(taxResult.cgst)}</span>
+                    </div>
+                    <div className="summary-row">
+                      <span>SGST</span>
+                      <span>{formatPrice(taxResult.sgst)}</span>
+                    </div>
+                  </>
+                )}
+                {codFee > 0 && (
+                  <div className="summary-row">
+                    <span>COD Fee</span>
+                    <span>{formatPrice(codFee)}</span>
                   </div>
                 )}
-                <div className="summary-row">
-                  <span>Tax (GST 18%)</span>
-                  <span>{formatPrice(tax)}</span>
-                </div>
               </div>
 
               <div className="order-summary-divider" />
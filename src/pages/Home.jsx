@@ -18,6 +18,7 @@ import { getStockStatus } from '../lib/inventory';
 import BannerSkeleton from '../components/ui/BannerSkeleton';
 import ProgressiveImage from '../components/ui/ProgressiveImage';
 import { getLQIP } from '../utils/imageOptimization';
+import RecentlyViewed from '../components/recommendations/RecentlyViewed';
 
 /* ---- Hero Carousel (Marquee) - OPTIMIZED ---- */
 const HeroBanner = memo(function HeroBanner() {
@@ -677,6 +678,9 @@ export default function Home() {
       <TrendingProducts />
       <ValueProposition />
       <NewArrivals />
+      <div className="container">
+        <RecentlyViewed />
+      </div>
       <ManufacturingProcess />
     </>
   );
@@ -0,0 +1,97 @@
+import { Link } from 'react-router-dom';
+import { Bell, TrendingDown, Package } from 'lucide-react';
+import useStore from '../store/useStore';
+import SEO from '../components/SEO';
+import EmptyState from '../components/common/EmptyState';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { markNotificationsRead } from '../api/notifications.api';
+import { useNotifications, useInvalidateNotifications } from '../hooks/useNotifications';
+import { formatDate } from '../utils/format';
+import { STOCK_ALERT_TYPES } from '../config/constants';
+
+/**
+ * Notification center: back-in-stock and price-drop alerts
+ */
+export default function Notifications() {
+  const { user, showToast } = useStore();
+  const { data: notifications = [], isLoading } = useNotifications(user?.id);
+  const invalidate = useInvalidateNotifications();
+
+  const unreadIds = notifications
+    .filter((notification) => !notification.read)
+    .map((notification) => notification.id);
+
+  const markRead = async (ids) => {
+    if (ids.length === 0) return;
+    const result = await markNotificationsRead(ids);
+    if (!result.success) {
+      showToast('Could not update notifications', 'error');
+      return;
+    }
+    invalidate();
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner fullPage />;
+  }
+
+  if (notifications.length === 0) {
+    return (
+      <div className="page">
+        <div className="container">
+          <EmptyState
+            icon={Bell}
+            title="No notifications yet"
+            subtitle="Turn on back-in-stock or price-drop alerts on products and we'll let you know here."
+            primaryAction={{ text: 'Go to Wishlist', link: '/wishlist' }}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="page">
+      <SEO title="Notifications | Stryng Clothing" description="Your stock and price alerts" />
+
+      <div className="container" style={{ maxWidth: '720px' }}>
+        <div className="notifications__header">
+          <h1 style={{ fontSize: 'var(--text-3xl)' }}>Notifications</h1>
+          {unreadIds.length > 0 && (
+            <button
+              type="button"
+              className="btn btn--secondary btn--sm"
+              onClick={() => markRead(unreadIds)}
+            >
+              Mark all as read
+            </button>
+          )}
+        </div>
+
+        <ul className="notifications__list">
+          {notifications.map((notification) => {
+            const Icon =
+              notification.type === STOCK_ALERT_TYPES.PRICE_DROP ? TrendingDown : Package;
+            return (
+              <li
+                key={notification.id}
+                className={`notification ${notification.read ? '' : 'notification--unread'}`}
+              >
+                <Icon size={20} className="notification__icon" />
+                <Link
+                  to={notification.link}
+                  className="notification__body"
+                  onClick={() => !notification.read && markRead([notification.id])}
+                >
+                  <strong className="notification__title">{notification.title}</strong>
+                  <span className="notification__message">{notification.message}</span>
+                  <span className="notification__date">{formatDate(notification.created_at)}</span>
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,9 @@ import { Package, ChevronRight, Calendar, Loader } from 'lucide-react';
 import { getUserOrders } from '../api/orders.api';
 import { formatPrice, formatDate } from '../utils/format';
 import SEO from '../components/SEO';
+import { isReturnWindowOpen } from '../lib/returns';
+import { getOrderPromotions } from '../lib/orderTotals';
+import { getPromotionLabel } from '../lib/promotions';
 
 const getStatusBadge = (status) => {
   const styles = {
@@ -13,6 +16,7 @@ const getStatusBadge = (status) => {
     shipped: { bg: '#ddd6fe', color: '#5b21b6', label: 'Shipped' },
     delivered: { bg: '#d1fae5', color: '#065f46', label: 'Delivered' },
     cancelled: { bg: '#fee2e2', color: '#991b1b', label: 'Cancelled' },
+    refunded: { bg: '#f3f4f6', color: '#374151', label: 'Refunded' },
   };
   const style = styles[status] || styles.pending;
   return (
@@ -242,7 +246,11 @@ export default function OrderHistory() {
                             marginTop: '0.25rem',
                           }}
                         >
-                          Saved {formatPrice(order.coupon_discount)} with {order.coupon_code}
+                          Saved {formatPrice(order.coupon_discount)} with{' '}
+                          {getOrderPromotions(order)
+                            .filter((promotion) => promotion.discount > 0)
+                            .map(getPromotionLabel)
+                            .join(', ')}
                         </div>
                       )}
                     </div>
@@ -289,12 +297,22 @@ export default function OrderHistory() {
                         {order.shipping_state || order.address?.state} - {order.shipping_pincode || order.address?.pincode}
                       </span>
                     </div>
-                    <Link
-                      to={`/order/${order.id}`}
-                      className="btn btn--secondary"
-                    >
-                      View Details
-                    </Link>
+                    <div className="order-card__actions">
+                      {isReturnWindowOpen(order) && (
+                        <Link
+                          to={`/order/${order.id}#returns`}
+                          className="btn btn--secondary"
+                        >
+                          Return / Exchange
+                        </Link>
+                      )}
+                      <Link
+                        to={`/order/${order.id}`}
+                        className="btn btn--secondary"
+                      >
+                        View Details
+                      </Link>
+                    </div>
                   </div>
                 </div>
               ))}
@@ -394,6 +412,11 @@ export default function OrderHistory() {
                     gap: 1rem;
                 }
 
+                .order-card__actions {
+                    display: flex;
+                    gap: 0.75rem;
+                }
+
                 .order-card__address {
                     display: flex;
                     flex-direction: column;
@@ -446,6 +469,10 @@ export default function OrderHistory() {
                         align-items: stretch;
                     }
 
+                    .order-card__actions {
+                        flex-direction: column;
+                    }
+
                     .order-card__footer .btn {
                         width: 100%;
                     }
@@ -3,23 +3,40 @@
  * Simple, clean success confirmation
  */
 
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { CheckCircle2, Package, ArrowRight } from 'lucide-react';
+import { CheckCircle2, Package, ArrowRight, UserPlus } from 'lucide-react';
 import SEO from '../components/SEO';
+import QRCode from '../components/common/QRCode';
+import useStore from '../store/useStore';
+import { getOrderById } from '../api/orders.api';
 
 export default function OrderSuccess() {
   const { orderId } = useParams();
   const navigate = useNavigate();
+  const { user } = useStore();
+  const [guestOrder, setGuestOrder] = useState(null);
 
   useEffect(() => {
+    // Guests have no order history to go to
+    if (!user) return;
+
     // Redirect to orders page after 10 seconds
     const timer = setTimeout(() => {
       navigate('/orders');
     }, 10000);
 
     return () => clearTimeout(timer);
-  }, [navigate]);
+  }, [navigate, user]);
+
+  // Guests need the order number to look the order up later
+  useEffect(() => {
+    if (user) return;
+
+    getOrderById(orderId).then((result) => {
+      if (result.success) setGuestOrder(result.data);
+    });
+  }, [orderId, user]);
 
   return (
     <>
@@ -32,17 +49,46 @@ export default function OrderSuccess() {
           </div>
 
           <h1>Order Placed Successfully!</h1>
-          <p className="order-id">Order ID: <strong>#{orderId}</strong></p>
+          {guestOrder ? (
+            <p className="order-id">Order Number: <strong>{guestOrder.order_number}</strong></p>
+          ) : (
+            <p className="order-id">Order ID: <strong>#{orderId}</strong></p>
+          )}
 
           <p className="success-message">
             Thank you for shopping with us! We'll send you a confirmation email shortly.
           </p>
 
+          <div className="success-qr">
+            <QRCode
+              value={`${window.location.origin}/order/${orderId}`}
+              size={140}
+              title="Order tracking QR code"
+            />
+            <p>Scan to track this order on your phone</p>
+          </div>
+
+          {!user && (
+            <p className="success-guest-note">
+              Keep your order number: with the phone number you ordered with, it lets you{' '}
+              <Link to="/track-order">track this order</Link> any time. Create an account
+              {guestOrder?.guest_email && <> with <strong>{guestOrder.guest_email}</strong></>} and
+              verify your email to see it in your order history.
+            </p>
+          )}
+
           <div className="success-actions">
-            <Link to="/orders" className="btn-primary">
-              <Package size={20} />
-              View All Orders
-            </Link>
+            {user ? (
+              <Link to="/orders" className="btn-primary">
+                <Package size={20} />
+                View All Orders
+              </Link>
+            ) : (
+              <Link to="/register" className="btn-primary">
+                <UserPlus size={20} />
+                Create Account
+              </Link>
+            )}
             <Link to={`/order/${orderId}`} className="btn-secondary">
               Track This Order
               <ArrowRight size={20} />
@@ -119,6 +165,36 @@ export default function OrderSuccess() {
             line-height: var(--leading-relaxed);
           }
 
+          .success-guest-note {
+            font-size: var(--text-sm);
+            color: var(--color-text-secondary);
+            line-height: var(--leading-relaxed);
+            margin-bottom: 2rem;
+          }
+
+          .success-guest-note a {
+            color: var(--color-accent);
+          }
+
+          .success-qr {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: 0.5rem;
+            margin-bottom: 2rem;
+          }
+
+          .success-qr svg {
+            border: var(--border-thin);
+            border-radius: var(--radius-md);
+          }
+
+          .success-qr p {
+            font-size: var(--text-sm);
+            color: var(--color-text-muted);
+            margin: 0;
+          }
+
           .success-actions {
             display: flex;
             gap: 1rem;
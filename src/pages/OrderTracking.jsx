@@ -9,8 +9,25 @@ import {
   CheckCircle,
 } from 'lucide-react';
 import { formatPrice } from '../utils/format';
-import { formatDate } from '../utils/format';
-import { getOrderById } from '../api/orders.api';
+import { formatDate, formatDateTime } from '../utils/format';
+import {
+  ORDER_STATUS,
+  ORDER_STATUS_LABELS,
+  RETURN_TYPES,
+  RETURN_STATUS_LABELS,
+  RETURN_REASON_LABELS,
+  GST_TYPES,
+  SHIPPING_METHODS,
+} from '../config/constants';
+import { getOrderById, cancelOrderItem } from '../api/orders.api';
+import { signInAsGuest } from '../api/auth.api';
+import { auth } from '../lib/firebaseClient';
+import { canTransition } from '../lib/orderStatus';
+import { isActiveOrderItem, getOrderPromotions } from '../lib/orderTotals';
+import { getPromotionLabel } from '../lib/promotions';
+import { getReturnsByOrderId } from '../api/returns.api';
+import { getReturnWindowEnd, isReturnWindowOpen } from '../lib/returns';
+import ReturnRequestForm from '../components/orders/ReturnRequestForm';
 import useStore from '../store/useStore';
 
 const MERCHANT_PHONE = '919411867984';
@@ -18,7 +35,7 @@ const MERCHANT_PHONE = '919411867984';
 export default function OrderTracking() {
   const { id } = useParams();
   const location = useLocation();
-  const { user } = useStore();
+  const { user, authInitialized } = useStore();
   
   // Get order ID from URL params or query string
   const searchParams = new URLSearchParams(location.search);
@@ -27,6 +44,9 @@ export default function OrderTracking() {
   const [order, setOrder] = useState(location.state?.order || null);
   const [loading, setLoading] = useState(!order);
   const [error, setError] = useState(null);
+  const [returns, setReturns] = useState([]);
+  const [showReturnForm, setShowReturnForm] = useState(false);
+  const [cancellingItemId, setCancellingItemId] = useState(null);
   const isNewOrder = location.state?.newOrder;
 
   console.log('📦 OrderTracking - Order ID:', orderId);
@@ -34,9 +54,15 @@ export default function OrderTracking() {
   console.log('📦 OrderTracking - Location state:', location.state);
 
   useEffect(() => {
-    if (!order && user && orderId) {
+    // Wait for a saved login before falling back to a guest session
+    if (!authInitialized) return;
+
+    if (!order && orderId) {
       const fetchOrder = async () => {
         try {
+          // Guest orders are readable by ID, but their items need a session
+          if (!user) await signInAsGuest();
+
           console.log('📦 Fetching order:', orderId);
           const result = await getOrderById(orderId);
           console.log('📦 Order result:', result);
@@ -45,7 +71,11 @@ export default function OrderTracking() {
             setOrder(result.data);
           } else {
             console.error('📦 Order fetch failed:', result.error);
-            setError(result.error || 'Order not found or access denied.');
+            setError(
+              user
+                ? result.error || 'Order not found or access denied.'
+                : 'Please log in to view order details.'
+            );
           }
         } catch (err) {
           console.error('📦 Unexpected error:', err);
@@ -55,16 +85,27 @@ export default function OrderTracking() {
         }
       };
       fetchOrder();
-    } else if (!user) {
-      console.log('📦 No user logged in');
-      setLoading(false);
-      setError('Please log in to view order details.');
     } else if (!orderId) {
       console.log('📦 No order ID provided');
       setLoading(false);
       setError('No order ID provided.');
     }
-  }, [orderId, order, user]);
+  }, [orderId, order, user, authInitialized]);
+
+  useEffect(() => {
+    if (
+      order?.id &&
+      order.status === ORDER_STATUS.DELIVERED &&
+      order.user_id === auth.currentUser?.uid
+    ) {
+      getReturnsByOrderId(order.id).then((requests) => {
+        setReturns(requests);
+        if (location.hash === '#returns') {
+          document.getElementById('returns')?.scrollIntoView({ behavior: 'smooth' });
+        }
+      });
+    }
+  }, [order?.id, order?.status, order?.user_id, location.hash]);
 
   if (loading) {
     return (
@@ -97,9 +138,15 @@ export default function OrderTracking() {
         >
           {error || `We couldn't find the order with ID: ${orderId}`}
         </p>
-        <Link to="/account" className="btn btn--primary">
-          Go to Orders
-        </Link>
+        {user ? (
+          <Link to="/account" className="btn btn--primary">
+            Go to Orders
+          </Link>
+        ) : (
+          <Link to="/track-order" className="btn btn--primary">
+            Find Your Order
+          </Link>
+        )}
       </div>
     );
   }
@@ -107,6 +154,30 @@ export default function OrderTracking() {
   // WhatsApp Link Generation
   const waMessage = `Hi, I just placed Order #${order.order_number || order.id}. Here is the payment proof/screenshot.`;
   const waLink = `https://wa.me/${MERCHANT_PHONE}?text=${encodeURIComponent(waMessage)}`;
+  const activeItemCount = (order.order_items || []).filter(isActiveOrderItem).length;
+  // Guest orders opened from a lookup are view-only unless this session placed them
+  const ownsOrder = order.user_id === auth.currentUser?.uid;
+  const canCancelItems =
+    ownsOrder && canTransition(order.status, ORDER_STATUS.CANCELLED) && activeItemCount > 1;
+  const subtotal = order.subtotal ?? (order.total ? order.total / 1.18 : 0);
+  const tax = order.tax ?? (order.total ? order.total - order.total / 1.18 : 0);
+
+  const handleCancelItem = async (item) => {
+    if (!confirm(`Cancel ${item.product_name} (${item.size}) from this order?`)) return;
+
+    setCancellingItemId(item.id);
+    const result = await cancelOrderItem(order.id, item.id);
+    if (result.success) {
+      const refreshed = await getOrderById(order.id);
+      if (refreshed.success) setOrder(refreshed.data);
+    } else {
+      alert(result.error);
+    }
+    setCancellingItemId(null);
+  };
+
+  const returnWindowEnd = getReturnWindowEnd(order);
+  const canRequestReturn = isReturnWindowOpen(order);
 
   return (
     <div className="page">
@@ -241,12 +312,17 @@ export default function OrderTracking() {
                 order.timeline.map((step, i) => (
                   <div
                     key={i}
-                    className={`order-timeline__item ${step.completed ? 'order-timeline__item--completed' : ''} ${step.current ? 'order-timeline__item--current' : ''}`}
+                    className={`order-timeline__item order-timeline__item--completed ${i === order.timeline.length - 1 ? 'order-timeline__item--current' : ''}`}
                   >
                     <div className="order-timeline__dot" />
-                    <h4 className="order-timeline__title">{step.status}</h4>
+                    <h4 className="order-timeline__title">
+                      {ORDER_STATUS_LABELS[step.status] || step.status}
+                    </h4>
+                    {step.note && (
+                      <p className="order-timeline__note">{step.note}</p>
+                    )}
                     <p className="order-timeline__time">
-                      {step.time ? new Date(step.time).toLocaleString() : ''}
+                      {formatDateTime(step.timestamp)}
                     </p>
                   </div>
                 ))
@@ -267,8 +343,12 @@ export default function OrderTracking() {
             </h3>
             {order.order_items?.map((item, i) => {
               const imageUrl = item.product_image || item.product?.images?.[0];
+              const isCancelled = !isActiveOrderItem(item);
               return (
-                <div key={i} className="order-item">
+                <div
+                  key={i}
+                  className={`order-item ${isCancelled ? 'order-item--cancelled' : ''}`}
+                >
                   {imageUrl ? (
                     <img
                       src={imageUrl}
@@ -310,10 +390,83 @@ export default function OrderTracking() {
                     <p className="order-item__price">
                       {formatPrice(item.price)}
                     </p>
+                    {isCancelled ? (
+                      <p className="order-item__status">Cancelled</p>
+                    ) : (
+                      canCancelItems && (
+                        <button
+                          className="order-item__cancel"
+                          onClick={() => handleCancelItem(item)}
+                          disabled={cancellingItemId === item.id}
+                        >
+                          {cancellingItemId === item.id ? 'Cancelling...' : 'Cancel item'}
+                        </button>
+                      )
+                    )}
                   </div>
                 </div>
               );
             })}
+
+            {/* Returns & Exchanges */}
+            {ownsOrder && order.status === ORDER_STATUS.DELIVERED && (
+              <div id="returns" style={{ marginTop: 'var(--space-10)' }}>
+                <h3 className="section-title">Returns & Exchanges</h3>
+
+                {returns.map((request) => (
+                  <div key={request.id} className="return-request">
+                    <div className="return-request__header">
+                      <strong>{RETURN_STATUS_LABELS[request.status]}</strong>
+                      <span>{formatDate(request.created_at)}</span>
+                    </div>
+                    {request.items.map((line) => (
+                      <p key={line.order_item_id} className="order-item__meta">
+                        {line.product_name} × {line.quantity} —{' '}
+                        {line.type === RETURN_TYPES.EXCHANGE
+                          ? `Exchange ${line.size} → ${line.exchange_size}`
+                          : 'Return'}{' '}
+                        ({RETURN_REASON_LABELS[line.reason]})
+                      </p>
+                    ))}
+                    {request.refund_amount > 0 && (
+                      <p className="order-item__meta">
+                        Refund: {formatPrice(request.refund_amount)}
+                      </p>
+                    )}
+                  </div>
+                ))}
+
+                {showReturnForm ? (
+                  <ReturnRequestForm
+                    order={order}
+                    returns={returns}
+                    onSubmitted={(request) => {
+                      setReturns([request, ...returns]);
+                      setShowReturnForm(false);
+                    }}
+                    onCancel={() => setShowReturnForm(false)}
+                  />
+                ) : canRequestReturn ? (
+                  <>
+                    <p className="order-item__meta">
+                      Return or exchange items until {formatDate(returnWindowEnd)}.
+                    </p>
+                    <button
+                      className="btn btn--secondary"
+                      onClick={() => setShowReturnForm(true)}
+                    >
+                      Return or Exchange Items
+                    </button>
+                  </>
+                ) : (
+                  returnWindowEnd && (
+                    <p className="order-item__meta">
+                      The return window closed on {formatDate(returnWindowEnd)}.
+                    </p>
+                  )
+                )}
+              </div>
+            )}
           </div>
 
           {/* Side Info */}
@@ -356,26 +509,53 @@ export default function OrderTracking() {
               </h3>
               <div className="cart-summary__row">
                 <span>Subtotal</span>
-                <span>{formatPrice(order.total ? order.total / 1.18 : 0)}</span>
+                <span>{formatPrice(subtotal)}</span>
               </div>
               <div className="cart-summary__row">
-                <span>Shipping</span>
-                <span>FREE</span>
-              </div>
-              {order.coupon_discount > 0 && (
-                <div className="cart-summary__row" style={{ color: '#28a745' }}>
-                  <span>Coupon Discount ({order.coupon_code})</span>
-                  <span>-{formatPrice(order.coupon_discount)}</span>
-                </div>
-              )}
-              <div className="cart-summary__row">
-                <span>Tax (GST 18%)</span>
                 <span>
-                  {formatPrice(
-                    order.total ? order.total - order.total / 1.18 : 0
-                  )}
+                  Shipping
+                  {order.shipping_method === SHIPPING_METHODS.EXPRESS && ' (Express)'}
+                </span>
+                <span>
+                  {order.shipping_cost > 0 ? formatPrice(order.shipping_cost) : 'FREE'}
                 </span>
               </div>
+              {getOrderPromotions(order)
+                .filter((promotion) => promotion.discount > 0)
+                .map((promotion) => (
+                  <div key={promotion.id} className="cart-summary__row" style={{ color: '#28a745' }}>
+                    <span>{getPromotionLabel(promotion)}</span>
+                    <span>-{formatPrice(promotion.discount)}</span>
+                  </div>
+                ))}
+              {order.tax_breakdown?.type === GST_TYPES.INTER_STATE ? (
+                <div className="cart-summary__row">
+                  <span>IGST</span>
+                  <span>{formatPrice(order.tax_breakdown.igst)}</span>
+                </div>
+              ) : order.tax_breakdown ? (
+                <>
+                  <div className="cart-summary__row">
+                    <span>CGST</span>
+                    <span>{formatPrice(order.tax_breakdown.cgst)}</span>
+                  </div>
+                  <div className="cart-summary__row">
+                    <span>SGST</span>
+                    <span>{formatPrice(order.tax_breakdown.sgst)}</span>
+                  </div>
+                </>
+              ) : (
+                <div className="cart-summary__row">
+                  <span>Tax (GST 18%)</span>
+                  <span>{formatPrice(tax)}</span>
+                </div>
+              )}
+              {order.cod_fee > 0 && (
+                <div className="cart-summary__row">
+                  <span>COD Fee</span>
+                  <span>{formatPrice(order.cod_fee)}</span>
+                </div>
+              )}
               <div className="cart-summary__row cart-summary__row--total">
                 <span>Total</span>
                 <span>{formatPrice(order.total)}</span>
@@ -440,6 +620,28 @@ export default function OrderTracking() {
                     font-size: var(--text-sm);
                     margin-bottom: 0;
                 }
+                .order-item--cancelled .order-item__image,
+                .order-item--cancelled .order-item__name,
+                .order-item--cancelled .order-item__price {
+                    opacity: 0.5;
+                    text-decoration: line-through;
+                }
+                .order-item__status {
+                    font-size: var(--text-xs);
+                    font-weight: var(--font-semibold);
+                    color: #991b1b;
+                    margin: 4px 0 0;
+                }
+                .order-item__cancel {
+                    margin-top: var(--space-2);
+                    padding: 0;
+                    background: none;
+                    border: none;
+                    font-size: var(--text-xs);
+                    color: #dc2626;
+                    text-decoration: underline;
+                    cursor: pointer;
+                }
                 .info-card {
                     border: var(--border-thin);
                     border-radius: var(--radius-lg);
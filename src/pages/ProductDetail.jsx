@@ -3,7 +3,6 @@ import { Link, useParams } from 'react-router-dom';
 import {
   Heart,
   ShoppingBag,
-  Star,
   Truck,
   RotateCcw,
   Shield,
@@ -12,39 +11,35 @@ import {
   Plus,
 } from 'lucide-react';
 import { formatPrice } from '../utils/format';
-import { reviews as allReviews, sizeGuide } from '../lib/productData';
 import useStore from '../store/useStore';
 import SEO, {
   generateProductSchema,
   injectStructuredData,
 } from '../components/SEO';
 import { trackProductView } from '../lib/analytics';
-import { useProduct, useProducts } from '../hooks/useProducts';
-import { getStockStatus } from '../lib/inventory';
+import { useProduct } from '../hooks/useProducts';
+import { useProductRecommendations } from '../hooks/useRecommendations';
+import {
+  getStockStatus,
+  hasVariants,
+  findVariant,
+  getVariantStock,
+  getVariantPrice,
+} from '../lib/inventory';
 import PincodeChecker from '../components/PincodeChecker';
-
-function StarRating({ rating, size = 16 }) {
-  return (
-    <div className="stars">
-      {[1, 2, 3, 4, 5].map((i) => (
-        <Star
-          key={i}
-          size={size}
-          className={
-            i <= Math.floor(rating)
-              ? 'stars__star stars__star--filled'
-              : 'stars__star'
-          }
-          fill={i <= Math.floor(rating) ? 'currentColor' : 'none'}
-        />
-      ))}
-    </div>
-  );
-}
+import AddToListMenu from '../components/wishlist/AddToListMenu';
+import StockAlertButton from '../components/wishlist/StockAlertButton';
+import { STOCK_ALERT_TYPES } from '../config/constants';
+import StarRating from '../components/reviews/StarRating';
+import ProductReviews from '../components/reviews/ProductReviews';
+import SizeGuide from '../components/sizing/SizeGuide';
+import RecommendedProducts from '../components/recommendations/RecommendedProducts';
+import FrequentlyBoughtTogether from '../components/recommendations/FrequentlyBoughtTogether';
+import RecentlyViewed from '../components/recommendations/RecentlyViewed';
 
 export default function ProductDetail() {
   const { slug } = useParams();
-  const { addToCart, toggleWishlist, wishlist } = useStore();
+  const { addToCart, toggleWishlist, wishlist, recordProductView } = useStore();
 
   // Fetch single product by slug using React Query
   const {
@@ -53,9 +48,8 @@ export default function ProductDetail() {
     isError,
   } = useProduct(slug);
 
-  // Fetch related products (first 4 products for simplicity)
-  const { data: relatedData } = useProducts(1, 4, {});
-  const relatedProducts = relatedData?.products || [];
+  // Recommendations from category, color, price band and co-purchases
+  const { related, bundle } = useProductRecommendations(product);
 
   // All hooks must be called unconditionally (before any early returns)
   const [selectedImage, setSelectedImage] = useState(0);
@@ -79,10 +73,11 @@ export default function ProductDetail() {
       const schema = generateProductSchema(product);
       injectStructuredData(schema);
 
-      // Track product view
+      // Track product view and add it to the recently viewed history
       trackProductView(product);
+      recordProductView(product);
     }
-  }, [product]);
+  }, [product, recordProductView]);
 
   // Handle loading state
   if (isLoadingProduct) {
@@ -124,13 +119,35 @@ export default function ProductDetail() {
     );
   }
 
-  const productReviews = allReviews.filter((r) => r.productId === product.id);
-
   const isWishlisted = wishlist.some((item) => item.id === product.id);
 
+  // Stock and price follow the selected size × color once a size is picked
+  const isVariantProduct = hasVariants(product);
+  const selectionStock =
+    isVariantProduct && selectedSize
+      ? getVariantStock(product, selectedSize, selectedColor)
+      : product.stock;
+  const displayPrice = selectedSize
+    ? getVariantPrice(product, selectedSize, selectedColor)
+    : product.price;
+  // Sold-out sizes can still be picked, to ask for a back-in-stock alert
+  const isSizeUnavailable = (size, colorName = selectedColor) =>
+    product.unavailableSizes?.includes(size) ||
+    (isVariantProduct && !findVariant(product, size, colorName));
+  const isSizeSoldOut = (size, colorName = selectedColor) =>
+    isVariantProduct && !getVariantStock(product, size, colorName);
+  const selectableSizes = (product.sizes || []).filter((size) => !isSizeUnavailable(size));
+
   // Get stock status
-  const stockStatus = getStockStatus(product.stock, product.lowStockThreshold);
-  const isOutOfStock = product.stock !== undefined && product.stock === 0;
+  const stockStatus = getStockStatus(selectionStock, product.lowStockThreshold);
+  const isOutOfStock = selectionStock !== undefined && selectionStock === 0;
+
+  const handleColorSelect = (colorName) => {
+    setSelectedColor(colorName);
+    if (selectedSize && isSizeUnavailable(selectedSize, colorName)) {
+      setSelectedSize('');
+    }
+  };
 
   const handleAddToCart = () => {
     if (isOutOfStock) {
@@ -142,7 +159,7 @@ export default function ProductDetail() {
     }
 
     // Check if quantity exceeds available stock
-    if (product.stock !== undefined && quantity > product.stock) {
+    if (selectionStock !== undefined && quantity > selectionStock) {
       return;
     }
 
@@ -225,8 +242,8 @@ export default function ProductDetail() {
             <h1 className="pdp__name">{product.name}</h1>
 
             <div className="pdp__price-row">
-              <span className="pdp__price">{formatPrice(product.price)}</span>
-              {product.originalPrice > product.price && (
+              <span className="pdp__price">{formatPrice(displayPrice)}</span>
+              {product.originalPrice > displayPrice && (
                 <>
                   <span className="pdp__price--original">
                     {formatPrice(product.originalPrice)}
@@ -239,13 +256,13 @@ export default function ProductDetail() {
             </div>
 
             <div className="pdp__rating">
-              <StarRating rating={product.rating} />
-              <span>{product.rating}</span>
-              <span>({product.reviewCount} reviews)</span>
+              <StarRating rating={product.rating || 0} />
+              <span>{product.rating || 0}</span>
+              <span>({product.reviews_count || 0} reviews)</span>
             </div>
 
             {/* Stock Status */}
-            {product.stock !== undefined && (
+            {selectionStock !== undefined && (
               <div style={{ marginBottom: 'var(--space-4)' }}>
                 <span
                   style={{
@@ -291,7 +308,7 @@ export default function ProductDetail() {
                           ? '1px solid var(--color-border)'
                           : 'none',
                     }}
-                    onClick={() => setSelectedColor(c.name)}
+                    onClick={() => handleColorSelect(c.name)}
                     aria-label={c.name}
                   />
                 ))}
@@ -328,13 +345,15 @@ export default function ProductDetail() {
               </div>
               <div className="pdp__sizes">
                 {product.sizes?.map((s) => {
-                  const unavailable = product.unavailableSizes?.includes(s);
+                  const unavailable = isSizeUnavailable(s);
+                  const soldOut = !unavailable && isSizeSoldOut(s);
                   return (
                     <button
                       key={s}
-                      className={`pdp__size ${selectedSize === s ? 'pdp__size--active' : ''} ${unavailable ? 'pdp__size--unavailable' : ''}`}
+                      className={`pdp__size ${selectedSize === s ? 'pdp__size--active' : ''} ${unavailable ? 'pdp__size--unavailable' : ''} ${soldOut ? 'pdp__size--sold-out' : ''}`}
                       onClick={() => !unavailable && setSelectedSize(s)}
                       disabled={unavailable}
+                      title={soldOut ? 'Sold out' : undefined}
                     >
                       {s}
                     </button>
@@ -358,8 +377,8 @@ export default function ProductDetail() {
                   className="qty-stepper__btn"
                   onClick={() => {
                     if (
-                      product.stock !== undefined &&
-                      quantity >= product.stock
+                      selectionStock !== undefined &&
+                      quantity >= selectionStock
                     ) {
                       return;
                     }
@@ -367,7 +386,7 @@ export default function ProductDetail() {
                   }}
                   disabled={
                     isOutOfStock ||
-                    (product.stock !== undefined && quantity >= product.stock)
+                    (selectionStock !== undefined && quantity >= selectionStock)
                   }
                 >
                   <Plus size={16} />
@@ -401,6 +420,28 @@ export default function ProductDetail() {
               </button>
             </div>
 
+            <div className="pdp__extras">
+              {isOutOfStock && (
+                <StockAlertButton
+                  product={product}
+                  size={selectedSize}
+                  color={selectedColor}
+                  type={STOCK_ALERT_TYPES.BACK_IN_STOCK}
+                />
+              )}
+              <StockAlertButton
+                product={product}
+                size={selectedSize}
+                color={selectedColor}
+                type={STOCK_ALERT_TYPES.PRICE_DROP}
+              />
+              <AddToListMenu
+                productId={product.id}
+                size={selectedSize}
+                color={selectedColor}
+              />
+            </div>
+
             {/* Features */}
             <div className="pdp__features">
               <div className="pdp__feature">
@@ -466,150 +507,31 @@ export default function ProductDetail() {
 
           {activeTab === 'reviews' && (
             <div style={{ maxWidth: '700px' }}>
-              {productReviews.length > 0 ? (
-                productReviews.map((review) => (
-                  <div
-                    key={review.id}
-                    style={{
-                      padding: 'var(--space-4) 0',
-                      borderBottom: 'var(--border-thin)',
-                    }}
-                  >
-                    <div
-                      style={{
-                        display: 'flex',
-                        alignItems: 'center',
-                        gap: 'var(--space-3)',
-                        marginBottom: 'var(--space-2)',
-                      }}
-                    >
-                      <StarRating rating={review.rating} size={14} />
-                      <span
-                        style={{
-                          fontSize: 'var(--text-sm)',
-                          fontWeight: 'var(--font-semibold)',
-                        }}
-                      >
-                        {review.title}
-                      </span>
-                      {review.verified && (
-                        <span className="badge badge--success">Verified</span>
-                      )}
-                    </div>
-                    <p
-                      style={{
-                        fontSize: 'var(--text-sm)',
-                        color: 'var(--color-text-secondary)',
-                        marginBottom: 'var(--space-2)',
-                      }}
-                    >
-                      {review.comment}
-                    </p>
-                    <p
-                      style={{
-                        fontSize: 'var(--text-xs)',
-                        color: 'var(--color-text-muted)',
-                      }}
-                    >
-                      {review.user} — {review.date}
-                    </p>
-                  </div>
-                ))
-              ) : (
-                <p style={{ color: 'var(--color-text-muted)' }}>
-                  No reviews yet. Be the first to review this product!
-                </p>
-              )}
+              <ProductReviews product={product} />
             </div>
           )}
 
           {activeTab === 'size guide' && (
-            <div style={{ maxWidth: '500px' }}>
-              <table
-                style={{
-                  width: '100%',
-                  borderCollapse: 'collapse',
-                  fontSize: 'var(--text-sm)',
-                }}
-              >
-                <thead>
-                  <tr>
-                    {sizeGuide.headers.map((h) => (
-                      <th
-                        key={h}
-                        style={{
-                          padding: 'var(--space-3)',
-                          textAlign: 'left',
-                          borderBottom: '2px solid var(--color-primary)',
-                          fontWeight: 'var(--font-semibold)',
-                        }}
-                      >
-                        {h}
-                      </th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {sizeGuide.rows.map((row, i) => (
-                    <tr key={i}>
-                      {row.map((cell, j) => (
-                        <td
-                          key={j}
-                          style={{
-                            padding: 'var(--space-3)',
-                            borderBottom: 'var(--border-thin)',
-                            color: 'var(--color-text-secondary)',
-                          }}
-                        >
-                          {cell}
-                        </td>
-                      ))}
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+            <div style={{ maxWidth: '600px' }}>
+              <SizeGuide
+                product={product}
+                selectableSizes={selectableSizes}
+                onSelectSize={setSelectedSize}
+              />
             </div>
           )}
         </div>
 
-        {/* Related Products */}
-        <section className="section">
-          <div className="section__header">
-            <h2 className="section__title">You May Also Like</h2>
-          </div>
-          <div className="product-grid">
-            {relatedProducts.map((p) => (
-              <Link
-                to={`/products/${p.slug}`}
-                key={p.id}
-                className="product-card"
-              >
-                <div className="product-card__image-wrapper">
-                  <img
-                    src={p.images[0]}
-                    alt={p.name}
-                    className="product-card__image"
-                    loading="lazy"
-                  />
-                </div>
-                <div className="product-card__info">
-                  <p className="product-card__brand">{p.brand}</p>
-                  <h3 className="product-card__name">{p.name}</h3>
-                  <div className="product-card__price">
-                    <span className="product-card__price--current">
-                      {formatPrice(p.price)}
-                    </span>
-                    {p.originalPrice > p.price && (
-                      <span className="product-card__price--original">
-                        {formatPrice(p.originalPrice)}
-                      </span>
-                    )}
-                  </div>
-                </div>
-              </Link>
-            ))}
-          </div>
-        </section>
+        <FrequentlyBoughtTogether
+          product={product}
+          bundle={bundle}
+          selectedSize={selectedSize}
+          selectedColor={selectedColor}
+        />
+
+        <RecommendedProducts title="You May Also Like" products={related} />
+
+        <RecentlyViewed excludeId={product.id} />
 
         {/* Size Guide Modal */}
         {showSizeGuide && (
@@ -628,49 +550,14 @@ export default function ProductDetail() {
                 </button>
               </div>
               <div className="modal__body">
-                <table
-                  style={{
-                    width: '100%',
-                    borderCollapse: 'collapse',
-                    fontSize: 'var(--text-sm)',
+                <SizeGuide
+                  product={product}
+                  selectableSizes={selectableSizes}
+                  onSelectSize={(size) => {
+                    setSelectedSize(size);
+                    setShowSizeGuide(false);
                   }}
-                >
-                  <thead>
-                    <tr>
-                      {sizeGuide.headers.map((h) => (
-                        <th
-                          key={h}
-                          style={{
-                            padding: 'var(--space-3)',
-                            textAlign: 'left',
-                            borderBottom: '2px solid var(--color-primary)',
-                            fontWeight: 'var(--font-semibold)',
-                          }}
-                        >
-                          {h}
-                        </th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {sizeGuide.rows.map((row, i) => (
-                      <tr key={i}>
-                        {row.map((cell, j) => (
-                          <td
-                            key={j}
-                            style={{
-                              padding: 'var(--space-3)',
-                              borderBottom: 'var(--border-thin)',
-                              color: 'var(--color-text-secondary)',
-                            }}
-                          >
-                            {cell}
-                          </td>
-                        ))}
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
+                />
               </div>
             </div>
           </div>
@@ -13,6 +13,7 @@ import { CATEGORIES } from '../utils/constants';
 import useStore from '../store/useStore';
 import SEO from '../components/SEO';
 import { trackSearch } from '../lib/analytics';
+import { logSearch, recordSearchClick } from '../api/search.api';
 import { getProductCardImageProps } from '../lib/imageOptimization';
 import ProductSkeleton from '../components/ui/ProductSkeleton';
 import ErrorMessage from '../components/common/ErrorMessage';
@@ -20,6 +21,8 @@ import useDebounce from '../hooks/useDebounce';
 import { useProducts, usePrefetchProducts } from '../hooks/useProducts';
 import { PRODUCTS_PER_PAGE } from '../config/constants';
 import { getStockStatus } from '../lib/inventory';
+import { getProductPromotion, getPromotionBadge } from '../lib/promotions';
+import { useAutomaticPromotions } from '../hooks/useAutomaticPromotions';
 import { useVirtualScroll } from '../hooks/useVirtualScroll';
 
 const sizes = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
@@ -34,9 +37,11 @@ const colorOptions = [
   { name: 'Gray', hex: '#808080' },
 ];
 
-function ProductCard({ product, priority = false }) {
+function ProductCard({ product, priority = false, onSelect }) {
   const { isInWishlist, toggleWishlist } = useStore();
   const isWishlisted = isInWishlist(product.id);
+  const automaticPromotions = useAutomaticPromotions();
+  const promotion = getProductPromotion(product, automaticPromotions);
 
   // Safety check for images
   const images = product.images || [];
@@ -65,6 +70,7 @@ function ProductCard({ product, priority = false }) {
       to={`/products/${product.slug}`}
       className="myntra-product-card"
       style={{ opacity: isOutOfStock ? 0.7 : 1 }}
+      onClick={onSelect ? () => onSelect(product) : undefined}
     >
       <div className="myntra-product-card__image-wrapper">
         {hasImages && imageProps ? (
@@ -172,14 +178,19 @@ function ProductCard({ product, priority = false }) {
             </>
           )}
         </div>
+        {promotion && (
+          <p className="myntra-product-card__offer" title={promotion.name}>
+            {getPromotionBadge(promotion)}
+          </p>
+        )}
         {product.rating && product.rating > 0 && (
           <div className="myntra-product-card__rating">
             <span className="myntra-product-card__rating-value">
               {product.rating} ★
             </span>
-            {product.reviewCount && product.reviewCount > 0 && (
+            {product.reviews_count > 0 && (
               <span className="myntra-product-card__rating-count">
-                ({product.reviewCount})
+                ({product.reviews_count})
               </span>
             )}
           </div>
@@ -359,7 +370,7 @@ const VIRTUAL_SCROLL_CONFIG = {
  * Renders product grid with virtual scrolling for improved performance
  * Memoized to prevent unnecessary re-renders
  */
-const VirtualProductGrid = memo(function VirtualProductGrid({ products, isFetching }) {
+const VirtualProductGrid = memo(function VirtualProductGrid({ products, isFetching, onSelect }) {
   const containerRef = useRef(null);
   const [containerHeight, setContainerHeight] = useState(VIRTUAL_SCROLL_CONFIG.containerHeight);
 
@@ -441,6 +452,7 @@ const VirtualProductGrid = memo(function VirtualProductGrid({ products, isFetchi
                   key={product.id}
                   product={product}
                   priority={rowIndex === 0 && colIndex < 3}
+                  onSelect={onSelect}
                 />
               ))}
             </div>
@@ -577,6 +589,28 @@ export default function ProductListing() {
     }
   }, [searchQuery, data]);
 
+  // Log each search once (with the first result count) for search analytics
+  const searchLogRef = useRef(null);
+  useEffect(() => {
+    if (!searchQuery || !data || searchLogRef.current?.query === searchQuery) return;
+
+    const entry = { query: searchQuery, log: null, clicked: false };
+    searchLogRef.current = entry;
+    logSearch(searchQuery, data.pagination.totalItems).then((result) => {
+      entry.log = result.data;
+    });
+  }, [searchQuery, data]);
+
+  const handleResultClick = useCallback(
+    (product) => {
+      const entry = searchLogRef.current;
+      if (!searchQuery || entry?.query !== searchQuery || !entry.log || entry.clicked) return;
+      entry.clicked = true;
+      recordSearchClick(entry.log, product.id);
+    },
+    [searchQuery]
+  );
+
   // Extract data
   const products = data?.products || [];
   const pagination = data?.pagination || {
@@ -757,7 +791,11 @@ export default function ProductListing() {
               
               {/* Use virtual scrolling for better performance with large lists */}
               {USE_VIRTUAL_SCROLL && products.length > 20 ? (
-                <VirtualProductGrid products={products} isFetching={isFetching} />
+                <VirtualProductGrid
+                  products={products}
+                  isFetching={isFetching}
+                  onSelect={handleResultClick}
+                />
               ) : (
                 <div
                   className="myntra-products-grid"
@@ -771,6 +809,7 @@ export default function ProductListing() {
                       key={product.id}
                       product={product}
                       priority={index < 6}
+                      onSelect={handleResultClick}
                     />
                   ))}
                 </div>
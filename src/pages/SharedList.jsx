@@ -0,0 +1,64 @@
+import { useParams } from 'react-router-dom';
+import { Heart } from 'lucide-react';
+import SEO from '../components/SEO';
+import EmptyState from '../components/common/EmptyState';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import ListItems from '../components/wishlist/ListItems';
+import { useWishlistList } from '../hooks/useWishlistLists';
+
+/**
+ * Read-only view of a list shared by link
+ */
+export default function SharedList() {
+  const { listId } = useParams();
+  const { data: list, isLoading, isError } = useWishlistList(listId);
+
+  if (isLoading) {
+    return <LoadingSpinner fullPage />;
+  }
+
+  if (isError || !list) {
+    return (
+      <div className="page">
+        <div className="container">
+          <EmptyState
+            icon={Heart}
+            title="List not available"
+            subtitle="This list is private or no longer exists."
+            primaryAction={{ text: 'Discover Products', link: '/products' }}
+            iconColor="#dc2626"
+          />
+        </div>
+      </div>
+    );
+  }
+
+  const itemCount = list.items?.length || 0;
+
+  return (
+    <div className="page">
+      <SEO title={`${list.name} | Stryng Clothing`} description={`A list of ${itemCount} items`} />
+
+      <div className="container">
+        <h1
+          style={{
+            fontSize: 'var(--text-3xl)',
+            marginBottom: 'var(--space-2)',
+          }}
+        >
+          {list.name}
+        </h1>
+        <p
+          style={{
+            color: 'var(--color-text-muted)',
+            marginBottom: 'var(--space-8)',
+          }}
+        >
+          {itemCount} items
+        </p>
+
+        <ListItems items={list.items || []} />
+      </div>
+    </div>
+  );
+}
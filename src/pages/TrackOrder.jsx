@@ -0,0 +1,139 @@
+import { Link, useNavigate } from 'react-router-dom';
+import { AlertCircle, Loader2, Package, Phone } from 'lucide-react';
+import { useState } from 'react';
+import { lookupGuestOrder } from '../api/orders.api';
+import { signInAsGuest } from '../api/auth.api';
+import { validatePhone } from '../utils/validation';
+import useStore from '../store/useStore';
+import SEO from '../components/SEO';
+
+const iconStyle = {
+  position: 'absolute',
+  left: 'var(--space-3)',
+  top: '50%',
+  transform: 'translateY(-50%)',
+  color: 'var(--color-text-muted)',
+};
+
+export default function TrackOrder() {
+  const navigate = useNavigate();
+  const { user } = useStore();
+  const [orderNumber, setOrderNumber] = useState('');
+  const [phone, setPhone] = useState('');
+  const [error, setError] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const phoneValidation = validatePhone(phone);
+    if (!phoneValidation.isValid) {
+      setError(phoneValidation.error);
+      return;
+    }
+
+    setIsSearching(true);
+    const result = await lookupGuestOrder(orderNumber, phone);
+    if (!result.success) {
+      setError(result.error);
+      setIsSearching(false);
+      return;
+    }
+
+    // Order items are only readable with a session
+    if (!user) await signInAsGuest();
+    navigate(`/order/${result.data.order_id}`);
+  };
+
+  return (
+    <>
+      <SEO title="Track Your Order" description="Find an order placed as a guest" />
+
+      <div className="auth">
+        <h1 className="auth__title">Track Your Order</h1>
+        <p className="auth__subtitle">
+          Checked out as a guest? Enter your order number and the phone number you ordered with.
+        </p>
+
+        {error && (
+          <div className="auth__error">
+            <AlertCircle size={16} />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <form
+          className={`auth__form${isSearching ? ' auth__form--disabled' : ''}`}
+          onSubmit={handleSubmit}
+        >
+          <div className="input-group">
+            <label className="input-group__label">Order Number</label>
+            <div style={{ position: 'relative' }}>
+              <input
+                type="text"
+                className="input"
+                placeholder="ORD-2024-00001"
+                style={{ paddingLeft: 'var(--space-10)' }}
+                value={orderNumber}
+                onChange={(e) => setOrderNumber(e.target.value)}
+                required
+                disabled={isSearching}
+                autoFocus
+              />
+              <Package size={18} style={iconStyle} />
+            </div>
+          </div>
+
+          <div className="input-group">
+            <label className="input-group__label">Phone Number</label>
+            <div style={{ position: 'relative' }}>
+              <input
+                type="tel"
+                className="input"
+                placeholder="10-digit mobile number"
+                style={{ paddingLeft: 'var(--space-10)' }}
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                maxLength={10}
+                required
+                disabled={isSearching}
+              />
+              <Phone size={18} style={iconStyle} />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            className={`btn btn--primary btn--full btn--lg${isSearching ? ' btn--loading' : ''}`}
+            disabled={isSearching}
+          >
+            {isSearching ? (
+              <>
+                <Loader2 size={18} className="spin" />
+                Finding your order...
+              </>
+            ) : (
+              'Track Order'
+            )}
+          </button>
+        </form>
+
+        <p className="auth__footer">
+          {user ? (
+            <Link to="/orders" className="auth__link">
+              View your orders
+            </Link>
+          ) : (
+            <>
+              Have an account?{' '}
+              <Link to="/login" state={{ from: '/orders' }} className="auth__link">
+                Sign in
+              </Link>
+            </>
+          )}
+        </p>
+      </div>
+    </>
+  );
+}
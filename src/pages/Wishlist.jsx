@@ -1,16 +1,53 @@
 import { Link } from 'react-router-dom';
+import { useState } from 'react';
 import {
   Heart,
+  Plus,
   ShoppingBag,
   X,
 } from 'lucide-react';
 import useStore from '../store/useStore';
 import { formatPrice } from '../utils/format';
+import { createList } from '../api/wishlistLists.api';
+import { validateListName, MAX_LIST_NAME_LENGTH } from '../lib/wishlistLists';
+import { useWishlistLists, useInvalidateWishlistLists } from '../hooks/useWishlistLists';
+import { isInStock } from '../lib/inventory';
+import { STOCK_ALERT_TYPES } from '../config/constants';
+import AddToListMenu from '../components/wishlist/AddToListMenu';
+import StockAlertButton from '../components/wishlist/StockAlertButton';
+import NamedList from '../components/wishlist/NamedList';
 
 export default function Wishlist() {
-  const { wishlist, toggleWishlist } = useStore();
+  const { user, wishlist, toggleWishlist, showToast } = useStore();
+  const { data: lists = [] } = useWishlistLists(user?.id);
+  const invalidateLists = useInvalidateWishlistLists();
+  // null = the default wishlist
+  const [activeListId, setActiveListId] = useState(null);
+  const [newListName, setNewListName] = useState('');
+  const [nameError, setNameError] = useState('');
 
-  if (wishlist.length === 0) {
+  const activeList = lists.find((list) => list.id === activeListId);
+
+  const handleCreateList = async (e) => {
+    e.preventDefault();
+    const validation = validateListName(newListName, lists);
+    if (!validation.isValid) {
+      setNameError(validation.error);
+      return;
+    }
+
+    const result = await createList(user.id, newListName);
+    if (!result.success) {
+      showToast('Could not create list', 'error');
+      return;
+    }
+    setNewListName('');
+    setNameError('');
+    setActiveListId(result.data.id);
+    invalidateLists();
+  };
+
+  if (wishlist.length === 0 && lists.length === 0) {
     return (
       <div className="page">
         <div className="container">
@@ -204,66 +241,135 @@ export default function Wishlist() {
           {wishlist.length} items saved
         </p>
 
-        <div className="wishlist-grid">
-          {wishlist.map((product) => (
-            <div key={product.id} className="wishlist-item">
+        {user && (
+          <div className="wishlist-lists">
+            <div className="wishlist-lists__tabs" role="tablist">
               <button
-                className="wishlist-item__remove"
-                aria-label="Remove from wishlist"
-                onClick={() => toggleWishlist(product)}
+                type="button"
+                role="tab"
+                aria-selected={!activeList}
+                className={`wishlist-lists__tab ${!activeList ? 'wishlist-lists__tab--active' : ''}`}
+                onClick={() => setActiveListId(null)}
               >
-                <X size={16} />
+                Wishlist ({wishlist.length})
               </button>
+              {lists.map((list) => (
+                <button
+                  key={list.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={activeList?.id === list.id}
+                  className={`wishlist-lists__tab ${activeList?.id === list.id ? 'wishlist-lists__tab--active' : ''}`}
+                  onClick={() => setActiveListId(list.id)}
+                >
+                  {list.name} ({list.items?.length || 0})
+                </button>
+              ))}
+            </div>
 
-              <Link
-                to={`/products/${product.slug}`}
-                className="product-card"
-                style={{ boxShadow: 'none' }}
-              >
-                <div className="product-card__image-wrapper">
-                  <img
-                    src={product.images[0]}
-                    alt={product.name}
-                    className="product-card__image"
-                    loading="lazy"
-                  />
-                  {product.discount > 0 && (
-                    <div className="product-card__badges">
-                      <span className="badge badge--sale">
-                        -{product.discount}%
+            <form className="wishlist-lists__create" onSubmit={handleCreateList}>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="New list, e.g. Diwali"
+                value={newListName}
+                maxLength={MAX_LIST_NAME_LENGTH}
+                onChange={(e) => {
+                  setNewListName(e.target.value);
+                  setNameError('');
+                }}
+              />
+              <button type="submit" className="btn btn--secondary btn--sm">
+                <Plus size={14} /> New list
+              </button>
+            </form>
+            {nameError && <p className="add-to-list__error">{nameError}</p>}
+          </div>
+        )}
+
+        {activeList ? (
+          <NamedList
+            key={activeList.id}
+            list={activeList}
+            lists={lists}
+            onDeleted={() => setActiveListId(null)}
+          />
+        ) : wishlist.length === 0 ? (
+          <p className="list-items__empty">
+            Your wishlist is empty. <Link to="/products">Discover products</Link>
+          </p>
+        ) : (
+          <div className="wishlist-grid">
+            {wishlist.map((product) => (
+              <div key={product.id} className="wishlist-item">
+                <button
+                  className="wishlist-item__remove"
+                  aria-label="Remove from wishlist"
+                  onClick={() => toggleWishlist(product)}
+                >
+                  <X size={16} />
+                </button>
+
+                <Link
+                  to={`/products/${product.slug}`}
+                  className="product-card"
+                  style={{ boxShadow: 'none' }}
+                >
+                  <div className="product-card__image-wrapper">
+                    <img
+                      src={product.images[0]}
+                      alt={product.name}
+                      className="product-card__image"
+                      loading="lazy"
+                    />
+                    {product.discount > 0 && (
+                      <div className="product-card__badges">
+                        <span className="badge badge--sale">
+                          -{product.discount}%
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                  <div
+                    className="product-card__info"
+                    style={{ padding: 'var(--space-4) 0 0' }}
+                  >
+                    <p className="product-card__brand">{product.brand}</p>
+                    <h3 className="product-card__name">{product.name}</h3>
+                    <div className="product-card__price">
+                      <span className="product-card__price--current">
+                        {formatPrice(product.price)}
                       </span>
+                      {product.originalPrice > product.price && (
+                        <span className="product-card__price--original">
+                          {formatPrice(product.originalPrice)}
+                        </span>
+                      )}
                     </div>
-                  )}
-                </div>
-                <div
-                  className="product-card__info"
-                  style={{ padding: 'var(--space-4) 0 0' }}
+                  </div>
+                </Link>
+
+                <Link
+                  to={`/products/${product.slug}`}
+                  className="btn btn--secondary btn--full btn--sm"
+                  style={{ marginTop: 'var(--space-4)' }}
                 >
-                  <p className="product-card__brand">{product.brand}</p>
-                  <h3 className="product-card__name">{product.name}</h3>
-                  <div className="product-card__price">
-                    <span className="product-card__price--current">
-                      {formatPrice(product.price)}
-                    </span>
-                    {product.originalPrice > product.price && (
-                      <span className="product-card__price--original">
-                        {formatPrice(product.originalPrice)}
-                      </span>
+                  <ShoppingBag size={14} /> Select Options
+                </Link>
+
+                {user && (
+                  <div className="wishlist-item__extras">
+                    {!isInStock(product) && (
+                      <StockAlertButton product={product} type={STOCK_ALERT_TYPES.BACK_IN_STOCK} />
                     )}
+                    <StockAlertButton product={product} type={STOCK_ALERT_TYPES.PRICE_DROP} />
+                    <AddToListMenu productId={product.id} />
                   </div>
-                </div>
-              </Link>
-
-              <Link
-                to={`/products/${product.slug}`}
-                className="btn btn--secondary btn--full btn--sm"
-                style={{ marginTop: 'var(--space-4)' }}
-              >
-                <ShoppingBag size={14} /> Select Options
-              </Link>
-            </div>
-          ))}
-        </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,246 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Filter, RefreshCw } from 'lucide-react';
+import { getCodOrders, markCodCollected, reconcileCodOrders } from '../../api/cod.api';
+import { summarizeCodOrders } from '../../lib/cod';
+import { formatPrice, formatDate } from '../../utils/format';
+import {
+  ORDER_STATUS,
+  ORDER_STATUS_LABELS,
+  COD_STATUS,
+  COD_STATUS_LABELS,
+} from '../../config/constants';
+
+const STATUS_COLORS = {
+  [COD_STATUS.PENDING]: '#f59e0b',
+  [COD_STATUS.COLLECTED]: '#3b82f6',
+  [COD_STATUS.RECONCILED]: '#16a34a',
+};
+
+export default function AdminCod() {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [processingId, setProcessingId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const fetchOrders = useCallback(async () => {
+    setLoading(true);
+    const data = await getCodOrders(statusFilter ? { codStatus: statusFilter } : {});
+    setOrders(data);
+    setSelectedIds([]);
+    setLoading(false);
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  const summary = summarizeCodOrders(orders);
+
+  const handleCollect = async (order) => {
+    const input = prompt(
+      `Cash collected for order ${order.order_number}?`,
+      String(order.total)
+    );
+    if (input === null) return;
+
+    const amount = Number(input);
+    const note = amount < order.total ? prompt('Note for the shortfall (optional)') || '' : '';
+
+    setProcessingId(order.id);
+    const result = await markCodCollected(order.id, amount, note);
+    setProcessingId(null);
+
+    if (result.success) {
+      fetchOrders();
+    } else {
+      alert('Failed to record collection: ' + result.error);
+    }
+  };
+
+  const toggleSelected = (orderId) => {
+    setSelectedIds((prev) =>
+      prev.includes(orderId) ? prev.filter((id) => id !== orderId) : [...prev, orderId]
+    );
+  };
+
+  const handleReconcile = async () => {
+    const reference = prompt(`Remittance reference for ${selectedIds.length} order(s)?`);
+    if (!reference) return;
+
+    setProcessingId('reconcile');
+    const result = await reconcileCodOrders(selectedIds, reference.trim());
+    setProcessingId(null);
+
+    if (result.success) {
+      if (result.data.skipped.length > 0) {
+        alert(`${result.data.skipped.length} order(s) were skipped because they aren't collected.`);
+      }
+      fetchOrders();
+    } else {
+      alert('Failed to reconcile: ' + result.error);
+    }
+  };
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <h1>Cash on Delivery</h1>
+          <div className="action-buttons">
+            <button
+              onClick={handleReconcile}
+              className="btn btn--primary"
+              disabled={selectedIds.length === 0 || processingId === 'reconcile'}
+            >
+              Reconcile Selected ({selectedIds.length})
+            </button>
+            <button onClick={fetchOrders} className="btn btn--secondary" disabled={loading}>
+              <RefreshCw size={18} /> Refresh
+            </button>
+          </div>
+        </div>
+
+        <div className="admin-filters">
+          <div className="filter-group">
+            <Filter size={18} className="filter-icon" />
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="filter-select"
+            >
+              <option value="">All COD Orders</option>
+              {Object.values(COD_STATUS).map((status) => (
+                <option key={status} value={status}>
+                  {COD_STATUS_LABELS[status]}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <span>
+              To collect: <strong>{formatPrice(summary.toCollect.amount)}</strong> (
+              {summary.toCollect.count})
+            </span>
+          </div>
+          <div className="filter-group">
+            <span>
+              Awaiting remittance: <strong>{formatPrice(summary.collected.amount)}</strong> (
+              {summary.collected.count})
+            </span>
+          </div>
+          <div className="filter-group">
+            <span>
+              Reconciled: <strong>{formatPrice(summary.reconciled.amount)}</strong> (
+              {summary.reconciled.count})
+            </span>
+          </div>
+          {summary.shortfall > 0 && (
+            <div className="filter-group" style={{ color: '#dc2626' }}>
+              Short collected: <strong>{formatPrice(summary.shortfall)}</strong>
+            </div>
+          )}
+        </div>
+
+        <div className="admin-table-container">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Order</th>
+                <th>Placed</th>
+                <th>Order Status</th>
+                <th>Total</th>
+                <th>Collected</th>
+                <th>Cash Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="8" style={{ textAlign: 'center', padding: '40px' }}>
+                    Loading COD orders...
+                  </td>
+                </tr>
+              ) : orders.length === 0 ? (
+                <tr>
+                  <td colSpan="8" style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+                    No COD orders found.
+                  </td>
+                </tr>
+              ) : (
+                orders.map((order) => {
+                  const codStatus = order.cod_status || COD_STATUS.PENDING;
+                  const canCollect =
+                    codStatus === COD_STATUS.PENDING && order.status === ORDER_STATUS.DELIVERED;
+
+                  return (
+                    <tr key={order.id}>
+                      <td>
+                        {codStatus === COD_STATUS.COLLECTED && (
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(order.id)}
+                            onChange={() => toggleSelected(order.id)}
+                            aria-label={`Select order ${order.order_number}`}
+                          />
+                        )}
+                      </td>
+                      <td>
+                        <Link to={`/admin/orders/${order.id}`}>
+                          {order.order_number || order.id}
+                        </Link>
+                        <div style={{ fontSize: '12px', color: '#666' }}>
+                          {order.shipping_city}, {order.shipping_pincode}
+                        </div>
+                      </td>
+                      <td>{formatDate(order.created_at)}</td>
+                      <td>{ORDER_STATUS_LABELS[order.status] || order.status}</td>
+                      <td>{formatPrice(order.total)}</td>
+                      <td>
+                        {order.cod_collected_amount != null
+                          ? formatPrice(order.cod_collected_amount)
+                          : '—'}
+                        {order.cod_remittance_reference && (
+                          <div style={{ fontSize: '12px', color: '#666' }}>
+                            Ref {order.cod_remittance_reference}
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        <span
+                          className="stock-badge"
+                          style={{
+                            backgroundColor: `${STATUS_COLORS[codStatus]}15`,
+                            color: STATUS_COLORS[codStatus],
+                          }}
+                        >
+                          {COD_STATUS_LABELS[codStatus]}
+                        </span>
+                      </td>
+                      <td>
+                        <div className="action-buttons">
+                          {canCollect && (
+                            <button
+                              className="btn btn--primary btn--sm"
+                              onClick={() => handleCollect(order)}
+                              disabled={processingId === order.id}
+                            >
+                              Mark Collected
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,35 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Fragment } from 'react';
 import { Link } from 'react-router-dom';
-import { Plus, Search, Edit2, Trash2, ToggleLeft, ToggleRight, RefreshCw } from 'lucide-react';
-import { getCoupons, deleteCoupon, toggleCouponStatus } from '../../api/admin/coupons.admin.api';
+import { Plus, Search, Edit2, Trash2, ToggleLeft, ToggleRight, RefreshCw, Download, ListChecks } from 'lucide-react';
+import {
+  getCoupons,
+  deleteCoupon,
+  toggleCouponStatus,
+  getCouponStats,
+  exportCouponCodes,
+} from '../../api/admin/coupons.admin.api';
 import { formatPrice as utilFormatPrice, formatDate as utilFormatDate } from '../../utils/format';
+import { describePromotion } from '../../lib/promotions';
+import { describeTargeting } from '../../lib/couponTargeting';
 import '../../styles/admin-coupons.css';
 
+const DISCOUNT_TYPE_LABELS = {
+  percentage: 'Percentage',
+  fixed: 'Fixed',
+  buy_x_get_y: 'Buy X Get Y',
+  tiered: 'Tiered',
+  free_gift: 'Free Gift',
+};
+
+// "jackets · Size M, L" for coupons limited to some items ('' for the whole cart)
+const describeScope = ({ scope }) =>
+  [
+    ...scope.categories,
+    ...scope.brands,
+    ...(scope.sizes.length ? [`Size ${scope.sizes.join(', ')}`] : []),
+    ...(scope.product_ids.length ? [`${scope.product_ids.length} products`] : []),
+  ].join(' · ');
+
 const formatPrice = (price) => utilFormatPrice(price || 0);
 const formatDate = (date) => {
   try {
@@ -20,6 +45,8 @@ export default function AdminCoupons() {
   const [filter, setFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
   const [refreshing, setRefreshing] = useState(false);
+  // Per-code redemptions of the coupon whose codes are open
+  const [openCodes, setOpenCodes] = useState(null);
 
   const fetchCoupons = async () => {
     try {
@@ -70,14 +97,43 @@ export default function AdminCoupons() {
     }
   };
 
+  const handleToggleCodes = async (id) => {
+    if (openCodes?.id === id) {
+      setOpenCodes(null);
+      return;
+    }
+    try {
+      setOpenCodes({ id, loading: true });
+      const { stats, codes } = await getCouponStats(id);
+      setOpenCodes({ id, stats, codes });
+    } catch (error) {
+      setOpenCodes(null);
+      alert(error.message || 'Failed to load codes');
+    }
+  };
+
+  const handleExportCodes = async (coupon) => {
+    try {
+      const csv = await exportCouponCodes(coupon.id);
+      const blob = new Blob([csv], { type: 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${coupon.code.toLowerCase()}-codes-${new Date().toISOString().split('T')[0]}.csv`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(error.message || 'Failed to export codes');
+    }
+  };
+
   const getStatusBadge = (coupon) => {
     const now = new Date();
-    const endDate = new Date(coupon.endDate);
     
-    if (!coupon.isActive) {
+    if (!coupon.is_active) {
       return <span className="status-badge status-inactive">Inactive</span>;
     }
-    if (now > endDate) {
+    if (coupon.end_date && now > coupon.end_date) {
       return <span className="status-badge status-expired">Expired</span>;
     }
     return <span className="status-badge status-active">Active</span>;
@@ -221,82 +277,163 @@ export default function AdminCoupons() {
             </thead>
             <tbody>
               {filteredCoupons.map((coupon) => (
-                <tr key={coupon.id}>
-                  <td>
-                    <div className="coupon-code-cell">
-                      <span className="coupon-code">{coupon.code}</span>
-                      {coupon.description && (
-                        <span className="coupon-description">{coupon.description}</span>
-                      )}
-                    </div>
-                  </td>
-                  <td>
-                    <span className="type-badge">
-                      {coupon.discountType === 'percentage' ? 'Percentage' : 'Fixed'}
-                    </span>
-                  </td>
-                  <td>
-                    <div className="discount-cell">
-                      <span className="discount-value">
-                        {coupon.discountType === 'percentage'
-                          ? `${coupon.discountValue}%`
-                          : formatPrice(coupon.discountValue)}
-                      </span>
-                      {coupon.discountType === 'percentage' && coupon.maxDiscount && (
-                        <span className="max-discount">Max: {formatPrice(coupon.maxDiscount)}</span>
-                      )}
-                    </div>
-                  </td>
-                  <td>{formatPrice(coupon.minOrderValue)}</td>
-                  <td>
-                    <div className="validity-cell">
-                      <span>{formatDate(coupon.startDate)}</span>
-                      <span className="date-separator">to</span>
-                      <span>{formatDate(coupon.endDate)}</span>
-                    </div>
-                  </td>
-                  <td>
-                    <div className="usage-cell">
-                      <span className="usage-count">
-                        {coupon.usedCount} / {coupon.maxUses || '∞'}
-                      </span>
-                      <span className="usage-per-user">
-                        Max {coupon.maxUsesPerUser} per user
+                <Fragment key={coupon.id}>
+                  <tr>
+                    <td>
+                      <div className="coupon-code-cell">
+                        <span className="coupon-code">{coupon.code}</span>
+                        {coupon.automatic && (
+                          <span className="coupon-description">Automatic · {coupon.name}</span>
+                        )}
+                        {coupon.unique_codes && (
+                          <span className="coupon-description">
+                            Unique codes{coupon.code_template?.prefix && ` · ${coupon.code_template.prefix}-…`}
+                          </span>
+                        )}
+                        {describeTargeting(coupon) && (
+                          <span className="coupon-description">{describeTargeting(coupon)}</span>
+                        )}
+                        {coupon.description && (
+                          <span className="coupon-description">{coupon.description}</span>
+                        )}
+                      </div>
+                    </td>
+                    <td>
+                      <span className="type-badge">
+                        {DISCOUNT_TYPE_LABELS[coupon.discount_type]}
                       </span>
-                    </div>
-                  </td>
-                  <td>{getStatusBadge(coupon)}</td>
-                  <td>
-                    <div className="action-buttons">
-                      <Link
-                        to={`/admin/coupons/${coupon.id}/edit`}
-                        className="btn-icon"
-                        title="Edit"
-                      >
-                        <Edit2 size={16} />
-                      </Link>
-                      <button
-                        onClick={() => handleToggleStatus(coupon.id, coupon.isActive)}
-                        className="btn-icon"
-                        title={coupon.isActive ? 'Deactivate' : 'Activate'}
-                      >
-                        {coupon.isActive ? (
-                          <ToggleRight size={16} />
+                    </td>
+                    <td>
+                      <div className="discount-cell">
+                        <span className="discount-value">{describePromotion(coupon)}</span>
+                        {coupon.max_discount && (
+                          <span className="max-discount">Max: {formatPrice(coupon.max_discount)}</span>
+                        )}
+                        {describeScope(coupon) && (
+                          <span className="max-discount">On: {describeScope(coupon)}</span>
+                        )}
+                        {coupon.exclusive && <span className="max-discount">Exclusive</span>}
+                      </div>
+                    </td>
+                    <td>{formatPrice(coupon.min_order_value)}</td>
+                    <td>
+                      <div className="validity-cell">
+                        <span>{formatDate(coupon.start_date)}</span>
+                        <span className="date-separator">to</span>
+                        <span>{formatDate(coupon.end_date)}</span>
+                      </div>
+                    </td>
+                    <td>
+                      <div className="usage-cell">
+                        <span className="usage-count">
+                          {coupon.unique_codes
+                            ? `${coupon.used_count} / ${coupon.codes_count} codes`
+                            : `${coupon.used_count} / ${coupon.max_uses || '∞'}`}
+                        </span>
+                        <span className="usage-per-user">
+                          Max {coupon.max_uses_per_user} per user
+                        </span>
+                      </div>
+                    </td>
+                    <td>{getStatusBadge(coupon)}</td>
+                    <td>
+                      <div className="action-buttons">
+                        <Link
+                          to={`/admin/coupons/${coupon.id}/edit`}
+                          className="btn-icon"
+                          title="Edit"
+                        >
+                          <Edit2 size={16} />
+                        </Link>
+                        <button
+                          onClick={() => handleToggleStatus(coupon.id, coupon.is_active)}
+                          className="btn-icon"
+                          title={coupon.is_active ? 'Deactivate' : 'Activate'}
+                        >
+                          {coupon.is_active ? (
+                            <ToggleRight size={16} />
+                          ) : (
+                            <ToggleLeft size={16} />
+                          )}
+                        </button>
+                        {coupon.unique_codes && (
+                          <>
+                            <button
+                              onClick={() => handleToggleCodes(coupon.id)}
+                              className="btn-icon"
+                              title="Code redemptions"
+                            >
+                              <ListChecks size={16} />
+                            </button>
+                            <button
+                              onClick={() => handleExportCodes(coupon)}
+                              className="btn-icon"
+                              title="Export codes (CSV)"
+                            >
+                              <Download size={16} />
+                            </button>
+                          </>
+                        )}
+                        <button
+                          onClick={() => handleDelete(coupon.id, coupon.used_count)}
+                          className="btn-icon btn-danger"
+                          title="Delete"
+                          disabled={coupon.used_count > 0}
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                  {openCodes?.id === coupon.id && (
+                    <tr className="coupon-codes-row">
+                      <td colSpan={8}>
+                        {openCodes.loading ? (
+                          <span>Loading codes...</span>
                         ) : (
-                          <ToggleLeft size={16} />
+                          <div className="coupon-codes">
+                            <p className="coupon-codes__summary">
+                              {openCodes.stats.codes_redeemed} of {openCodes.stats.codes_total} codes
+                              redeemed · {formatPrice(openCodes.stats.total_discount_given)} discount given
+                            </p>
+                            {openCodes.stats.codes_redeemed > 0 && (
+                              <table className="coupon-codes__table">
+                                <thead>
+                                  <tr>
+                                    <th>Code</th>
+                                    <th>Redeemed</th>
+                                    <th>Customer</th>
+                                    <th>Order</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {openCodes.codes
+                                    .filter((code) => code.redeemed_at)
+                                    .slice(0, 50)
+                                    .map((code) => (
+                                      <tr key={code.code}>
+                                        <td className="coupon-code">{code.code}</td>
+                                        <td>{formatDate(code.redeemed_at)}</td>
+                                        <td>{code.redeemed_by}</td>
+                                        <td>
+                                          <Link to={`/admin/orders/${code.order_id}`}>{code.order_id}</Link>
+                                        </td>
+                                      </tr>
+                                    ))}
+                                </tbody>
+                              </table>
+                            )}
+                            {openCodes.stats.codes_redeemed > 50 && (
+                              <span className="usage-per-user">
+                                Showing the 50 latest redemptions; export the CSV for all codes.
+                              </span>
+                            )}
+                          </div>
                         )}
-                      </button>
-                      <button
-                        onClick={() => handleDelete(coupon.id, coupon.usedCount)}
-                        className="btn-icon btn-danger"
-                        title="Delete"
-                        disabled={coupon.usedCount > 0}
-                      >
-                        <Trash2 size={16} />
-                      </button>
-                    </div>
-                  </td>
-                </tr>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
               ))}
             </tbody>
           </table>
@@ -19,6 +19,7 @@ import {
 import { useEffect, useState } from 'react';
 import { getDashboardStats, getRecentOrders } from '../../api/orders.api';
 import { useAllProducts } from '../../hooks/useProducts';
+import { getLowStockVariants, getVariantLabel } from '../../lib/inventory';
 import { formatPrice as utilFormatPrice, formatDate as utilFormatDate } from '../../utils/format';
 import '../../styles/admin-dashboard.css';
 
@@ -96,12 +97,9 @@ export default function AdminDashboard() {
   }, []);
 
   useEffect(() => {
-    // Find low stock products (stock < 10)
+    // Find low stock products/variants (stock < 10)
     if (products.length > 0) {
-      const lowStock = products
-        .filter((p) => p.stock < 10 && p.stock > 0)
-        .sort((a, b) => a.stock - b.stock)
-        .slice(0, 5);
+      const lowStock = getLowStockVariants(products, 9).slice(0, 5);
       setLowStockProducts(lowStock);
     }
   }, [products]);
@@ -343,8 +341,8 @@ export default function AdminDashboard() {
           </div>
           <div className="low-stock-list">
             {lowStockProducts.length > 0 ? (
-              lowStockProducts.map((product) => (
-                <div key={product.id} className="low-stock-item">
+              lowStockProducts.map(({ product, variant, stock }) => (
+                <div key={`${product.id}-${variant?.sku || ''}`} className="low-stock-item">
                   <img
                     src={product.images?.[0] || '/placeholder.jpg'}
                     alt={product.name}
@@ -352,11 +350,13 @@ export default function AdminDashboard() {
                   />
                   <div className="product-info-enhanced">
                     <h4>{product.name}</h4>
-                    <p className="product-category">{product.category}</p>
+                    <p className="product-category">
+                      {variant ? `${getVariantLabel(variant)} · ${variant.sku}` : product.category}
+                    </p>
                   </div>
                   <div className="stock-info">
-                    <span className={`stock-badge ${product.stock === 0 ? 'out-of-stock' : 'low-stock'}`}>
-                      {product.stock === 0 ? 'Out of Stock' : `${product.stock} left`}
+                    <span className={`stock-badge ${stock === 0 ? 'out-of-stock' : 'low-stock'}`}>
+                      {stock === 0 ? 'Out of Stock' : `${stock} left`}
                     </span>
                     <Link
                       to={`/admin/products/${product.id}/edit`}
@@ -24,8 +24,27 @@ import {
   getOrderById,
   updateOrderStatus,
   verifyPayment,
+  cancelOrderItem,
 } from '../../api/orders.api';
+import { markCodCollected } from '../../api/cod.api';
 import { formatPrice as utilFormatPrice, formatDate as utilFormatDate, formatDateTime } from '../../utils/format';
+import {
+  ORDER_STATUS,
+  ORDER_STATUS_LABELS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_STATUS,
+  PAYMENT_METHODS,
+  COD_STATUS,
+  COD_STATUS_LABELS,
+  GST_TYPES,
+  SHIPPING_METHODS,
+  MERCHANT_UPI,
+} from '../../config/constants';
+import { buildUpiLink } from '../../lib/upi';
+import QRCode from '../../components/common/QRCode';
+import { getAllowedTransitions, canTransition } from '../../lib/orderStatus';
+import { isActiveOrderItem, getOrderPromotions } from '../../lib/orderTotals';
+import { getPromotionLabel } from '../../lib/promotions';
 import '../../styles/admin-order-details.css';
 
 const formatPrice = (price) => utilFormatPrice(price || 0);
@@ -84,6 +103,7 @@ export default function AdminOrderDetails() {
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [updating, setUpdating] = useState(false);
+  const [statusNote, setStatusNote] = useState('');
 
   const fetchOrder = async () => {
     setLoading(true);
@@ -107,9 +127,10 @@ export default function AdminOrderDetails() {
 
   const handleUpdateStatus = async (newStatus) => {
     setUpdating(true);
-    const result = await updateOrderStatus(id, newStatus);
+    const result = await updateOrderStatus(id, newStatus, { note: statusNote });
     if (result.success) {
       setOrder({ ...order, status: newStatus });
+      setStatusNote('');
       alert('Order status updated successfully!');
       fetchOrder(); // Refresh to get updated timeline
     } else {
@@ -118,6 +139,20 @@ export default function AdminOrderDetails() {
     setUpdating(false);
   };
 
+  const handleCancelItem = async (item) => {
+    const reason = prompt(`Reason for cancelling ${item.product_name} (${item.size})?`);
+    if (reason === null) return;
+
+    setUpdating(true);
+    const result = await cancelOrderItem(id, item.id, reason);
+    if (result.success) {
+      fetchOrder();
+    } else {
+      alert('Failed to cancel item: ' + result.error);
+    }
+    setUpdating(false);
+  };
+
   const handleVerifyPayment = async (isVerified) => {
     const message = isVerified
       ? 'Confirm payment received and mark as PAID?'
@@ -140,6 +175,20 @@ export default function AdminOrderDetails() {
     }
   };
 
+  const handleCodCollected = async () => {
+    const input = prompt('Cash collected on delivery?', String(order.total));
+    if (input === null) return;
+
+    setUpdating(true);
+    const result = await markCodCollected(id, Number(input));
+    if (result.success) {
+      fetchOrder();
+    } else {
+      alert('Failed to record collection: ' + result.error);
+    }
+    setUpdating(false);
+  };
+
   const printInvoice = () => {
     window.print();
   };
@@ -204,8 +253,11 @@ export default function AdminOrderDetails() {
     );
   }
 
-  const subtotal = (order.total || 0) / 1.18;
-  const tax = (order.total || 0) - subtotal;
+  const subtotal = order.subtotal ?? (order.total || 0) / 1.18;
+  const tax = order.tax ?? (order.total || 0) - subtotal;
+  const canCancelItems =
+    canTransition(order.status, ORDER_STATUS.CANCELLED) &&
+    (order.order_items || []).filter(isActiveOrderItem).length > 1;
   
   // Build address object from shipping fields
   const orderAddress = {
@@ -339,15 +391,22 @@ export default function AdminOrderDetails() {
             className={`status-select-large ${getStatusClass(order.status)}`}
             value={order.status}
             onChange={(e) => handleUpdateStatus(e.target.value)}
-            disabled={updating}
+            disabled={updating || getAllowedTransitions(order.status).length === 0}
           >
-            <option value="pending">Pending</option>
-            <option value="confirmed">Confirmed</option>
-            <option value="processing">Processing</option>
-            <option value="shipped">Shipped</option>
-            <option value="delivered">Delivered</option>
-            <option value="cancelled">Cancelled</option>
+            {[order.status, ...getAllowedTransitions(order.status)].map((status) => (
+              <option key={status} value={status}>
+                {ORDER_STATUS_LABELS[status] || formatStatus(status)}
+              </option>
+            ))}
           </select>
+          <input
+            type="text"
+            className="status-note-input"
+            placeholder="Note for timeline (optional)"
+            value={statusNote}
+            onChange={(e) => setStatusNote(e.target.value)}
+            disabled={updating}
+          />
         </div>
       </div>
 
@@ -389,9 +448,10 @@ export default function AdminOrderDetails() {
                   
                 const itemQuantity = item.quantity || 1;
                 const itemPrice = item.price || 0;
+                const isCancelled = !isActiveOrderItem(item);
                 
                 return (
-                  <div key={i} className="item-row">
+                  <div key={i} className={`item-row ${isCancelled ? 'item-row--cancelled' : ''}`}>
                     <img
                       src={productImage}
                       alt={productName}
@@ -408,10 +468,40 @@ export default function AdminOrderDetails() {
                         <span>Color: {itemColor}</span>
                         <span>•</span>
                         <span>Qty: {itemQuantity}</span>
+                        {item.hsn_code && (
+                          <>
+                            <span>•</span>
+                            <span>HSN: {item.hsn_code}</span>
+                            <span>•</span>
+                            <span>GST: {item.tax_rate}%</span>
+                          </>
+                        )}
                       </div>
                       <div className="item-price">
                         {formatPrice(itemPrice)} × {itemQuantity}
                       </div>
+                      {item.discount > 0 && (
+                        <div className="item-price">
+                          Discount: -{formatPrice(item.discount)}
+                          {item.promotions?.length > 0 &&
+                            ` (${item.promotions.map((promotion) => promotion.code).join(', ')})`}
+                        </div>
+                      )}
+                      {isCancelled ? (
+                        <div className="item-cancelled">
+                          Cancelled{item.cancel_reason && ` — ${item.cancel_reason}`}
+                        </div>
+                      ) : (
+                        canCancelItems && (
+                          <button
+                            className="btn-cancel-item"
+                            onClick={() => handleCancelItem(item)}
+                            disabled={updating}
+                          >
+                            Cancel item
+                          </button>
+                        )
+                      )}
                     </div>
                     <div className="item-total">{formatPrice(itemPrice * itemQuantity)}</div>
                   </div>
@@ -425,14 +515,53 @@ export default function AdminOrderDetails() {
                 <span>Subtotal</span>
                 <span>{formatPrice(subtotal)}</span>
               </div>
+              {getOrderPromotions(order)
+                .filter((promotion) => promotion.discount > 0)
+                .map((promotion) => (
+                  <div key={promotion.id} className="summary-row">
+                    <span>{getPromotionLabel(promotion)}</span>
+                    <span>-{formatPrice(promotion.discount)}</span>
+                  </div>
+                ))}
+              {order.tax_breakdown?.type === GST_TYPES.INTER_STATE ? (
+                <div className="summary-row">
+                  <span>IGST</span>
+                  <span>{formatPrice(order.tax_breakdown.igst)}</span>
+                </div>
+              ) : order.tax_breakdown ? (
+                <>
+                  <div className="summary-row">
+                    <span>CGST</span>
+                    <span>{formatPrice(order.tax_breakdown.cgst)}</span>
+                  </div>
+                  <div className="summary-row">
+                    <span>SGST</span>
+                    <span>{formatPrice(order.tax_breakdown.sgst)}</span>
+                  </div>
+                </>
+              ) : (
+                <div className="summary-row">
+                  <span>Tax (18% GST)</span>
+                  <span>{formatPrice(tax)}</span>
+                </div>
+              )}
               <div className="summary-row">
-                <span>Tax (18% GST)</span>
-                <span>{formatPrice(tax)}</span>
-              </div>
-              <div className="summary-row">
-                <span>Shipping</span>
-                <span className="free-badge">FREE</span>
+                <span>
+                  Shipping
+                  {order.shipping_method === SHIPPING_METHODS.EXPRESS && ' (Express)'}
+                </span>
+                {order.shipping_cost > 0 ? (
+                  <span>{formatPrice(order.shipping_cost)}</span>
+                ) : (
+                  <span className="free-badge">FREE</span>
+                )}
               </div>
+              {order.cod_fee > 0 && (
+                <div className="summary-row">
+                  <span>COD Fee</span>
+                  <span>{formatPrice(order.cod_fee)}</span>
+                </div>
+              )}
               <div className="summary-row summary-total">
                 <span>Total</span>
                 <span>{formatPrice(order.total)}</span>
@@ -454,9 +583,14 @@ export default function AdminOrderDetails() {
                       {getStatusIcon(event.status)}
                     </div>
                     <div className="timeline-content">
-                      <div className="timeline-message">{event.message}</div>
+                      <div className="timeline-message">
+                        {ORDER_STATUS_LABELS[event.status] || formatStatus(event.status)}
+                        {event.note && ` — ${event.note}`}
+                      </div>
                       <div className="timeline-time">
                         {formatDate(event.timestamp)} at {formatTime(event.timestamp)}
+                        {' · '}
+                        {event.actor?.email || formatStatus(event.actor?.role || 'system')}
                       </div>
                     </div>
                   </div>
@@ -522,7 +656,7 @@ export default function AdminOrderDetails() {
               <div className="payment-info-item">
                 <div className="info-label">Payment Method</div>
                 <div className="info-value payment-method-badge">
-                  {order.payment_method === 'upi' ? 'UPI / QR Code' : order.payment_method === 'cod' ? 'Cash on Delivery' : order.payment_method?.toUpperCase() || 'N/A'}
+                  {PAYMENT_METHOD_LABELS[order.payment_method] || order.payment_method?.toUpperCase() || 'N/A'}
                 </div>
               </div>
               <div className="payment-info-item">
@@ -557,10 +691,72 @@ export default function AdminOrderDetails() {
                   </div>
                 </div>
               )}
+              {order.payment_intent_id && (
+                <div className="payment-info-item full-width">
+                  <div className="info-label">Payment ID</div>
+                  <div className="info-value transaction-id-box">
+                    <code>{order.payment_id || order.payment_intent_id}</code>
+                    {order.status === ORDER_STATUS.PENDING && order.payment_status !== 'paid' && (
+                      <button
+                        onClick={() => handleVerifyPayment(true)}
+                        className="btn-copy-inline"
+                        disabled={updating}
+                        title="Fetch the latest status from the payment provider"
+                      >
+                        Check status
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+              {order.payment_method === PAYMENT_METHODS.COD && (
+                <div className="payment-info-item full-width">
+                  <div className="info-label">Cash Collection</div>
+                  <div className="info-value transaction-id-box">
+                    <span>
+                      {COD_STATUS_LABELS[order.cod_status || COD_STATUS.PENDING]}
+                      {order.cod_collected_amount != null &&
+                        ` · ${formatPrice(order.cod_collected_amount)} by ${order.cod_collected_by}`}
+                      {order.cod_remittance_reference && ` · Ref ${order.cod_remittance_reference}`}
+                    </span>
+                    {order.status === ORDER_STATUS.DELIVERED &&
+                      (order.cod_status || COD_STATUS.PENDING) === COD_STATUS.PENDING && (
+                        <button
+                          onClick={handleCodCollected}
+                          className="btn-copy-inline"
+                          disabled={updating}
+                        >
+                          Mark cash collected
+                        </button>
+                      )}
+                  </div>
+                </div>
+              )}
               <div className="payment-info-item full-width">
                 <div className="info-label">Amount to Verify</div>
                 <div className="info-value amount-value">{formatPrice(order.total)}</div>
               </div>
+              {MERCHANT_UPI.VPA &&
+                order.payment_status === PAYMENT_STATUS.PENDING &&
+                order.status !== ORDER_STATUS.CANCELLED && (
+                  <div className="payment-info-item full-width invoice-qr">
+                    <QRCode
+                      value={buildUpiLink({
+                        vpa: MERCHANT_UPI.VPA,
+                        name: MERCHANT_UPI.NAME,
+                        amount: order.total,
+                        reference: order.order_number,
+                        note: `Order ${order.order_number}`,
+                      })}
+                      size={120}
+                      title="UPI payment QR code"
+                    />
+                    <div>
+                      <div className="info-label">Scan to Pay with UPI</div>
+                      <div className="info-value">{MERCHANT_UPI.VPA}</div>
+                    </div>
+                  </div>
+                )}
               {order.payment_verified_at && (
                 <div className="payment-info-item full-width">
                   <div className="info-label">Verified At</div>
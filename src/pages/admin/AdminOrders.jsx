@@ -25,6 +25,8 @@ import {
   verifyPayment,
 } from '../../api/orders.api';
 import { formatPrice, formatDate, formatDateTime } from '../../utils/format';
+import { ORDER_STATUS_LABELS, PAYMENT_METHOD_LABELS } from '../../config/constants';
+import { getAllowedTransitions } from '../../lib/orderStatus';
 import '../../styles/admin-orders.css';
 
 const formatTime = (date) => {
@@ -416,7 +418,7 @@ export default function AdminOrders() {
                   <td data-label="Payment">
                     <div className="payment-info">
                       <span className="payment-method">
-                        {order.payment_method === 'upi' ? 'UPI' : 'COD'}
+                        {PAYMENT_METHOD_LABELS[order.payment_method] || order.payment_method}
                       </span>
                       <span className={`payment-status ${getPaymentStatusClass(order.payment_status)}`}>
                         {order.payment_status === 'awaiting_verification'
@@ -430,13 +432,13 @@ export default function AdminOrders() {
                       className={`status-select ${getStatusClass(order.status)}`}
                       value={order.status}
                       onChange={(e) => handleUpdateStatus(order.id, e.target.value)}
+                      disabled={getAllowedTransitions(order.status).length === 0}
                     >
-                      <option value="pending">Pending</option>
-                      <option value="confirmed">Confirmed</option>
-                      <option value="processing">Processing</option>
-                      <option value="shipped">Shipped</option>
-                      <option value="delivered">Delivered</option>
-                      <option value="cancelled">Cancelled</option>
+                      {[order.status, ...getAllowedTransitions(order.status)].map((status) => (
+                        <option key={status} value={status}>
+                          {ORDER_STATUS_LABELS[status] || status}
+                        </option>
+                      ))}
                     </select>
                   </td>
                   <td data-label="Actions">
@@ -10,6 +10,7 @@ import {
   Search,
 } from 'lucide-react';
 import useStore from '../../store/useStore';
+import { useShippingSettings } from '../../hooks/useShippingSettings';
 import {
   getAllServiceablePincodes,
   addServiceablePincode,
@@ -20,6 +21,8 @@ import {
 
 export default function AdminPincodes() {
   const { showToast } = useStore();
+  const { zones } = useShippingSettings();
+  const zoneLabels = Object.fromEntries(zones.map((zone) => [zone.id, zone.label]));
   const [pincodes, setPincodes] = useState([]);
   const [filteredPincodes, setFilteredPincodes] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -33,6 +36,8 @@ export default function AdminPincodes() {
     city: '',
     state: '',
     is_cod_available: true,
+    is_express_available: true,
+    zone: '',
     estimated_delivery_days: 5,
     is_active: true,
   });
@@ -76,6 +81,8 @@ export default function AdminPincodes() {
       city: '',
       state: '',
       is_cod_available: true,
+      is_express_available: true,
+      zone: '',
       estimated_delivery_days: 5,
       is_active: true,
     });
@@ -84,7 +91,11 @@ export default function AdminPincodes() {
   };
 
   const handleEdit = (pincode) => {
-    setFormData(pincode);
+    setFormData({
+      ...pincode,
+      zone: pincode.zone || '',
+      is_express_available: pincode.is_express_available !== false,
+    });
     setEditingId(pincode.id);
     setIsEditing(true);
   };
@@ -150,7 +161,7 @@ export default function AdminPincodes() {
           const line = lines[i].trim();
           if (!line) continue;
 
-          const [pincode, city, state, is_cod, delivery_days] = line.split(',');
+          const [pincode, city, state, is_cod, delivery_days, zone, is_express] = line.split(',');
 
           if (pincode && city && state) {
             pincodesArray.push({
@@ -159,6 +170,8 @@ export default function AdminPincodes() {
               state: state.trim(),
               is_cod_available: is_cod?.trim().toLowerCase() !== 'false',
               estimated_delivery_days: parseInt(delivery_days?.trim()) || 5,
+              zone: zone?.trim() || '',
+              is_express_available: is_express?.trim().toLowerCase() !== 'false',
               is_active: true,
             });
           }
@@ -197,6 +210,8 @@ export default function AdminPincodes() {
       'state',
       'is_cod_available',
       'estimated_delivery_days',
+      'zone',
+      'is_express_available',
       'is_active',
     ];
     const csvContent = [
@@ -208,6 +223,8 @@ export default function AdminPincodes() {
           p.state,
           p.is_cod_available,
           p.estimated_delivery_days,
+          p.zone || '',
+          p.is_express_available !== false,
           p.is_active,
         ].join(',')
       ),
@@ -342,6 +359,38 @@ export default function AdminPincodes() {
                 />
               </div>
 
+              <div className="form-group">
+                <label className="form-label">Shipping Zone</label>
+                <select
+                  className="form-input"
+                  value={formData.zone}
+                  onChange={(e) => setFormData({ ...formData, zone: e.target.value })}
+                >
+                  <option value="">No surcharge</option>
+                  {zones.map((zone) => (
+                    <option key={zone.id} value={zone.id}>
+                      {zone.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.is_express_available}
+                    onChange={(e) =>
+                      setFormData({
+                        ...formData,
+                        is_express_available: e.target.checked,
+                      })
+                    }
+                  />
+                  <span>Express Delivery Available</span>
+                </label>
+              </div>
+
               <div className="form-group">
                 <label className="checkbox-label">
                   <input
@@ -422,6 +471,7 @@ export default function AdminPincodes() {
                         <th>City</th>
                         <th>State</th>
                         <th>Delivery Days</th>
+                        <th>Zone</th>
                         <th>COD</th>
                         <th>Status</th>
                         <th>Actions</th>
@@ -436,6 +486,7 @@ export default function AdminPincodes() {
                           <td>{pincode.city}</td>
                           <td>{pincode.state}</td>
                           <td>{pincode.estimated_delivery_days} days</td>
+                          <td>{zoneLabels[pincode.zone] || pincode.zone || '—'}</td>
                           <td>
                             <span
                               className={`badge ${pincode.is_cod_available ? 'badge--success' : 'badge--secondary'}`}
@@ -9,23 +9,36 @@ import {
   Package,
   AlertTriangle,
   TrendingDown,
+  RefreshCw,
 } from 'lucide-react';
 import useStore from '../../store/useStore';
 import { useAllProducts } from '../../hooks/useProducts';
 import { useQueryClient } from '@tanstack/react-query';
 import { queryKeys } from '../../lib/queryClient';
-import { getStockStatus } from '../../lib/inventory';
+import { rebuildCoPurchases } from '../../api/recommendations.api';
+import {
+  getStockStatus,
+  getLowStockVariants,
+  getVariantLabel,
+} from '../../lib/inventory';
 
 const formatPrice = (price) => `₹${Number(price).toLocaleString('en-IN')}`;
 
+// Variants at or below the product's threshold, including sold-out ones
+const getLowVariants = (product) =>
+  getLowStockVariants([product], product.lowStockThreshold || 10, {
+    includeOutOfStock: true,
+  }).filter((entry) => entry.variant);
+
 export default function AdminProducts() {
-  const { deleteProduct } = useStore();
+  const { deleteProduct, showToast } = useStore();
   const queryClient = useQueryClient();
   const { data: products = [], isLoading, error, refetch } = useAllProducts();
   const [searchTerm, setSearchTerm] = useState('');
   const [categoryFilter, setCategoryFilter] = useState('all');
   const [stockFilter, setStockFilter] = useState('all');
   const [isSeeding, setIsSeeding] = useState(false);
+  const [isRebuilding, setIsRebuilding] = useState(false);
 
   const filteredProducts = products.filter((product) => {
     const matchesSearch =
@@ -47,7 +60,8 @@ export default function AdminProducts() {
       matchesStock =
         product.stock !== undefined &&
         product.stock > 0 &&
-        product.stock <= (product.lowStockThreshold || 10);
+        (product.stock <= (product.lowStockThreshold || 10) ||
+          getLowVariants(product).length > 0);
     } else if (stockFilter === 'out_of_stock') {
       matchesStock = product.stock !== undefined && product.stock === 0;
     }
@@ -63,7 +77,9 @@ export default function AdminProducts() {
       (p) => p.stock === undefined || p.stock > (p.lowStockThreshold || 10)
     ).length,
     lowStock: trackedProducts.filter(
-      (p) => p.stock > 0 && p.stock <= (p.lowStockThreshold || 10)
+      (p) =>
+        p.stock > 0 &&
+        (p.stock <= (p.lowStockThreshold || 10) || getLowVariants(p).length > 0)
     ).length,
     outOfStock: trackedProducts.filter((p) => p.stock === 0).length,
   };
@@ -89,6 +105,18 @@ export default function AdminProducts() {
     }
   };
 
+  const handleRebuildRecommendations = async () => {
+    setIsRebuilding(true);
+    const result = await rebuildCoPurchases();
+    setIsRebuilding(false);
+    if (result.success) {
+      queryClient.invalidateQueries({ queryKey: ['coPurchases'] });
+      showToast(`Recommendations refreshed for ${result.data.products} products`, 'success');
+    } else {
+      showToast(`Failed to refresh recommendations: ${result.error}`, 'error');
+    }
+  };
+
   const getStockBadge = (product) => {
     // Don't convert undefined to 0 - preserve undefined for proper handling
     const stock = product.stock;
@@ -159,9 +187,19 @@ export default function AdminProducts() {
       <div className="admin-container">
         <div className="admin-header">
           <h1>Products</h1>
-          <Link to="/admin/products/new" className="btn btn--primary">
-            <Plus size={18} /> Add New Product
-          </Link>
+          <div className="action-buttons">
+            <button
+              onClick={handleRebuildRecommendations}
+              className="btn btn--secondary"
+              disabled={isRebuilding}
+              title="Recount frequently bought together from orders"
+            >
+              <RefreshCw size={18} /> {isRebuilding ? 'Refreshing...' : 'Refresh Recommendations'}
+            </button>
+            <Link to="/admin/products/new" className="btn btn--primary">
+              <Plus size={18} /> Add New Product
+            </Link>
+          </div>
         </div>
 
         {/* Stock Statistics Cards */}
@@ -351,6 +389,18 @@ export default function AdminProducts() {
                               Threshold: {product.lowStockThreshold || 10}
                             </span>
                           )}
+                        {getLowVariants(product).map(({ variant, stock }) => (
+                          <span
+                            key={variant.sku}
+                            style={{
+                              fontSize: '0.75rem',
+                              color: stock === 0 ? '#dc2626' : '#f59e0b',
+                            }}
+                          >
+                            {getVariantLabel(variant)}:{' '}
+                            {stock === 0 ? 'Out of stock' : `${stock} left`}
+                          </span>
+                        ))}
                       </div>
                     </td>
                     <td data-label="Status">{getStockBadge(product)}</td>
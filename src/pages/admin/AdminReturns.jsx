@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Filter, RefreshCw } from 'lucide-react';
+import {
+  getAllReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+} from '../../api/returns.api';
+import { formatPrice, formatDate } from '../../utils/format';
+import {
+  RETURN_TYPES,
+  RETURN_STATUS,
+  RETURN_STATUS_LABELS,
+  RETURN_REASON_LABELS,
+} from '../../config/constants';
+
+const STATUS_COLORS = {
+  [RETURN_STATUS.REQUESTED]: '#f59e0b',
+  [RETURN_STATUS.APPROVED]: '#3b82f6',
+  [RETURN_STATUS.REJECTED]: '#dc2626',
+  [RETURN_STATUS.RECEIVED]: '#8b5cf6',
+  [RETURN_STATUS.REFUNDED]: '#16a34a',
+  [RETURN_STATUS.EXCHANGED]: '#16a34a',
+};
+
+export default function AdminReturns() {
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState(RETURN_STATUS.REQUESTED);
+  const [processingId, setProcessingId] = useState(null);
+
+  const fetchReturns = useCallback(async () => {
+    setLoading(true);
+    const data = await getAllReturns(statusFilter ? { status: statusFilter } : {});
+    setReturns(data);
+    setLoading(false);
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchReturns();
+  }, [fetchReturns]);
+
+  const runAction = async (id, action, note = '') => {
+    setProcessingId(id);
+    const result = await action(id, note);
+    setProcessingId(null);
+
+    if (result.success) {
+      fetchReturns();
+    } else {
+      alert('Failed to update return: ' + result.error);
+    }
+  };
+
+  const handleApprove = (request) => {
+    if (confirm(`Approve return request for order ${request.order_number}?`)) {
+      runAction(request.id, approveReturn);
+    }
+  };
+
+  const handleReject = (request) => {
+    const reason = prompt('Reason for rejecting this request?');
+    if (reason !== null) {
+      runAction(request.id, rejectReturn, reason);
+    }
+  };
+
+  const handleReceive = (request) => {
+    if (confirm('Mark items as received and add them back to stock?')) {
+      runAction(request.id, receiveReturn);
+    }
+  };
+
+  const handleRefund = (request) => {
+    if (confirm(`Confirm refund of ${formatPrice(request.refund_amount)} has been issued?`)) {
+      runAction(request.id, refundReturn);
+    }
+  };
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <h1>Returns & Exchanges</h1>
+          <button onClick={fetchReturns} className="btn btn--secondary" disabled={loading}>
+            <RefreshCw size={18} /> Refresh
+          </button>
+        </div>
+
+        <div className="admin-filters">
+          <div className="filter-group">
+            <Filter size={18} className="filter-icon" />
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="filter-select"
+            >
+              <option value="">All Requests</option>
+              {Object.values(RETURN_STATUS).map((status) => (
+                <option key={status} value={status}>
+                  {RETURN_STATUS_LABELS[status]}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="admin-table-container">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Order</th>
+                <th>Items</th>
+                <th>Refund</th>
+                <th>Requested</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="6" style={{ textAlign: 'center', padding: '40px' }}>
+                    Loading returns...
+                  </td>
+                </tr>
+              ) : returns.length === 0 ? (
+                <tr>
+                  <td colSpan="6" style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+                    No return requests found.
+                  </td>
+                </tr>
+              ) : (
+                returns.map((request) => (
+                  <tr key={request.id}>
+                    <td>
+                      <Link to={`/admin/orders/${request.order_id}`}>
+                        {request.order_number || request.order_id}
+                      </Link>
+                    </td>
+                    <td>
+                      {request.items.map((line) => (
+                        <div key={line.order_item_id} style={{ marginBottom: '4px' }}>
+                          <strong>{line.product_name}</strong> × {line.quantity}
+                          <div style={{ fontSize: '12px', color: '#666' }}>
+                            {line.type === RETURN_TYPES.EXCHANGE
+                              ? `Exchange ${line.size} → ${line.exchange_size}`
+                              : `Return (${line.size})`}{' '}
+                            · {RETURN_REASON_LABELS[line.reason] || line.reason}
+                          </div>
+                        </div>
+                      ))}
+                      {request.comments && (
+                        <div style={{ fontSize: '12px', fontStyle: 'italic', color: '#666' }}>
+                          “{request.comments}”
+                        </div>
+                      )}
+                    </td>
+                    <td>{formatPrice(request.refund_amount || 0)}</td>
+                    <td>{formatDate(request.created_at)}</td>
+                    <td>
+                      <span
+                        className="stock-badge"
+                        style={{
+                          backgroundColor: `${STATUS_COLORS[request.status]}15`,
+                          color: STATUS_COLORS[request.status],
+                        }}
+                      >
+                        {RETURN_STATUS_LABELS[request.status]}
+                      </span>
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        {request.status === RETURN_STATUS.REQUESTED && (
+                          <>
+                            <button
+                              className="btn btn--primary btn--sm"
+                              onClick={() => handleApprove(request)}
+                              disabled={processingId === request.id}
+                            >
+                              Approve
+                            </button>
+                            <button
+                              className="btn btn--secondary btn--sm"
+                              onClick={() => handleReject(request)}
+                              disabled={processingId === request.id}
+                            >
+                              Reject
+                            </button>
+                          </>
+                        )}
+                        {request.status === RETURN_STATUS.APPROVED && (
+                          <button
+                            className="btn btn--primary btn--sm"
+                            onClick={() => handleReceive(request)}
+                            disabled={processingId === request.id}
+                          >
+                            Mark Received
+                          </button>
+                        )}
+                        {request.status === RETURN_STATUS.RECEIVED && (
+                          <button
+                            className="btn btn--primary btn--sm"
+                            onClick={() => handleRefund(request)}
+                            disabled={processingId === request.id}
+                          >
+                            Mark Refunded
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Filter, RefreshCw } from 'lucide-react';
+import { getReviewsByStatus, moderateReview } from '../../api/reviews.api';
+import { formatDate } from '../../utils/format';
+import { REVIEW_STATUS, REVIEW_STATUS_LABELS } from '../../config/constants';
+import StarRating from '../../components/reviews/StarRating';
+
+export default function AdminReviews() {
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState(REVIEW_STATUS.PENDING);
+  const [processingId, setProcessingId] = useState(null);
+
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    const result = await getReviewsByStatus(statusFilter);
+    setReviews(result.data);
+    setLoading(false);
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const handleModerate = async (review, status) => {
+    let note = '';
+    if (status === REVIEW_STATUS.REJECTED) {
+      const input = prompt('Reason shown to the customer (optional)');
+      if (input === null) return;
+      note = input.trim();
+    }
+
+    setProcessingId(review.id);
+    const result = await moderateReview(review.id, status, note);
+    setProcessingId(null);
+
+    if (result.success) {
+      fetchReviews();
+    } else {
+      alert('Failed to update review: ' + result.error);
+    }
+  };
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <h1>Reviews</h1>
+          <div className="action-buttons">
+            <button onClick={fetchReviews} className="btn btn--secondary" disabled={loading}>
+              <RefreshCw size={18} /> Refresh
+            </button>
+          </div>
+        </div>
+
+        <div className="admin-filters">
+          <div className="filter-group">
+            <Filter size={18} className="filter-icon" />
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="filter-select"
+            >
+              {Object.values(REVIEW_STATUS).map((status) => (
+                <option key={status} value={status}>
+                  {REVIEW_STATUS_LABELS[status]}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="admin-table-container">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Review</th>
+                <th>Reviewer</th>
+                <th>Submitted</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="5" style={{ textAlign: 'center', padding: '40px' }}>
+                    Loading reviews...
+                  </td>
+                </tr>
+              ) : reviews.length === 0 ? (
+                <tr>
+                  <td colSpan="5" style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+                    No {REVIEW_STATUS_LABELS[statusFilter].toLowerCase()} reviews.
+                  </td>
+                </tr>
+              ) : (
+                reviews.map((review) => (
+                  <tr key={review.id}>
+                    <td>
+                      <Link to={`/admin/products/${review.product_id}/edit`}>
+                        {review.product_id}
+                      </Link>
+                    </td>
+                    <td style={{ maxWidth: '420px' }}>
+                      <StarRating rating={review.rating} size={14} />
+                      {review.title && <strong>{review.title}</strong>}
+                      <p style={{ fontSize: '13px', margin: '4px 0' }}>{review.text}</p>
+                      {review.photos?.length > 0 && (
+                        <div style={{ display: 'flex', gap: '6px' }}>
+                          {review.photos.map((url) => (
+                            <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                              <img
+                                src={url}
+                                alt="Review photo"
+                                style={{ width: '48px', height: '48px', objectFit: 'cover' }}
+                              />
+                            </a>
+                          ))}
+                        </div>
+                      )}
+                      {review.moderation_note && (
+                        <div style={{ fontSize: '12px', color: '#666' }}>
+                          Note: {review.moderation_note}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {review.author_name}
+                      {review.verified && (
+                        <div style={{ fontSize: '12px', color: '#16a34a' }}>Verified purchase</div>
+                      )}
+                    </td>
+                    <td>{formatDate(review.updated_at || review.created_at)}</td>
+                    <td>
+                      <div className="action-buttons">
+                        {review.status !== REVIEW_STATUS.APPROVED && (
+                          <button
+                            className="btn btn--primary btn--sm"
+                            onClick={() => handleModerate(review, REVIEW_STATUS.APPROVED)}
+                            disabled={processingId === review.id}
+                          >
+                            Approve
+                          </button>
+                        )}
+                        {review.status !== REVIEW_STATUS.REJECTED && (
+                          <button
+                            className="btn btn--secondary btn--sm"
+                            onClick={() => handleModerate(review, REVIEW_STATUS.REJECTED)}
+                            disabled={processingId === review.id}
+                          >
+                            Reject
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Filter, RefreshCw, Search, SearchX, MousePointerClick } from 'lucide-react';
+import { getSearchReport, refreshTrendingSearches } from '../../api/search.api';
+import { SEARCH_ANALYTICS_CONFIG } from '../../config/constants';
+
+const formatRate = (part, total) => (total > 0 ? `${Math.round((part / total) * 100)}%` : '—');
+
+export default function AdminSearch() {
+  const [days, setDays] = useState(SEARCH_ANALYTICS_CONFIG.REPORT_WINDOWS[0]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    // The search bar's trending searches are refreshed along with the report
+    const [result] = await Promise.all([getSearchReport(days), refreshTrendingSearches()]);
+    setReport(result.success ? result.data : null);
+    setError(result.success ? null : result.error);
+    setLoading(false);
+  }, [days]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const totals = report?.totals || { searches: 0, zero_results: 0, clicks: 0 };
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <h1>Search Insights</h1>
+          <div className="action-buttons">
+            <button onClick={fetchReport} className="btn btn--secondary" disabled={loading}>
+              <RefreshCw size={18} /> Refresh
+            </button>
+          </div>
+        </div>
+
+        <div className="admin-filters">
+          <div className="filter-group">
+            <Filter size={18} className="filter-icon" />
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="filter-select"
+            >
+              {SEARCH_ANALYTICS_CONFIG.REPORT_WINDOWS.map((window) => (
+                <option key={window} value={window}>
+                  Last {window} days
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {error && (
+          <p style={{ color: '#dc2626', marginBottom: '1rem' }}>
+            Failed to load search report: {error}
+          </p>
+        )}
+
+        <div className="stats-grid" style={{ marginBottom: '2rem' }}>
+          <div className="stat-card">
+            <div className="stat-icon" style={{ backgroundColor: '#2563eb15', color: '#2563eb' }}>
+              <Search size={24} />
+            </div>
+            <div className="stat-content">
+              <p className="stat-label">Searches</p>
+              <p className="stat-value">{totals.searches}</p>
+            </div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-icon" style={{ backgroundColor: '#dc262615', color: '#dc2626' }}>
+              <SearchX size={24} />
+            </div>
+            <div className="stat-content">
+              <p className="stat-label">Zero-Result Rate</p>
+              <p className="stat-value">{formatRate(totals.zero_results, totals.searches)}</p>
+            </div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-icon" style={{ backgroundColor: '#16a34a15', color: '#16a34a' }}>
+              <MousePointerClick size={24} />
+            </div>
+            <div className="stat-content">
+              <p className="stat-label">Click-Through Rate</p>
+              <p className="stat-value">{formatRate(totals.clicks, totals.searches)}</p>
+            </div>
+          </div>
+        </div>
+
+        <h2 style={{ marginBottom: '0.5rem' }}>Zero-Result Searches</h2>
+        <p style={{ color: '#666', marginBottom: '1rem', fontSize: '14px' }}>
+          Queries that found nothing. Add the missing products, or use these words in product names,
+          brands or descriptions so shoppers find what you already stock.
+        </p>
+        <div className="admin-table-container" style={{ marginBottom: '2rem' }}>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Query</th>
+                <th>Zero-Result Searches</th>
+                <th>All Searches</th>
+                <th>Last Searched</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="5" style={{ textAlign: 'center', padding: '40px' }}>
+                    Loading searches...
+                  </td>
+                </tr>
+              ) : !report || report.zeroResults.length === 0 ? (
+                <tr>
+                  <td colSpan="5" style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+                    No zero-result searches in the last {days} days.
+                  </td>
+                </tr>
+              ) : (
+                report.zeroResults.map((term) => (
+                  <tr key={term.term}>
+                    <td>
+                      <strong>{term.term}</strong>
+                    </td>
+                    <td>{term.zero_results}</td>
+                    <td>{term.searches}</td>
+                    <td>{term.last_date}</td>
+                    <td>
+                      <Link
+                        to={`/products?search=${encodeURIComponent(term.term)}`}
+                        target="_blank"
+                        className="btn btn--secondary btn--sm"
+                      >
+                        Try Search
+                      </Link>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <h2 style={{ marginBottom: '1rem' }}>Top Searches</h2>
+        <div className="admin-table-container">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Query</th>
+                <th>Searches</th>
+                <th>Click-Through Rate</th>
+                <th>Zero-Result Rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan="4" style={{ textAlign: 'center', padding: '40px' }}>
+                    Loading searches...
+                  </td>
+                </tr>
+              ) : !report || report.topSearches.length === 0 ? (
+                <tr>
+                  <td colSpan="4" style={{ textAlign: 'center', padding: '40px', color: '#666' }}>
+                    No searches in the last {days} days.
+                  </td>
+                </tr>
+              ) : (
+                report.topSearches.map((term) => (
+                  <tr key={term.term}>
+                    <td>{term.term}</td>
+                    <td>{term.searches}</td>
+                    <td>{formatRate(term.clicks, term.searches)}</td>
+                    <td>{formatRate(term.zero_results, term.searches)}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
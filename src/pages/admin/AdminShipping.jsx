@@ -0,0 +1,278 @@
+import { useState, useEffect } from 'react';
+import { Plus, Save, Trash2 } from 'lucide-react';
+import useStore from '../../store/useStore';
+import { getShippingSettings, updateShippingSettings } from '../../api/shipping.api';
+import { SHIPPING_RATE_TYPES } from '../../config/constants';
+
+const NUMBER_FIELDS = [
+  'free_shipping_threshold',
+  'flat_rate',
+  'weight_base_grams',
+  'weight_base_rate',
+  'weight_step_grams',
+  'weight_step_rate',
+  'default_item_weight_grams',
+  'express_fee',
+  'express_delivery_days',
+];
+
+export default function AdminShipping() {
+  const { showToast } = useStore();
+  const [settings, setSettings] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    getShippingSettings().then(setSettings);
+  }, []);
+
+  const setField = (field, value) => {
+    setSettings((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const numberInput = (field, props = {}) => (
+    <input
+      type="number"
+      className="form-input"
+      value={settings[field]}
+      onChange={(e) => setField(field, e.target.value)}
+      min={0}
+      required
+      {...props}
+    />
+  );
+
+  const updateZone = (index, field, value) => {
+    setSettings((prev) => ({
+      ...prev,
+      zones: prev.zones.map((zone, i) => (i === index ? { ...zone, [field]: value } : zone)),
+    }));
+  };
+
+  const addZone = () => {
+    setSettings((prev) => ({
+      ...prev,
+      zones: [...prev.zones, { id: '', label: '', surcharge: 0 }],
+    }));
+  };
+
+  const removeZone = (index) => {
+    setSettings((prev) => ({ ...prev, zones: prev.zones.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    const data = {
+      ...settings,
+      ...Object.fromEntries(NUMBER_FIELDS.map((field) => [field, Number(settings[field]) || 0])),
+      zones: settings.zones.map((zone) => ({
+        id: zone.id.trim().toLowerCase().replace(/\s+/g, '_'),
+        label: zone.label.trim(),
+        surcharge: Number(zone.surcharge) || 0,
+      })),
+    };
+
+    const response = await updateShippingSettings(data);
+    if (response.success) {
+      setSettings(data);
+      showToast('Shipping settings saved', 'success');
+    } else {
+      showToast(response.error || 'Failed to save shipping settings', 'error');
+    }
+    setSubmitting(false);
+  };
+
+  if (!settings) {
+    return (
+      <div className="admin-page">
+        <div className="admin-container">
+          <div style={{ textAlign: 'center', padding: '60px 20px' }}>
+            <div className="spinner" style={{ margin: '0 auto 20px' }}></div>
+            <p style={{ color: '#666' }}>Loading shipping settings...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const isWeightBased = settings.rate_type === SHIPPING_RATE_TYPES.WEIGHT;
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <div>
+            <h1>Shipping</h1>
+            <p style={{ color: '#666', marginTop: '0.5rem' }}>
+              Rates used in the cart, at checkout and when orders are placed
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="panel" style={{ marginBottom: '1.5rem' }}>
+            <h2 className="mb-4">Standard Delivery</h2>
+            <div className="form-grid">
+              <div className="form-group">
+                <label className="form-label">Free Shipping Above (₹)</label>
+                {numberInput('free_shipping_threshold')}
+                <small style={{ color: '#666', fontSize: '0.8125rem' }}>
+                  Order value after discounts. 0 turns free shipping off.
+                </small>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Rate Type</label>
+                <select
+                  className="form-input"
+                  value={settings.rate_type}
+                  onChange={(e) => setField('rate_type', e.target.value)}
+                >
+                  <option value={SHIPPING_RATE_TYPES.FLAT}>Flat rate</option>
+                  <option value={SHIPPING_RATE_TYPES.WEIGHT}>By weight</option>
+                </select>
+              </div>
+
+              {isWeightBased ? (
+                <>
+                  <div className="form-group">
+                    <label className="form-label">First (grams)</label>
+                    {numberInput('weight_base_grams', { min: 1 })}
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Rate for First Slab (₹)</label>
+                    {numberInput('weight_base_rate')}
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Each Additional (grams)</label>
+                    {numberInput('weight_step_grams', { min: 1 })}
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Rate per Additional Slab (₹)</label>
+                    {numberInput('weight_step_rate')}
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Default Item Weight (grams)</label>
+                    {numberInput('default_item_weight_grams', { min: 1 })}
+                    <small style={{ color: '#666', fontSize: '0.8125rem' }}>
+                      Used for products without a weight
+                    </small>
+                  </div>
+                </>
+              ) : (
+                <div className="form-group">
+                  <label className="form-label">Flat Rate (₹)</label>
+                  {numberInput('flat_rate')}
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="panel" style={{ marginBottom: '1.5rem' }}>
+            <div className="flex flex--between mb-4">
+              <h2>Pincode Zones</h2>
+              <button type="button" onClick={addZone} className="btn btn--secondary btn--sm">
+                <Plus size={16} /> Add Zone
+              </button>
+            </div>
+            <p style={{ color: '#666', marginBottom: '1rem' }}>
+              Surcharges are added to every order shipped to a pincode in the zone, even when
+              shipping is otherwise free. Assign zones on the Pincodes page.
+            </p>
+            <div className="table-responsive">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Zone ID</th>
+                    <th>Name</th>
+                    <th>Surcharge (₹)</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {settings.zones.map((zone, index) => (
+                    <tr key={index}>
+                      <td>
+                        <input
+                          type="text"
+                          className="form-input"
+                          value={zone.id}
+                          onChange={(e) => updateZone(index, 'id', e.target.value)}
+                          required
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          className="form-input"
+                          value={zone.label}
+                          onChange={(e) => updateZone(index, 'label', e.target.value)}
+                          required
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          className="form-input"
+                          value={zone.surcharge}
+                          onChange={(e) => updateZone(index, 'surcharge', e.target.value)}
+                          min={0}
+                          required
+                        />
+                      </td>
+                      <td>
+                        <button
+                          type="button"
+                          onClick={() => removeZone(index)}
+                          className="btn-icon btn-icon--delete"
+                          title="Remove zone"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="panel" style={{ marginBottom: '1.5rem' }}>
+            <h2 className="mb-4">Express Delivery</h2>
+            <div className="form-grid">
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={settings.express_enabled}
+                    onChange={(e) => setField('express_enabled', e.target.checked)}
+                  />
+                  <span>Offer express delivery</span>
+                </label>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Express Fee (₹)</label>
+                {numberInput('express_fee')}
+                <small style={{ color: '#666', fontSize: '0.8125rem' }}>
+                  Charged on top of standard shipping
+                </small>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Express Delivery Days</label>
+                {numberInput('express_delivery_days', { min: 1 })}
+              </div>
+            </div>
+          </div>
+
+          <div className="form-actions">
+            <button type="submit" className="btn btn--primary" disabled={submitting}>
+              <Save size={18} />
+              {submitting ? 'Saving...' : 'Save Settings'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
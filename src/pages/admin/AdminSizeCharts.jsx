@@ -0,0 +1,367 @@
+import { useState, useEffect } from 'react';
+import { Plus, Save, Trash2, Edit } from 'lucide-react';
+import useStore from '../../store/useStore';
+import { getSizeCharts, saveSizeChart, deleteSizeChart } from '../../api/sizeCharts.api';
+import { parseRange, formatRange, validateSizeChart } from '../../lib/sizeCharts';
+import { DEFAULT_SIZE_CHARTS } from '../../lib/productData';
+import { CATEGORIES, SIZE_UNITS, SIZE_MEASUREMENT_LABELS } from '../../config/constants';
+
+// Charts are edited as text ("38-40") in the chosen unit and saved in inches
+const toEditor = (chart, unit) => ({
+  id: chart.id || null,
+  name: chart.name || '',
+  category: chart.category || '',
+  brand: chart.brand || '',
+  measurements: chart.measurements || ['chest', 'waist', 'length'],
+  rows: (chart.rows || []).map((row) => ({
+    size: row.size,
+    cells: Object.fromEntries(
+      Object.keys(SIZE_MEASUREMENT_LABELS).map((key) => [key, formatRange(row[key], unit)])
+    ),
+  })),
+});
+
+const fromEditor = (editor, unit) => ({
+  ...editor,
+  rows: editor.rows.map((row) => ({
+    size: row.size,
+    ...Object.fromEntries(
+      editor.measurements.map((key) => [key, parseRange(row.cells[key], unit)])
+    ),
+  })),
+});
+
+const NEW_CHART = { measurements: ['chest', 'waist', 'length'], rows: [{ size: '' }] };
+
+export default function AdminSizeCharts() {
+  const { showToast } = useStore();
+  const [charts, setCharts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editor, setEditor] = useState(null);
+  const [unit, setUnit] = useState(SIZE_UNITS.IN);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchCharts = async () => {
+    setLoading(true);
+    const result = await getSizeCharts();
+    setCharts(result.data);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchCharts();
+  }, []);
+
+  // Categories still on the built-in chart
+  const defaultsInUse = DEFAULT_SIZE_CHARTS.filter(
+    (chart) => !charts.some((saved) => saved.category === chart.category && !saved.brand)
+  );
+
+  const openEditor = (chart) => {
+    setEditor(toEditor(chart, unit));
+  };
+
+  const changeUnit = (newUnit) => {
+    if (editor) setEditor(toEditor(fromEditor(editor, unit), newUnit));
+    setUnit(newUnit);
+  };
+
+  const setField = (field, value) => {
+    setEditor((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggleMeasurement = (key) => {
+    setEditor((prev) => ({
+      ...prev,
+      measurements: prev.measurements.includes(key)
+        ? prev.measurements.filter((m) => m !== key)
+        : Object.keys(SIZE_MEASUREMENT_LABELS).filter(
+            (m) => m === key || prev.measurements.includes(m)
+          ),
+    }));
+  };
+
+  const updateRow = (index, update) => {
+    setEditor((prev) => ({
+      ...prev,
+      rows: prev.rows.map((row, i) => (i === index ? update(row) : row)),
+    }));
+  };
+
+  const addRow = () => {
+    setEditor((prev) => ({ ...prev, rows: [...prev.rows, { size: '', cells: {} }] }));
+  };
+
+  const removeRow = (index) => {
+    setEditor((prev) => ({ ...prev, rows: prev.rows.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const chart = fromEditor(editor, unit);
+    const validation = validateSizeChart(chart);
+    if (!validation.isValid) {
+      showToast(validation.errors[0], 'error');
+      return;
+    }
+
+    setSubmitting(true);
+    const response = await saveSizeChart(chart);
+    setSubmitting(false);
+
+    if (response.success) {
+      showToast('Size chart saved', 'success');
+      setEditor(null);
+      fetchCharts();
+    } else {
+      showToast(response.error || 'Failed to save size chart', 'error');
+    }
+  };
+
+  const handleDelete = async (chart) => {
+    if (!window.confirm(`Delete the "${chart.name}" size chart?`)) return;
+
+    const response = await deleteSizeChart(chart.id);
+    if (response.success) {
+      fetchCharts();
+    } else {
+      showToast(response.error || 'Failed to delete size chart', 'error');
+    }
+  };
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <div>
+            <h1>Size Charts</h1>
+            <p style={{ color: '#666', marginTop: '0.5rem' }}>
+              Shown on product pages and used by "find my size". A chart for a brand and category
+              wins over a category chart, which wins over a brand chart.
+            </p>
+          </div>
+          <div className="action-buttons">
+            <button onClick={() => openEditor(NEW_CHART)} className="btn btn--primary">
+              <Plus size={18} /> New Chart
+            </button>
+          </div>
+        </div>
+
+        <div className="panel" style={{ marginBottom: '1.5rem' }}>
+          <div className="table-responsive">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Category</th>
+                  <th>Brand</th>
+                  <th>Sizes</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="5" style={{ textAlign: 'center', padding: '40px' }}>
+                      Loading size charts...
+                    </td>
+                  </tr>
+                ) : (
+                  <>
+                    {charts.map((chart) => (
+                      <tr key={chart.id}>
+                        <td>{chart.name}</td>
+                        <td>{chart.category || 'Any'}</td>
+                        <td>{chart.brand || 'Any'}</td>
+                        <td>{chart.rows.map((row) => row.size).join(', ')}</td>
+                        <td>
+                          <div className="action-buttons">
+                            <button
+                              onClick={() => openEditor(chart)}
+                              className="btn-icon"
+                              title="Edit chart"
+                            >
+                              <Edit size={16} />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(chart)}
+                              className="btn-icon btn-icon--delete"
+                              title="Delete chart"
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                    {defaultsInUse.map((chart) => (
+                      <tr key={chart.id} style={{ color: '#666' }}>
+                        <td>{chart.name} (built-in)</td>
+                        <td>{chart.category}</td>
+                        <td>Any</td>
+                        <td>{chart.rows.map((row) => row.size).join(', ')}</td>
+                        <td>
+                          <button
+                            onClick={() => openEditor({ ...chart, id: null })}
+                            className="btn btn--secondary btn--sm"
+                          >
+                            Customize
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {editor && (
+          <form onSubmit={handleSubmit} className="panel" style={{ marginBottom: '1.5rem' }}>
+            <h2 className="mb-4">{editor.id ? 'Edit Size Chart' : 'New Size Chart'}</h2>
+            <div className="form-grid">
+              <div className="form-group">
+                <label className="form-label">Name</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={editor.name}
+                  onChange={(e) => setField('name', e.target.value)}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Category</label>
+                <select
+                  className="form-input"
+                  value={editor.category}
+                  onChange={(e) => setField('category', e.target.value)}
+                >
+                  <option value="">Any category</option>
+                  {Object.values(CATEGORIES).map((category) => (
+                    <option key={category} value={category}>
+                      {category}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Brand</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={editor.brand}
+                  onChange={(e) => setField('brand', e.target.value)}
+                  placeholder="Any brand"
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Units</label>
+                <select
+                  className="form-input"
+                  value={unit}
+                  onChange={(e) => changeUnit(e.target.value)}
+                >
+                  <option value={SIZE_UNITS.IN}>Inches</option>
+                  <option value={SIZE_UNITS.CM}>Centimeters</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Measurements</label>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem' }}>
+                {Object.entries(SIZE_MEASUREMENT_LABELS).map(([key, label]) => (
+                  <label key={key} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={editor.measurements.includes(key)}
+                      onChange={() => toggleMeasurement(key)}
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex flex--between mb-4">
+              <p style={{ color: '#666' }}>
+                Enter a range ("38-40") or a single value, in {unit === SIZE_UNITS.CM ? 'cm' : 'inches'}.
+              </p>
+              <button type="button" onClick={addRow} className="btn btn--secondary btn--sm">
+                <Plus size={16} /> Add Size
+              </button>
+            </div>
+            <div className="table-responsive">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Size</th>
+                    {editor.measurements.map((key) => (
+                      <th key={key}>{SIZE_MEASUREMENT_LABELS[key]}</th>
+                    ))}
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {editor.rows.map((row, index) => (
+                    <tr key={index}>
+                      <td>
+                        <input
+                          type="text"
+                          className="form-input"
+                          value={row.size}
+                          onChange={(e) =>
+                            updateRow(index, (prev) => ({ ...prev, size: e.target.value }))
+                          }
+                          required
+                        />
+                      </td>
+                      {editor.measurements.map((key) => (
+                        <td key={key}>
+                          <input
+                            type="text"
+                            className="form-input"
+                            value={row.cells?.[key] || ''}
+                            onChange={(e) =>
+                              updateRow(index, (prev) => ({
+                                ...prev,
+                                cells: { ...prev.cells, [key]: e.target.value },
+                              }))
+                            }
+                            required
+                          />
+                        </td>
+                      ))}
+                      <td>
+                        <button
+                          type="button"
+                          onClick={() => removeRow(index)}
+                          className="btn-icon btn-icon--delete"
+                          title="Remove size"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn--primary" disabled={submitting}>
+                <Save size={18} />
+                {submitting ? 'Saving...' : 'Save Chart'}
+              </button>
+              <button type="button" className="btn btn--secondary" onClick={() => setEditor(null)}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,41 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { ArrowLeft, Save } from 'lucide-react';
+import { ArrowLeft, Save, Plus, Trash2 } from 'lucide-react';
 import {
   createCoupon,
   getCouponById,
   updateCoupon,
+  generateCouponCodes,
 } from '../../api/admin/coupons.admin.api';
+import { DISCOUNT_TYPES } from '../../lib/coupons';
+import { validateCodeTemplate, MAX_CODES_PER_BATCH } from '../../lib/couponCodes';
+import { CATEGORIES, SIZES } from '../../config/constants';
 import '../../styles/admin-coupons.css';
 
+const DISCOUNT_TYPE_OPTIONS = [
+  { value: DISCOUNT_TYPES.PERCENTAGE, label: 'Percentage' },
+  { value: DISCOUNT_TYPES.FIXED, label: 'Fixed Amount' },
+  { value: DISCOUNT_TYPES.BUY_X_GET_Y, label: 'Buy X Get Y' },
+  { value: DISCOUNT_TYPES.TIERED, label: 'Tiered' },
+  { value: DISCOUNT_TYPES.FREE_GIFT, label: 'Free Gift' },
+];
+
+const EMPTY_TIER = { min_subtotal: '', percent: '' };
+
+// "a, b" → ['a', 'b']
+const toList = (value) =>
+  value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// Date → value for a datetime-local input (local time, minutes precision)
+const toDateTimeLocal = (date) => {
+  if (!date) return '';
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
 export default function CouponForm() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -19,6 +47,8 @@ export default function CouponForm() {
 
   const [formData, setFormData] = useState({
     code: '',
+    name: '',
+    automatic: false,
     description: '',
     discount_type: 'percentage',
     discount_value: '',
@@ -29,7 +59,29 @@ export default function CouponForm() {
     start_date: '',
     end_date: '',
     is_active: true,
+    buy_quantity: '2',
+    get_quantity: '1',
+    get_discount_percent: '100',
+    tiers: [EMPTY_TIER],
+    gift_product_id: '',
+    scope_categories: [],
+    scope_sizes: [],
+    scope_brands: '',
+    scope_product_ids: '',
+    exclusive: false,
+    priority: '0',
+    unique_codes: false,
+    code_prefix: '',
+    code_length: '8',
+    generate_count: '',
+    first_order_only: false,
+    target_user_ids: '',
+    target_email_domains: '',
+    signup_within_days: '',
+    target_states: '',
+    target_pincodes: '',
   });
+  const [codesCount, setCodesCount] = useState(0);
 
   useEffect(() => {
     if (isEdit) {
@@ -43,17 +95,46 @@ export default function CouponForm() {
       const coupon = await getCouponById(id);
       setFormData({
         code: coupon.code,
+        name: coupon.name,
+        automatic: coupon.automatic,
         description: coupon.description || '',
-        discount_type: coupon.discountType,
-        discount_value: coupon.discountValue.toString(),
-        max_discount: coupon.maxDiscount?.toString() || '',
-        min_order_value: coupon.minOrderValue.toString(),
-        max_uses: coupon.maxUses?.toString() || '',
-        max_uses_per_user: coupon.maxUsesPerUser.toString(),
-        start_date: coupon.startDate.slice(0, 16),
-        end_date: coupon.endDate.slice(0, 16),
-        is_active: coupon.isActive,
+        discount_type: coupon.discount_type,
+        discount_value: coupon.discount_value.toString(),
+        max_discount: coupon.max_discount?.toString() || '',
+        min_order_value: coupon.min_order_value.toString(),
+        max_uses: coupon.max_uses?.toString() || '',
+        max_uses_per_user: coupon.max_uses_per_user.toString(),
+        start_date: toDateTimeLocal(coupon.start_date),
+        end_date: toDateTimeLocal(coupon.end_date),
+        is_active: coupon.is_active,
+        buy_quantity: (coupon.buy_quantity || 2).toString(),
+        get_quantity: (coupon.get_quantity || 1).toString(),
+        get_discount_percent: (coupon.get_discount_percent ?? 100).toString(),
+        tiers: coupon.tiers.length
+          ? coupon.tiers.map((tier) => ({
+              min_subtotal: tier.min_subtotal.toString(),
+              percent: tier.percent.toString(),
+            }))
+          : [EMPTY_TIER],
+        gift_product_id: coupon.gift_product_id || '',
+        scope_categories: coupon.scope.categories,
+        scope_sizes: coupon.scope.sizes,
+        scope_brands: coupon.scope.brands.join(', '),
+        scope_product_ids: coupon.scope.product_ids.join(', '),
+        exclusive: coupon.exclusive,
+        priority: coupon.priority.toString(),
+        unique_codes: coupon.unique_codes,
+        code_prefix: coupon.code_template?.prefix || '',
+        code_length: (coupon.code_template?.length || 8).toString(),
+        generate_count: '',
+        first_order_only: coupon.targeting.first_order_only,
+        target_user_ids: coupon.targeting.user_ids.join(', '),
+        target_email_domains: coupon.targeting.email_domains.join(', '),
+        signup_within_days: coupon.targeting.signup_within_days?.toString() || '',
+        target_states: coupon.targeting.states.join(', '),
+        target_pincodes: coupon.targeting.pincodes.join(', '),
       });
+      setCodesCount(coupon.codes_count);
     } catch (error) {
       console.error('Error fetching coupon:', error);
       alert('Failed to load coupon. It may have been deleted.');
@@ -75,6 +156,45 @@ export default function CouponForm() {
     }
   };
 
+  const toggleListValue = (name, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      [name]: prev[name].includes(value)
+        ? prev[name].filter((entry) => entry !== value)
+        : [...prev[name], value],
+    }));
+  };
+
+  const handleTierChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, tierIndex) =>
+        tierIndex === index ? { ...tier, [field]: value } : tier
+      ),
+    }));
+    if (errors.tiers) {
+      setErrors((prev) => ({ ...prev, tiers: '' }));
+    }
+  };
+
+  const addTier = () => {
+    setFormData((prev) => ({ ...prev, tiers: [...prev.tiers, EMPTY_TIER] }));
+  };
+
+  const removeTier = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      tiers: prev.tiers.filter((_, tierIndex) => tierIndex !== index),
+    }));
+  };
+
+  const hasDiscountValue =
+    formData.discount_type === DISCOUNT_TYPES.PERCENTAGE ||
+    formData.discount_type === DISCOUNT_TYPES.FIXED;
+  const hasMaxDiscount =
+    formData.discount_type === DISCOUNT_TYPES.PERCENTAGE ||
+    formData.discount_type === DISCOUNT_TYPES.TIERED;
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -85,22 +205,77 @@ export default function CouponForm() {
       newErrors.code = 'Code must be 4-20 alphanumeric characters';
     }
 
+    if (formData.automatic && !formData.name.trim()) {
+      newErrors.name = 'Automatic promotions need a name to show customers';
+    }
+
     // Discount value validation
-    if (!formData.discount_value || formData.discount_value <= 0) {
-      newErrors.discount_value = 'Discount value must be positive';
-    } else if (
-      formData.discount_type === 'percentage' &&
-      (formData.discount_value < 0 || formData.discount_value > 100)
-    ) {
-      newErrors.discount_value = 'Percentage must be between 0 and 100';
+    if (hasDiscountValue) {
+      if (!formData.discount_value || formData.discount_value <= 0) {
+        newErrors.discount_value = 'Discount value must be positive';
+      } else if (
+        formData.discount_type === 'percentage' &&
+        (formData.discount_value < 0 || formData.discount_value > 100)
+      ) {
+        newErrors.discount_value = 'Percentage must be between 0 and 100';
+      }
+    }
+
+    // Buy X get Y validation
+    if (formData.discount_type === DISCOUNT_TYPES.BUY_X_GET_Y) {
+      if (!(formData.buy_quantity >= 1)) {
+        newErrors.buy_quantity = 'Buy quantity must be at least 1';
+      }
+      if (!(formData.get_quantity >= 1)) {
+        newErrors.get_quantity = 'Get quantity must be at least 1';
+      }
+      if (!(formData.get_discount_percent > 0 && formData.get_discount_percent <= 100)) {
+        newErrors.get_discount_percent = 'Must be between 1 and 100';
+      }
     }
 
-    // Max discount validation for percentage
+    // Tier validation
     if (
-      formData.discount_type === 'percentage' &&
-      formData.max_discount &&
-      formData.max_discount <= 0
+      formData.discount_type === DISCOUNT_TYPES.TIERED &&
+      (formData.tiers.length === 0 ||
+        formData.tiers.some(
+          (tier) =>
+            tier.min_subtotal === '' ||
+            tier.min_subtotal < 0 ||
+            !(tier.percent > 0 && tier.percent <= 100)
+        ))
     ) {
+      newErrors.tiers = 'Each tier needs a minimum spend and a percentage between 0 and 100';
+    }
+
+    if (formData.discount_type === DISCOUNT_TYPES.FREE_GIFT && !formData.gift_product_id.trim()) {
+      newErrors.gift_product_id = 'Gift product ID is required';
+    }
+
+    // Unique code validation (a new coupon needs its first batch)
+    if (formData.unique_codes && !formData.automatic) {
+      const count = parseInt(formData.generate_count) || 0;
+      if (count > 0 || codesCount === 0) {
+        const templateError = validateCodeTemplate(
+          { prefix: formData.code_prefix, length: parseInt(formData.code_length) },
+          count
+        );
+        if (templateError) {
+          newErrors.unique_codes = templateError;
+        }
+      }
+    }
+
+    // Targeting validation
+    if (formData.signup_within_days && !(parseInt(formData.signup_within_days) > 0)) {
+      newErrors.signup_within_days = 'Must be at least 1 day';
+    }
+    if (toList(formData.target_pincodes).some((pincode) => !/^\d{6}$/.test(pincode))) {
+      newErrors.target_pincodes = 'Pincodes must be 6 digits';
+    }
+
+    // Max discount validation
+    if (hasMaxDiscount && formData.max_discount && formData.max_discount <= 0) {
       newErrors.max_discount = 'Max discount must be positive';
     }
 
@@ -115,7 +290,7 @@ export default function CouponForm() {
     }
 
     // Max uses per user validation
-    if (!formData.max_uses_per_user || formData.max_uses_per_user <= 0) {
+    if (!formData.automatic && (!formData.max_uses_per_user || formData.max_uses_per_user <= 0)) {
       newErrors.max_uses_per_user = 'Max uses per user must be positive';
     }
 
@@ -148,25 +323,66 @@ export default function CouponForm() {
 
       const couponData = {
         code: formData.code.toUpperCase(),
+        name: formData.name.trim(),
+        automatic: formData.automatic,
         description: formData.description,
-        discountType: formData.discount_type,
-        discountValue: parseFloat(formData.discount_value),
-        maxDiscount:
-          formData.discount_type === 'percentage' && formData.max_discount
-            ? parseFloat(formData.max_discount)
-            : null,
-        minOrderValue: parseFloat(formData.min_order_value),
-        maxUses: formData.max_uses ? parseInt(formData.max_uses) : null,
-        maxUsesPerUser: parseInt(formData.max_uses_per_user),
-        startDate: new Date(formData.start_date).toISOString(),
-        endDate: new Date(formData.end_date).toISOString(),
-        isActive: formData.is_active,
+        discount_type: formData.discount_type,
+        discount_value: hasDiscountValue ? parseFloat(formData.discount_value) : 0,
+        max_discount:
+          hasMaxDiscount && formData.max_discount ? parseFloat(formData.max_discount) : null,
+        buy_quantity: parseInt(formData.buy_quantity),
+        get_quantity: parseInt(formData.get_quantity),
+        get_discount_percent: parseFloat(formData.get_discount_percent),
+        tiers: formData.tiers.map((tier) => ({
+          min_subtotal: parseFloat(tier.min_subtotal),
+          percent: parseFloat(tier.percent),
+        })),
+        gift_product_id: formData.gift_product_id.trim(),
+        scope: {
+          product_ids: toList(formData.scope_product_ids),
+          categories: formData.scope_categories,
+          brands: toList(formData.scope_brands),
+          sizes: formData.scope_sizes,
+        },
+        // Automatic promotions apply to every cart, so they can't be targeted
+        targeting: formData.automatic
+          ? {}
+          : {
+              first_order_only: formData.first_order_only,
+              user_ids: toList(formData.target_user_ids),
+              email_domains: toList(formData.target_email_domains),
+              signup_within_days: parseInt(formData.signup_within_days) || null,
+              states: toList(formData.target_states),
+              pincodes: toList(formData.target_pincodes),
+            },
+        exclusive: formData.exclusive,
+        priority: parseInt(formData.priority) || 0,
+        min_order_value: parseFloat(formData.min_order_value),
+        max_uses: formData.max_uses ? parseInt(formData.max_uses) : null,
+        max_uses_per_user: parseInt(formData.max_uses_per_user) || 1,
+        start_date: new Date(formData.start_date),
+        end_date: new Date(formData.end_date),
+        is_active: formData.is_active,
+      };
+      const hasUniqueCodes = formData.unique_codes && !formData.automatic;
+      const codeTemplate = {
+        prefix: formData.code_prefix.trim().toUpperCase(),
+        length: parseInt(formData.code_length),
       };
+      if (hasUniqueCodes) {
+        couponData.unique_codes = true;
+        couponData.code_template = codeTemplate;
+      }
 
       const result = isEdit
         ? await updateCoupon(id, couponData)
         : await createCoupon(couponData);
 
+      const generateCount = parseInt(formData.generate_count) || 0;
+      if (hasUniqueCodes && generateCount > 0) {
+        await generateCouponCodes(result.id, generateCount, codeTemplate);
+      }
+
       // Success - navigate back to coupons list
       navigate('/admin/coupons');
     } catch (error) {
@@ -227,6 +443,40 @@ export default function CouponForm() {
             </span>
           </div>
 
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                name="automatic"
+                checked={formData.automatic}
+                onChange={handleChange}
+              />
+              <span>Apply automatically</span>
+            </label>
+            <span className="field-hint">
+              Applies to every qualifying cart without a code. The code only identifies it internally.
+            </span>
+          </div>
+
+          {formData.automatic && (
+            <div className="form-group">
+              <label htmlFor="name">
+                Promotion Name <span className="required">*</span>
+              </label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="e.g., End of Season Sale"
+                className={errors.name ? 'error' : ''}
+              />
+              {errors.name && <span className="error-message">{errors.name}</span>}
+              <span className="field-hint">Shown to customers in the cart and on product cards</span>
+            </div>
+          )}
+
           <div className="form-group">
             <label htmlFor="description">Description</label>
             <textarea
@@ -248,51 +498,45 @@ export default function CouponForm() {
               Discount Type <span className="required">*</span>
             </label>
             <div className="radio-group">
-              <label className="radio-label">
-                <input
-                  type="radio"
-                  name="discount_type"
-                  value="percentage"
-                  checked={formData.discount_type === 'percentage'}
-                  onChange={handleChange}
-                />
-                <span>Percentage</span>
-              </label>
-              <label className="radio-label">
-                <input
-                  type="radio"
-                  name="discount_type"
-                  value="fixed"
-                  checked={formData.discount_type === 'fixed'}
-                  onChange={handleChange}
-                />
-                <span>Fixed Amount</span>
-              </label>
+              {DISCOUNT_TYPE_OPTIONS.map((option) => (
+                <label key={option.value} className="radio-label">
+                  <input
+                    type="radio"
+                    name="discount_type"
+                    value={option.value}
+                    checked={formData.discount_type === option.value}
+                    onChange={handleChange}
+                  />
+                  <span>{option.label}</span>
+                </label>
+              ))}
             </div>
           </div>
 
           <div className="form-row">
-            <div className="form-group">
-              <label htmlFor="discount_value">
-                Discount Value <span className="required">*</span>
-              </label>
-              <input
-                type="number"
-                id="discount_value"
-                name="discount_value"
-                value={formData.discount_value}
-                onChange={handleChange}
-                placeholder={formData.discount_type === 'percentage' ? '10' : '100'}
-                step={formData.discount_type === 'percentage' ? '0.01' : '1'}
-                min="0"
-                className={errors.discount_value ? 'error' : ''}
-              />
-              {errors.discount_value && (
-                <span className="error-message">{errors.discount_value}</span>
-              )}
-            </div>
+            {hasDiscountValue && (
+              <div className="form-group">
+                <label htmlFor="discount_value">
+                  Discount Value <span className="required">*</span>
+                </label>
+                <input
+                  type="number"
+                  id="discount_value"
+                  name="discount_value"
+                  value={formData.discount_value}
+                  onChange={handleChange}
+                  placeholder={formData.discount_type === 'percentage' ? '10' : '100'}
+                  step={formData.discount_type === 'percentage' ? '0.01' : '1'}
+                  min="0"
+                  className={errors.discount_value ? 'error' : ''}
+                />
+                {errors.discount_value && (
+                  <span className="error-message">{errors.discount_value}</span>
+                )}
+              </div>
+            )}
 
-            {formData.discount_type === 'percentage' && (
+            {hasMaxDiscount && (
               <div className="form-group">
                 <label htmlFor="max_discount">Max Discount (₹)</label>
                 <input
@@ -314,6 +558,137 @@ export default function CouponForm() {
             )}
           </div>
 
+          {formData.discount_type === DISCOUNT_TYPES.BUY_X_GET_Y && (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="buy_quantity">
+                  Buy <span className="required">*</span>
+                </label>
+                <input
+                  type="number"
+                  id="buy_quantity"
+                  name="buy_quantity"
+                  value={formData.buy_quantity}
+                  onChange={handleChange}
+                  step="1"
+                  min="1"
+                  className={errors.buy_quantity ? 'error' : ''}
+                />
+                {errors.buy_quantity && (
+                  <span className="error-message">{errors.buy_quantity}</span>
+                )}
+              </div>
+              <div className="form-group">
+                <label htmlFor="get_quantity">
+                  Get <span className="required">*</span>
+                </label>
+                <input
+                  type="number"
+                  id="get_quantity"
+                  name="get_quantity"
+                  value={formData.get_quantity}
+                  onChange={handleChange}
+                  step="1"
+                  min="1"
+                  className={errors.get_quantity ? 'error' : ''}
+                />
+                {errors.get_quantity && (
+                  <span className="error-message">{errors.get_quantity}</span>
+                )}
+              </div>
+              <div className="form-group">
+                <label htmlFor="get_discount_percent">Discount on &quot;Get&quot; Items (%)</label>
+                <input
+                  type="number"
+                  id="get_discount_percent"
+                  name="get_discount_percent"
+                  value={formData.get_discount_percent}
+                  onChange={handleChange}
+                  step="1"
+                  min="1"
+                  max="100"
+                  className={errors.get_discount_percent ? 'error' : ''}
+                />
+                {errors.get_discount_percent && (
+                  <span className="error-message">{errors.get_discount_percent}</span>
+                )}
+                <span className="field-hint">
+                  100 makes them free. The cheapest items in each group are discounted.
+                </span>
+              </div>
+            </div>
+          )}
+
+          {formData.discount_type === DISCOUNT_TYPES.TIERED && (
+            <div className="form-group">
+              <label>
+                Tiers <span className="required">*</span>
+              </label>
+              {formData.tiers.map((tier, index) => (
+                <div key={index} className="tier-row">
+                  <input
+                    type="number"
+                    aria-label="Minimum spend"
+                    value={tier.min_subtotal}
+                    onChange={(e) => handleTierChange(index, 'min_subtotal', e.target.value)}
+                    placeholder="Spend over ₹1999"
+                    step="1"
+                    min="0"
+                  />
+                  <input
+                    type="number"
+                    aria-label="Percentage off"
+                    value={tier.percent}
+                    onChange={(e) => handleTierChange(index, 'percent', e.target.value)}
+                    placeholder="% off"
+                    step="0.01"
+                    min="0"
+                    max="100"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeTier(index)}
+                    className="btn-icon"
+                    title="Remove tier"
+                    disabled={formData.tiers.length === 1}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+              <button type="button" onClick={addTier} className="btn-secondary">
+                <Plus size={16} /> Add Tier
+              </button>
+              {errors.tiers && <span className="error-message">{errors.tiers}</span>}
+              <span className="field-hint">
+                The highest tier reached by the eligible items applies.
+              </span>
+            </div>
+          )}
+
+          {formData.discount_type === DISCOUNT_TYPES.FREE_GIFT && (
+            <div className="form-group">
+              <label htmlFor="gift_product_id">
+                Gift Product ID <span className="required">*</span>
+              </label>
+              <input
+                type="text"
+                id="gift_product_id"
+                name="gift_product_id"
+                value={formData.gift_product_id}
+                onChange={handleChange}
+                className={errors.gift_product_id ? 'error' : ''}
+              />
+              {errors.gift_product_id && (
+                <span className="error-message">{errors.gift_product_id}</span>
+              )}
+              <span className="field-hint">
+                One unit is free once the rest of the cart reaches the minimum order value.
+                Customers add the gift to their bag themselves.
+              </span>
+            </div>
+          )}
+
           <div className="form-group">
             <label htmlFor="min_order_value">Minimum Order Value (₹)</label>
             <input
@@ -333,6 +708,283 @@ export default function CouponForm() {
           </div>
         </div>
 
+        <div className="form-section">
+          <h2>Eligible Items</h2>
+          <span className="field-hint">
+            Leave everything empty to discount the whole cart. Items must match every filter set.
+          </span>
+
+          <div className="form-group">
+            <label>Categories</label>
+            <div className="checkbox-grid">
+              {Object.values(CATEGORIES).map((category) => (
+                <label key={category} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.scope_categories.includes(category)}
+                    onChange={() => toggleListValue('scope_categories', category)}
+                  />
+                  <span>{category}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Sizes</label>
+            <div className="checkbox-grid">
+              {SIZES.map((size) => (
+                <label key={size} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.scope_sizes.includes(size)}
+                    onChange={() => toggleListValue('scope_sizes', size)}
+                  />
+                  <span>{size}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="scope_brands">Brands</label>
+              <input
+                type="text"
+                id="scope_brands"
+                name="scope_brands"
+                value={formData.scope_brands}
+                onChange={handleChange}
+                placeholder="Comma-separated, e.g. Stryng, Northline"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="scope_product_ids">Product IDs</label>
+              <input
+                type="text"
+                id="scope_product_ids"
+                name="scope_product_ids"
+                value={formData.scope_product_ids}
+                onChange={handleChange}
+                placeholder="Comma-separated"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="form-section">
+          <h2>Combining Offers</h2>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="exclusive"
+                  checked={formData.exclusive}
+                  onChange={handleChange}
+                />
+                <span>Exclusive</span>
+              </label>
+              <span className="field-hint">
+                Never combined with other offers; the customer gets whichever saves more
+              </span>
+            </div>
+            <div className="form-group">
+              <label htmlFor="priority">Priority</label>
+              <input
+                type="number"
+                id="priority"
+                name="priority"
+                value={formData.priority}
+                onChange={handleChange}
+                step="1"
+              />
+              <span className="field-hint">Higher priorities are applied first when offers stack</span>
+            </div>
+          </div>
+        </div>
+
+        {!formData.automatic && (
+          <div className="form-section">
+            <h2>Eligible Customers</h2>
+            <span className="field-hint">
+              Leave everything empty to offer the coupon to everyone. Customers must match every rule
+              set, and the coupon is only listed for customers who do.
+            </span>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    name="first_order_only"
+                    checked={formData.first_order_only}
+                    onChange={handleChange}
+                  />
+                  <span>First order only</span>
+                </label>
+                <span className="field-hint">Customers without a previous (uncancelled) order</span>
+              </div>
+              <div className="form-group">
+                <label htmlFor="signup_within_days">Signed Up Within (days)</label>
+                <input
+                  type="number"
+                  id="signup_within_days"
+                  name="signup_within_days"
+                  value={formData.signup_within_days}
+                  onChange={handleChange}
+                  placeholder="Any time"
+                  step="1"
+                  min="1"
+                  className={errors.signup_within_days ? 'error' : ''}
+                />
+                {errors.signup_within_days && (
+                  <span className="error-message">{errors.signup_within_days}</span>
+                )}
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="target_email_domains">Email Domains</label>
+                <input
+                  type="text"
+                  id="target_email_domains"
+                  name="target_email_domains"
+                  value={formData.target_email_domains}
+                  onChange={handleChange}
+                  placeholder="Comma-separated, e.g. acme.com"
+                />
+                <span className="field-hint">Customers must have verified their email</span>
+              </div>
+              <div className="form-group">
+                <label htmlFor="target_user_ids">User IDs</label>
+                <input
+                  type="text"
+                  id="target_user_ids"
+                  name="target_user_ids"
+                  value={formData.target_user_ids}
+                  onChange={handleChange}
+                  placeholder="Comma-separated"
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="target_states">Delivery States</label>
+                <input
+                  type="text"
+                  id="target_states"
+                  name="target_states"
+                  value={formData.target_states}
+                  onChange={handleChange}
+                  placeholder="Comma-separated, e.g. Karnataka, Kerala"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="target_pincodes">Delivery Pincodes</label>
+                <input
+                  type="text"
+                  id="target_pincodes"
+                  name="target_pincodes"
+                  value={formData.target_pincodes}
+                  onChange={handleChange}
+                  placeholder="Comma-separated, e.g. 560001, 682001"
+                  className={errors.target_pincodes ? 'error' : ''}
+                />
+                {errors.target_pincodes && (
+                  <span className="error-message">{errors.target_pincodes}</span>
+                )}
+              </div>
+            </div>
+            <span className="field-hint">
+              Delivery to any listed state or pincode qualifies. The shipping address is checked at
+              checkout.
+            </span>
+          </div>
+        )}
+
+        {!formData.automatic && (
+          <div className="form-section">
+            <h2>Unique Codes</h2>
+
+            <div className="form-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="unique_codes"
+                  checked={formData.unique_codes}
+                  onChange={handleChange}
+                  disabled={codesCount > 0}
+                />
+                <span>Single-use unique codes</span>
+              </label>
+              <span className="field-hint">
+                Generate a batch of codes that can each be redeemed once, for influencer or apology
+                campaigns. The coupon code above then only names the campaign.
+              </span>
+            </div>
+
+            {formData.unique_codes && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="code_prefix">Prefix</label>
+                  <input
+                    type="text"
+                    id="code_prefix"
+                    name="code_prefix"
+                    value={formData.code_prefix}
+                    onChange={handleChange}
+                    placeholder="e.g., AMIT"
+                    style={{ textTransform: 'uppercase' }}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="code_length">Random Characters</label>
+                  <input
+                    type="number"
+                    id="code_length"
+                    name="code_length"
+                    value={formData.code_length}
+                    onChange={handleChange}
+                    step="1"
+                    min="6"
+                    max="16"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="generate_count">
+                    {codesCount > 0 ? 'Generate More Codes' : 'Codes to Generate'}
+                  </label>
+                  <input
+                    type="number"
+                    id="generate_count"
+                    name="generate_count"
+                    value={formData.generate_count}
+                    onChange={handleChange}
+                    placeholder={codesCount > 0 ? '0' : '1000'}
+                    step="1"
+                    min="0"
+                    max={MAX_CODES_PER_BATCH}
+                  />
+                  {codesCount > 0 && (
+                    <span className="field-hint">{codesCount} codes generated so far</span>
+                  )}
+                </div>
+              </div>
+            )}
+            {errors.unique_codes && <span className="error-message">{errors.unique_codes}</span>}
+            {formData.unique_codes && (
+              <span className="field-hint">
+                Codes look like {formData.code_prefix ? `${formData.code_prefix.toUpperCase()}-` : ''}
+                {'X'.repeat(Math.min(parseInt(formData.code_length) || 0, 16))}. Export them as CSV from the coupon list.
+              </span>
+            )}
+          </div>
+        )}
+
         <div className="form-section">
           <h2>Usage Limits</h2>
 
@@ -355,25 +1007,27 @@ export default function CouponForm() {
               )}
             </div>
 
-            <div className="form-group">
-              <label htmlFor="max_uses_per_user">
-                Max Uses Per User <span className="required">*</span>
-              </label>
-              <input
-                type="number"
-                id="max_uses_per_user"
-                name="max_uses_per_user"
-                value={formData.max_uses_per_user}
-                onChange={handleChange}
-                placeholder="1"
-                step="1"
-                min="1"
-                className={errors.max_uses_per_user ? 'error' : ''}
-              />
-              {errors.max_uses_per_user && (
-                <span className="error-message">{errors.max_uses_per_user}</span>
-              )}
-            </div>
+            {!formData.automatic && (
+              <div className="form-group">
+                <label htmlFor="max_uses_per_user">
+                  Max Uses Per User <span className="required">*</span>
+                </label>
+                <input
+                  type="number"
+                  id="max_uses_per_user"
+                  name="max_uses_per_user"
+                  value={formData.max_uses_per_user}
+                  onChange={handleChange}
+                  placeholder="1"
+                  step="1"
+                  min="1"
+                  className={errors.max_uses_per_user ? 'error' : ''}
+                />
+                {errors.max_uses_per_user && (
+                  <span className="error-message">{errors.max_uses_per_user}</span>
+                )}
+              </div>
+            )}
           </div>
         </div>
 
@@ -5,6 +5,8 @@ import { ArrowLeft, Save } from 'lucide-react';
 import useStore from '../../store/useStore';
 import ImageUpload from '../../components/admin/ImageUpload';
 import { useAllProducts } from '../../hooks/useProducts';
+import { buildVariantMatrix, sumVariantStock } from '../../lib/inventory';
+import { getHsnCode } from '../../lib/tax';
 
 // Common color names to hex mapping
 const COLOR_MAP = {
@@ -88,6 +90,8 @@ export default function ProductForm() {
   const [images, setImages] = useState([]);
   const [colors, setColors] = useState([{ name: '', hex: '#000000' }]);
   const [sizes, setSizes] = useState([]);
+  const [trackVariants, setTrackVariants] = useState(false);
+  const [variants, setVariants] = useState([]);
   const [submitting, setSubmitting] = useState(false);
 
   const {
@@ -125,6 +129,9 @@ export default function ProductForm() {
         product.originalPrice || product.original_price || product.price || 0
       );
       setValue('discount', product.discount || 0);
+      setValue('hsn_code', product.hsn_code || '');
+      setValue('weight_grams', product.weight_grams || '');
+      setValue('gst_rate', product.gst_rate ?? '');
 
       // Inventory
       setValue('sku', product.sku || '');
@@ -136,11 +143,6 @@ export default function ProductForm() {
       setValue('track_inventory', product.track_inventory !== false);
 
       // Additional info
-      setValue('rating', product.rating || 0);
-      setValue(
-        'reviews_count',
-        product.reviewCount || product.reviews_count || 0
-      );
       setValue('is_new', product.isNew || product.is_new || false);
       setValue(
         'is_trending',
@@ -155,6 +157,8 @@ export default function ProductForm() {
           : [{ name: '', hex: '#000000' }]
       );
       setSizes(product.sizes || []);
+      setTrackVariants(Array.isArray(product.variants) && product.variants.length > 0);
+      setVariants(product.variants || []);
     }
   }, [isEditing, id, products, setValue, navigate]);
 
@@ -189,6 +193,20 @@ export default function ProductForm() {
     }
   }, [price, originalPrice, setValue]);
 
+  // Keep the size × color variant matrix in sync with selected sizes/colors
+  const baseSku = watch('sku');
+  useEffect(() => {
+    if (!trackVariants) return;
+    setVariants((prev) =>
+      buildVariantMatrix(
+        sizes,
+        colors.filter((c) => c.name),
+        prev,
+        baseSku || 'SKU'
+      )
+    );
+  }, [trackVariants, sizes, colors, baseSku]);
+
   // Show loading state while fetching products for edit (AFTER all hooks)
   if (isEditing && isLoadingProducts) {
     return (
@@ -229,6 +247,14 @@ export default function ProductForm() {
     setColors(colors.filter((_, i) => i !== index));
   };
 
+  const handleVariantChange = (index, field, value) => {
+    setVariants((prev) =>
+      prev.map((variant, i) =>
+        i === index ? { ...variant, [field]: value } : variant
+      )
+    );
+  };
+
   const toggleSize = (size) => {
     setSizes((prev) =>
       prev.includes(size) ? prev.filter((s) => s !== size) : [...prev, size]
@@ -249,6 +275,24 @@ export default function ProductForm() {
       return;
     }
 
+    const productVariants = trackVariants
+      ? variants.map((variant) => ({
+          sku: variant.sku,
+          size: variant.size,
+          color: variant.color,
+          stock: parseInt(variant.stock) || 0,
+          price:
+            variant.price === '' || variant.price === null || variant.price === undefined
+              ? null
+              : parseInt(variant.price),
+        }))
+      : [];
+
+    if (productVariants.some((v) => !v.sku)) {
+      alert('Every variant needs a SKU');
+      return;
+    }
+
     setSubmitting(true);
 
     // Generate unique SKU if not provided
@@ -273,18 +317,23 @@ export default function ProductForm() {
       price: parseInt(data.price),
       original_price: parseInt(data.original_price) || parseInt(data.price),
       discount: parseInt(data.discount) || 0,
+      // Tax (blank = use the category's HSN code and the slab rules)
+      hsn_code: data.hsn_code?.trim() || null,
+      weight_grams: parseInt(data.weight_grams) || null,
+      gst_rate: data.gst_rate === '' || data.gst_rate == null ? null : parseFloat(data.gst_rate),
       category: data.category,
       brand: data.brand || 'FASHION STORE',
       images,
       colors,
       sizes,
-      rating: parseFloat(data.rating) || 0,
-      reviews_count: parseInt(data.reviews_count) || 0,
       is_new: data.is_new || false,
       is_trending: data.is_trending || false,
       // Inventory fields
       sku: sku,
-      stock: parseInt(data.stock) || 0,
+      stock: trackVariants
+        ? sumVariantStock(productVariants)
+        : parseInt(data.stock) || 0,
+      variants: productVariants,
       low_stock_threshold: parseInt(data.low_stock_threshold) || 10,
       track_inventory: data.track_inventory !== false,
     };
@@ -463,6 +512,43 @@ export default function ProductForm() {
                 />
               </div>
 
+              <div className="form-group">
+                <label>Shipping Weight (grams)</label>
+                <input
+                  type="number"
+                  {...register('weight_grams', { min: 0 })}
+                  className="form-input"
+                  placeholder="Default weight"
+                />
+              </div>
+
+              <div className="form-group">
+                <label>HSN Code</label>
+                <input
+                  type="text"
+                  {...register('hsn_code', { pattern: /^\d{4,8}$/ })}
+                  className="form-input"
+                  placeholder={getHsnCode({ category: watch('category') })}
+                />
+                <small style={{ color: '#666', fontSize: '0.8125rem' }}>
+                  Leave empty to use the category default
+                </small>
+              </div>
+
+              <div className="form-group">
+                <label>GST Rate (%)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  {...register('gst_rate', { min: 0, max: 28 })}
+                  className="form-input"
+                  placeholder="By price slab"
+                />
+                <small style={{ color: '#666', fontSize: '0.8125rem' }}>
+                  Only set this to override the slab rules
+                </small>
+              </div>
+
               <div className="form-group">
                 <label>SKU (Stock Keeping Unit)</label>
                 <input
@@ -478,12 +564,28 @@ export default function ProductForm() {
 
               <div className="form-group">
                 <label>Stock Quantity *</label>
-                <input
-                  type="number"
-                  {...register('stock', { required: true, min: 0 })}
-                  className="form-input"
-                  defaultValue="0"
-                />
+                {trackVariants ? (
+                  <>
+                    <input
+                      type="number"
+                      value={sumVariantStock(
+                        variants.map((v) => ({ stock: parseInt(v.stock) || 0 }))
+                      )}
+                      className="form-input"
+                      readOnly
+                    />
+                    <small style={{ color: '#666', fontSize: '0.8125rem' }}>
+                      Total of all variants below
+                    </small>
+                  </>
+                ) : (
+                  <input
+                    type="number"
+                    {...register('stock', { required: true, min: 0 })}
+                    className="form-input"
+                    defaultValue="0"
+                  />
+                )}
               </div>
 
               <div className="form-group">
@@ -603,31 +705,87 @@ export default function ProductForm() {
             </div>
           </div>
 
+          {/* Variants */}
+          <div className="form-section">
+            <h2>Variants</h2>
+            <label className="checkbox-label" style={{ marginBottom: '1rem' }}>
+              <input
+                type="checkbox"
+                checked={trackVariants}
+                onChange={(e) => setTrackVariants(e.target.checked)}
+              />
+              <span>Track stock per size &amp; color</span>
+            </label>
+            {trackVariants && (
+              variants.length === 0 ? (
+                <p style={{ color: '#666', fontSize: '0.875rem' }}>
+                  Select sizes and colors above to generate variants
+                </p>
+              ) : (
+                <div className="admin-table-container">
+                  <table className="admin-table">
+                    <thead>
+                      <tr>
+                        <th>Variant</th>
+                        <th>SKU</th>
+                        <th>Stock</th>
+                        <th>Price Override (₹)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {variants.map((variant, index) => (
+                        <tr key={`${variant.size}-${variant.color}`}>
+                          <td>
+                            {[variant.size, variant.color].filter(Boolean).join(' / ')}
+                          </td>
+                          <td>
+                            <input
+                              type="text"
+                              value={variant.sku}
+                              onChange={(e) =>
+                                handleVariantChange(index, 'sku', e.target.value)
+                              }
+                              className="form-input"
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              min="0"
+                              value={variant.stock}
+                              onChange={(e) =>
+                                handleVariantChange(index, 'stock', e.target.value)
+                              }
+                              className="form-input"
+                              style={{ width: '100px' }}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              min="0"
+                              value={variant.price ?? ''}
+                              onChange={(e) =>
+                                handleVariantChange(index, 'price', e.target.value)
+                              }
+                              className="form-input"
+                              placeholder="Base price"
+                              style={{ width: '120px' }}
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )
+            )}
+          </div>
+
           {/* Additional Info */}
           <div className="form-section">
             <h2>Additional Information</h2>
             <div className="form-grid">
-              <div className="form-group">
-                <label>Rating (0-5)</label>
-                <input
-                  type="number"
-                  step="0.1"
-                  {...register('rating', { min: 0, max: 5 })}
-                  className="form-input"
-                  defaultValue="0"
-                />
-              </div>
-
-              <div className="form-group">
-                <label>Reviews Count</label>
-                <input
-                  type="number"
-                  {...register('reviews_count', { min: 0 })}
-                  className="form-input"
-                  defaultValue="0"
-                />
-              </div>
-
               <div className="form-group">
                 <label className="checkbox-label">
                   <input type="checkbox" {...register('is_new')} />
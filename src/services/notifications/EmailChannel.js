@@ -0,0 +1,41 @@
+/**
+ * Email Channel
+ * Base class for services that deliver notification emails
+ * @module services/notifications/EmailChannel
+ */
+
+/**
+ * Notification error class
+ * Thrown when a channel can't accept a message
+ */
+export class NotificationError extends Error {
+  constructor(message, code = 'notification_error') {
+    super(message);
+    this.name = 'NotificationError';
+    this.code = code;
+  }
+}
+
+/**
+ * EmailChannel class
+ * Every mail service implements send() for plain-text messages.
+ */
+class EmailChannel {
+  /**
+   * @param {string} name - Channel name
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<Object>} Delivery receipt ({ id, status })
+   */
+  async send() {
+    throw new NotificationError(`${this.name} does not implement send`, 'not_implemented');
+  }
+}
+
+export default EmailChannel;
@@ -0,0 +1,44 @@
+/**
+ * Notification Service
+ * Queues a notification into the customer's in-app notification center and
+ * sends a copy through the email channel
+ * @module services/notifications/NotificationService
+ */
+
+class NotificationService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.inbox - In-app queue with add(notification)
+   * @param {EmailChannel} [options.email] - Email channel (optional)
+   */
+  constructor({ inbox, email = null }) {
+    this.inbox = inbox;
+    this.email = email;
+  }
+
+  /**
+   * Deliver a notification
+   * The in-app copy is the record; a failed email is reported but doesn't
+   * undo it.
+   * @param {Object} notification - In-app notification ({ user_id, title, message, ... })
+   * @param {Object|null} email - Email ({ to, subject, text }), or null to skip
+   * @returns {Promise<Object>} { id, emailed, emailError }
+   */
+  async notify(notification, email = null) {
+    const id = await this.inbox.add(notification);
+
+    if (!email || !this.email) {
+      return { id, emailed: false, emailError: null };
+    }
+
+    try {
+      await this.email.send(email);
+      return { id, emailed: true, emailError: null };
+    } catch (error) {
+      console.error(`Error sending email via ${this.email.name}:`, error);
+      return { id, emailed: false, emailError: error.message };
+    }
+  }
+}
+
+export default NotificationService;
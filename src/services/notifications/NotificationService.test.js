@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import NotificationService from './NotificationService';
+import StubEmailChannel from './StubEmailChannel';
+
+describe('NotificationService', () => {
+  let inbox;
+  let email;
+  let service;
+
+  beforeEach(() => {
+    inbox = [];
+    email = new StubEmailChannel({ log: false });
+    service = new NotificationService({
+      inbox: {
+        add: async (notification) => {
+          inbox.push(notification);
+          return `n${inbox.length}`;
+        },
+      },
+      email,
+    });
+  });
+
+  const notification = { user_id: 'u1', title: 'Back in stock', message: 'Tee is back.' };
+
+  it('should queue the in-app notification and email a copy', async () => {
+    const result = await service.notify(notification, {
+      to: 'a@b.com',
+      subject: 'Back in stock: Tee',
+      text: 'Tee is back.',
+    });
+
+    expect(result).toEqual({ id: 'n1', emailed: true, emailError: null });
+    expect(inbox).toEqual([notification]);
+    expect(email.outbox).toHaveLength(1);
+    expect(email.outbox[0].to).toBe('a@b.com');
+  });
+
+  it('should keep the in-app notification when the email fails', async () => {
+    const result = await service.notify(notification, { to: 'not-an-email', subject: 'x', text: 'x' });
+
+    expect(result.emailed).toBe(false);
+    expect(result.emailError).toMatch(/recipient/);
+    expect(inbox).toHaveLength(1);
+    expect(email.outbox).toHaveLength(0);
+  });
+
+  it('should skip the email when there is no address', async () => {
+    const result = await service.notify(notification, null);
+
+    expect(result.emailed).toBe(false);
+    expect(email.outbox).toHaveLength(0);
+  });
+});
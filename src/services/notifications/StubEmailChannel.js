@@ -0,0 +1,40 @@
+/**
+ * Stub Email Channel
+ * Stands in for a mail service in development and tests: messages are kept
+ * in an in-memory outbox (and logged) instead of being sent.
+ * @module services/notifications/StubEmailChannel
+ */
+
+import EmailChannel, { NotificationError } from './EmailChannel';
+
+class StubEmailChannel extends EmailChannel {
+  /**
+   * @param {Object} options - { log } (set log to false to keep tests quiet)
+   */
+  constructor(options = {}) {
+    super('stub');
+    this.log = options.log !== false;
+    this.outbox = [];
+  }
+
+  async send({ to, subject, text }) {
+    if (!to || !/^[^\s@]+@[^\s@]+$/.test(to)) {
+      throw new NotificationError('Invalid recipient address', 'invalid_recipient');
+    }
+
+    const message = {
+      id: `email_stub_${this.outbox.length + 1}`,
+      to,
+      subject,
+      text,
+      status: 'sent',
+    };
+    this.outbox.push(message);
+    if (this.log) {
+      console.info(`📧 [stub] To: ${to} | ${subject}`);
+    }
+    return { id: message.id, status: message.status };
+  }
+}
+
+export default StubEmailChannel;
@@ -0,0 +1,49 @@
+/**
+ * Notification Channels
+ * Resolves the email channel configured for notifications
+ * @module services/notifications
+ */
+
+import StubEmailChannel from './StubEmailChannel';
+import NotificationService from './NotificationService';
+import { NotificationError } from './EmailChannel';
+import { EMAIL_CHANNEL } from '../../config/constants';
+
+const factories = {
+  stub: () => new StubEmailChannel(),
+};
+
+const instances = new Map();
+
+/**
+ * Register an email channel factory under a name
+ * @param {string} name - Channel name used in EMAIL_CHANNEL
+ * @param {Function} factory - Returns an EmailChannel instance
+ */
+export const registerEmailChannel = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * Get the configured email channel
+ * @returns {EmailChannel} Channel instance (shared per channel name)
+ * @throws {NotificationError} If the channel isn't registered
+ */
+export const getEmailChannel = () => {
+  if (!factories[EMAIL_CHANNEL]) {
+    throw new NotificationError(`No email channel registered as "${EMAIL_CHANNEL}"`, 'no_channel');
+  }
+
+  if (!instances.has(EMAIL_CHANNEL)) {
+    instances.set(EMAIL_CHANNEL, factories[EMAIL_CHANNEL]());
+  }
+  return instances.get(EMAIL_CHANNEL);
+};
+
+export { NotificationService, NotificationError };
+
+export default {
+  registerEmailChannel,
+  getEmailChannel,
+};
@@ -0,0 +1,53 @@
+/**
+ * Manual UPI Provider
+ * UPI transfers straight to the merchant VPA, for shops without a payment
+ * gateway. The customer pays from their UPI app using the link or QR code and
+ * may send the transaction ID; an admin checks the bank account and approves
+ * or rejects the payment.
+ * @module services/payments/ManualUpiProvider
+ */
+
+import ReviewedPaymentProvider from './ReviewedPaymentProvider';
+import { PaymentError } from './PaymentProvider';
+import { PAYMENT_METHODS } from '../../config/constants';
+
+// UPI transaction IDs (UTRs) are 12 digits; allow a little slack for apps
+// that show other reference formats
+const MAX_REFERENCE_LENGTH = 35;
+
+class ManualUpiProvider extends ReviewedPaymentProvider {
+  /**
+   * @param {Object} options - { merchantVpa, merchantName, store }
+   */
+  constructor(options = {}) {
+    super('manual_upi', [PAYMENT_METHODS.UPI], options);
+  }
+
+  /**
+   * The customer pays outside the app, then reports it
+   * @private
+   */
+  _getNextAction(intent) {
+    return { ...super._getNextAction(intent), type: 'upi_reference' };
+  }
+
+  /**
+   * The transaction ID the customer sent, if any
+   * @private
+   */
+  _getReference(details) {
+    return String(details.reference || '').trim() || null;
+  }
+
+  async confirmIntent(intentId, details = {}) {
+    // A mistyped reference is corrected and resent rather than failing the
+    // attempt, since the money may already have been sent
+    const reference = this._getReference(details) || '';
+    if (reference.length > MAX_REFERENCE_LENGTH || /[^\w-]/.test(reference)) {
+      throw new PaymentError('Invalid UPI transaction ID', 'invalid_details');
+    }
+    return super.confirmIntent(intentId, details);
+  }
+}
+
+export default ManualUpiProvider;
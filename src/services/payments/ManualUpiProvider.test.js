@@ -0,0 +1,40 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import ManualUpiProvider from './ManualUpiProvider';
+
+describe('ManualUpiProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new ManualUpiProvider({ merchantVpa: 'shop@okbank', merchantName: 'Shop' });
+  });
+
+  const createIntent = () =>
+    provider.createIntent({ orderId: 'order_1', amount: 1180, method: 'upi', idempotencyKey: 'k' });
+
+  it('should only handle UPI and ask for a reference after paying by link', async () => {
+    const intent = await createIntent();
+
+    expect(provider.supports('card')).toBe(false);
+    expect(intent.next_action.type).toBe('upi_reference');
+    expect(intent.next_action.upi_link).toContain('pa=shop@okbank');
+  });
+
+  it('should keep the payment processing until an admin approves it', async () => {
+    const intent = await createIntent();
+
+    const submitted = await provider.confirmIntent(intent.id, { reference: ' 123456789012 ' });
+    expect(submitted).toMatchObject({ status: 'processing', reference: '123456789012' });
+
+    const paid = await provider.reviewIntent(intent.id, { approved: true });
+    expect(paid).toMatchObject({ status: 'succeeded', payment_id: '123456789012' });
+  });
+
+  it('should reject a malformed reference without failing the attempt', async () => {
+    const intent = await createIntent();
+
+    await expect(
+      provider.confirmIntent(intent.id, { reference: 'not a ref!' })
+    ).rejects.toMatchObject({ code: 'invalid_details' });
+    expect((await provider.retrieveIntent(intent.id)).status).toBe('requires_action');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Mock Payment Provider
+ * Offline gateway for development and tests. Intents live in an intent store
+ * (Firestore in the app, so an admin session can verify them) and webhooks
+ * are delivered synchronously to registered listeners. Valid details leave
+ * the payment processing until an admin approves it, standing in for the
+ * gateway capturing it.
+ *
+ * Test details:
+ * - Card: any Luhn-valid number is accepted, 4000000000000002 is declined
+ * - UPI: any valid VPA is accepted, fail@mock is declined
+ * - Net banking: any listed bank is accepted, FAIL is declined
+ * @module services/payments/MockPaymentProvider
+ */
+
+import ReviewedPaymentProvider from './ReviewedPaymentProvider';
+import { PaymentError } from './PaymentProvider';
+import { PAYMENT_METHODS } from '../../config/constants';
+
+const DECLINED_CARD = '4000000000000002';
+const DECLINED_VPA = 'fail@mock';
+const DECLINED_BANK = 'FAIL';
+
+/**
+ * Check a card number with the Luhn algorithm
+ * @param {string} number - Card number (digits only)
+ * @returns {boolean}
+ */
+const isLuhnValid = (number) => {
+  let sum = 0;
+  number
+    .split('')
+    .reverse()
+    .forEach((char, index) => {
+      let digit = Number(char);
+      if (index % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    });
+  return sum % 10 === 0;
+};
+
+/**
+ * Sign a webhook payload (not cryptographic; only for the mock)
+ * @param {string} secret - Webhook secret
+ * @param {Object} payload - Event payload
+ * @returns {string} Signature
+ */
+const sign = (secret, payload) => {
+  const input = `${secret}.${JSON.stringify(payload)}`;
+  let hash = 5381;
+  for (let i = 0; i < input.length; i++) {
+    hash = ((hash << 5) + hash + input.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+};
+
+class MockPaymentProvider extends ReviewedPaymentProvider {
+  /**
+   * @param {Object} options - { merchantVpa, merchantName, webhookSecret, store }
+   */
+  constructor(options = {}) {
+    super('mock', [PAYMENT_METHODS.UPI, PAYMENT_METHODS.CARD, PAYMENT_METHODS.NET_BANKING], {
+      ...options,
+      merchantVpa: options.merchantVpa || 'merchant@mock',
+      merchantName: options.merchantName || 'Mock Merchant',
+    });
+    this.webhookSecret = options.webhookSecret || 'mock_webhook_secret';
+    this.listeners = new Set();
+  }
+
+  /**
+   * Deliver a signed webhook event to listeners
+   * @private
+   */
+  _notify(type, intent) {
+    const payload = { id: this._nextId('evt'), type, data: { ...intent } };
+    const event = { ...payload, signature: sign(this.webhookSecret, payload) };
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  /**
+   * Decline invalid details and the test failures
+   * @private
+   * @returns {string|null} Failure reason, or null if the payment is submitted
+   */
+  _getFailureReason(method, details) {
+    if (method === PAYMENT_METHODS.CARD) {
+      const number = String(details.cardNumber || '').replace(/\s/g, '');
+      if (!/^\d{12,19}$/.test(number) || !isLuhnValid(number)) return 'Invalid card number';
+      if (!/^\d{3,4}$/.test(String(details.cvv || ''))) return 'Invalid CVV';
+
+      const [month, year] = String(details.expiry || '').split('/').map(Number);
+      const expiresAt = new Date(2000 + year, month, 1);
+      if (!month || month > 12 || expiresAt <= new Date()) return 'Card has expired';
+      if (number === DECLINED_CARD) return 'Card declined by issuer';
+      return null;
+    }
+
+    if (method === PAYMENT_METHODS.UPI) {
+      const vpa = String(details.vpa || '').toLowerCase();
+      if (!/^[\w.-]+@[\w]+$/.test(vpa)) return 'Invalid UPI ID';
+      if (vpa === DECLINED_VPA) return 'Payment declined by UPI app';
+      return null;
+    }
+
+    if (method === PAYMENT_METHODS.NET_BANKING) {
+      if (!details.bank) return 'Select a bank';
+      if (details.bank === DECLINED_BANK) return 'Payment cancelled at bank';
+      return null;
+    }
+
+    return 'Unsupported payment method';
+  }
+
+  async handleWebhook(event) {
+    const { signature, ...payload } = event || {};
+    if (!signature || signature !== sign(this.webhookSecret, payload)) {
+      throw new PaymentError('Invalid webhook signature', 'invalid_signature');
+    }
+    return { type: payload.type, intent: payload.data };
+  }
+
+  /**
+   * Subscribe to webhook events
+   * @param {Function} listener - Called with each signed event
+   * @returns {Function} Unsubscribe function
+   */
+  onWebhook(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export default MockPaymentProvider;
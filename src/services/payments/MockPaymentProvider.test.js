@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import MockPaymentProvider from './MockPaymentProvider';
+import { PaymentError } from './PaymentProvider';
+
+const VALID_CARD = { cardNumber: '4111 1111 1111 1111', cvv: '123', expiry: '12/99' };
+
+describe('MockPaymentProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockPaymentProvider({ merchantVpa: 'shop@mock' });
+  });
+
+  const createIntent = (method = 'card', idempotencyKey = 'key_1') =>
+    provider.createIntent({ orderId: 'order_1', amount: 1180, method, idempotencyKey });
+
+  it('should return the same intent for a repeated idempotency key', async () => {
+    const first = await createIntent();
+    const second = await createIntent();
+    const third = await createIntent('card', 'key_2');
+
+    expect(second.id).toBe(first.id);
+    expect(third.id).not.toBe(first.id);
+  });
+
+  it('should include a UPI link for UPI intents', async () => {
+    const intent = await createIntent('upi');
+
+    expect(intent.next_action.upi_link).toContain('pa=shop@mock');
+    expect(intent.next_action.upi_link).toContain('am=1180.00');
+  });
+
+  it('should reject unsupported methods and invalid amounts', async () => {
+    await expect(createIntent('cod')).rejects.toBeInstanceOf(PaymentError);
+    await expect(
+      provider.createIntent({ orderId: 'order_1', amount: 0, method: 'card' })
+    ).rejects.toMatchObject({ code: 'invalid_amount' });
+  });
+
+  // Confirm an intent and approve it as an admin would
+  const pay = async (intent) => {
+    await provider.confirmIntent(intent.id, VALID_CARD);
+    return provider.reviewIntent(intent.id, { approved: true });
+  };
+
+  it('should submit valid details and decline test failures', async () => {
+    const card = await provider.confirmIntent((await createIntent('card', 'a')).id, VALID_CARD);
+    const upi = await provider.confirmIntent((await createIntent('upi', 'b')).id, { vpa: 'fail@mock' });
+    const bank = await provider.confirmIntent((await createIntent('net_banking', 'c')).id, {
+      bank: 'HDFC',
+    });
+
+    expect(card.status).toBe('processing');
+    expect(upi.status).toBe('failed');
+    expect(upi.failure_reason).toBe('Payment declined by UPI app');
+    expect(bank.status).toBe('processing');
+  });
+
+  it('should settle submitted payments on review only', async () => {
+    const approved = await createIntent('card', 'a');
+    const rejected = await createIntent('card', 'b');
+    await provider.confirmIntent(rejected.id, VALID_CARD);
+
+    await expect(
+      provider.reviewIntent(approved.id, { approved: true })
+    ).rejects.toMatchObject({ code: 'not_reviewable' });
+
+    const paid = await pay(approved);
+    const failed = await provider.reviewIntent(rejected.id, { approved: false, reason: 'No payment' });
+
+    expect(paid.status).toBe('succeeded');
+    expect(paid.payment_id).toBeTruthy();
+    expect((await provider.retrieveIntent(approved.id)).status).toBe('succeeded');
+    expect(failed).toMatchObject({ status: 'failed', failure_reason: 'No payment' });
+  });
+
+  it('should decline invalid and expired cards', async () => {
+    const invalid = await provider.confirmIntent((await createIntent('card', 'a')).id, {
+      ...VALID_CARD,
+      cardNumber: '4111111111111112',
+    });
+    const expired = await provider.confirmIntent((await createIntent('card', 'b')).id, {
+      ...VALID_CARD,
+      expiry: '01/20',
+    });
+
+    expect(invalid.failure_reason).toBe('Invalid card number');
+    expect(expired.failure_reason).toBe('Card has expired');
+  });
+
+  it('should deliver signed webhooks and reject tampered ones', async () => {
+    const events = [];
+    provider.onWebhook((event) => events.push(event));
+
+    const intent = await createIntent();
+    await pay(intent);
+
+    expect(events.map((event) => event.type)).toEqual([
+      'payment_intent.processing',
+      'payment_intent.succeeded',
+    ]);
+    const parsed = await provider.handleWebhook(events[1]);
+    expect(parsed.type).toBe('payment_intent.succeeded');
+    expect(parsed.intent.id).toBe(intent.id);
+
+    const tampered = { ...events[0], data: { ...events[0].data, amount: 1 } };
+    await expect(provider.handleWebhook(tampered)).rejects.toMatchObject({
+      code: 'invalid_signature',
+    });
+  });
+
+  it('should refund up to the captured amount once per idempotency key', async () => {
+    const intent = await createIntent();
+    await pay(intent);
+
+    const partial = await provider.refund({ intentId: intent.id, amount: 180, idempotencyKey: 'r1' });
+    const repeated = await provider.refund({ intentId: intent.id, amount: 180, idempotencyKey: 'r1' });
+    const rest = await provider.refund({ intentId: intent.id, idempotencyKey: 'r2' });
+
+    expect(repeated.id).toBe(partial.id);
+    expect(rest.amount).toBe(1000);
+    expect((await provider.retrieveIntent(intent.id)).amount_refunded).toBe(1180);
+    await expect(
+      provider.refund({ intentId: intent.id, amount: 1, idempotencyKey: 'r3' })
+    ).rejects.toMatchObject({ code: 'invalid_amount' });
+  });
+
+  it('should not refund unpaid intents', async () => {
+    const intent = await createIntent();
+
+    await expect(provider.refund({ intentId: intent.id, amount: 100 })).rejects.toMatchObject({
+      code: 'not_refundable',
+    });
+  });
+});
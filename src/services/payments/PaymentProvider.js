@@ -0,0 +1,108 @@
+/**
+ * Payment Provider
+ * Base class for payment gateway integrations
+ * @module services/payments/PaymentProvider
+ */
+
+/**
+ * Payment error class
+ * Thrown for invalid requests to a provider (not for declined payments,
+ * which are reported on the intent's status)
+ */
+export class PaymentError extends Error {
+  constructor(message, code = 'payment_error') {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+  }
+}
+
+/**
+ * PaymentProvider class
+ * Every gateway implements the same intent lifecycle:
+ * createIntent → confirmIntent → (webhook or admin review) → refund.
+ * Requests that accept an idempotency key return the original result when
+ * the same key is sent again.
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Array<string>} methods - Payment methods this provider handles
+   */
+  constructor(name, methods = []) {
+    this.name = name;
+    this.methods = methods;
+    // Providers without a webhook leave submitted payments processing until
+    // an admin reviews them
+    this.manualReview = false;
+  }
+
+  /**
+   * Check if this provider handles a payment method
+   * @param {string} method - Payment method
+   * @returns {boolean}
+   */
+  supports(method) {
+    return this.methods.includes(method);
+  }
+
+  /**
+   * Create a payment intent
+   * @param {Object} params - { orderId, amount, currency, method, idempotencyKey, metadata }
+   * @returns {Promise<Object>} Intent ({ id, status, amount, method, next_action, ... })
+   */
+  async createIntent() {
+    throw new PaymentError(`${this.name} does not implement createIntent`, 'not_implemented');
+  }
+
+  /**
+   * Get the latest state of an intent
+   * @param {string} intentId - Intent ID
+   * @returns {Promise<Object|null>} Intent or null if unknown
+   */
+  async retrieveIntent() {
+    throw new PaymentError(`${this.name} does not implement retrieveIntent`, 'not_implemented');
+  }
+
+  /**
+   * Confirm an intent with the customer's payment details
+   * @param {string} intentId - Intent ID
+   * @param {Object} details - Method-specific details (card, vpa, bank)
+   * @returns {Promise<Object>} Updated intent
+   */
+  async confirmIntent() {
+    throw new PaymentError(`${this.name} does not implement confirmIntent`, 'not_implemented');
+  }
+
+  /**
+   * Settle a submitted (processing) intent after an admin has checked it
+   * Only used by providers with manualReview.
+   * @param {string} intentId - Intent ID
+   * @param {Object} review - { approved, reason }
+   * @returns {Promise<Object>} Updated intent
+   */
+  async reviewIntent() {
+    throw new PaymentError(`${this.name} does not implement reviewIntent`, 'not_implemented');
+  }
+
+  /**
+   * Verify and parse a webhook/callback event
+   * @param {Object} event - Raw event from the gateway
+   * @returns {Promise<Object>} { type, intent }
+   * @throws {PaymentError} If the event signature is invalid
+   */
+  async handleWebhook() {
+    throw new PaymentError(`${this.name} does not implement handleWebhook`, 'not_implemented');
+  }
+
+  /**
+   * Refund a succeeded intent, fully or partially
+   * @param {Object} params - { intentId, amount, idempotencyKey, reason }
+   * @returns {Promise<Object>} Refund ({ id, intent_id, amount, status })
+   */
+  async refund() {
+    throw new PaymentError(`${this.name} does not implement refund`, 'not_implemented');
+  }
+}
+
+export default PaymentProvider;
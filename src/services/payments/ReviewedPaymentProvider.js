@@ -0,0 +1,245 @@
+/**
+ * Reviewed Payment Provider
+ * Base class for providers with no gateway server behind them. Intents are
+ * kept in an intent store; a confirmed payment stays processing until an
+ * admin reviews it, and only then succeeds or fails.
+ * @module services/payments/ReviewedPaymentProvider
+ */
+
+import PaymentProvider, { PaymentError } from './PaymentProvider';
+import { buildUpiLink } from '../../lib/upi';
+import { PAYMENT_METHODS, PAYMENT_INTENT_STATUS } from '../../config/constants';
+
+/**
+ * Keep intents in memory (the default store; visible only to this page)
+ * @returns {Object} Store ({ get, set, update })
+ */
+const createMemoryIntentStore = () => {
+  const intents = new Map();
+
+  return {
+    get: async (id) => (intents.has(id) ? { ...intents.get(id) } : null),
+    set: async (id, intent) => {
+      intents.set(id, { ...intent });
+    },
+    update: async (id, changes) => {
+      intents.set(id, { ...intents.get(id), ...changes });
+    },
+  };
+};
+
+class ReviewedPaymentProvider extends PaymentProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Array<string>} methods - Payment methods this provider handles
+   * @param {Object} options - { merchantVpa, merchantName, store ({ get, set, update }) }
+   */
+  constructor(name, methods, options = {}) {
+    super(name, methods);
+    this.manualReview = true;
+    this.merchantVpa = options.merchantVpa || '';
+    this.merchantName = options.merchantName || '';
+    this.store = options.store || createMemoryIntentStore();
+    this.sequence = 0;
+  }
+
+  /**
+   * Generate an ID
+   * @private
+   */
+  _nextId(prefix) {
+    this.sequence++;
+    return `${prefix}_${this.name}_${Date.now().toString(36)}${this.sequence}`;
+  }
+
+  /**
+   * Load an intent created by this provider or throw
+   * @private
+   */
+  async _getIntent(intentId) {
+    const intent = await this.store.get(intentId);
+    if (!intent || intent.provider !== this.name) {
+      throw new PaymentError('Payment not found', 'intent_not_found');
+    }
+    return intent;
+  }
+
+  /**
+   * Save changes to an intent and report them
+   * @private
+   */
+  async _updateIntent(intent, changes, eventType) {
+    await this.store.update(intent.id, changes);
+    const updated = { ...intent, ...changes };
+    this._notify(eventType, updated);
+    return updated;
+  }
+
+  /**
+   * What the customer does next to pay an intent
+   * @private
+   */
+  _getNextAction(intent) {
+    if (intent.method !== PAYMENT_METHODS.UPI) return null;
+    return {
+      type: 'upi',
+      upi_link: buildUpiLink({
+        vpa: this.merchantVpa,
+        name: this.merchantName,
+        amount: intent.amount,
+        currency: intent.currency,
+        reference: intent.id,
+      }),
+    };
+  }
+
+  /**
+   * Decide whether submitted details are declined straight away
+   * @private
+   * @returns {string|null} Failure reason, or null if the payment is submitted
+   */
+  _getFailureReason() {
+    return null;
+  }
+
+  /**
+   * Reference the customer gave for the payment (e.g. a UPI transaction ID)
+   * @private
+   * @returns {string|null}
+   */
+  _getReference() {
+    return null;
+  }
+
+  /**
+   * Called after every intent change (webhooks hook in here)
+   * @private
+   */
+  _notify() {}
+
+  async createIntent({ orderId, amount, currency = 'INR', method, idempotencyKey, metadata = {} }) {
+    if (!this.supports(method)) {
+      throw new PaymentError(`Payment method "${method}" is not supported`, 'unsupported_method');
+    }
+    if (!(amount > 0)) {
+      throw new PaymentError('Amount must be greater than zero', 'invalid_amount');
+    }
+
+    // The intent ID comes from the idempotency key, so a retried request
+    // finds the intent it already created
+    const id = idempotencyKey ? `pi_${this.name}_${idempotencyKey}` : this._nextId('pi');
+    const existing = await this.store.get(id);
+    if (existing) return existing;
+
+    const intent = {
+      id,
+      provider: this.name,
+      order_id: orderId,
+      amount,
+      currency,
+      method,
+      status: PAYMENT_INTENT_STATUS.REQUIRES_ACTION,
+      payment_id: null,
+      failure_reason: null,
+      reference: null,
+      amount_refunded: 0,
+      refunds: [],
+      metadata,
+      created_at: new Date().toISOString(),
+    };
+    intent.next_action = this._getNextAction(intent);
+
+    await this.store.set(id, intent);
+    return { ...intent };
+  }
+
+  async retrieveIntent(intentId) {
+    const intent = await this.store.get(intentId);
+    return intent?.provider === this.name ? intent : null;
+  }
+
+  async confirmIntent(intentId, details = {}) {
+    const intent = await this._getIntent(intentId);
+    // Confirming a submitted or finished intent returns it unchanged
+    if (intent.status !== PAYMENT_INTENT_STATUS.REQUIRES_ACTION) {
+      return intent;
+    }
+
+    const failureReason = this._getFailureReason(intent.method, details);
+    if (failureReason) {
+      return this._updateIntent(
+        intent,
+        { status: PAYMENT_INTENT_STATUS.FAILED, failure_reason: failureReason },
+        'payment_intent.payment_failed'
+      );
+    }
+
+    return this._updateIntent(
+      intent,
+      { status: PAYMENT_INTENT_STATUS.PROCESSING, reference: this._getReference(details) },
+      'payment_intent.processing'
+    );
+  }
+
+  async reviewIntent(intentId, { approved, reason = '' } = {}) {
+    const intent = await this._getIntent(intentId);
+    if (intent.status !== PAYMENT_INTENT_STATUS.PROCESSING) {
+      throw new PaymentError(
+        `Only submitted payments can be reviewed (this one is ${intent.status})`,
+        'not_reviewable'
+      );
+    }
+
+    if (approved) {
+      return this._updateIntent(
+        intent,
+        {
+          status: PAYMENT_INTENT_STATUS.SUCCEEDED,
+          payment_id: intent.reference || this._nextId('pay'),
+        },
+        'payment_intent.succeeded'
+      );
+    }
+
+    return this._updateIntent(
+      intent,
+      { status: PAYMENT_INTENT_STATUS.FAILED, failure_reason: reason || 'Payment not received' },
+      'payment_intent.payment_failed'
+    );
+  }
+
+  async refund({ intentId, amount, idempotencyKey, reason = '' }) {
+    const intent = await this.store.get(intentId);
+    if (!intent || intent.status !== PAYMENT_INTENT_STATUS.SUCCEEDED) {
+      throw new PaymentError('Only completed payments can be refunded', 'not_refundable');
+    }
+
+    const refunds = intent.refunds || [];
+    const repeated = idempotencyKey && refunds.find((r) => r.idempotency_key === idempotencyKey);
+    if (repeated) return { ...repeated };
+
+    const refundable = intent.amount - intent.amount_refunded;
+    const refundAmount = amount ?? refundable;
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      throw new PaymentError(`Refund amount must be between 0 and ${refundable}`, 'invalid_amount');
+    }
+
+    const refund = {
+      id: this._nextId('re'),
+      intent_id: intentId,
+      amount: refundAmount,
+      reason,
+      idempotency_key: idempotencyKey || null,
+      status: PAYMENT_INTENT_STATUS.SUCCEEDED,
+      created_at: new Date().toISOString(),
+    };
+    await this._updateIntent(
+      intent,
+      { amount_refunded: intent.amount_refunded + refundAmount, refunds: [...refunds, refund] },
+      'charge.refunded'
+    );
+    return refund;
+  }
+}
+
+export default ReviewedPaymentProvider;
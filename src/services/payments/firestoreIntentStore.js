@@ -0,0 +1,27 @@
+/**
+ * Firestore Intent Store
+ * Keeps the intents of providers without a gateway server in Firestore, so
+ * the admin who verifies a payment sees the intent the customer submitted.
+ * The rules only let customers submit or fail their own intents; settling
+ * and refunding them is admin-only.
+ * @module services/payments/firestoreIntentStore
+ */
+
+import {
+  COLLECTIONS,
+  getDocument,
+  setDocument,
+  updateDocument,
+} from '../../lib/firestoreHelpers';
+
+/**
+ * Create an intent store backed by the payment_intents collection
+ * @returns {Object} Store ({ get, set, update })
+ */
+export const createFirestoreIntentStore = () => ({
+  get: (id) => getDocument(COLLECTIONS.PAYMENT_INTENTS, id),
+  set: (id, intent) => setDocument(COLLECTIONS.PAYMENT_INTENTS, id, intent),
+  update: (id, changes) => updateDocument(COLLECTIONS.PAYMENT_INTENTS, id, changes),
+});
+
+export default createFirestoreIntentStore;
@@ -0,0 +1,91 @@
+/**
+ * Payment Providers
+ * Resolves the gateway configured for each payment method
+ * @module services/payments
+ */
+
+import MockPaymentProvider from './MockPaymentProvider';
+import ManualUpiProvider from './ManualUpiProvider';
+import { PaymentError } from './PaymentProvider';
+import { createFirestoreIntentStore } from './firestoreIntentStore';
+import {
+  PAYMENT_PROVIDERS,
+  PAYMENT_METHODS,
+  MERCHANT_UPI,
+  MOCK_PAYMENTS_ENABLED,
+} from '../../config/constants';
+
+const merchant = { merchantVpa: MERCHANT_UPI.VPA, merchantName: MERCHANT_UPI.NAME };
+
+// Manual UPI needs only the merchant VPA. The mock is left out of production
+// builds, so a production deployment that still names it has no provider for
+// the method.
+const factories = {
+  ...(MERCHANT_UPI.VPA && {
+    manual_upi: () => new ManualUpiProvider({ ...merchant, store: createFirestoreIntentStore() }),
+  }),
+  ...(MOCK_PAYMENTS_ENABLED && {
+    mock: () => new MockPaymentProvider({ ...merchant, store: createFirestoreIntentStore() }),
+  }),
+};
+
+const instances = new Map();
+
+/**
+ * Register a provider factory under a name
+ * @param {string} name - Provider name used in PAYMENT_PROVIDERS
+ * @param {Function} factory - Returns a PaymentProvider instance
+ */
+export const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * Get the provider for a payment method
+ * @param {string} method - Payment method
+ * @returns {PaymentProvider} Provider instance (shared per provider name)
+ * @throws {PaymentError} If no provider handles the method
+ */
+export const getPaymentProvider = (method) => {
+  const name = PAYMENT_PROVIDERS[method];
+  if (!name || !factories[name]) {
+    throw new PaymentError(`No payment provider configured for "${method}"`, 'no_provider');
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+  const provider = instances.get(name);
+
+  if (!provider.supports(method)) {
+    throw new PaymentError(`${name} does not support "${method}"`, 'unsupported_method');
+  }
+  return provider;
+};
+
+/**
+ * Check if a payment method is paid online through a provider
+ * @param {string} method - Payment method
+ * @returns {boolean}
+ */
+export const isOnlinePaymentMethod = (method) => !!PAYMENT_PROVIDERS[method];
+
+/**
+ * Check if a payment method can be used at checkout
+ * Cash on delivery has its own rules (see lib/cod); online methods need a
+ * registered provider.
+ * @param {string} method - Payment method
+ * @returns {boolean}
+ */
+export const isPaymentMethodAvailable = (method) =>
+  method === PAYMENT_METHODS.COD || !!factories[PAYMENT_PROVIDERS[method]];
+
+export { PaymentError };
+
+export default {
+  registerPaymentProvider,
+  getPaymentProvider,
+  isOnlinePaymentMethod,
+  isPaymentMethodAvailable,
+};
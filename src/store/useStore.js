@@ -17,9 +17,26 @@ import * as bannersAPI from '../api/banners.api';
 import * as couponsAPI from '../api/coupons.api';
 import * as addressesAPI from '../api/addresses.api';
 import * as pincodesAPI from '../api/pincodes.api';
+import * as cartsAPI from '../api/carts.api';
+import * as recentlyViewedAPI from '../api/recentlyViewed.api';
 
 // Import utilities
 import { validatePassword } from '../components/auth/PasswordStrength';
+import {
+  hasVariants,
+  findVariant,
+  getVariantStock,
+} from '../lib/inventory';
+import {
+  buildCartItem,
+  toStoredCartLine,
+  mergeCartLines,
+  hydrateCartLines,
+  hydrateSavedLines,
+  revalidateCartItems,
+  getCartLineKey,
+} from '../lib/cart';
+import { addRecentView, mergeRecentViews } from '../lib/recentlyViewed';
 import {
   trackAddToCart,
   trackRemoveFromCart,
@@ -37,21 +54,15 @@ const useStore = create(
       cart: [],
 
       addToCart: (product, size, color, quantity = 1) => {
-        const { cart, user } = get();
+        const { cart } = get();
 
-        // Check if user is logged in
-        if (!user) {
-          localStorage.setItem('pendingCartItem', JSON.stringify({
-            product, size, color, quantity, timestamp: Date.now()
-          }));
-          window.dispatchEvent(new CustomEvent('requireAuth', { 
-            detail: { redirectTo: '/login' } 
-          }));
+        // Check stock (per size × color when the product has variants)
+        const stock = getVariantStock(product, size, color);
+        if (hasVariants(product) && !findVariant(product, size, color)) {
+          get().showToast('This size and color is not available', 'error');
           return;
         }
-
-        // Check stock
-        if (product.stock !== undefined && product.stock <= 0) {
+        if (stock !== undefined && stock !== null && stock <= 0) {
           get().showToast('Product is out of stock', 'error');
           return;
         }
@@ -67,25 +78,15 @@ const useStore = create(
           const newCart = [...cart];
           const newQty = newCart[existingItemIndex].quantity + quantity;
           
-          if (product.stock && newQty > product.stock) {
-            get().showToast(`Only ${product.stock} items available`, 'error');
+          if (stock && newQty > stock) {
+            get().showToast(`Only ${stock} items available`, 'error');
             return;
           }
           
           newCart[existingItemIndex].quantity = newQty;
           set({ cart: newCart });
         } else {
-          set({
-            cart: [
-              ...cart,
-              {
-                ...product,
-                selectedSize: size,
-                selectedColor: color,
-                quantity,
-              },
-            ],
-          });
+          set({ cart: [...cart, buildCartItem(product, size, color, quantity)] });
         }
 
         trackAddToCart(product, quantity);
@@ -130,7 +131,104 @@ const useStore = create(
         set({ cart: newCart });
       },
 
-      clearCart: () => set({ cart: [] }),
+      clearCart: () => set({ cart: [], cartChanges: [] }),
+
+      // Cart lines set aside with their size, color and quantity
+      savedForLater: [],
+
+      saveForLater: (productId, size, colorName) => {
+        const { cart, savedForLater } = get();
+        const item = cart.find(
+          (item) =>
+            item.id === productId &&
+            item.selectedSize === size &&
+            item.selectedColor?.name === colorName
+        );
+        if (!item) return;
+
+        const key = getCartLineKey(toStoredCartLine(item));
+        set({
+          cart: cart.filter((cartItem) => cartItem !== item),
+          savedForLater: [
+            ...savedForLater.filter(
+              (saved) => getCartLineKey(toStoredCartLine(saved)) !== key
+            ),
+            item,
+          ],
+        });
+        get().showToast('Saved for later', 'success');
+      },
+
+      moveToCart: (productId, size, colorName) => {
+        const { savedForLater } = get();
+        const item = savedForLater.find(
+          (item) =>
+            item.id === productId &&
+            item.selectedSize === size &&
+            item.selectedColor?.name === colorName
+        );
+        if (!item) return;
+
+        // addToCart checks stock and shows its own toast
+        const cartBefore = get().cart;
+        get().addToCart(item, item.selectedSize, item.selectedColor, item.quantity);
+        if (get().cart === cartBefore) return;
+
+        set({ savedForLater: get().savedForLater.filter((saved) => saved !== item) });
+      },
+
+      removeSavedItem: (productId, size, colorName) => {
+        const { savedForLater } = get();
+        set({
+          savedForLater: savedForLater.filter(
+            (item) =>
+              !(
+                item.id === productId &&
+                item.selectedSize === size &&
+                item.selectedColor?.name === colorName
+              )
+          ),
+        });
+        get().showToast('Removed from saved items', 'success');
+      },
+
+      // Changes from revalidation the customer hasn't acknowledged yet;
+      // checkout is blocked while there are any
+      cartChanges: [],
+
+      /**
+       * Update the cart from live product data
+       * Only items for the fetched products are checked, so items added
+       * while the fetch was in flight aren't mistaken for deleted products.
+       * @param {Array} products - Current products
+       * @param {Array<string>} productIds - IDs the products were fetched for
+       * @returns {Array} Changes found by this check
+       */
+      revalidateCart: (products, productIds) => {
+        const { cart, cartChanges } = get();
+        const { items, changes } = revalidateCartItems(
+          cart.filter((item) => productIds.includes(item.id)),
+          products
+        );
+        if (changes.length === 0) return changes;
+
+        const lineKey = (item) => getCartLineKey(toStoredCartLine(item));
+        const updated = new Map(items.map((item) => [lineKey(item), item]));
+        const isNew = (change) =>
+          !changes.some((other) => other.key === change.key && other.type === change.type);
+
+        set({
+          cart: cart.flatMap((item) => {
+            if (!productIds.includes(item.id)) return [item];
+            const current = updated.get(lineKey(item));
+            return current ? [current] : [];
+          }),
+          cartChanges: [...cartChanges.filter(isNew), ...changes],
+        });
+        return changes;
+      },
+
+      acknowledgeCartChanges: () => set({ cartChanges: [] }),
 
       getCartTotal: () => {
         const { cart } = get();
@@ -142,6 +240,86 @@ const useStore = create(
         return cart.reduce((count, item) => count + item.quantity, 0);
       },
 
+      // User the local cart was last synced for (null = a guest's cart)
+      cartOwnerId: null,
+      // User whose cart is loaded from the server; changes are only saved
+      // back once this matches the signed-in user
+      cartSyncedFor: null,
+
+      /**
+       * Load the user's stored cart, wishlist and saved-for-later items
+       * A guest cart on this device is merged in (larger quantity wins, capped
+       * at stock); a cart already synced for this user is replaced by the
+       * stored copy, so removals on other devices aren't undone.
+       */
+      syncUserCart: async (user) => {
+        set({ cartSyncedFor: null });
+
+        const [storedCart, storedWishlist] = await Promise.all([
+          cartsAPI.getUserCart(user.id),
+          cartsAPI.getUserWishlist(user.id),
+        ]);
+        // Don't save over a cart we couldn't read
+        if (!storedCart.success || !storedWishlist.success) return;
+
+        const { cart, wishlist, savedForLater, cartOwnerId } = get();
+        const isGuestCart = cartOwnerId !== user.id;
+        const lines = mergeCartLines(
+          storedCart.data,
+          isGuestCart ? cart.map(toStoredCartLine) : []
+        );
+        const savedLines = mergeCartLines(
+          storedWishlist.data.saved_items,
+          isGuestCart ? savedForLater.map(toStoredCartLine) : []
+        );
+        const wishlistIds = [
+          ...new Set([
+            ...storedWishlist.data.product_ids,
+            ...(isGuestCart ? wishlist.map((product) => product.id) : []),
+          ]),
+        ];
+
+        let products;
+        try {
+          products = await productsAPI.fetchProductsByIds([
+            ...new Set([
+              ...lines.map((line) => line.product_id),
+              ...savedLines.map((line) => line.product_id),
+              ...wishlistIds,
+            ]),
+          ]);
+        } catch {
+          // Without product data every line would look deleted
+          return;
+        }
+        const productsById = Object.fromEntries(products.map((product) => [product.id, product]));
+        const { items, adjustments } = hydrateCartLines(lines, productsById);
+
+        // Signed out (or switched user) while loading
+        if (get().user?.id !== user.id) return;
+
+        set({
+          cart: items,
+          savedForLater: hydrateSavedLines(savedLines, productsById),
+          wishlist: wishlistIds.map((id) => productsById[id]).filter(Boolean),
+          cartOwnerId: user.id,
+          cartSyncedFor: user.id,
+        });
+
+        if (isGuestCart || adjustments.length > 0) {
+          await Promise.all([
+            cartsAPI.saveUserCart(user.id, items.map(toStoredCartLine)),
+            cartsAPI.saveUserWishlist(user.id, {
+              product_ids: get().wishlist.map((product) => product.id),
+              saved_items: get().savedForLater.map(toStoredCartLine),
+            }),
+          ]);
+        }
+        if (adjustments.length > 0) {
+          get().showToast('Some items in your cart were updated to match available stock', 'info');
+        }
+      },
+
       // ============================================================================
       // WISHLIST STATE & ACTIONS
       // ============================================================================
@@ -202,6 +380,65 @@ const useStore = create(
         }
       },
 
+      // ============================================================================
+      // RECENTLY VIEWED STATE & ACTIONS
+      // ============================================================================
+      // { product_id, viewed_at } entries, newest first
+      recentlyViewed: [],
+      // The shopper turned history off; views aren't recorded while paused
+      recentlyViewedPaused: false,
+      // User the local history was last synced for (null = a guest's history)
+      recentlyViewedOwnerId: null,
+      // User whose history is loaded from the server; changes are only saved
+      // back once this matches the signed-in user
+      recentlyViewedSyncedFor: null,
+
+      recordProductView: (product) => {
+        if (get().recentlyViewedPaused) return;
+        set({ recentlyViewed: addRecentView(get().recentlyViewed, product.id) });
+      },
+
+      clearRecentlyViewed: () => set({ recentlyViewed: [] }),
+
+      setRecentlyViewedPaused: (paused) => set({ recentlyViewedPaused: paused }),
+
+      /**
+       * Load the user's stored history
+       * A guest history on this device is merged in unless the account has
+       * history turned off; a history already synced for this user is replaced
+       * by the stored copy, so clearing it on another device sticks.
+       */
+      syncRecentlyViewed: async (user) => {
+        set({ recentlyViewedSyncedFor: null });
+
+        const stored = await recentlyViewedAPI.getRecentlyViewed(user.id);
+        // Don't save over a history we couldn't read
+        if (!stored.success) return;
+        // Signed out (or switched user) while loading
+        if (get().user?.id !== user.id) return;
+
+        const { recentlyViewed, recentlyViewedOwnerId } = get();
+        const isGuestHistory = recentlyViewedOwnerId !== user.id;
+        const items =
+          isGuestHistory && !stored.data.paused
+            ? mergeRecentViews(stored.data.items, recentlyViewed)
+            : stored.data.items;
+
+        set({
+          recentlyViewed: items,
+          recentlyViewedPaused: stored.data.paused,
+          recentlyViewedOwnerId: user.id,
+          recentlyViewedSyncedFor: user.id,
+        });
+
+        if (items !== stored.data.items) {
+          await recentlyViewedAPI.saveRecentlyViewed(user.id, {
+            items,
+            paused: stored.data.paused,
+          });
+        }
+      },
+
       // ============================================================================
       // USER STATE & AUTH ACTIONS
       // ============================================================================
@@ -220,6 +457,11 @@ const useStore = create(
               try {
                 const { user } = await authAPI.getCurrentUser();
                 set({ user, isAuthLoading: false, authInitialized: true });
+                if (user) {
+                  get().syncUserCart(user);
+                  get().syncRecentlyViewed(user);
+                  get().claimGuestOrders(user);
+                }
               } catch (error) {
                 console.error('Error getting current user:', error);
                 set({ user: null, isAuthLoading: false, authInitialized: true });
@@ -296,7 +538,15 @@ const useStore = create(
         set({
           user: null,
           cart: [],
+          cartChanges: [],
+          savedForLater: [],
           wishlist: [],
+          cartOwnerId: null,
+          cartSyncedFor: null,
+          recentlyViewed: [],
+          recentlyViewedPaused: false,
+          recentlyViewedOwnerId: null,
+          recentlyViewedSyncedFor: null,
           isAuthLoading: false,
           authError: null,
         });
@@ -333,18 +583,17 @@ const useStore = create(
         return authAPI.isAdmin(user.email);
       },
 
-      // Process pending cart item after login
-      processPendingCartItem: () => {
-        const pendingItem = localStorage.getItem('pendingCartItem');
-        if (pendingItem) {
-          try {
-            const { product, size, color, quantity } = JSON.parse(pendingItem);
-            get().addToCart(product, size, color, quantity);
-            localStorage.removeItem('pendingCartItem');
-          } catch (e) {
-            console.error('Error processing pending cart item:', e);
-            localStorage.removeItem('pendingCartItem');
-          }
+      /**
+       * Move guest orders placed with the user's (verified) email into their account
+       */
+      claimGuestOrders: async (user) => {
+        const response = await ordersAPI.claimGuestOrders(user);
+        const claimed = response.data?.claimed || 0;
+        if (claimed > 0) {
+          get().showToast(
+            `${claimed} guest ${claimed === 1 ? 'order was' : 'orders were'} added to your account`,
+            'success'
+          );
         }
       },
 
@@ -388,8 +637,8 @@ const useStore = create(
           set({ 
             isLoadingOrders: false, 
             cart: [], 
-            appliedCoupon: null, 
-            couponDiscount: 0 
+            cartChanges: [],
+            appliedCoupon: null,
           });
           return { order, error: null };
         } catch (error) {
@@ -471,28 +720,20 @@ const useStore = create(
       // ============================================================================
       // COUPON STATE & ACTIONS
       // ============================================================================
+      // The discount isn't stored: useCartDiscounts evaluates the coupon's
+      // rules on the cart as it changes
       appliedCoupon: null,
-      couponDiscount: 0,
 
-      applyCoupon: (coupon, discountAmount) => {
-        set({ 
-          appliedCoupon: coupon, 
-          couponDiscount: discountAmount 
-        });
+      applyCoupon: (coupon) => {
+        set({ appliedCoupon: coupon });
       },
 
       removeCoupon: () => {
-        set({ 
-          appliedCoupon: null, 
-          couponDiscount: 0 
-        });
+        set({ appliedCoupon: null });
       },
 
       clearCoupon: () => {
-        set({ 
-          appliedCoupon: null, 
-          couponDiscount: 0 
-        });
+        set({ appliedCoupon: null });
       },
 
       // ============================================================================
@@ -511,12 +752,77 @@ const useStore = create(
       name: 'stryng-storage',
       partialize: (state) => ({
         cart: state.cart,
+        savedForLater: state.savedForLater,
         wishlist: state.wishlist,
+        cartOwnerId: state.cartOwnerId,
+        recentlyViewed: state.recentlyViewed,
+        recentlyViewedPaused: state.recentlyViewedPaused,
+        recentlyViewedOwnerId: state.recentlyViewedOwnerId,
+        cartChanges: state.cartChanges,
         appliedCoupon: state.appliedCoupon,
-        couponDiscount: state.couponDiscount,
       }),
     }
   )
 );
 
+// Save cart, wishlist and saved-for-later changes for the signed-in user (debounced)
+let cartSaveTimer = null;
+let pendingSaves = { cart: false, wishlist: false };
+
+useStore.subscribe((state, prevState) => {
+  const userId = state.cartSyncedFor;
+  if (!userId || userId !== state.user?.id) return;
+
+  pendingSaves = {
+    cart: pendingSaves.cart || state.cart !== prevState.cart,
+    wishlist:
+      pendingSaves.wishlist ||
+      state.wishlist !== prevState.wishlist ||
+      state.savedForLater !== prevState.savedForLater,
+  };
+  if (!pendingSaves.cart && !pendingSaves.wishlist) return;
+
+  clearTimeout(cartSaveTimer);
+  cartSaveTimer = setTimeout(() => {
+    const { cart, wishlist, savedForLater, cartSyncedFor } = useStore.getState();
+    if (cartSyncedFor !== userId) return;
+
+    if (pendingSaves.cart) cartsAPI.saveUserCart(userId, cart.map(toStoredCartLine));
+    if (pendingSaves.wishlist) {
+      cartsAPI.saveUserWishlist(userId, {
+        product_ids: wishlist.map((product) => product.id),
+        saved_items: savedForLater.map(toStoredCartLine),
+      });
+    }
+    pendingSaves = { cart: false, wishlist: false };
+  }, 500);
+});
+
+// Save recently viewed changes for the signed-in user (debounced)
+let recentlyViewedSaveTimer = null;
+
+useStore.subscribe((state, prevState) => {
+  const userId = state.recentlyViewedSyncedFor;
+  if (!userId || userId !== state.user?.id) return;
+  // Loading the stored copy isn't a change (syncRecentlyViewed saves merges)
+  if (prevState.recentlyViewedSyncedFor !== userId) return;
+  if (
+    state.recentlyViewed === prevState.recentlyViewed &&
+    state.recentlyViewedPaused === prevState.recentlyViewedPaused
+  ) {
+    return;
+  }
+
+  clearTimeout(recentlyViewedSaveTimer);
+  recentlyViewedSaveTimer = setTimeout(() => {
+    const { recentlyViewed, recentlyViewedPaused, recentlyViewedSyncedFor } = useStore.getState();
+    if (recentlyViewedSyncedFor !== userId) return;
+
+    recentlyViewedAPI.saveRecentlyViewed(userId, {
+      items: recentlyViewed,
+      paused: recentlyViewedPaused,
+    });
+  }, 500);
+});
+
 export default useStore;
@@ -0,0 +1,164 @@
+/**
+ * Firestore rules tests
+ * Run against the Firestore emulator (npm run test:rules); skipped otherwise.
+ */
+
+import { readFileSync } from 'node:fs';
+import { env as processEnv } from 'node:process';
+import { describe, it, beforeAll, afterAll, beforeEach } from 'vitest';
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from '@firebase/rules-unit-testing';
+import { doc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+const emulatorHost = processEnv.FIRESTORE_EMULATOR_HOST;
+
+describe.skipIf(!emulatorHost)('firestore.rules', () => {
+  let env;
+
+  beforeAll(async () => {
+    const [host, port] = emulatorHost.split(':');
+    env = await initializeTestEnvironment({
+      projectId: 'stryng-rules-test',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8'), host, port: Number(port) },
+    });
+  });
+
+  afterAll(() => env?.cleanup());
+
+  beforeEach(() => env.clearFirestore());
+
+  const seed = (data) =>
+    env.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await Promise.all(
+        Object.entries(data).map(([path, value]) => setDoc(doc(db, path), value))
+      );
+    });
+
+  const customer = () =>
+    env
+      .authenticatedContext('alice', {
+        email: 'alice@example.com',
+        firebase: { sign_in_provider: 'password' },
+      })
+      .firestore();
+
+  describe('profiles', () => {
+    beforeEach(() => seed({ 'profiles/alice': { email: 'alice@example.com', full_name: 'Alice' } }));
+
+    it('should let customers edit their own details', async () => {
+      await assertSucceeds(updateDoc(doc(customer(), 'profiles/alice'), { full_name: 'Alice B' }));
+    });
+
+    it('should reject changing the fields coupon targeting trusts', async () => {
+      const profile = doc(customer(), 'profiles/alice');
+      await assertFails(updateDoc(profile, { email: 'vip@example.com' }));
+      await assertFails(updateDoc(profile, { email_verified: true }));
+      await assertFails(updateDoc(profile, { created_at: new Date('2020-01-01') }));
+    });
+  });
+
+  describe('return requests', () => {
+    beforeEach(() =>
+      seed({
+        'orders/o1': { user_id: 'alice', status: 'delivered', delivered_at: new Date() },
+        'order_items/a': { order_id: 'o1', product_id: 'tee', quantity: 2, returned_quantity: 1 },
+      })
+    );
+
+    const requestReturn = (quantity, returnedQuantity) => {
+      const db = customer();
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'returns/r2'), {
+        order_id: 'o1',
+        user_id: 'alice',
+        status: 'requested',
+        items: [{ order_item_id: 'a', product_id: 'tee', quantity }],
+        refund_amount: 0,
+        quantity_tracked: true,
+      });
+      batch.update(doc(db, 'order_items/a'), {
+        returned_quantity: returnedQuantity,
+        last_return_id: 'r2',
+      });
+      return batch.commit();
+    };
+
+    it('should accept a request for what is left, counted on the item', async () => {
+      await assertSucceeds(requestReturn(1, 2));
+    });
+
+    it('should reject a request for more than is left', async () => {
+      await assertFails(requestReturn(2, 3));
+    });
+
+    it("should reject a request that doesn't count its quantity", async () => {
+      await assertFails(requestReturn(1, 1.5));
+    });
+  });
+
+  describe('customer line cancellation', () => {
+    // Two lines sharing a ₹300 coupon, paid online
+    const order = {
+      user_id: 'alice',
+      status: 'confirmed',
+      payment_status: 'paid',
+      subtotal: 3000,
+      coupon_discount: 300,
+      tax: 135,
+      shipping_cost: 0,
+      total: 2835,
+    };
+    const line = (price, quantity, discount, tax) => ({
+      order_id: 'o1',
+      product_id: 'tee',
+      product_name: 'Tee',
+      price,
+      quantity,
+      discount,
+      tax,
+    });
+
+    beforeEach(() =>
+      seed({
+        'orders/o1': order,
+        'order_items/a': line(1000, 2, 200, 90),
+        'order_items/b': line(1000, 1, 100, 45),
+        'settings/shipping': { free_shipping_threshold: 2500, rate_type: 'flat', flat_rate: 99 },
+      })
+    );
+
+    const cancelLine = (totals) => {
+      const db = customer();
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'order_items/b'), { status: 'cancelled' });
+      batch.update(doc(db, 'orders/o1'), {
+        ...totals,
+        refund_due: order.total - totals.total,
+        cancelled_item_id: 'b',
+      });
+      return batch.commit();
+    };
+
+    it('should accept totals repriced for the remaining line', async () => {
+      await assertSucceeds(
+        cancelLine({ subtotal: 2000, coupon_discount: 200, tax: 90, shipping_cost: 99, total: 1989 })
+      );
+    });
+
+    it('should reject dropping the tax while a coupon is applied', async () => {
+      await assertFails(
+        cancelLine({ subtotal: 2000, coupon_discount: 200, tax: 0, shipping_cost: 99, total: 1899 })
+      );
+    });
+
+    it('should reject skipping shipping below the free shipping threshold', async () => {
+      await assertFails(
+        cancelLine({ subtotal: 2000, coupon_discount: 200, tax: 90, shipping_cost: 0, total: 1890 })
+      );
+    });
+  });
+});
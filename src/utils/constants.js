@@ -37,6 +37,8 @@ export const PAYMENT_STATUSES = [
   { value: 'verification_pending', label: 'Verifying', color: '#f97316' },
   { value: 'paid', label: 'Paid', color: '#10b981' },
   { value: 'failed', label: 'Failed', color: '#ef4444' },
+  { value: 'partially_refunded', label: 'Partially Refunded', color: '#6366f1' },
+  { value: 'refunded', label: 'Refunded', color: '#6366f1' },
 ];
 
 // Product categories